@@ -1,86 +1,445 @@
 const vscode = require('vscode');
-const { exec } = require('child_process');
 const path = require('path');
 const fs = require('fs');
+const {
+    runPy2Rocket,
+    isCancellationError,
+    isTimeoutError,
+    isUnsupportedCommandError,
+    throwIfCancelled,
+    parseProgressLine,
+    resolvePythonExecutable,
+    formatCommandLine
+} = require('./py2rocket-runner');
+const { parseBuildProblems } = require('./py2rocket-diagnostics');
+const { normalizeWorkflowJson, summarizeWorkflowChanges, formatChangeSummary } = require('./py2rocket-workflow-diff');
+const { normalizeProfiles, buildProfileEnv, checkProfileEnvFile, parseEnvFile } = require('./py2rocket-profiles');
+const { compileGroupPatterns, getProtectionReasons, getGitWorkingTreeChanges } = require('./py2rocket-guard');
+const {
+    removeDirIfEmpty,
+    createTempDirInWorkspace,
+    removeOperationTempDir,
+    findDownloadedWorkflowJson
+} = require('./py2rocket-tempdir');
+const {
+    parseExecutionIdFromRunOutput,
+    getLatestExecutionState,
+    findExecution,
+    getExecutionTimeline,
+    isTerminalState
+} = require('./py2rocket-executions');
+const {
+    buildHistoryArgs,
+    isUnsupportedOptionError,
+    applyHistoryQueryLocally,
+    extractRerunData,
+    getRerunParameterValue,
+    isVisibleParameter,
+    groupExecutionParameters
+} = require('./py2rocket-history');
+const { matchesHistorySearch, buildHistoryCsv, buildHistoryJson, collectHistoryPages } = require('./py2rocket-history-export');
+const { CHART_STATES, computeExecutionAnalytics } = require('./py2rocket-analytics');
+const { buildLogArgs, extractLogText, findErrorLines } = require('./py2rocket-logs');
+const {
+    DEFAULT_SENSITIVE_PATTERNS,
+    MASKED_VALUE,
+    compileMaskPatterns,
+    isSensitiveName,
+    maskParameterValue
+} = require('./py2rocket-masking');
+const {
+    parseParameterValue,
+    diffExecutionParameters,
+    formatDuration,
+    summarizeExecutionTiming,
+    orderExecutionsByStart
+} = require('./py2rocket-execution-diff');
 
 let currentGraphPanel;
+let currentGraphFilePath;
+let buildDiagnostics;
+
+// Estado del build/render automático al guardar, por archivo
+const autoBuildStates = new Map();
+// Archivos guardados por los propios comandos (no deben disparar el build automático)
+const autoBuildIgnoredSaves = new Set();
+
+// Documentos virtuales de solo lectura usados en las vistas de diff (esquema py2rocket-preview)
+const PREVIEW_SCHEME = 'py2rocket-preview';
+const previewDocuments = new Map();
+
+// Logs de ejecuciones abiertos como documentos virtuales de solo lectura (esquema py2rocket-log)
+const LOG_SCHEME = 'py2rocket-log';
+const executionLogs = {
+    documents: new Map(),
+    changeEmitter: null,
+    errorDecoration: null
+};
+const UNSUPPORTED_LOGS_MESSAGE = 'La versión instalada de py2rocket no tiene el comando get-logs; actualízala para ver los logs desde VS Code';
+
+// Perfil de entorno activo (se guarda por workspace, no en settings, para no compartirlo por error)
+const ACTIVE_PROFILE_KEY = 'py2rocket.activeProfile';
+let profileState;
+let profileStatusBarItem;
+
+// API keys guardadas en SecretStorage, por perfil ('' = sin perfil).
+// Se mantienen en memoria porque las opciones del runner se construyen de forma síncrona
+const API_KEY_SECRET_PREFIX = 'py2rocket.apiKey.';
+const API_KEY_ENV_VAR = 'ROCKET_API_KEY';
+let secretStorage;
+const apiKeyCache = new Map();
+
+// Si get-history admite paginación/filtros, por carpeta de workspace e intérprete de Python
+// (en multi-root cada carpeta puede usar una versión distinta de py2rocket); sin entrada: aún no se sabe
+const historyQuerySupport = new Map();
+
+// Ejecuciones pedidas por página al exportar el historial completo
+const HISTORY_EXPORT_PAGE_SIZE = 200;
+
+// Paneles de detalle abiertos por id de ejecución (se reutilizan al volver a abrirlos)
+const executionDetailPanels = new Map();
+
+// Ejecuciones enviadas desde el formulario que se siguen hasta que terminan
+const MONITORED_EXECUTIONS_KEY = 'py2rocket.monitoredExecutions';
+const executionMonitor = {
+    context: null,
+    outputChannel: null,
+    timer: null,
+    executions: new Map(),
+    changeEmitter: null
+};
 
 /**
- * Ejecuta un comando de py2rocket
- * @param {string} command - El comando a ejecutar
+ * Ejecuta un subcomando de py2rocket mostrando su salida en el canal
+ * @param {string} subcommand - Subcomando de py2rocket (build, push, sync, ...)
+ * @param {Array<string|number>} args - Argumentos del subcomando
  * @param {string} filePath - Ruta del archivo activo
  * @param {vscode.OutputChannel} outputChannel - Canal de salida
- * @param {string} workingDir - Directorio de trabajo (por defecto el directorio del archivo)
- * @returns {Promise<void>}
+ * @param {Object} [options]
+ * @param {string} [options.workingDir] - Directorio de trabajo (por defecto el directorio del archivo)
+ * @param {vscode.CancellationToken} [options.token] - Token de cancelación de la notificación de progreso
+ * @param {vscode.Progress<{ message?: string }>} [options.progress] - Progreso a actualizar con la salida del proceso
+ * @param {boolean} [options.quiet] - No mostrar notificaciones (modo automático al guardar)
+ * @returns {Promise<import('./py2rocket-runner').Py2RocketRunResult>}
  */
-function executePy2RocketCommand(command, filePath, outputChannel, workingDir = null) {
-    return new Promise((resolve, reject) => {
-        const workspaceFolder = vscode.workspace.workspaceFolders?.[0]?.uri.fsPath;
-
-        if (!workspaceFolder) {
-            vscode.window.showErrorMessage('No hay una carpeta de trabajo abierta');
-            reject(new Error('No workspace folder'));
-            return;
-        }
-
-        maybeShowOutput(outputChannel);
-        outputChannel.appendLine(`\n${'='.repeat(60)}`);
-        outputChannel.appendLine(`Ejecutando: ${command}`);
-        outputChannel.appendLine(`Archivo: ${filePath}`);
-        outputChannel.appendLine(`${'='.repeat(60)}\n`);
+async function executePy2RocketCommand(subcommand, args, filePath, outputChannel, options = {}) {
+    const { workingDir = null, token = null, progress = null, quiet = false } = options;
+    const workspaceFolder = getWorkspaceFolderPath(filePath);
 
-        // Si no se especifica directorio de trabajo, usar el directorio del archivo
-        const cwd = workingDir || path.dirname(filePath);
+    if (!workspaceFolder) {
+        vscode.window.showErrorMessage('No hay una carpeta de trabajo abierta');
+        throw new Error('No workspace folder');
+    }
 
-        // Preparar opciones de ejecución
-        const execOptions = {
-            cwd: cwd,
-            shell: true,
-            env: {
-                ...process.env,
-                PYTHONIOENCODING: 'utf-8'
-            }
-        };
+    // Si no se especifica directorio de trabajo, usar el directorio del archivo
+    const cwd = workingDir || path.dirname(filePath);
+    const commandLabel = `py2rocket ${subcommand}`;
+
+    maybeShowOutput(outputChannel);
+    outputChannel.appendLine(`\n${'='.repeat(60)}`);
+    outputChannel.appendLine(`Ejecutando: ${formatCommandLine('py2rocket', [subcommand, ...args])}`);
+    outputChannel.appendLine(`Archivo: ${filePath}`);
+    const activeProfile = getActiveProfile();
+    if (activeProfile) {
+        outputChannel.appendLine(`Perfil: ${activeProfile.name}`);
+    }
+    outputChannel.appendLine(`${'='.repeat(60)}\n`);
 
-        const venvPath = path.join(workspaceFolder, '.venv', 'Scripts');
-        if (fs.existsSync(venvPath)) {
-            execOptions.env.PATH = venvPath + path.delimiter + execOptions.env.PATH;
+    try {
+        const result = await runPy2Rocket(
+            subcommand,
+            args,
+            getRunnerOptions(cwd, token, createStreamHandlers(outputChannel, progress))
+        );
+        outputChannel.appendLine(`\n✓ Comando completado exitosamente`);
+        if (subcommand === 'build') {
+            updateBuildDiagnostics(filePath, null);
+        }
+        if (!quiet) {
+            vscode.window.showInformationMessage(`✓ ${commandLabel} completado`);
+        }
+        return result;
+    } catch (error) {
+        if (isCancellationError(error)) {
+            appendCancellationNotice(outputChannel, commandLabel);
+            throw error;
         }
+        if (subcommand === 'build') {
+            updateBuildDiagnostics(filePath, error);
+        }
+        appendExecutionErrorDetails(outputChannel, error);
+        if (!quiet) {
+            vscode.window.showErrorMessage(`Error ejecutando py2rocket: ${error.message}`);
+        }
+        throw error;
+    }
+}
 
-        // Ejecutar el comando en el directorio especificado
-        exec(command, execOptions, (error, stdout, stderr) => {
-            appendCommandStreams(outputChannel, stdout, stderr);
+/**
+ * Actualiza los diagnósticos del workflow según el resultado de build/render.
+ * Con error, marca en el editor las líneas reportadas por py2rocket; sin error, los limpia.
+ * @param {string} filePath - Ruta del archivo .py del workflow
+ * @param {(Error & {stdout?: string, stderr?: string}) | null} error
+ */
+function updateBuildDiagnostics(filePath, error) {
+    if (!buildDiagnostics || !filePath || !filePath.endsWith('.py')) return;
 
-            if (error) {
-                appendExecutionErrorDetails(outputChannel, error);
-                vscode.window.showErrorMessage(`Error ejecutando py2rocket: ${error.message}`);
-                reject(error);
-            } else {
-                outputChannel.appendLine(`\n✓ Comando completado exitosamente`);
-                vscode.window.showInformationMessage(`✓ ${command} completado`);
-                resolve();
-            }
+    const uri = vscode.Uri.file(filePath);
+    if (!error) {
+        buildDiagnostics.delete(uri);
+        return;
+    }
+
+    // Cancelaciones y tiempos límite no son errores del código del workflow
+    if (isCancellationError(error) || isTimeoutError(error)) return;
+
+    const output = `${error.stderr || ''}\n${error.stdout || ''}`;
+    const problems = parseBuildProblems(output, filePath);
+    if (problems.length === 0) {
+        const lastLine = String(error.stderr || '').split(/\r?\n/).filter(line => line.trim()).pop();
+        problems.push({
+            line: 0,
+            column: 0,
+            message: lastLine ? lastLine.trim() : error.message,
+            severity: 'error',
+            source: 'py2rocket'
         });
+    }
+
+    let fileLines = [];
+    try {
+        fileLines = fs.readFileSync(filePath, 'utf-8').split(/\r?\n/);
+    } catch { }
+
+    const diagnostics = problems.map(problem => {
+        const lineIndex = Math.min(problem.line, Math.max(0, fileLines.length - 1));
+        const text = fileLines[lineIndex] || '';
+        const indent = text.length - text.trimStart().length;
+        // Python reporta la columna de tracebacks sin la indentación de la línea
+        const startColumn = Math.min(
+            text.length,
+            problem.source === 'traceback' ? indent + problem.column : Math.max(indent, problem.column)
+        );
+        const range = new vscode.Range(lineIndex, startColumn, lineIndex, Math.max(startColumn + 1, text.length));
+        const severity = problem.severity === 'warning'
+            ? vscode.DiagnosticSeverity.Warning
+            : vscode.DiagnosticSeverity.Error;
+
+        const diagnostic = new vscode.Diagnostic(range, problem.message, severity);
+        diagnostic.source = 'py2rocket';
+        return diagnostic;
     });
+
+    buildDiagnostics.set(uri, diagnostics);
 }
 
 /**
- * Obtiene el comando de Python configurado
+ * Obtiene la ruta de Python configurada por el usuario
  * @returns {string}
  */
-function getPythonCommand() {
+function getConfiguredPythonPath() {
+    const config = vscode.workspace.getConfiguration('py2rocket');
+    return config.get('pythonPath') || 'python';
+}
+
+/**
+ * Obtiene los perfiles de entorno definidos en la configuración
+ * @returns {import('./py2rocket-profiles').Py2RocketProfile[]}
+ */
+function getProfiles() {
     const config = vscode.workspace.getConfiguration('py2rocket');
-    const pythonPath = config.get('pythonPath') || 'python';
-    if (pythonPath && pythonPath !== 'python') {
-        return quoteIfNeeded(pythonPath);
+    return normalizeProfiles(config.get('profiles'));
+}
+
+/**
+ * Obtiene el perfil de entorno activo (null si no hay ninguno o ya no existe)
+ * @returns {import('./py2rocket-profiles').Py2RocketProfile | null}
+ */
+function getActiveProfile() {
+    const activeName = profileState?.get(ACTIVE_PROFILE_KEY);
+    if (!activeName) return null;
+    return getProfiles().find(profile => profile.name === activeName) || null;
+}
+
+/**
+ * Clave de SecretStorage de la API key de un perfil
+ * @param {string} profileName - '' para el entorno sin perfil
+ * @returns {string}
+ */
+function getApiKeySecretKey(profileName) {
+    return `${API_KEY_SECRET_PREFIX}${profileName || ''}`;
+}
+
+/**
+ * Variables de entorno con la API key guardada para el perfil activo (vacío si no hay)
+ * @returns {Object<string, string>}
+ */
+function getStoredApiKeyEnv() {
+    const apiKey = apiKeyCache.get(getActiveProfile()?.name || '');
+    return apiKey ? { [API_KEY_ENV_VAR]: apiKey } : {};
+}
+
+/**
+ * Carga en memoria las API keys guardadas de todos los perfiles definidos
+ */
+async function loadStoredApiKeys() {
+    if (!secretStorage) return;
+
+    const profileNames = ['', ...getProfiles().map(profile => profile.name)];
+    apiKeyCache.clear();
+    for (const profileName of profileNames) {
+        const apiKey = await secretStorage.get(getApiKeySecretKey(profileName));
+        if (apiKey) {
+            apiKeyCache.set(profileName, apiKey);
+        }
+    }
+}
+
+/**
+ * Busca carpetas del workspace cuyo .env también define ROCKET_API_KEY
+ * @returns {string[]} Nombres de las carpetas
+ */
+function findWorkspaceEnvApiKeys() {
+    return (vscode.workspace.workspaceFolders || [])
+        .filter(folder => {
+            const envPath = path.join(folder.uri.fsPath, '.env');
+            try {
+                return Boolean(parseEnvFile(fs.readFileSync(envPath, 'utf-8'))[API_KEY_ENV_VAR]);
+            } catch {
+                return false;
+            }
+        })
+        .map(folder => folder.name);
+}
+
+/**
+ * Advierte si hay API keys en SecretStorage y además en algún .env del workspace
+ * @param {vscode.OutputChannel} outputChannel
+ */
+function warnIfApiKeyInWorkspaceEnv(outputChannel) {
+    if (apiKeyCache.size === 0) return;
+
+    const folders = findWorkspaceEnvApiKeys();
+    if (folders.length === 0) return;
+
+    const message = `${API_KEY_ENV_VAR} también está definida en .env (${folders.join(', ')}). ` +
+        'Se usa la guardada con "Py2Rocket: Set API Key"; elimínala del .env para no subirla al repositorio';
+    outputChannel.appendLine(`⚠️  ${message}`);
+    vscode.window.showWarningMessage(message);
+}
+
+/**
+ * Construye las opciones comunes (cwd, workspace, Python, perfil) para el runner de py2rocket.
+ * Un problema con el perfil activo no lanza aquí: runPy2Rocket lo rechaza como cualquier otro error
+ * @param {string} cwd - Directorio de trabajo del proceso
+ * @param {vscode.CancellationToken} [token] - Token de cancelación
+ * @param {{onStdoutLine?: Function, onStderrLine?: Function}} [streamHandlers] - Callbacks de salida en vivo
+ * @returns {import('./py2rocket-runner').Py2RocketRunOptions}
+ */
+function getRunnerOptions(cwd, token = null, streamHandlers = {}) {
+    const workspaceFolder = getWorkspaceFolderPath(cwd);
+    const profileEnv = buildProfileEnv(getActiveProfile(), workspaceFolder);
+    return {
+        cwd,
+        workspaceFolder,
+        pythonPath: getConfiguredPythonPath(),
+        env: {
+            ...profileEnv.env,
+            ...getStoredApiKeyEnv()
+        },
+        setupError: profileEnv.error,
+        token,
+        ...streamHandlers
+    };
+}
+
+/**
+ * Crea callbacks que escriben la salida del proceso en el canal a medida que llega
+ * y actualizan la notificación de progreso con las líneas reconocidas
+ * @param {vscode.OutputChannel} outputChannel
+ * @param {vscode.Progress<{ message?: string }>} [progress]
+ * @param {Object} [options]
+ * @param {boolean} [options.stdout=true] - false cuando stdout contiene JSON que se parsea al final
+ * @param {(line: string) => boolean} [options.stderrFilter] - Devuelve false para omitir una línea de stderr
+ * @param {string} [options.label] - Etiqueta para distinguir procesos concurrentes (p. ej. el nombre del archivo)
+ * @returns {{onStdoutLine?: (line: string) => void, onStderrLine: (line: string) => void}}
+ */
+function createStreamHandlers(outputChannel, progress, options = {}) {
+    const { stdout = true, stderrFilter = null, label = '' } = options;
+
+    const handlers = {
+        onStderrLine: (line) => {
+            if (stderrFilter && !stderrFilter(line)) return;
+            appendStreamLine(outputChannel, line, 'stderr', label);
+            reportProgressFromLine(progress, line);
+        }
+    };
+
+    if (stdout) {
+        handlers.onStdoutLine = (line) => {
+            appendStreamLine(outputChannel, line, 'stdout', label);
+            reportProgressFromLine(progress, line);
+        };
     }
 
-    const venvPython = findVenvPython();
-    if (venvPython) {
-        return 'python'; // Usar 'python' directamente si venv está en PATH
+    return handlers;
+}
+
+/**
+ * Escribe una línea de salida con marca de tiempo
+ * @param {vscode.OutputChannel} outputChannel
+ * @param {string} line
+ * @param {'stdout'|'stderr'} stream
+ * @param {string} [label] - Etiqueta opcional del proceso
+ */
+function appendStreamLine(outputChannel, line, stream, label = '') {
+    const time = new Date().toTimeString().slice(0, 8);
+    const tags = [`[${time}]`, label ? `[${label}]` : '', stream === 'stderr' ? '[stderr]' : ''];
+    const prefix = tags.filter(Boolean).join(' ');
+    outputChannel.appendLine(line ? `${prefix} ${line}` : prefix);
+}
+
+/**
+ * Actualiza la notificación de progreso si la línea indica avance de py2rocket
+ * @param {vscode.Progress<{ message?: string }>} progress
+ * @param {string} line
+ */
+function reportProgressFromLine(progress, line) {
+    const parsed = parseProgressLine(line);
+    if (parsed) {
+        reportProgress(progress, parsed.message);
     }
+}
+
+/**
+ * Obtiene el tiempo límite configurado para una operación de red
+ * @param {'download'|'getHistory'|'getLogs'|'runViewParameters'} operation
+ * @returns {number} Milisegundos (0: sin límite)
+ */
+function getOperationTimeoutMs(operation) {
+    const config = vscode.workspace.getConfiguration('py2rocket');
+    const seconds = Number(config.get(`timeouts.${operation}`, 0));
+    return Number.isFinite(seconds) && seconds > 0 ? seconds * 1000 : 0;
+}
 
-    return 'python';
+/**
+ * Informa de forma clara que una operación superó su tiempo límite
+ * @param {vscode.OutputChannel} outputChannel
+ * @param {Error} error
+ * @param {'download'|'getHistory'|'getLogs'|'runViewParameters'} operation
+ */
+async function reportTimeoutError(outputChannel, error, operation) {
+    const settingKey = `py2rocket.timeouts.${operation}`;
+    outputChannel.appendLine(`\n⏱ ${error.message}`);
+    outputChannel.appendLine(`  El proceso fue detenido. Ajusta "${settingKey}" si Rocket necesita más tiempo.`);
+
+    const choice = await vscode.window.showErrorMessage(
+        `${error.message}. Rocket no respondió a tiempo.`,
+        'Configurar tiempo límite'
+    );
+    if (choice === 'Configurar tiempo límite') {
+        await vscode.commands.executeCommand('workbench.action.openSettings', settingKey);
+    }
 }
 
 /**
@@ -144,20 +503,36 @@ function appendExecutionErrorDetails(outputChannel, error) {
 }
 
 /**
- * Ejecuta una tarea mostrando una ventana de progreso con animación
+ * Registra en el canal de salida que el usuario canceló la operación
+ * @param {vscode.OutputChannel} outputChannel
+ * @param {string} operation - Descripción de la operación cancelada
+ */
+function appendCancellationNotice(outputChannel, operation) {
+    outputChannel.appendLine(`\n⏹ Cancelado por el usuario: ${operation}`);
+}
+
+/**
+ * Ejecuta una tarea mostrando una ventana de progreso cancelable.
+ * Las cancelaciones del usuario no se propagan como errores.
+ * @template T
  * @param {string} title
- * @param {(progress: vscode.Progress<{ message?: string; increment?: number }>) => Promise<void> | void} task
- * @returns {Thenable<void>}
+ * @param {(progress: vscode.Progress<{ message?: string; increment?: number }>, token: vscode.CancellationToken) => Promise<T> | T} task
+ * @returns {Thenable<T | undefined>} Resultado de la tarea (undefined si se canceló)
  */
 function runWithProgress(title, task) {
     return vscode.window.withProgress(
         {
             location: vscode.ProgressLocation.Notification,
             title,
-            cancellable: false
+            cancellable: true
         },
-        async (progress) => {
-            await Promise.resolve(task(progress));
+        async (progress, token) => {
+            try {
+                return await Promise.resolve(task(progress, token));
+            } catch (error) {
+                if (isCancellationError(error)) return undefined;
+                throw error;
+            }
         }
     );
 }
@@ -172,37 +547,6 @@ function reportProgress(progress, message) {
     progress.report({ message });
 }
 
-/**
- * Busca un ejecutable de Python en .venv del workspace
- * @returns {string|null}
- */
-function findVenvPython() {
-    const workspaceFolder = vscode.workspace.workspaceFolders?.[0]?.uri.fsPath;
-    if (!workspaceFolder) return null;
-
-    const venvRoot = path.join(workspaceFolder, '.venv');
-    const windowsPython = path.join(venvRoot, 'Scripts', 'python.exe');
-    const unixPython = path.join(venvRoot, 'bin', 'python');
-
-    if (fs.existsSync(windowsPython)) return windowsPython;
-    if (fs.existsSync(unixPython)) return unixPython;
-
-    return null;
-}
-
-/**
- * Envuelve en comillas si hay espacios
- * @param {string} value
- * @returns {string}
- */
-function quoteIfNeeded(value) {
-    if (!value) return value;
-    if (value.includes(' ') && !value.startsWith('"')) {
-        return `"${value}"`;
-    }
-    return value;
-}
-
 /**
  * Obtiene la ruta del archivo activo
  * @returns {string|null}
@@ -224,11 +568,29 @@ function getActiveFilePath() {
 }
 
 /**
- * Detecta si el workspace actual proviene de una sincronización y devuelve metadatos
+ * Obtiene la carpeta del workspace que contiene un archivo o carpeta.
+ * Sin ruta (o fuera del workspace) usa la carpeta del archivo activo y, por último, la primera
+ * @param {string} [targetPath]
+ * @returns {string|undefined}
+ */
+function getWorkspaceFolderPath(targetPath) {
+    if (targetPath) {
+        const owner = vscode.workspace.getWorkspaceFolder(vscode.Uri.file(targetPath));
+        if (owner) return owner.uri.fsPath;
+    }
+
+    const activeUri = vscode.window.activeTextEditor?.document.uri;
+    const activeFolder = activeUri ? vscode.workspace.getWorkspaceFolder(activeUri) : undefined;
+    return activeFolder?.uri.fsPath ?? vscode.workspace.workspaceFolders?.[0]?.uri.fsPath;
+}
+
+/**
+ * Detecta si una carpeta del workspace proviene de una sincronización y devuelve metadatos
+ * @param {string} [targetPath] - Archivo o carpeta cuya carpeta de workspace se evalúa
  * @returns {{isSynced: boolean, metadata: any | null, error: string | null}}
  */
-function detectSyncWorkspace() {
-    const workspaceFolder = vscode.workspace.workspaceFolders?.[0]?.uri.fsPath;
+function detectSyncWorkspace(targetPath) {
+    const workspaceFolder = getWorkspaceFolderPath(targetPath);
     if (!workspaceFolder) {
         return { isSynced: false, metadata: null, error: 'No hay carpeta de trabajo abierta' };
     }
@@ -333,23 +695,21 @@ function resolveLocalGroupDir(workspaceFolder, baseGroupName, fullGroupName) {
  * Comando: Build
  * Compila el archivo Python actual a JSON usando py2rocket build
  */
-async function buildCommand(outputChannel, progress) {
+async function buildCommand(outputChannel, progress, token) {
     reportProgress(progress, 'Validando archivo activo...');
     const filePath = getActiveFilePath();
     if (!filePath) return;
 
     // Guardar el archivo antes de compilar
     reportProgress(progress, 'Guardando cambios del archivo...');
-    await vscode.window.activeTextEditor.document.save();
+    await saveDocumentWithoutAutoBuild(vscode.window.activeTextEditor.document);
 
     const fileName = path.basename(filePath);
-    const pythonCommand = getPythonCommand();
-    const command = `${pythonCommand} -m py2rocket build "${fileName}"`;
 
     try {
         // Ejecutar desde el directorio del archivo
         reportProgress(progress, 'Compilando Python a JSON...');
-        await executePy2RocketCommand(command, filePath, outputChannel, path.dirname(filePath));
+        await executePy2RocketCommand('build', [fileName], filePath, outputChannel, { workingDir: path.dirname(filePath), token, progress });
 
         // Intentar abrir el archivo JSON generado
         const jsonPath = filePath.replace('.py', '.json');
@@ -359,33 +719,32 @@ async function buildCommand(outputChannel, progress) {
             await vscode.window.showTextDocument(doc, { preview: false, viewColumn: vscode.ViewColumn.Beside });
         }
     } catch (error) {
+        if (isCancellationError(error)) return;
         console.error('Error en build:', error);
     }
 }
 
 /**
- * Comando: Download
- * Descarga el workflow desde el servidor y lo convierte a Python
+ * Descarga el workflow y lo convierte a Python en un archivo temporal
+ * (el archivo local no se modifica)
+ * @returns {Promise<{filePath: string, document: vscode.TextDocument, remoteContent: string} | undefined>}
  */
-async function downloadCommand(outputChannel, progress) {
+async function fetchRemoteWorkflowSource(outputChannel, progress, token) {
     reportProgress(progress, 'Validando archivo y workflow...');
     const filePath = getActiveFilePath();
-    if (!filePath) return;
+    if (!filePath) return undefined;
+    const document = vscode.window.activeTextEditor.document;
 
     try {
-        const fileContent = fs.readFileSync(filePath, 'utf-8');
-        const workflowId = extractWorkflowId(fileContent);
+        const workflowId = extractWorkflowId(document.getText());
 
         if (!workflowId) {
             vscode.window.showErrorMessage('No se encontró workflow_id en el archivo');
-            return;
+            return undefined;
         }
 
         const fileName = path.basename(filePath);
-        const fileNameWithoutExt = path.basename(filePath, '.py');
-        const fileDir = path.dirname(filePath);
-        const pythonCommand = getPythonCommand();
-        const workspaceFolder = vscode.workspace.workspaceFolders?.[0]?.uri.fsPath;
+        let download = null;
 
         maybeShowOutput(outputChannel);
         outputChannel.appendLine(`\n${'='.repeat(60)}`);
@@ -393,281 +752,870 @@ async function downloadCommand(outputChannel, progress) {
         outputChannel.appendLine(`Archivo: ${fileName}`);
         outputChannel.appendLine(`${'='.repeat(60)}\n`);
 
-        const execOptions = {
-            cwd: fileDir,
-            shell: true,
-            env: {
-                ...process.env,
-                PYTHONIOENCODING: 'utf-8'
-            }
-        };
-
-        const venvPath = path.join(workspaceFolder, '.venv', 'Scripts');
-        if (fs.existsSync(venvPath)) {
-            execOptions.env.PATH = venvPath + path.delimiter + execOptions.env.PATH;
-        }
-
-        const { execSync } = require('child_process');
-
         try {
-            const downloadStartedAt = Date.now();
-            const beforeJsonSet = new Set(
-                fs.readdirSync(fileDir)
-                    .filter(f => f.endsWith('.json'))
-            );
-
-            // Paso 1: Descargar el workflow
+            // Paso 1: Descargar el workflow a un directorio temporal exclusivo de esta operación
             reportProgress(progress, 'Paso 1/3: Descargando workflow...');
             outputChannel.appendLine('Paso 1/3: Descargando del servidor...');
-            const downloadCmd = `${pythonCommand} -m py2rocket download "${workflowId}"`;
-            const downloadOutput = execSync(downloadCmd, {
-                ...execOptions,
-                encoding: 'utf-8'
+            download = await downloadWorkflowJson(workflowId, outputChannel, { progress, token, filePath });
+            outputChannel.appendLine(`Archivo JSON descargado: ${path.basename(download.jsonPath)}`);
+
+            // Paso 2: Convertir JSON a Python en el mismo temporal (el archivo local se compara antes de sobrescribirlo)
+            throwIfCancelled(token);
+            reportProgress(progress, 'Paso 2/3: Convirtiendo JSON a Python...');
+            outputChannel.appendLine(`\nPaso 2/3: Convirtiendo JSON a Python...`);
+            const convertedPath = path.join(download.tempDir, fileName);
+            await runPy2Rocket('from-json', [download.jsonPath, '-o', convertedPath], {
+                ...getRunnerOptions(path.dirname(filePath), token, createStreamHandlers(outputChannel, progress)),
+                timeoutMs: getOperationTimeoutMs('download')
             });
-            outputChannel.appendLine(downloadOutput);
+            const remoteContent = fs.readFileSync(convertedPath, 'utf-8');
 
-            // Paso 2: Detectar el archivo JSON descargado
-            reportProgress(progress, 'Paso 2/3: Detectando archivo descargado...');
-            const jsonFiles = fs.readdirSync(fileDir).filter(f =>
-                f.endsWith('.json')
-            );
+            outputChannel.appendLine(`\n✓ Workflow descargado y convertido a Python`);
+            return { filePath, document, remoteContent };
 
-            if (jsonFiles.length === 0) {
-                throw new Error('No se encontró ningún archivo JSON descargado. Verifica que el download se completó sin errores.');
+        } catch (error) {
+            if (isCancellationError(error)) {
+                appendCancellationNotice(outputChannel, `descarga de ${workflowId}`);
+                return undefined;
             }
 
-            // Seleccionar JSON recién creado/modificado por este download
-            const candidateStats = jsonFiles.map(f => ({
-                file: f,
-                fullPath: path.join(fileDir, f),
-                time: fs.statSync(path.join(fileDir, f)).mtime.getTime(),
-                isNew: !beforeJsonSet.has(f)
-            }));
-
-            let picked = candidateStats
-                .filter(item => item.isNew || item.time >= downloadStartedAt - 2000)
-                .sort((a, b) => b.time - a.time)[0];
+            if (isTimeoutError(error)) {
+                reportTimeoutError(outputChannel, error, 'download');
+                return undefined;
+            }
 
-            if (!picked) {
-                picked = candidateStats.sort((a, b) => b.time - a.time)[0];
+            // stdout/stderr ya se transmitieron en vivo al canal
+            appendExecutionErrorDetails(outputChannel, error);
+            vscode.window.showErrorMessage(`Error al descargar workflow: ${error.message}`);
+        } finally {
+            // Paso 3: Solo se elimina el directorio temporal de la operación, nunca archivos del usuario
+            if (download) {
+                reportProgress(progress, 'Paso 3/3: Limpiando archivos temporales...');
+                removeOperationTempDir(download.tempDir);
             }
+        }
+    } catch (error) {
+        outputChannel.appendLine(`\n❌ Error: ${error.message}`);
+        vscode.window.showErrorMessage(`Error: ${error.message}`);
+    }
+    return undefined;
+}
 
-            const downloadedJsonFile = picked.file;
-            const downloadedJsonPath = picked.fullPath;
-            outputChannel.appendLine(`Archivo JSON detectado: ${downloadedJsonPath}`);
-            outputChannel.appendLine(`\nPaso 2/3: Convirtiendo JSON a Python...`);
+/**
+ * Reemplaza todo el contenido de un documento con una edición deshacible y lo guarda
+ * (si había cambios sin guardar siguen disponibles con Deshacer)
+ * @param {vscode.TextDocument} document
+ * @param {string} content
+ */
+async function replaceDocumentContent(document, content) {
+    const fullRange = new vscode.Range(document.positionAt(0), document.positionAt(document.getText().length));
+    const edit = new vscode.WorkspaceEdit();
+    edit.replace(document.uri, fullRange, content);
 
-            // Paso 3: Convertir JSON a Python usando from-json
-            reportProgress(progress, 'Paso 2/3: Convirtiendo JSON a Python...');
-            fs.mkdirSync(path.dirname(filePath), { recursive: true });
-            const fromJsonCmd = `${pythonCommand} -m py2rocket from-json "${downloadedJsonPath}" -o "${filePath}"`;
-            const fromJsonOutput = execSync(fromJsonCmd, {
-                ...execOptions,
-                encoding: 'utf-8'
-            });
-            outputChannel.appendLine(fromJsonOutput);
+    if (!await vscode.workspace.applyEdit(edit)) {
+        throw new Error(`No se pudo actualizar ${path.basename(document.uri.fsPath)}`);
+    }
+    await saveDocumentWithoutAutoBuild(document);
+}
 
-            // Paso 4: Eliminar el archivo JSON descargado
-            reportProgress(progress, 'Paso 3/3: Limpiando archivos temporales...');
-            outputChannel.appendLine(`\nPaso 3/3: Limpiando archivos temporales...`);
-            try {
-                fs.unlinkSync(downloadedJsonPath);
-                outputChannel.appendLine(`✓ Archivo JSON eliminado: ${downloadedJsonFile}`);
-            } catch (cleanupError) {
-                outputChannel.appendLine(`⚠️  No se pudo eliminar temporal: ${downloadedJsonFile} (${cleanupError.message})`);
-            }
+/**
+ * Comando: Download
+ * Descarga el workflow desde el servidor, lo convierte a Python y, si difiere
+ * del archivo local, muestra un diff para aceptar la versión remota, mantener la local o combinarlas
+ */
+async function downloadCommand(outputChannel) {
+    const download = await runWithProgress('Py2Rocket: Ejecutando Download...', async (progress, token) => {
+        return fetchRemoteWorkflowSource(outputChannel, progress, token);
+    });
+    if (!download) return;
+
+    const { filePath, document, remoteContent } = download;
+    const fileName = path.basename(filePath);
+
+    if (document.isClosed) {
+        vscode.window.showWarningMessage(`${fileName} se cerró durante la descarga; no se aplicaron cambios`);
+        return;
+    }
 
-            outputChannel.appendLine(`\n${'='.repeat(60)}`);
-            outputChannel.appendLine(`✓ Workflow descargado y convertido exitosamente`);
-            outputChannel.appendLine(`✓ Archivo: ${fileName}`);
-            outputChannel.appendLine(`${'='.repeat(60)}\n`);
+    // Se compara contra el contenido del editor (incluye cambios sin guardar)
+    if (document.getText() === remoteContent) {
+        outputChannel.appendLine(`✓ ${fileName} ya coincide con la versión de Rocket`);
+        vscode.window.showInformationMessage(`✓ ${fileName} ya está actualizado con Rocket`);
+        return;
+    }
 
-            vscode.window.showInformationMessage(`✓ Workflow descargado y convertido a Python`);
+    // Diff Rocket (izquierda) ↔ documento local (derecha, editable): permite combinar bloque a bloque
+    const remoteUri = registerPreviewDocument(`${fileName} (Rocket)`, remoteContent);
+    await vscode.commands.executeCommand(
+        'vscode.diff',
+        remoteUri,
+        document.uri,
+        `${fileName}: Rocket ↔ Local`,
+        { preview: true }
+    );
 
-            // Recargar el archivo para mostrar los cambios
-            await vscode.commands.executeCommand('workbench.action.files.revert');
+    const hadUnsavedChanges = document.isDirty;
+    const choice = await vscode.window.showWarningMessage(
+        `${fileName} difiere de la versión de Rocket${hadUnsavedChanges ? ' (tiene cambios sin guardar)' : ''}`,
+        'Aceptar remoto',
+        'Mantener local',
+        'Combinar'
+    );
 
+    if (choice === 'Aceptar remoto') {
+        try {
+            await replaceDocumentContent(document, remoteContent);
+            previewDocuments.delete(remoteUri.toString());
+            outputChannel.appendLine(`✓ ${fileName} actualizado con la versión de Rocket`);
+            vscode.window.showInformationMessage(
+                hadUnsavedChanges
+                    ? `✓ ${fileName} actualizado. Los cambios locales sin guardar se pueden recuperar con Deshacer`
+                    : `✓ ${fileName} actualizado con la versión de Rocket`
+            );
         } catch (error) {
-            const formatted = formatExecError(error);
-            outputChannel.appendLine(`\n❌ Error:\n${formatted.message}`);
-            if (error?.stack) {
-                outputChannel.appendLine(`Stack:\n${error.stack}`);
-            }
-            vscode.window.showErrorMessage(`Error al descargar workflow: ${error.message}`);
+            outputChannel.appendLine(`\n❌ Error: ${error.message}`);
+            vscode.window.showErrorMessage(`Error: ${error.message}`);
         }
-    } catch (error) {
-        outputChannel.appendLine(`\n❌ Error: ${error.message}`);
-        vscode.window.showErrorMessage(`Error: ${error.message}`);
+        return;
+    }
+
+    if (choice === 'Combinar') {
+        outputChannel.appendLine(`Combinando ${fileName} manualmente en el editor de diff`);
+        vscode.window.showInformationMessage(
+            'Usa las flechas del editor de diff para traer bloques de Rocket al archivo local y guarda cuando termines'
+        );
+        return;
+    }
+
+    previewDocuments.delete(remoteUri.toString());
+    outputChannel.appendLine(`Se mantuvo la versión local de ${fileName}`);
+}
+
+/**
+ * Lee las reglas de protección de entornos de la configuración
+ * @returns {import('./py2rocket-guard').ProtectionRules}
+ */
+function getProtectionRules() {
+    const config = vscode.workspace.getConfiguration('py2rocket');
+    return {
+        profiles: config.get('protection.profiles', []),
+        groupPatterns: config.get('protection.groupPatterns', []),
+        blockDirtyGit: config.get('protection.blockDirtyGit', false)
+    };
+}
+
+/**
+ * Motivos por los que el archivo o carpeta indicado pertenece a un entorno protegido
+ * @param {string} targetPath
+ * @param {Object} [rules] - Reglas de protección (por defecto, las de la configuración)
+ * @returns {string[]} vacío si el entorno no está protegido
+ */
+function getTargetProtectionReasons(targetPath, rules = getProtectionRules()) {
+    const syncDetection = detectSyncWorkspace(targetPath);
+    return getProtectionReasons(rules, {
+        profileName: getActiveProfile()?.name,
+        groupName: syncDetection.metadata?.sync_info?.group_name
+    });
+}
+
+/**
+ * Verifica si una operación apunta a un entorno protegido y, en ese caso, pide escribir
+ * el nombre indicado para confirmar (y opcionalmente bloquea push con cambios sin confirmar en git)
+ * @param {Object} options
+ * @param {string} options.action - Operación mostrada al usuario (push, ejecución, creación de grupo)
+ * @param {string} options.targetPath - Archivo o carpeta sobre el que se opera
+ * @param {string} options.confirmText - Texto que el usuario debe escribir
+ * @param {boolean} [options.checkGit] - Aplicar la regla blockDirtyGit (solo push)
+ * @param {vscode.OutputChannel} outputChannel
+ * @returns {Promise<boolean>} true si la operación puede continuar
+ */
+async function confirmProtectedOperation(options, outputChannel) {
+    const { action, targetPath, confirmText, checkGit = false } = options;
+    const rules = getProtectionRules();
+
+    const { invalid } = compileGroupPatterns(rules.groupPatterns);
+    invalid.forEach(pattern => outputChannel.appendLine(`⚠️  Patrón de grupo protegido inválido: ${pattern}`));
+
+    const reasons = getTargetProtectionReasons(targetPath, rules);
+    if (reasons.length === 0) return true;
+
+    const reasonText = reasons.join(', ');
+    outputChannel.appendLine(`🔒 Entorno protegido (${reasonText}): ${action} requiere confirmación`);
+
+    if (checkGit && rules.blockDirtyGit) {
+        const changes = await getGitWorkingTreeChanges(path.dirname(targetPath), ['.py2rocket-tmp']);
+        if (changes === null) {
+            outputChannel.appendLine('⚠️  No se pudo consultar git; se omite la comprobación de cambios sin confirmar');
+        } else if (changes.length > 0) {
+            outputChannel.appendLine(`⛔ ${action} bloqueado: hay ${changes.length} cambio(s) sin confirmar en git`);
+            changes.slice(0, 20).forEach(change => outputChannel.appendLine(`  ${change}`));
+            vscode.window.showErrorMessage(
+                `${action} bloqueado en entorno protegido: confirma o descarta los cambios de git primero`,
+                'Ver detalle'
+            ).then(choice => {
+                if (choice === 'Ver detalle') outputChannel.show(true);
+            });
+            return false;
+        }
+    }
+
+    const typed = await vscode.window.showInputBox({
+        title: `🔒 Entorno protegido: ${reasonText}`,
+        prompt: `Escribe "${confirmText}" para confirmar ${action}`,
+        placeHolder: confirmText,
+        ignoreFocusOut: true,
+        validateInput: value => (value === confirmText ? null : `Escribe exactamente "${confirmText}"`)
+    });
+
+    if (typed !== confirmText) {
+        outputChannel.appendLine(`⏹ ${action} cancelado en entorno protegido`);
+        return false;
     }
+    return true;
 }
 
 /**
  * Comando: Build and Push
  * Compila el archivo Python y lo despliega a Rocket
  */
-async function buildAndPushCommand(outputChannel, progress) {
-    reportProgress(progress, 'Validando archivo activo...');
+async function buildAndPushCommand(outputChannel) {
     const filePath = getActiveFilePath();
     if (!filePath) return;
 
     // Guardar el archivo antes de compilar
-    reportProgress(progress, 'Guardando cambios del archivo...');
-    await vscode.window.activeTextEditor.document.save();
+    await saveDocumentWithoutAutoBuild(vscode.window.activeTextEditor.document);
 
     const fileName = path.basename(filePath);
     const fileNameWithoutExt = path.basename(filePath, '.py');
     const jsonFileName = `${fileNameWithoutExt}.json`;
-    const pythonCommand = getPythonCommand();
     const fileDir = path.dirname(filePath);
 
-    try {
-        // Paso 1: Build
-        reportProgress(progress, 'Paso 1/2: Compilando workflow...');
-        outputChannel.appendLine('Paso 1/2: Building...');
-        const buildCommand = `${pythonCommand} -m py2rocket build "${fileName}"`;
-        await executePy2RocketCommand(buildCommand, filePath, outputChannel, fileDir);
-
-        // Paso 2: Push
-        reportProgress(progress, 'Paso 2/2: Publicando en Rocket...');
-        outputChannel.appendLine('\nPaso 2/2: Pushing to Rocket...');
-        const pushCommand = `${pythonCommand} -m py2rocket push "${jsonFileName}"`;
-        await executePy2RocketCommand(pushCommand, filePath, outputChannel, fileDir);
-
-        vscode.window.showInformationMessage(`✓ Build and Push completado: ${fileNameWithoutExt}`);
-    } catch (error) {
-        console.error('Error en build and push:', error);
-    }
+    // Se confirma antes de abrir la notificación de progreso: cancelarla no cerraría el cuadro de texto
+    const allowed = await confirmProtectedOperation(
+        { action: `push de ${fileNameWithoutExt}`, targetPath: filePath, confirmText: fileNameWithoutExt, checkGit: true },
+        outputChannel
+    );
+    if (!allowed) return;
+
+    await runWithProgress('Py2Rocket: Ejecutando Build and Push...', async (progress, token) => {
+        try {
+            // Paso 1: Build
+            reportProgress(progress, 'Paso 1/2: Compilando workflow...');
+            outputChannel.appendLine('Paso 1/2: Building...');
+            await executePy2RocketCommand('build', [fileName], filePath, outputChannel, { workingDir: fileDir, token, progress });
+
+            // Paso 2: Push
+            throwIfCancelled(token);
+            reportProgress(progress, 'Paso 2/2: Publicando en Rocket...');
+            outputChannel.appendLine('\nPaso 2/2: Pushing to Rocket...');
+            await executePy2RocketCommand('push', [jsonFileName], filePath, outputChannel, { workingDir: fileDir, token, progress });
+
+            vscode.window.showInformationMessage(`✓ Build and Push completado: ${fileNameWithoutExt}`);
+        } catch (error) {
+            if (isCancellationError(error)) {
+                appendCancellationNotice(outputChannel, `build and push de ${fileName}`);
+                return;
+            }
+            console.error('Error en build and push:', error);
+        }
+    });
 }
 
 /**
  * Comando: Build and Push Silent
  * Compila y despliega sin abrir el archivo JSON
  */
-async function buildAndPushSilentCommand(outputChannel, progress) {
-    reportProgress(progress, 'Validando archivo activo...');
+async function buildAndPushSilentCommand(outputChannel) {
     const filePath = getActiveFilePath();
     if (!filePath) return;
 
     // Guardar el archivo antes de compilar
-    reportProgress(progress, 'Guardando cambios del archivo...');
-    await vscode.window.activeTextEditor.document.save();
+    await saveDocumentWithoutAutoBuild(vscode.window.activeTextEditor.document);
 
     const fileName = path.basename(filePath);
     const fileNameWithoutExt = path.basename(filePath, '.py');
     const jsonFileName = `${fileNameWithoutExt}.json`;
-    const pythonCommand = getPythonCommand();
     const fileDir = path.dirname(filePath);
 
-    try {
-        // Paso 1: Build
-        reportProgress(progress, 'Paso 1/2: Compilando workflow...');
-        outputChannel.appendLine('Paso 1/2: Building...');
-        const buildCommand = `${pythonCommand} -m py2rocket build "${fileName}"`;
-        await executePy2RocketCommand(buildCommand, filePath, outputChannel, fileDir);
-
-        // Paso 2: Push
-        reportProgress(progress, 'Paso 2/2: Publicando en Rocket...');
-        outputChannel.appendLine('\nPaso 2/2: Pushing to Rocket...');
-        const pushCommand = `${pythonCommand} -m py2rocket push "${jsonFileName}"`;
-        await executePy2RocketCommand(pushCommand, filePath, outputChannel, fileDir);
-
-        vscode.window.showInformationMessage(`✓ Push completado: ${fileNameWithoutExt}`);
-    } catch (error) {
-        console.error('Error en build and push:', error);
-    }
+    // Se confirma antes de abrir la notificación de progreso: cancelarla no cerraría el cuadro de texto
+    const allowed = await confirmProtectedOperation(
+        { action: `push de ${fileNameWithoutExt}`, targetPath: filePath, confirmText: fileNameWithoutExt, checkGit: true },
+        outputChannel
+    );
+    if (!allowed) return;
+
+    await runWithProgress('Py2Rocket: Ejecutando Push...', async (progress, token) => {
+        try {
+            // Paso 1: Build
+            reportProgress(progress, 'Paso 1/2: Compilando workflow...');
+            outputChannel.appendLine('Paso 1/2: Building...');
+            await executePy2RocketCommand('build', [fileName], filePath, outputChannel, { workingDir: fileDir, token, progress });
+
+            // Paso 2: Push
+            throwIfCancelled(token);
+            reportProgress(progress, 'Paso 2/2: Publicando en Rocket...');
+            outputChannel.appendLine('\nPaso 2/2: Pushing to Rocket...');
+            await executePy2RocketCommand('push', [jsonFileName], filePath, outputChannel, { workingDir: fileDir, token, progress });
+
+            vscode.window.showInformationMessage(`✓ Push completado: ${fileNameWithoutExt}`);
+        } catch (error) {
+            if (isCancellationError(error)) {
+                appendCancellationNotice(outputChannel, `build and push de ${fileName}`);
+                return;
+            }
+            console.error('Error en build and push:', error);
+        }
+    });
 }
 
 /**
- * Comando: Render
- * Renderiza el grafo del workflow usando py2rocket render
+ * Descarga el JSON de un workflow desde Rocket a un directorio temporal propio
+ * @param {string} workflowId
+ * @param {vscode.OutputChannel} outputChannel
+ * @param {Object} [options]
+ * @param {vscode.Progress<{ message?: string }>} [options.progress]
+ * @param {vscode.CancellationToken} [options.token]
+ * @param {string} [options.filePath] - Workflow local (determina la carpeta del workspace)
+ * @returns {Promise<{tempDir: string, jsonPath: string}>} El llamador debe eliminar tempDir
+ */
+async function downloadWorkflowJson(workflowId, outputChannel, options = {}) {
+    const { progress = null, token = null, filePath = null } = options;
+    const tempDir = createOperationTempDir('download', filePath);
+
+    try {
+        await runPy2Rocket('download', [workflowId], {
+            ...getRunnerOptions(tempDir, token, createStreamHandlers(outputChannel, progress)),
+            timeoutMs: getOperationTimeoutMs('download')
+        });
+
+        const jsonPath = findDownloadedWorkflowJson(tempDir, workflowId);
+        if (!jsonPath) {
+            throw new Error('py2rocket download no generó ningún archivo JSON');
+        }
+        return { tempDir, jsonPath };
+    } catch (error) {
+        removeOperationTempDir(tempDir);
+        throw error;
+    }
+}
+
+/**
+ * Registra un documento virtual de solo lectura y devuelve su URI
+ * @param {string} name - Nombre mostrado en la pestaña
+ * @param {string} content
+ * @returns {vscode.Uri}
+ */
+function registerPreviewDocument(name, content) {
+    const key = `${Date.now()}-${Math.floor(Math.random() * 10000)}`;
+    const uri = vscode.Uri.from({ scheme: PREVIEW_SCHEME, path: `/${key}/${name}` });
+    previewDocuments.set(uri.toString(), content);
+    return uri;
+}
+
+/**
+ * Prepara la vista previa del push: build local, descarga remota y resumen de cambios
+ * (localContent es el JSON compilado tal como se revisó: el push se rechaza si cambia en disco)
+ * @returns {Promise<{filePath: string, jsonFileName: string, localContent: string, summary: import('./py2rocket-workflow-diff').WorkflowChangeSummary | null, remoteUri?: vscode.Uri, localUri?: vscode.Uri, downloadError?: Error} | undefined>}
  */
-async function renderCommand(outputChannel, context, progress) {
+async function preparePushPreview(outputChannel, progress, token) {
     reportProgress(progress, 'Validando archivo activo...');
     const filePath = getActiveFilePath();
-    if (!filePath) return;
+    if (!filePath) return undefined;
+
+    const workflowId = extractWorkflowId(vscode.window.activeTextEditor.document.getText());
+    if (!workflowId) {
+        vscode.window.showErrorMessage('No se encontró workflow_id en el archivo');
+        return undefined;
+    }
 
-    // Guardar el archivo antes de renderizar
     reportProgress(progress, 'Guardando cambios del archivo...');
-    await vscode.window.activeTextEditor.document.save();
+    await saveDocumentWithoutAutoBuild(vscode.window.activeTextEditor.document);
 
     const fileName = path.basename(filePath);
-    const pythonCommand = getPythonCommand();
     const fileDir = path.dirname(filePath);
+    const jsonFileName = `${path.basename(filePath, '.py')}.json`;
 
-    return new Promise((resolve, reject) => {
-        reportProgress(progress, 'Renderizando grafo del workflow...');
-        maybeShowOutput(outputChannel);
-        outputChannel.appendLine(`\n${'='.repeat(60)}`);
-        outputChannel.appendLine(`Renderizando grafo: ${fileName}`);
-        outputChannel.appendLine(`${'='.repeat(60)}\n`);
+    reportProgress(progress, 'Paso 1/3: Compilando workflow...');
+    await executePy2RocketCommand('build', [fileName], filePath, outputChannel, { workingDir: fileDir, token, progress, quiet: true });
+    const localContent = fs.readFileSync(path.join(fileDir, jsonFileName), 'utf-8');
+    const localData = JSON.parse(localContent);
 
-        const command = `${pythonCommand} -m py2rocket render "${fileName}"`;
-        const workspaceFolder = vscode.workspace.workspaceFolders?.[0]?.uri.fsPath;
+    reportProgress(progress, 'Paso 2/3: Descargando versión de Rocket...');
+    outputChannel.appendLine(`\nDescargando versión remota de ${workflowId} para comparar...`);
+    let download;
+    try {
+        download = await downloadWorkflowJson(workflowId, outputChannel, { progress, token, filePath });
+    } catch (error) {
+        if (isCancellationError(error)) throw error;
+        outputChannel.appendLine(`⚠️  No se pudo descargar la versión remota: ${error.message}`);
+        return { filePath, jsonFileName, localContent, summary: null, downloadError: error };
+    }
 
-        const execOptions = {
-            cwd: fileDir,
-            shell: true,
-            env: {
-                ...process.env,
-                PYTHONIOENCODING: 'utf-8'
-            }
-        };
+    try {
+        reportProgress(progress, 'Paso 3/3: Comparando versiones...');
+        const remoteData = JSON.parse(fs.readFileSync(download.jsonPath, 'utf-8'));
+        const summary = summarizeWorkflowChanges(remoteData, localData);
+        const remoteUri = registerPreviewDocument(`${jsonFileName} (Rocket)`, normalizeWorkflowJson(remoteData));
+        const localUri = registerPreviewDocument(`${jsonFileName} (local)`, normalizeWorkflowJson(localData));
+        return { filePath, jsonFileName, localContent, summary, remoteUri, localUri };
+    } finally {
+        removeOperationTempDir(download.tempDir);
+    }
+}
+
+/**
+ * Comando: Push with Preview
+ * Compara el workflow compilado con la versión de Rocket y pide confirmación antes de publicar
+ */
+async function pushWithPreviewCommand(outputChannel) {
+    let preview;
+    try {
+        preview = await runWithProgress('Py2Rocket: Preparando vista previa del push...', async (progress, token) => {
+            return preparePushPreview(outputChannel, progress, token);
+        });
+    } catch (error) {
+        // El build se ejecuta en modo silencioso: este es el único aviso al usuario
+        outputChannel.appendLine(`\n❌ Error preparando la vista previa: ${error.message}`);
+        vscode.window.showErrorMessage(`Error preparando la vista previa del push: ${error.message}`);
+        return;
+    }
+    if (!preview) return;
+
+    const fileName = path.basename(preview.filePath);
+    let choice;
+
+    if (!preview.summary) {
+        choice = await vscode.window.showWarningMessage(
+            `No se pudo obtener la versión de Rocket de ${fileName} (${preview.downloadError?.message}). ¿Publicar sin vista previa?`,
+            { modal: true },
+            'Publicar'
+        );
+    } else {
+        const summaryLines = formatChangeSummary(preview.summary);
+        outputChannel.appendLine(`\nVista previa del push: ${fileName}`);
+        summaryLines.forEach(line => outputChannel.appendLine(`  ${line}`));
+
+        await vscode.commands.executeCommand(
+            'vscode.diff',
+            preview.remoteUri,
+            preview.localUri,
+            `${preview.jsonFileName}: Rocket ↔ Local`,
+            { preview: true, viewColumn: vscode.ViewColumn.Beside }
+        );
+
+        const message = preview.summary.identical
+            ? `${fileName}: sin diferencias con Rocket. ¿Publicar de todas formas?`
+            : `${fileName}: ${summaryLines.join(' · ')}`;
+        // Notificación no modal para poder revisar el diff antes de decidir
+        choice = await vscode.window.showWarningMessage(message, 'Publicar', 'Cancelar');
+    }
+
+    if (choice !== 'Publicar') {
+        outputChannel.appendLine(`Push de ${fileName} cancelado desde la vista previa`);
+        return;
+    }
+
+    const workflowName = path.basename(preview.filePath, '.py');
+    const allowed = await confirmProtectedOperation(
+        { action: `push de ${workflowName}`, targetPath: preview.filePath, confirmText: workflowName, checkGit: true },
+        outputChannel
+    );
+    if (!allowed) return;
+
+    // Un build (p. ej. al guardar) mientras se decidía habrá reescrito el JSON revisado en el diff
+    const jsonPath = path.join(path.dirname(preview.filePath), preview.jsonFileName);
+    const currentContent = fs.existsSync(jsonPath) ? fs.readFileSync(jsonPath, 'utf-8') : null;
+    if (currentContent !== preview.localContent) {
+        outputChannel.appendLine(`⛔ Push de ${fileName} cancelado: ${preview.jsonFileName} cambió después de la vista previa`);
+        vscode.window.showErrorMessage(`${preview.jsonFileName} cambió después de la vista previa y no se publicó. Vuelve a ejecutar Push with Preview.`);
+        return;
+    }
+
+    try {
+        await runWithProgress('Py2Rocket: Ejecutando Push...', async (progress, token) => {
+            reportProgress(progress, 'Publicando en Rocket...');
+            await executePy2RocketCommand('push', [preview.jsonFileName], preview.filePath, outputChannel, {
+                workingDir: path.dirname(preview.filePath),
+                token,
+                progress
+            });
+        });
+    } catch (error) {
+        // executePy2RocketCommand ya mostró el error y sus detalles en el canal de salida
+        outputChannel.appendLine(`Push de ${fileName} no completado: ${error.message}`);
+    }
+}
+
+// Espera tras el último evento del file watcher antes de refrescar el explorador de Rocket
+const EXPLORER_WATCHER_DEBOUNCE_MS = 1000;
 
-        const venvPath = path.join(workspaceFolder, '.venv', 'Scripts');
-        if (fs.existsSync(venvPath)) {
-            execOptions.env.PATH = venvPath + path.delimiter + execOptions.env.PATH;
+// Carpetas que no se recorren al buscar workflows para Build All / Push All
+const BATCH_SKIPPED_DIRS = new Set(['.git', '.venv', 'venv', 'node_modules', '__pycache__', '.py2rocket-tmp']);
+
+/**
+ * Obtiene los archivos .py seleccionados en el explorador (recorriendo carpetas)
+ * @param {vscode.Uri[]} uris
+ * @returns {Promise<string[]>}
+ */
+async function collectPythonFiles(uris) {
+    const files = new Set();
+
+    const walk = async (dirPath) => {
+        let entries = [];
+        try {
+            entries = await fs.promises.readdir(dirPath, { withFileTypes: true });
+        } catch {
+            return;
         }
 
-        exec(command, execOptions, (error, stdout, stderr) => {
-            if (stdout && String(stdout).trim()) {
-                outputChannel.appendLine(`STDOUT:\n${stdout}`);
+        for (const entry of entries) {
+            const entryPath = path.join(dirPath, entry.name);
+            if (entry.isDirectory()) {
+                if (!BATCH_SKIPPED_DIRS.has(entry.name)) {
+                    await walk(entryPath);
+                }
+            } else if (entry.isFile() && entry.name.endsWith('.py')) {
+                files.add(entryPath);
             }
-            if (stderr && String(stderr).trim() && !stderr.includes('DeprecationWarning')) {
-                outputChannel.appendLine(`STDERR:\n${stderr}`);
+        }
+    };
+
+    for (const uri of uris) {
+        const targetPath = uri?.fsPath;
+        if (!targetPath) continue;
+
+        try {
+            const stat = await fs.promises.stat(targetPath);
+            if (stat.isDirectory()) {
+                await walk(targetPath);
+            } else if (targetPath.endsWith('.py')) {
+                files.add(targetPath);
             }
+        } catch { }
+    }
 
-            if (error) {
-                appendExecutionErrorDetails(outputChannel, error);
-                vscode.window.showErrorMessage(`Error renderizando grafo: ${error.message}`);
-                reject(error);
-            } else {
-                try {
-                    // Intentar parsear la salida JSON (soporta JSON multilínea)
-                    const trimmed = (stdout || '').trim();
-                    let graphData = null;
+    return [...files].sort((a, b) => a.localeCompare(b));
+}
 
-                    if (trimmed.startsWith('{') && trimmed.endsWith('}')) {
-                        graphData = JSON.parse(trimmed);
-                    } else {
-                        const start = trimmed.indexOf('{');
-                        const end = trimmed.lastIndexOf('}');
-                        if (start !== -1 && end !== -1 && end > start) {
-                            const jsonBlock = trimmed.slice(start, end + 1);
-                            graphData = JSON.parse(jsonBlock);
-                        }
-                    }
+/**
+ * Ejecuta tareas con un máximo de concurrencia
+ * @template T, R
+ * @param {T[]} items
+ * @param {number} limit
+ * @param {(item: T, index: number) => Promise<R>} worker
+ * @returns {Promise<R[]>}
+ */
+async function runWithConcurrency(items, limit, worker) {
+    const results = new Array(items.length);
+    let nextIndex = 0;
+
+    const runners = Array.from({ length: Math.max(1, Math.min(limit, items.length)) }, async () => {
+        while (nextIndex < items.length) {
+            const index = nextIndex++;
+            results[index] = await worker(items[index], index);
+        }
+    });
 
-                    if (graphData) {
-                        reportProgress(progress, 'Abriendo vista de grafo...');
-                        outputChannel.appendLine(`\n✓ Grafo obtenido exitosamente`);
-                        createGraphWebView(graphData, context, fileName);
-                        resolve();
-                    } else {
-                        throw new Error('No se encontró JSON en la salida');
-                    }
-                } catch (parseError) {
-                    outputChannel.appendLine(`\nError parseando JSON: ${parseError.message}`);
-                    if (parseError?.stack) {
-                        outputChannel.appendLine(`Stack:\n${parseError.stack}`);
-                    }
-                    vscode.window.showErrorMessage(`Error parseando datos del grafo: ${parseError.message}`);
-                    reject(parseError);
-                }
-            }
+    await Promise.all(runners);
+    return results;
+}
+
+/**
+ * Resume un error de proceso en una línea para reportes
+ * @param {Error & {stderr?: string}} error
+ * @returns {string}
+ */
+function summarizeProcessError(error) {
+    const lastLine = String(error?.stderr || '').split(/\r?\n/).filter(line => line.trim()).pop();
+    return (lastLine || error?.message || 'Error desconocido').trim();
+}
+
+/**
+ * Compila (y opcionalmente publica) un workflow dentro de un lote
+ * @param {string} filePath
+ * @param {boolean} push
+ * @param {vscode.OutputChannel} outputChannel
+ * @param {vscode.CancellationToken} token
+ * @returns {Promise<{filePath: string, status: 'succeeded'|'failed'|'skipped', reason?: string}>}
+ */
+async function runBatchItem(filePath, push, outputChannel, token) {
+    const fileName = path.basename(filePath);
+    const fileDir = path.dirname(filePath);
+
+    if (token?.isCancellationRequested) {
+        return { filePath, status: 'skipped', reason: 'Cancelado por el usuario' };
+    }
+
+    let content = '';
+    try {
+        content = await fs.promises.readFile(filePath, 'utf-8');
+    } catch (error) {
+        return { filePath, status: 'failed', reason: `No se pudo leer: ${error.message}` };
+    }
+
+    if (!extractWorkflowId(content)) {
+        return { filePath, status: 'skipped', reason: 'Sin workflow_id' };
+    }
+
+    let step = 'build';
+
+    try {
+        const runnerOptions = getRunnerOptions(fileDir, token, createStreamHandlers(outputChannel, null, { label: fileName }));
+        await runPy2Rocket('build', [fileName], runnerOptions);
+        updateBuildDiagnostics(filePath, null);
+
+        if (push) {
+            step = 'push';
+            throwIfCancelled(token);
+            await runPy2Rocket('push', [`${path.basename(filePath, '.py')}.json`], runnerOptions);
+        }
+
+        return { filePath, status: 'succeeded' };
+    } catch (error) {
+        if (isCancellationError(error)) {
+            return { filePath, status: 'skipped', reason: 'Cancelado por el usuario' };
+        }
+        if (step === 'build') {
+            updateBuildDiagnostics(filePath, error);
+        }
+        return { filePath, status: 'failed', reason: `${step}: ${summarizeProcessError(error)}` };
+    }
+}
+
+/**
+ * Escribe en el canal el reporte final de un lote
+ * @param {vscode.OutputChannel} outputChannel
+ * @param {string} title
+ * @param {Array<{filePath: string, status: string, reason?: string}>} results
+ * @returns {{succeeded: number, failed: number, skipped: number}}
+ */
+function appendBatchReport(outputChannel, title, results) {
+    const counts = { succeeded: 0, failed: 0, skipped: 0 };
+    const icons = { succeeded: '✓', failed: '❌', skipped: '⏭' };
+
+    results.forEach(result => {
+        counts[result.status]++;
+    });
+
+    outputChannel.appendLine(`\n${'='.repeat(60)}`);
+    outputChannel.appendLine(`Resumen ${title}: ${results.length} archivo(s)`);
+    outputChannel.appendLine(`  ✓ Correctos: ${counts.succeeded}`);
+    outputChannel.appendLine(`  ❌ Fallidos: ${counts.failed}`);
+    outputChannel.appendLine(`  ⏭ Omitidos: ${counts.skipped}`);
+    outputChannel.appendLine('-'.repeat(60));
+    results.forEach(result => {
+        // En workspaces multi-raíz incluye el nombre de la carpeta
+        const displayPath = vscode.workspace.asRelativePath(result.filePath);
+        const reason = result.reason ? ` — ${result.reason}` : '';
+        outputChannel.appendLine(`  ${icons[result.status]} ${displayPath}${reason}`);
+    });
+    outputChannel.appendLine(`${'='.repeat(60)}\n`);
+
+    return counts;
+}
+
+/**
+ * Comando: Build All / Push All
+ * Compila (y opcionalmente publica) todos los workflows de las carpetas/archivos seleccionados
+ * @param {vscode.Uri} uri - Elemento sobre el que se abrió el menú contextual
+ * @param {vscode.Uri[]} selectedUris - Selección múltiple del explorador
+ * @param {boolean} push - true para Push All (build + push)
+ */
+async function batchBuildCommand(uri, selectedUris, push, outputChannel, progress, token) {
+    const title = push ? 'Push All' : 'Build All';
+    const targets = Array.isArray(selectedUris) && selectedUris.length > 0 ? selectedUris : [uri].filter(Boolean);
+
+    if (targets.length === 0) {
+        vscode.window.showErrorMessage('Selecciona una carpeta o archivos .py en el explorador');
+        return;
+    }
+
+    reportProgress(progress, 'Buscando workflows...');
+    const files = await collectPythonFiles(targets);
+    if (files.length === 0) {
+        vscode.window.showWarningMessage('No se encontraron archivos .py en la selección');
+        return;
+    }
+
+    if (push) {
+        // En lote se confirma una sola vez por carpeta de workspace protegida, escribiendo el nombre
+        // del elemento seleccionado (o de la carpeta de workspace si hay varios)
+        const workspaceFolders = [...new Set(files.map(filePath => getWorkspaceFolderPath(filePath)))];
+        for (const folder of workspaceFolders) {
+            const folderFile = files.find(filePath => getWorkspaceFolderPath(filePath) === folder);
+            const folderTargets = targets.filter(target => getWorkspaceFolderPath(target.fsPath) === folder);
+            const targetName = folderTargets.length === 1
+                ? path.basename(folderTargets[0].fsPath, '.py')
+                : path.basename(folder || path.dirname(folderFile));
+            const allowed = await confirmProtectedOperation(
+                { action: `Push All (${files.length} archivo(s))`, targetPath: folderFile, confirmText: targetName, checkGit: true },
+                outputChannel
+            );
+            if (!allowed) return;
+        }
+    }
+
+    // Guardar los archivos abiertos con cambios antes de compilar
+    const dirtyDocuments = vscode.workspace.textDocuments.filter(doc => doc.isDirty && files.includes(doc.uri.fsPath));
+    for (const document of dirtyDocuments) {
+        await saveDocumentWithoutAutoBuild(document);
+    }
+
+    const config = vscode.workspace.getConfiguration('py2rocket');
+    const concurrency = Math.max(1, Number(config.get('batchConcurrency', 3)) || 1);
+
+    maybeShowOutput(outputChannel);
+    outputChannel.appendLine(`\n${'='.repeat(60)}`);
+    outputChannel.appendLine(`${title}: ${files.length} archivo(s), concurrencia ${concurrency}`);
+    outputChannel.appendLine(`${'='.repeat(60)}\n`);
+
+    let completed = 0;
+    const results = await runWithConcurrency(files, concurrency, async (filePath) => {
+        const result = await runBatchItem(filePath, push, outputChannel, token);
+        completed++;
+        progress?.report({
+            message: `${completed}/${files.length}: ${path.basename(filePath)}`,
+            increment: 100 / files.length
         });
+        return result;
+    });
+
+    const counts = appendBatchReport(outputChannel, title, results);
+    if (token?.isCancellationRequested) {
+        appendCancellationNotice(outputChannel, title);
+    }
+
+    // Sin await: la notificación de progreso se cierra sin esperar a que se descarte el resumen
+    const summary = `${title}: ${counts.succeeded} correctos, ${counts.failed} fallidos, ${counts.skipped} omitidos`;
+    const summaryMessage = counts.failed > 0
+        ? vscode.window.showWarningMessage(summary, 'Ver detalle')
+        : vscode.window.showInformationMessage(summary, 'Ver detalle');
+    summaryMessage.then(choice => {
+        if (choice === 'Ver detalle') {
+            outputChannel.show(true);
+        }
     });
 }
 
+/**
+ * Comando: Render
+ * Renderiza el grafo del workflow usando py2rocket render
+ */
+async function renderCommand(outputChannel, context, progress, token) {
+    reportProgress(progress, 'Validando archivo activo...');
+    const filePath = getActiveFilePath();
+    if (!filePath) return;
+
+    // Guardar el archivo antes de renderizar
+    reportProgress(progress, 'Guardando cambios del archivo...');
+    await saveDocumentWithoutAutoBuild(vscode.window.activeTextEditor.document);
+
+    const graphData = await renderWorkflowGraph(filePath, outputChannel, { progress, token });
+
+    reportProgress(progress, 'Abriendo vista de grafo...');
+    createGraphWebView(graphData, context, filePath);
+}
+
+/**
+ * Ejecuta py2rocket render y devuelve los datos del grafo
+ * @param {string} filePath - Ruta del archivo .py del workflow
+ * @param {vscode.OutputChannel} outputChannel
+ * @param {Object} [options]
+ * @param {vscode.Progress<{ message?: string }>} [options.progress]
+ * @param {vscode.CancellationToken} [options.token]
+ * @param {boolean} [options.quiet] - No mostrar notificaciones de error (modo automático al guardar)
+ * @returns {Promise<Object>}
+ */
+async function renderWorkflowGraph(filePath, outputChannel, options = {}) {
+    const { progress = null, token = null, quiet = false } = options;
+    const fileName = path.basename(filePath);
+    const fileDir = path.dirname(filePath);
+
+    reportProgress(progress, 'Renderizando grafo del workflow...');
+    maybeShowOutput(outputChannel);
+    outputChannel.appendLine(`\n${'='.repeat(60)}`);
+    outputChannel.appendLine(`Renderizando grafo: ${fileName}`);
+    outputChannel.appendLine(`${'='.repeat(60)}\n`);
+
+    let result;
+    try {
+        // stdout contiene el JSON del grafo: solo se transmite stderr en vivo
+        const streamHandlers = createStreamHandlers(outputChannel, progress, {
+            stdout: false,
+            stderrFilter: createDeprecationWarningFilter()
+        });
+        result = await runPy2Rocket('render', [fileName], getRunnerOptions(fileDir, token, streamHandlers));
+    } catch (error) {
+        appendCommandStreams(outputChannel, error.stdout, '');
+        if (isCancellationError(error)) {
+            appendCancellationNotice(outputChannel, `render de ${fileName}`);
+            throw error;
+        }
+        updateBuildDiagnostics(filePath, error);
+        appendExecutionErrorDetails(outputChannel, error);
+        if (!quiet) {
+            vscode.window.showErrorMessage(`Error renderizando grafo: ${error.message}`);
+        }
+        throw error;
+    }
+
+    updateBuildDiagnostics(filePath, null);
+
+    try {
+        // Intentar parsear la salida JSON (soporta JSON multilínea)
+        const trimmed = (result.stdout || '').trim();
+        let graphData = null;
+
+        if (trimmed.startsWith('{') && trimmed.endsWith('}')) {
+            graphData = JSON.parse(trimmed);
+        } else {
+            const start = trimmed.indexOf('{');
+            const end = trimmed.lastIndexOf('}');
+            if (start !== -1 && end !== -1 && end > start) {
+                const jsonBlock = trimmed.slice(start, end + 1);
+                graphData = JSON.parse(jsonBlock);
+            }
+        }
+
+        if (!graphData) {
+            throw new Error('No se encontró JSON en la salida');
+        }
+
+        outputChannel.appendLine(`\n✓ Grafo obtenido exitosamente`);
+        return graphData;
+    } catch (parseError) {
+        outputChannel.appendLine(`\nError parseando JSON: ${parseError.message}`);
+        if (parseError?.stack) {
+            outputChannel.appendLine(`Stack:\n${parseError.stack}`);
+        }
+        if (!quiet) {
+            vscode.window.showErrorMessage(`Error parseando datos del grafo: ${parseError.message}`);
+        }
+        throw parseError;
+    }
+}
+
+/**
+ * Crea un filtro de líneas de stderr que omite los DeprecationWarning de Python
+ * (la línea del aviso y la línea de código indentada que le sigue)
+ * @returns {(line: string) => boolean}
+ */
+function createDeprecationWarningFilter() {
+    let skipNextIndented = false;
+    return (line) => {
+        if (line.includes('DeprecationWarning')) {
+            skipNextIndented = true;
+            return false;
+        }
+        if (skipNextIndented && /^\s+/.test(line)) {
+            skipNextIndented = false;
+            return false;
+        }
+        skipNextIndented = false;
+        return true;
+    };
+}
+
 /**
  * Extrae el workflow_id del archivo Python abierto
  * @param {string} fileContent - Contenido del archivo
@@ -759,7 +1707,7 @@ function getCurrentPipelineParamsLists(filePath) {
 }
 
 function resolvePy2RocketWorkingDir(filePath) {
-    const workspaceFolder = vscode.workspace.workspaceFolders?.[0]?.uri.fsPath;
+    const workspaceFolder = getWorkspaceFolderPath(filePath);
     const candidates = [
         path.dirname(filePath || ''),
         workspaceFolder,
@@ -780,7 +1728,8 @@ function resolvePy2RocketWorkingDir(filePath) {
 function formatExecError(error) {
     const stdout = error && error.stdout ? String(error.stdout) : '';
     const stderr = error && error.stderr ? String(error.stderr) : '';
-    const status = typeof error?.status !== 'undefined' ? `Código: ${error.status}` : '';
+    const exitCode = error?.status ?? error?.code;
+    const status = exitCode !== null && typeof exitCode !== 'undefined' ? `Código: ${exitCode}` : '';
 
     const parts = [
         error?.message || 'Error ejecutando comando',
@@ -841,20 +1790,14 @@ function buildExecutionConfigFromRunView(paramData, currentParamsLists = []) {
     };
 }
 
-function shellQuote(value) {
-    const safe = String(value ?? '').replace(/"/g, '""');
-    return `"${safe}"`;
-}
-
-async function executeWorkflowFromWebView(data, workflowId, filePath, outputChannel, progress) {
+async function executeWorkflowFromWebView(data, workflowId, filePath, outputChannel, progress, token) {
     reportProgress(progress, 'Preparando parámetros de ejecución...');
-    const workspaceFolder = vscode.workspace.workspaceFolders?.[0]?.uri.fsPath;
+    const workspaceFolder = getWorkspaceFolderPath(filePath);
     if (!workspaceFolder) {
         vscode.window.showErrorMessage('No hay una carpeta de trabajo abierta');
         return;
     }
 
-    const pythonCommand = getPythonCommand();
     const commandWorkingDir = resolvePy2RocketWorkingDir(filePath);
     const tempDir = path.join(workspaceFolder, '.py2rocket-tmp');
     fs.mkdirSync(tempDir, { recursive: true });
@@ -879,8 +1822,7 @@ async function executeWorkflowFromWebView(data, workflowId, filePath, outputChan
             if (!fs.existsSync(absoluteJsonPath)) {
                 reportProgress(progress, 'Compilando archivo Python para ejecución...');
                 outputChannel.appendLine(`[⚙️] No se encontró JSON compilado. Generando: ${path.basename(absoluteJsonPath)}`);
-                const buildCommand = `${pythonCommand} -m py2rocket build ${shellQuote(path.basename(absoluteInputPath))}`;
-                await executePy2RocketCommand(buildCommand, absoluteInputPath, outputChannel, path.dirname(absoluteInputPath));
+                await executePy2RocketCommand('build', [path.basename(absoluteInputPath)], absoluteInputPath, outputChannel, { workingDir: path.dirname(absoluteInputPath), token, progress });
             }
 
             if (!fs.existsSync(absoluteJsonPath)) {
@@ -890,44 +1832,73 @@ async function executeWorkflowFromWebView(data, workflowId, filePath, outputChan
             runInputPath = absoluteJsonPath;
         }
 
-        const jsonInputArg = shellQuote(runInputPath);
-        const commandParts = [
-            `${pythonCommand} -m py2rocket run ${jsonInputArg}`,
-            `--workflow-id ${shellQuote(workflowId)}`,
-            `--params-lists-file ${shellQuote(paramsListsFile)}`,
-            `--extra-params ${shellQuote(extraParamsFile)}`,
-            `--instance ${shellQuote(data.instance || 'XS')}`,
-            `--execution-priority ${Number(data.executionPriority) || 0}`,
-            `--max-attempts ${Number(data.maxAttempts) || 0}`
+        const runArgs = [
+            runInputPath,
+            '--workflow-id', workflowId,
+            '--params-lists-file', paramsListsFile,
+            '--extra-params', extraParamsFile,
+            '--instance', data.instance || 'XS',
+            '--execution-priority', Number(data.executionPriority) || 0,
+            '--max-attempts', Number(data.maxAttempts) || 0
         ];
 
         if (data.projectId && String(data.projectId).trim()) {
-            commandParts.push(`--project-id ${shellQuote(String(data.projectId).trim())}`);
+            runArgs.push('--project-id', String(data.projectId).trim());
         }
         if (data.executionName && String(data.executionName).trim()) {
-            commandParts.push(`--execution-name ${shellQuote(String(data.executionName).trim())}`);
+            runArgs.push('--execution-name', String(data.executionName).trim());
         }
         if (data.executionDescription && String(data.executionDescription).trim()) {
-            commandParts.push(`--execution-description ${shellQuote(String(data.executionDescription).trim())}`);
+            runArgs.push('--execution-description', String(data.executionDescription).trim());
         }
         if (data.forceExecutionIfAvailableResources) {
-            commandParts.push('--force-execution-if-available-resources');
+            runArgs.push('--force-execution-if-available-resources');
         }
         if (data.retryUnsuccessfulWrites) {
-            commandParts.push('--retry-unsuccessful-writes');
+            runArgs.push('--retry-unsuccessful-writes');
         }
         if (data.extendedAuditInfo) {
-            commandParts.push('--extended-audit-info');
+            runArgs.push('--extended-audit-info');
         }
 
-        const command = commandParts.join(' ');
+        throwIfCancelled(token);
         reportProgress(progress, 'Enviando solicitud de ejecución a Rocket...');
-        await executePy2RocketCommand(command, filePath, outputChannel, commandWorkingDir);
+        const submittedAt = Date.now();
+        const runResult = await executePy2RocketCommand('run', runArgs, filePath, outputChannel, { workingDir: commandWorkingDir, token, progress });
+
+        const executionId = parseExecutionIdFromRunOutput(`${runResult.stdout}\n${runResult.stderr}`);
+        trackExecution({
+            executionId,
+            workflowId,
+            filePath,
+            name: String(data.executionName || '').trim() || path.basename(filePath, '.py'),
+            submittedAt
+        });
     } finally {
         reportProgress(progress, 'Limpiando archivos temporales...');
         try { fs.unlinkSync(paramsListsFile); } catch { }
         try { fs.unlinkSync(extraParamsFile); } catch { }
+        removeDirIfEmpty(tempDir);
+        if (token?.isCancellationRequested) {
+            outputChannel.appendLine('✓ Archivos temporales de ejecución eliminados');
+        }
+    }
+}
+
+/**
+ * Crea un directorio temporal exclusivo para una operación dentro de .py2rocket-tmp
+ * (se mantiene dentro del workspace para que py2rocket encuentre el .env)
+ * @param {string} prefix - Prefijo del directorio (p. ej. 'download')
+ * @param {string} [targetPath] - Archivo de la operación (determina la carpeta del workspace)
+ * @returns {string}
+ */
+function createOperationTempDir(prefix, targetPath) {
+    const workspaceFolder = getWorkspaceFolderPath(targetPath);
+    if (!workspaceFolder) {
+        throw new Error('No hay una carpeta de trabajo abierta');
     }
+
+    return createTempDirInWorkspace(workspaceFolder, prefix);
 }
 
 /**
@@ -939,7 +1910,7 @@ async function executeWorkflowFromWebView(data, workflowId, filePath, outputChan
 function createExecutionWebView(workflowId, context, executionConfig = {}) {
     const panel = vscode.window.createWebviewPanel(
         'py2rocketExecution',
-        `Ejecutar: ${workflowId.substring(0, 8)}...`,
+        `${executionConfig.rerunData ? 'Re-ejecutar' : 'Ejecutar'}: ${workflowId.substring(0, 8)}...`,
         vscode.ViewColumn.Beside,
         {
             enableScripts: true,
@@ -952,6 +1923,24 @@ function createExecutionWebView(workflowId, context, executionConfig = {}) {
     const extraRequired = executionConfig.extraRequired || [];
     const extraDefaults = executionConfig.extraDefaults || {};
     const projectIdDefault = executionConfig.projectIdDefault || '';
+    const rerunData = executionConfig.rerunData || null;
+    const rerunSettings = rerunData?.settings || {};
+    const settingValue = (name, fallback) => escapeHtml(rerunSettings[name] ?? fallback);
+    const settingChecked = name => (rerunSettings[name] === true || rerunSettings[name] === 'true' ? 'checked' : '');
+    const maskMatchers = getSensitiveParameterMatchers();
+    // Los parámetros sensibles (o con claves JSON sensibles) se muestran como contraseña con un botón para verlos
+    const renderExtraInput = (name, id, className, value, required) => {
+        const attributes = `id="${id}" class="${className}" data-name="${escapeHtml(name)}" value="${escapeHtml(value)}" ${required ? 'required' : ''}`;
+        if (!maskParameterValue(name, value, maskMatchers).masked) {
+            return `<input type="text" ${attributes} />`;
+        }
+        return `
+            <div class="masked-input">
+                <input type="password" autocomplete="off" ${attributes} />
+                <button type="button" class="reveal-btn" data-target="${id}" title="Mostrar u ocultar el valor">👁 Mostrar</button>
+            </div>
+        `;
+    };
 
     const contextFieldsHtml = contextGroups.map((group, index) => `
         <div class="form-group">
@@ -969,14 +1958,14 @@ function createExecutionWebView(workflowId, context, executionConfig = {}) {
     const extraRequiredHtml = extraRequired.map((name, index) => `
         <div class="form-group">
             <label for="extra_required_${index}">${escapeHtml(name)} <span class="required">*</span></label>
-            <input type="text" id="extra_required_${index}" class="extra-required" data-name="${escapeHtml(name)}" required />
+            ${renderExtraInput(name, `extra_required_${index}`, 'extra-required', getRerunParameterValue(rerunData, name) ?? '', true)}
         </div>
     `).join('');
 
     const extraDefaultsHtml = Object.entries(extraDefaults).map(([name, value], index) => `
         <div class="form-group">
             <label for="extra_default_${index}">${escapeHtml(name)}</label>
-            <input type="text" id="extra_default_${index}" class="extra-default" data-name="${escapeHtml(name)}" value="${escapeHtml(value)}" />
+            ${renderExtraInput(name, `extra_default_${index}`, 'extra-default', getRerunParameterValue(rerunData, name) ?? value, false)}
         </div>
     `).join('');
 
@@ -1069,6 +2058,7 @@ function createExecutionWebView(workflowId, context, executionConfig = {}) {
                 }
                 
                 input[type="text"],
+                input[type="password"],
                 input[type="number"],
                 select {
                     padding: 8px 10px;
@@ -1081,12 +2071,30 @@ function createExecutionWebView(workflowId, context, executionConfig = {}) {
                 }
                 
                 input[type="text"]:focus,
+                input[type="password"]:focus,
                 input[type="number"]:focus,
                 select:focus {
                     outline: none;
                     border-color: var(--vscode-focusBorder);
                     box-shadow: 0 0 0 1px var(--vscode-focusBorder);
                 }
+
+                .masked-input {
+                    display: flex;
+                    gap: 6px;
+                }
+
+                .masked-input input {
+                    flex: 1;
+                }
+
+                .masked-input .reveal-btn {
+                    flex: 0 0 auto;
+                    padding: 6px 10px;
+                    font-size: 12px;
+                    background-color: var(--vscode-button-secondaryBackground);
+                    color: var(--vscode-button-secondaryForeground);
+                }
                 
                 .button-group {
                     display: flex;
@@ -1167,6 +2175,7 @@ function createExecutionWebView(workflowId, context, executionConfig = {}) {
         <body>
             <div class="container">
                 <h2>▶️ Solicitar Ejecución del Workflow</h2>
+                ${rerunData ? `<div class="info-item">↻ Re-ejecución de <code>${escapeHtml(rerunData.executionId)}</code>: parámetros y configuración precargados de esa ejecución.</div>` : ''}
 
                 <div class="stepper">
                     <div id="stepIndicator1" class="step-indicator active">1) Parámetros del workflow</div>
@@ -1216,7 +2225,7 @@ function createExecutionWebView(workflowId, context, executionConfig = {}) {
                             </div>
                             <div class="form-group">
                                 <label for="instance">Instance</label>
-                                <input type="text" id="instance" value="XS" />
+                                <input type="text" id="instance" value="${settingValue('instance', 'XS')}" />
                             </div>
                         </div>
 
@@ -1224,30 +2233,30 @@ function createExecutionWebView(workflowId, context, executionConfig = {}) {
                             <div class="section-title">Execution Settings</div>
                             <div class="form-group">
                                 <label for="executionName">Nombre de ejecución</label>
-                                <input type="text" id="executionName" />
+                                <input type="text" id="executionName" value="${settingValue('executionName', '')}" />
                             </div>
                             <div class="form-group">
                                 <label for="executionDescription">Descripción</label>
-                                <input type="text" id="executionDescription" />
+                                <input type="text" id="executionDescription" value="${settingValue('executionDescription', '')}" />
                             </div>
                             <div class="form-group">
                                 <label for="executionPriority">Execution Priority</label>
-                                <input type="number" id="executionPriority" value="0" min="0" />
+                                <input type="number" id="executionPriority" value="${settingValue('executionPriority', 0)}" min="0" />
                             </div>
                             <div class="form-group">
                                 <label for="maxAttempts">Max Attempts</label>
-                                <input type="number" id="maxAttempts" value="0" min="0" />
+                                <input type="number" id="maxAttempts" value="${settingValue('maxAttempts', 0)}" min="0" />
                             </div>
                             <div class="checkbox-group">
-                                <input type="checkbox" id="forceExecutionIfAvailableResources" />
+                                <input type="checkbox" id="forceExecutionIfAvailableResources" ${settingChecked('forceExecutionIfAvailableResources')} />
                                 <label for="forceExecutionIfAvailableResources" style="margin-bottom: 0;">Forzar ejecución si hay recursos</label>
                             </div>
                             <div class="checkbox-group">
-                                <input type="checkbox" id="retryUnsuccessfulWrites" />
+                                <input type="checkbox" id="retryUnsuccessfulWrites" ${settingChecked('retryUnsuccessfulWrites')} />
                                 <label for="retryUnsuccessfulWrites" style="margin-bottom: 0;">Reintentar escrituras fallidas</label>
                             </div>
                             <div class="checkbox-group">
-                                <input type="checkbox" id="extendedAuditInfo" />
+                                <input type="checkbox" id="extendedAuditInfo" ${settingChecked('extendedAuditInfo')} />
                                 <label for="extendedAuditInfo" style="margin-bottom: 0;">Auditoría extendida</label>
                             </div>
                         </div>
@@ -1267,6 +2276,15 @@ function createExecutionWebView(workflowId, context, executionConfig = {}) {
                 const fixedParamsLists = ${JSON.stringify(fixedParamsLists).replace(/</g, '\\u003c')};
                 let stage1Data = null;
 
+                document.querySelectorAll('.masked-input .reveal-btn').forEach(button => {
+                    button.addEventListener('click', () => {
+                        const input = document.getElementById(button.getAttribute('data-target'));
+                        const reveal = input.type === 'password';
+                        input.type = reveal ? 'text' : 'password';
+                        button.textContent = reveal ? '🙈 Ocultar' : '👁 Mostrar';
+                    });
+                });
+
                 function setStep(stepNumber) {
                     const step1 = document.getElementById('step1');
                     const step2 = document.getElementById('step2');
@@ -1379,16 +2397,30 @@ function createExecutionWebView(workflowId, context, executionConfig = {}) {
         async message => {
             if (message.command === 'executeWorkflow') {
                 try {
-                    await runWithProgress('Py2Rocket: Ejecutando workflow...', async (progress) => {
+                    // Se confirma antes de abrir la notificación de progreso; si no se confirma, el formulario sigue abierto
+                    const workflowName = path.basename(executionConfig.filePath, '.py');
+                    const allowed = await confirmProtectedOperation(
+                        { action: `ejecución de ${workflowName}`, targetPath: executionConfig.filePath, confirmText: workflowName },
+                        executionConfig.outputChannel
+                    );
+                    if (!allowed) return;
+
+                    let submitted = false;
+                    await runWithProgress('Py2Rocket: Ejecutando workflow...', async (progress, token) => {
                         await executeWorkflowFromWebView(
                             message.data,
                             workflowId,
                             executionConfig.filePath,
                             executionConfig.outputChannel,
-                            progress
+                            progress,
+                            token
                         );
+                        submitted = true;
                     });
-                    panel.dispose();
+                    // Si el usuario canceló, mantener el formulario abierto para reintentar
+                    if (submitted) {
+                        panel.dispose();
+                    }
                 } catch (error) {
                     vscode.window.showErrorMessage(`Error al ejecutar workflow: ${error.message}`);
                 }
@@ -1401,24 +2433,381 @@ function createExecutionWebView(workflowId, context, executionConfig = {}) {
 }
 
 /**
- * Crea un WebView con tabla de historial de ejecuciones
- * @param {Object} historyData - Datos del historial
- * @param {vscode.ExtensionContext} context - Contexto de la extensión
- * @param {string} workflowId - ID del workflow
+ * Texto de un valor de parámetro del historial (JSON indentado para objetos)
+ * @param {any} value
+ * @returns {string}
  */
-function createHistoryWebView(historyData, context, workflowId) {
-    const panel = vscode.window.createWebviewPanel(
-        'py2rocketHistory',
-        `Historial: ${workflowId.substring(0, 8)}...`,
-        vscode.ViewColumn.Beside,
-        {
-            enableScripts: true,
-            retainContextWhenHidden: true
-        }
-    );
+function formatParameterValue(value) {
+    if (value === null || typeof value === 'undefined') return '';
+    if (typeof value === 'string') return value;
+    if (typeof value === 'number' || typeof value === 'boolean') return String(value);
+    try {
+        return JSON.stringify(value, null, 2);
+    } catch {
+        return String(value);
+    }
+}
 
+/**
+ * Patrones compilados de parámetros sensibles según la configuración (vacío si el enmascarado está desactivado)
+ * @returns {RegExp[]}
+ */
+function getSensitiveParameterMatchers() {
+    return compileMaskPatterns(getSensitiveParameterPatterns());
+}
+
+/**
+ * Patrones de nombres de parámetros sensibles configurados
+ * @returns {string[]}
+ */
+function getSensitiveParameterPatterns() {
+    const config = vscode.workspace.getConfiguration('py2rocket');
+    if (!config.get('masking.enabled', true)) return [];
+    const patterns = config.get('masking.patterns', DEFAULT_SENSITIVE_PATTERNS);
+    return Array.isArray(patterns) ? patterns : DEFAULT_SENSITIVE_PATTERNS;
+}
+
+/**
+ * Celda con el valor de un parámetro; si es sensible se oculta y se añade el botón para verlo
+ * @param {string} executionId
+ * @param {string} name
+ * @param {any} value
+ * @param {RegExp[]} matchers
+ * @returns {string}
+ */
+function renderParameterValueCell(executionId, name, value, matchers) {
+    const { value: shownValue, masked } = maskParameterValue(name, value, matchers);
+    if (!masked) {
+        return `<td class="param-value"><pre>${escapeHtml(formatParameterValue(value))}</pre></td>`;
+    }
+    return `
+        <td class="param-value masked-value" data-reveal-key="${escapeHtml(JSON.stringify([executionId, name]))}">
+            <pre>${escapeHtml(formatParameterValue(shownValue))}</pre>
+            <button class="secondary reveal-btn" title="Mostrar u ocultar el valor">👁 Mostrar</button>
+        </td>
+    `;
+}
+
+/**
+ * Script del WebView que muestra u oculta los valores sensibles (renderParameterValueCell).
+ * El valor real solo se pide a la extensión al pulsar "Mostrar". Define `bindRevealButtons(root)`
+ * para enlazar celdas añadidas después; los valores mostrados se conservan por clave
+ * @returns {string}
+ */
+function getRevealValueScript() {
+    return `
+        const revealedValues = new Map();
+
+        function showRevealedValue(cell, text) {
+            const pre = cell.querySelector('pre');
+            if (!cell.hasAttribute('data-masked-text')) {
+                cell.setAttribute('data-masked-text', pre.textContent);
+            }
+            pre.textContent = text;
+            cell.querySelector('.reveal-btn').textContent = '🙈 Ocultar';
+        }
+
+        function hideRevealedValue(cell) {
+            if (!cell.hasAttribute('data-masked-text')) return;
+            cell.querySelector('pre').textContent = cell.getAttribute('data-masked-text');
+            cell.querySelector('.reveal-btn').textContent = '👁 Mostrar';
+        }
+
+        function cellsWithKey(key) {
+            return Array.from(document.querySelectorAll('.masked-value'))
+                .filter(cell => cell.getAttribute('data-reveal-key') === key);
+        }
+
+        function bindRevealButtons(root) {
+            root.querySelectorAll('.masked-value').forEach(cell => {
+                if (cell.hasAttribute('data-reveal-bound')) return;
+                cell.setAttribute('data-reveal-bound', '');
+                const key = cell.getAttribute('data-reveal-key');
+                if (revealedValues.has(key)) {
+                    showRevealedValue(cell, revealedValues.get(key));
+                }
+                cell.querySelector('.reveal-btn').addEventListener('click', () => {
+                    if (revealedValues.has(key)) {
+                        revealedValues.delete(key);
+                        cellsWithKey(key).forEach(hideRevealedValue);
+                        return;
+                    }
+                    vscode.postMessage({ command: 'revealValue', key });
+                });
+            });
+        }
+
+        window.addEventListener('message', (event) => {
+            const message = event.data;
+            if (message.command !== 'valueRevealed') return;
+            revealedValues.set(message.key, message.text);
+            cellsWithKey(message.key).forEach(cell => showRevealedValue(cell, message.text));
+        });
+
+        bindRevealButtons(document);
+    `;
+}
+
+/**
+ * Responde a una petición "revealValue" del WebView con el valor real del parámetro
+ * @param {vscode.WebviewPanel} panel
+ * @param {string} key - JSON [executionId, nombre del parámetro]
+ * @param {any[]} executions - Ejecuciones mostradas en el panel
+ * @param {(value: any) => string} [formatValue] - Cómo se muestra el valor en el panel
+ */
+function postRevealedValue(panel, key, executions, formatValue = formatParameterValue) {
+    let executionId;
+    let name;
+    try {
+        [executionId, name] = JSON.parse(key);
+    } catch {
+        return;
+    }
+
+    const execution = (executions || []).find(candidate => candidate?.id === executionId);
+    const parameters = execution?.assetDataExecution?.parametersUsed || {};
+    if (!Object.prototype.hasOwnProperty.call(parameters, name)) return;
+    panel.webview.postMessage({ command: 'valueRevealed', key, text: formatValue(parameters[name]) });
+}
+
+/**
+ * Tamaño de página del historial
+ * @returns {number}
+ */
+function getHistoryPageSize() {
+    const config = vscode.workspace.getConfiguration('py2rocket');
+    return Math.max(1, Number(config.get('history.pageSize', 50)) || 50);
+}
+
+/**
+ * Normaliza los filtros recibidos desde el WebView de historial
+ * @param {any} filters
+ * @returns {{state: string, dateFrom: string, dateTo: string, assetName: string}}
+ */
+function sanitizeHistoryFilters(filters) {
+    const datePattern = /^\d{4}-\d{2}-\d{2}$/;
+    const text = value => (typeof value === 'string' ? value.trim() : '');
+    return {
+        state: text(filters?.state),
+        dateFrom: datePattern.test(text(filters?.dateFrom)) ? text(filters.dateFrom) : '',
+        dateTo: datePattern.test(text(filters?.dateTo)) ? text(filters.dateTo) : '',
+        assetName: text(filters?.assetName)
+    };
+}
+
+/**
+ * Crea un WebView con tabla de historial de ejecuciones
+ * Permite refrescar (manual o automático), paginar y filtrar; cada cambio vuelve a consultar get-history
+ * @param {Object} historyData - Datos del historial
+ * @param {vscode.ExtensionContext} context - Contexto de la extensión
+ * @param {string} workflowId - ID del workflow
+ * @param {Object} [options]
+ * @param {string} [options.filePath] - Workflow local (directorio desde el que se consulta el historial)
+ * @param {vscode.OutputChannel} [options.outputChannel] - Canal de salida para las re-ejecuciones
+ * @param {string} [options.highlightExecutionId] - Ejecución a mostrar filtrada al abrir
+ * @param {import('./py2rocket-history').HistoryQuery} [options.query] - Consulta con la que se obtuvo historyData
+ */
+function createHistoryWebView(historyData, context, workflowId, options = {}) {
+    const panel = vscode.window.createWebviewPanel(
+        'py2rocketHistory',
+        `Historial: ${workflowId.substring(0, 8)}...`,
+        vscode.ViewColumn.Beside,
+        {
+            enableScripts: true,
+            retainContextWhenHidden: true
+        }
+    );
+
+    const view = {
+        filePath: options.filePath || null,
+        outputChannel: options.outputChannel || null,
+        query: { limit: getHistoryPageSize(), offset: 0, ...(options.query || {}) },
+        search: options.highlightExecutionId || '',
+        selected: [],
+        autoRefreshSeconds: 0,
+        timer: null,
+        loading: false,
+        loadedAt: new Date(),
+        data: historyData
+    };
+
+    // Tras la carga inicial solo se envían las filas nuevas al WebView
+    const update = (data) => {
+        view.loadedAt = new Date();
+        view.data = data;
+        panel.webview.postMessage({
+            command: 'update',
+            rowsHtml: getHistoryRowsHtml(data, view),
+            statsHtml: getHistoryStatsHtml(data, view),
+            loadedAt: view.loadedAt.toLocaleTimeString('es-ES'),
+            ...getHistoryPagination(data, view)
+        });
+    };
+
+    const reload = async () => {
+        if (view.loading || !view.filePath) return;
+        view.loading = true;
+        panel.webview.postMessage({ command: 'loading' });
+        try {
+            update(await fetchWorkflowHistory(workflowId, path.dirname(view.filePath), { query: view.query }));
+        } catch (error) {
+            panel.webview.postMessage({ command: 'error', message: error.message });
+        } finally {
+            view.loading = false;
+        }
+    };
+
+    const setAutoRefresh = (seconds) => {
+        clearInterval(view.timer);
+        view.timer = null;
+        view.autoRefreshSeconds = seconds;
+        if (seconds > 0) {
+            // Solo se consulta mientras el panel está visible
+            view.timer = setInterval(() => {
+                if (panel.visible) reload();
+            }, seconds * 1000);
+        }
+    };
+
+    panel.webview.onDidReceiveMessage(async message => {
+        if (typeof message.search === 'string') {
+            view.search = message.search;
+        }
+        if (Array.isArray(message.selected)) {
+            view.selected = message.selected.filter(id => typeof id === 'string').slice(-2);
+        }
+
+        if (message.command === 'refresh') {
+            await reload();
+        } else if (message.command === 'applyFilters') {
+            view.query = { ...view.query, ...sanitizeHistoryFilters(message.filters), offset: 0 };
+            await reload();
+        } else if (message.command === 'changePage') {
+            view.query = { ...view.query, offset: Math.max(0, Number(message.offset) || 0) };
+            await reload();
+        } else if (message.command === 'setAutoRefresh') {
+            setAutoRefresh(Math.max(0, Number(message.seconds) || 0));
+        } else if (message.command === 'export') {
+            if (!view.filePath || !view.outputChannel) return;
+            const filters = { ...view.query };
+            delete filters.limit;
+            delete filters.offset;
+            try {
+                await exportHistory({
+                    workflowId,
+                    filePath: view.filePath,
+                    format: message.format === 'json' ? 'json' : 'csv',
+                    query: filters,
+                    search: view.search
+                }, view.outputChannel);
+            } catch (error) {
+                view.outputChannel.appendLine(`\n❌ Error exportando historial: ${error.message}`);
+                vscode.window.showErrorMessage(`Error al exportar historial: ${error.message}`);
+            }
+        } else if (message.command === 'revealValue') {
+            postRevealedValue(panel, message.key, view.data?.executions);
+        } else if (message.command === 'stop') {
+            const execution = findExecution(view.data, message.executionId);
+            if (!execution || !view.filePath || !view.outputChannel) return;
+            const stopped = await stopExecution({
+                executionId: execution.id,
+                filePath: view.filePath,
+                label: execution.assetDataExecution?.name
+            }, view.outputChannel);
+            if (stopped) {
+                await reload();
+            }
+        } else if (message.command === 'viewLogs') {
+            const execution = findExecution(view.data, message.executionId);
+            if (!execution || !view.filePath) return;
+            try {
+                await openExecutionLogs({
+                    executionId: execution.id,
+                    workflowId,
+                    filePath: view.filePath,
+                    state: getLatestExecutionState(execution).state
+                });
+            } catch (error) {
+                vscode.window.showErrorMessage(`Error al abrir los logs: ${error.message}`);
+            }
+        } else if (message.command === 'openDetail') {
+            const execution = findExecution(view.data, message.executionId);
+            if (execution) {
+                createExecutionDetailWebView(execution, workflowId);
+            }
+        } else if (message.command === 'compare') {
+            const executions = view.selected.map(id => findExecution(view.data, id)).filter(Boolean);
+            if (executions.length !== 2) {
+                vscode.window.showWarningMessage('Selecciona dos ejecuciones de la página actual para compararlas');
+                return;
+            }
+            createExecutionComparisonWebView(executions[0], executions[1], workflowId);
+        } else if (message.command === 'rerun') {
+            const execution = findExecution(view.data, message.executionId);
+            if (!execution || !view.filePath || !view.outputChannel) return;
+            await runWithProgress('Py2Rocket: Preparando re-ejecución...', (progress, token) => openExecutionForm(
+                workflowId,
+                view.filePath,
+                view.outputChannel,
+                context,
+                progress,
+                token,
+                extractRerunData(execution)
+            ));
+        }
+    });
+    panel.onDidDispose(() => clearInterval(view.timer));
+
+    panel.webview.html = getHistoryHtml(historyData, view);
+}
+
+/**
+ * Paginación del historial a partir de la respuesta y la consulta del panel
+ * @param {any} historyData
+ * @param {Object} view - Estado del panel
+ * @returns {{pageSize: number, offset: number, currentPage: number, totalPages: number, hasPrevious: boolean, hasNext: boolean}}
+ */
+function getHistoryPagination(historyData, view) {
     const executions = historyData.executions || [];
     const totalCount = historyData.total_count || 0;
+    const pageSize = Number(view.query.limit) || executions.length || 1;
+    const offset = Number(view.query.offset) || 0;
+    return {
+        pageSize,
+        offset,
+        currentPage: Math.floor(offset / pageSize) + 1,
+        totalPages: Math.max(1, Math.ceil(totalCount / pageSize)),
+        hasPrevious: offset > 0,
+        hasNext: offset + executions.length < totalCount
+    };
+}
+
+/**
+ * Resumen (total, rango mostrado y filtrado en local) de la cabecera del historial
+ * @param {any} historyData
+ * @param {Object} view - Estado del panel
+ * @returns {string}
+ */
+function getHistoryStatsHtml(historyData, view) {
+    const executions = historyData.executions || [];
+    const offset = Number(view.query.offset) || 0;
+    return `
+        <span>Total de ejecuciones: ${historyData.total_count || 0}</span> | 
+        <span>Mostrando: ${executions.length ? `${offset + 1}-${offset + executions.length}` : 0}</span>
+        ${historyData.filteredLocally ? ' | <span title="La versión instalada de py2rocket no admite filtros en get-history">Filtrado en local</span>' : ''}
+    `;
+}
+
+/**
+ * Filas de la tabla del historial (también se envían al WebView al actualizar)
+ * @param {any} historyData
+ * @param {Object} view - Estado del panel
+ * @returns {string}
+ */
+function getHistoryRowsHtml(historyData, view) {
+    const executions = historyData.executions || [];
+    const canReload = Boolean(view.filePath);
+    const canRerun = canReload && Boolean(view.outputChannel);
 
     // Función auxiliar para parsear fecha ISO-8601
     const formatDate = (dateString) => {
@@ -1432,38 +2821,19 @@ function createHistoryWebView(historyData, context, workflowId) {
         }
     };
 
-    const formatParameterValue = (value) => {
-        if (value === null || typeof value === 'undefined') return '';
-        if (typeof value === 'string') return value;
-        if (typeof value === 'number' || typeof value === 'boolean') return String(value);
-        try {
-            return JSON.stringify(value, null, 2);
-        } catch {
-            return String(value);
-        }
-    };
-
-    const isVisibleParameter = (key) => {
-        return !key.startsWith('SparkConfigurations')
-            && !key.startsWith('Environment')
-            && !key.startsWith('SparkResources');
-    };
-
-    const renderParametersTable = (params) => {
+    const maskMatchers = getSensitiveParameterMatchers();
+    const renderParametersTable = (executionId, params) => {
         const entries = Object.entries(params || {}).filter(([key]) => isVisibleParameter(key));
         if (entries.length === 0) {
             return '<span class="no-params">Sin parámetros</span>';
         }
 
-        const rows = entries.map(([key, value]) => {
-            const valueStr = escapeHtml(formatParameterValue(value));
-            return `
+        const rows = entries.map(([key, value]) => `
                 <tr>
                     <td class="param-name" title="${escapeHtml(key)}">${escapeHtml(key)}</td>
-                    <td class="param-value"><pre>${valueStr}</pre></td>
+                    ${renderParameterValueCell(executionId, key, value, maskMatchers)}
                 </tr>
-            `;
-        }).join('');
+            `).join('');
 
         return `
             <div class="params-table-wrapper">
@@ -1493,20 +2863,51 @@ function createHistoryWebView(historyData, context, workflowId) {
         const assetData = exec.assetDataExecution || {};
         const assetName = assetData.name || 'N/A';
         const params = assetData.parametersUsed || {};
-        const paramsTable = renderParametersTable(params);
+        const paramsTable = renderParametersTable(execId, params);
 
         return `
             <tr>
-                <td class="col-id" title="${execId}">${execId.substring(0, 8)}...</td>
-                <td class="col-asset">${assetName}</td>
-                <td class="col-state"><span class="state-${state}">${state}</span></td>
+                <td class="col-select">
+                    <input type="checkbox" class="compare-select" data-execution-id="${escapeHtml(execId)}" title="Seleccionar para comparar" ${exec.id ? '' : 'disabled'} ${view.selected.includes(exec.id) ? 'checked' : ''} />
+                </td>
+                <td class="col-id" title="${escapeHtml(execId)}"><a href="#" class="detail-link" data-execution-id="${escapeHtml(execId)}" title="Ver detalle de la ejecución">${escapeHtml(execId.substring(0, 8))}...</a></td>
+                <td class="col-asset">${escapeHtml(assetName)}</td>
+                <td class="col-state"><span class="state-${escapeHtml(state)}">${escapeHtml(state)}</span></td>
                 <td class="col-updated">${formatDate(lastUpdateDate)}</td>
                 <td class="col-params">${paramsTable}</td>
+                <td class="col-actions">
+                    ${isStoppableState(state) ? `<button class="stop-btn" data-execution-id="${escapeHtml(execId)}" title="Detener esta ejecución" ${canRerun && exec.id ? '' : 'disabled'}>⏹ Detener</button>` : ''}
+                    <button class="secondary logs-btn" data-execution-id="${escapeHtml(execId)}" title="Ver los logs de esta ejecución" ${canReload && exec.id ? '' : 'disabled'}>📄 Logs</button>
+                    <button class="secondary rerun-btn" data-execution-id="${escapeHtml(execId)}" title="Abrir el formulario de ejecución con los parámetros de esta ejecución" ${canRerun && exec.id ? '' : 'disabled'}>↻ Re-ejecutar</button>
+                </td>
             </tr>
         `;
     }).join('');
 
-    panel.webview.html = `
+    return tableRows || '<tr><td colspan="7" class="no-results">No hay ejecuciones</td></tr>';
+}
+
+/**
+ * Genera el HTML del WebView de historial
+ * @param {Object} historyData - Respuesta de get-history (página actual)
+ * @param {Object} view - Estado del panel (consulta, búsqueda, auto-refresco)
+ * @returns {string}
+ */
+function getHistoryHtml(historyData, view) {
+    const { query } = view;
+    const { pageSize, offset, currentPage, totalPages, hasPrevious, hasNext } = getHistoryPagination(historyData, view);
+    const canReload = Boolean(view.filePath);
+    const canRerun = canReload && Boolean(view.outputChannel);
+    const states = ['Running', 'Completed', 'Failed', 'Stopped'];
+    const autoRefreshOptions = [
+        { seconds: 0, label: 'Auto: off' },
+        { seconds: 10, label: 'Auto: 10 s' },
+        { seconds: 30, label: 'Auto: 30 s' },
+        { seconds: 60, label: 'Auto: 1 min' },
+        { seconds: 300, label: 'Auto: 5 min' }
+    ];
+
+    return `
         <!DOCTYPE html>
         <html lang="es">
         <head>
@@ -1544,6 +2945,68 @@ function createHistoryWebView(historyData, context, workflowId) {
                     font-size: 14px;
                 }
                 
+                .toolbar {
+                    display: flex;
+                    flex-wrap: wrap;
+                    align-items: center;
+                    gap: 8px;
+                    margin-bottom: 10px;
+                }
+
+                .toolbar label {
+                    font-size: 12px;
+                    color: var(--vscode-descriptionForeground);
+                }
+
+                .toolbar input,
+                .toolbar select {
+                    padding: 4px 6px;
+                    border: 1px solid var(--vscode-input-border);
+                    background-color: var(--vscode-input-background);
+                    color: var(--vscode-input-foreground);
+                    border-radius: 3px;
+                }
+
+                button {
+                    padding: 5px 12px;
+                    border: none;
+                    border-radius: 3px;
+                    cursor: pointer;
+                    background-color: var(--vscode-button-background);
+                    color: var(--vscode-button-foreground);
+                }
+
+                button:hover:not(:disabled) {
+                    background-color: var(--vscode-button-hoverBackground);
+                }
+
+                button.secondary {
+                    background-color: var(--vscode-button-secondaryBackground);
+                    color: var(--vscode-button-secondaryForeground);
+                }
+
+                button:disabled {
+                    opacity: 0.5;
+                    cursor: default;
+                }
+
+                #status {
+                    font-size: 12px;
+                    color: var(--vscode-descriptionForeground);
+                }
+
+                #status.error {
+                    color: var(--vscode-errorForeground);
+                }
+
+                .pagination {
+                    display: flex;
+                    align-items: center;
+                    justify-content: center;
+                    gap: 12px;
+                    padding: 12px 0;
+                }
+
                 #stats {
                     margin-top: 10px;
                     font-size: 12px;
@@ -1553,7 +3016,7 @@ function createHistoryWebView(historyData, context, workflowId) {
                 #container {
                     padding: 15px;
                     overflow: auto;
-                    max-height: calc(100vh - 150px);
+                    max-height: calc(100vh - 230px);
                 }
                 
                 table {
@@ -1566,6 +3029,12 @@ function createHistoryWebView(historyData, context, workflowId) {
                     table-layout: fixed;
                 }
 
+                #historyTable th.col-select,
+                #historyTable td.col-select {
+                    width: 28px;
+                    text-align: center;
+                }
+
                 #historyTable th.col-id,
                 #historyTable td.col-id {
                     width: 12%;
@@ -1574,6 +3043,15 @@ function createHistoryWebView(historyData, context, workflowId) {
                     overflow: hidden;
                 }
 
+                a.detail-link {
+                    color: var(--vscode-textLink-foreground);
+                    text-decoration: none;
+                }
+
+                a.detail-link:hover {
+                    text-decoration: underline;
+                }
+
                 #historyTable th.col-asset,
                 #historyTable td.col-asset {
                     width: 20%;
@@ -1594,7 +3072,23 @@ function createHistoryWebView(historyData, context, workflowId) {
 
                 #historyTable th.col-params,
                 #historyTable td.col-params {
-                    width: 42%;
+                    width: 32%;
+                }
+
+                #historyTable th.col-actions,
+                #historyTable td.col-actions {
+                    width: 10%;
+                }
+
+                #historyTable td.col-actions button {
+                    display: block;
+                    width: 100%;
+                    margin-bottom: 4px;
+                }
+
+                #historyTable td.col-actions button.stop-btn {
+                    background-color: var(--vscode-inputValidation-errorBackground);
+                    color: var(--vscode-errorForeground);
                 }
                 
                 th {
@@ -1678,6 +3172,12 @@ function createHistoryWebView(historyData, context, workflowId) {
                     font-family: var(--vscode-editor-font-family);
                 }
 
+                .params-table .reveal-btn {
+                    margin-top: 4px;
+                    padding: 2px 8px;
+                    font-size: 11px;
+                }
+
                 .no-params {
                     color: var(--vscode-descriptionForeground);
                 }
@@ -1732,43 +3232,196 @@ function createHistoryWebView(historyData, context, workflowId) {
         <body>
             <div id="header">
                 <h2>📋 Historial de Ejecuciones</h2>
-                <input type="text" id="searchBox" placeholder="Buscar por asset, estado, ID...">
-                <div id="stats">
-                    <span>Total de ejecuciones: ${totalCount}</span> | 
-                    <span>Mostrando: ${executions.length}</span>
+                <div class="toolbar">
+                    <button id="refreshBtn" ${canReload ? '' : 'disabled'}>⟳ Actualizar</button>
+                    <select id="autoRefresh" ${canReload ? '' : 'disabled'}>
+                        ${autoRefreshOptions.map(option => `<option value="${option.seconds}" ${option.seconds === view.autoRefreshSeconds ? 'selected' : ''}>${option.label}</option>`).join('')}
+                    </select>
+                    <button id="exportCsvBtn" class="secondary" title="Exporta todas las ejecuciones que cumplen los filtros y la búsqueda" ${canRerun ? '' : 'disabled'}>⇩ Exportar CSV</button>
+                    <button id="exportJsonBtn" class="secondary" title="Exporta todas las ejecuciones que cumplen los filtros y la búsqueda" ${canRerun ? '' : 'disabled'}>⇩ Exportar JSON</button>
+                    <button id="compareBtn" class="secondary" title="Selecciona dos ejecuciones con las casillas de la tabla" disabled>⇄ Comparar (0/2)</button>
+                    <span id="status">Actualizado: ${view.loadedAt.toLocaleTimeString('es-ES')}</span>
+                </div>
+                <div class="toolbar filters">
+                    <select id="stateFilter">
+                        <option value="">Todos los estados</option>
+                        ${states.map(state => `<option value="${state}" ${query.state === state ? 'selected' : ''}>${state}</option>`).join('')}
+                    </select>
+                    <label title="Fecha de inicio de la ejecución">Inicio desde <input type="date" id="dateFrom" value="${escapeHtml(query.dateFrom || '')}"></label>
+                    <label title="Fecha de inicio de la ejecución">hasta <input type="date" id="dateTo" value="${escapeHtml(query.dateTo || '')}"></label>
+                    <input type="text" id="assetFilter" placeholder="Nombre del asset" value="${escapeHtml(query.assetName || '')}">
+                    <button id="applyFiltersBtn" ${canReload ? '' : 'disabled'}>Filtrar</button>
+                    <button id="clearFiltersBtn" class="secondary" ${canReload ? '' : 'disabled'}>Limpiar</button>
                 </div>
+                <input type="text" id="searchBox" placeholder="Buscar en esta página por asset, estado, ID..." value="${escapeHtml(view.search || '')}">
+                <div id="stats">${getHistoryStatsHtml(historyData, view)}</div>
             </div>
             
             <div id="container">
                 <table id="historyTable">
                     <thead>
                         <tr>
+                            <th class="col-select"></th>
                             <th class="col-id">ID Ejecución</th>
                             <th class="col-asset">Asset</th>
                             <th class="col-state">Estado</th>
                             <th class="col-updated">Última Actualización</th>
                             <th class="col-params">Parámetros</th>
+                            <th class="col-actions">Acciones</th>
                         </tr>
                     </thead>
                     <tbody id="tableBody">
-                        ${tableRows || '<tr><td colspan="5" class="no-results">No hay ejecuciones</td></tr>'}
+                        ${getHistoryRowsHtml(historyData, view)}
                     </tbody>
                 </table>
+                <div class="pagination">
+                    <button id="prevPageBtn" class="secondary" ${hasPrevious && canReload ? '' : 'disabled'}>◀ Anterior</button>
+                    <span id="pageLabel">Página ${currentPage} de ${totalPages}</span>
+                    <button id="nextPageBtn" class="secondary" ${hasNext && canReload ? '' : 'disabled'}>Siguiente ▶</button>
+                </div>
             </div>
             
             <script>
+                const vscode = acquireVsCodeApi();
                 const searchBox = document.getElementById('searchBox');
                 const tableBody = document.getElementById('tableBody');
-                const rows = tableBody.querySelectorAll('tr');
-                
-                searchBox.addEventListener('input', (e) => {
-                    const searchTerm = e.target.value.toLowerCase();
-                    
-                    rows.forEach(row => {
-                        const text = row.textContent.toLowerCase();
+                const statusLabel = document.getElementById('status');
+                const prevPageBtn = document.getElementById('prevPageBtn');
+                const nextPageBtn = document.getElementById('nextPageBtn');
+                const canReload = ${canReload};
+                let pageSize = ${pageSize};
+                let offset = ${offset};
+
+                const compareBtn = document.getElementById('compareBtn');
+                // Orden de selección: al marcar una tercera se desmarca la más antigua
+                let selected = ${JSON.stringify(view.selected).replace(/</g, '\\u003c')};
+
+                function updateCompareButton() {
+                    compareBtn.disabled = selected.length !== 2;
+                    compareBtn.textContent = '⇄ Comparar (' + selected.length + '/2)';
+                }
+
+                function applySearch() {
+                    const searchTerm = searchBox.value.toLowerCase();
+                    tableBody.querySelectorAll(':scope > tr').forEach(row => {
+                        const text = (row.textContent + ' ' + (row.querySelector('.col-id')?.title || '')).toLowerCase();
                         row.style.display = text.includes(searchTerm) ? '' : 'none';
                     });
+                }
+
+                // Enlaza los controles de las filas (se vuelven a enlazar cada vez que llegan filas nuevas)
+                function bindRows() {
+                    const compareBoxes = tableBody.querySelectorAll('.compare-select');
+                    compareBoxes.forEach(box => {
+                        box.checked = selected.includes(box.getAttribute('data-execution-id'));
+                        box.addEventListener('change', () => {
+                            const id = box.getAttribute('data-execution-id');
+                            selected = selected.filter(item => item !== id);
+                            if (box.checked) {
+                                selected.push(id);
+                            }
+                            while (selected.length > 2) {
+                                const dropped = selected.shift();
+                                compareBoxes.forEach(other => {
+                                    if (other.getAttribute('data-execution-id') === dropped) other.checked = false;
+                                });
+                            }
+                            updateCompareButton();
+                        });
+                    });
+                    tableBody.querySelectorAll('.detail-link').forEach(link => {
+                        link.addEventListener('click', (e) => {
+                            e.preventDefault();
+                            post('openDetail', { executionId: link.getAttribute('data-execution-id') });
+                        });
+                    });
+                    tableBody.querySelectorAll('.stop-btn').forEach(button => {
+                        button.addEventListener('click', () => {
+                            post('stop', { executionId: button.getAttribute('data-execution-id') });
+                        });
+                    });
+                    tableBody.querySelectorAll('.logs-btn').forEach(button => {
+                        button.addEventListener('click', () => {
+                            post('viewLogs', { executionId: button.getAttribute('data-execution-id') });
+                        });
+                    });
+                    tableBody.querySelectorAll('.rerun-btn').forEach(button => {
+                        button.addEventListener('click', () => {
+                            post('rerun', { executionId: button.getAttribute('data-execution-id') });
+                        });
+                    });
+                    bindRevealButtons(tableBody);
+                    updateCompareButton();
+                    applySearch();
+                }
+
+                compareBtn.addEventListener('click', () => post('compare'));
+                document.getElementById('exportCsvBtn').addEventListener('click', () => post('export', { format: 'csv' }));
+                document.getElementById('exportJsonBtn').addEventListener('click', () => post('export', { format: 'json' }));
+
+                // Todas las peticiones envían la búsqueda local y la selección para conservarlas al volver a renderizar
+                function post(command, data = {}) {
+                    vscode.postMessage({ command, search: searchBox.value, selected, ...data });
+                }
+
+                function currentFilters() {
+                    return {
+                        state: document.getElementById('stateFilter').value,
+                        dateFrom: document.getElementById('dateFrom').value,
+                        dateTo: document.getElementById('dateTo').value,
+                        assetName: document.getElementById('assetFilter').value
+                    };
+                }
+
+                document.getElementById('refreshBtn').addEventListener('click', () => post('refresh'));
+                document.getElementById('autoRefresh').addEventListener('change', (e) => {
+                    post('setAutoRefresh', { seconds: Number(e.target.value) });
+                });
+                document.getElementById('applyFiltersBtn').addEventListener('click', () => {
+                    post('applyFilters', { filters: currentFilters() });
+                });
+                document.getElementById('assetFilter').addEventListener('keydown', (e) => {
+                    if (e.key === 'Enter') post('applyFilters', { filters: currentFilters() });
+                });
+                document.getElementById('clearFiltersBtn').addEventListener('click', () => {
+                    ['stateFilter', 'dateFrom', 'dateTo', 'assetFilter'].forEach(id => {
+                        document.getElementById(id).value = '';
+                    });
+                    post('applyFilters', { filters: { state: '', dateFrom: '', dateTo: '', assetName: '' } });
+                });
+                prevPageBtn.addEventListener('click', () => {
+                    post('changePage', { offset: Math.max(0, offset - pageSize) });
+                });
+                nextPageBtn.addEventListener('click', () => {
+                    post('changePage', { offset: offset + pageSize });
                 });
+                ${getRevealValueScript()}
+
+                window.addEventListener('message', (event) => {
+                    const message = event.data;
+                    if (message.command === 'loading') {
+                        statusLabel.textContent = 'Actualizando...';
+                        statusLabel.className = '';
+                    } else if (message.command === 'error') {
+                        statusLabel.textContent = 'Error: ' + message.message;
+                        statusLabel.className = 'error';
+                    } else if (message.command === 'update') {
+                        // Solo se sustituyen las filas: se conservan scroll, búsqueda y valores mostrados
+                        tableBody.innerHTML = message.rowsHtml;
+                        document.getElementById('stats').innerHTML = message.statsHtml;
+                        document.getElementById('pageLabel').textContent = 'Página ' + message.currentPage + ' de ' + message.totalPages;
+                        pageSize = message.pageSize;
+                        offset = message.offset;
+                        prevPageBtn.disabled = !(message.hasPrevious && canReload);
+                        nextPageBtn.disabled = !(message.hasNext && canReload);
+                        statusLabel.textContent = 'Actualizado: ' + message.loadedAt;
+                        statusLabel.className = '';
+                        bindRows();
+                    }
+                });
+                
+                searchBox.addEventListener('input', applySearch);
+                bindRows();
             </script>
         </body>
         </html>
@@ -1776,662 +3429,3003 @@ function createHistoryWebView(historyData, context, workflowId) {
 }
 
 /**
- * Comando: Get History
- * Obtiene el historial de ejecuciones del workflow abierto
+ * Descarga todas las páginas del historial que cumplen los filtros de la consulta
+ * @param {string} workflowId
+ * @param {string} cwd
+ * @param {import('./py2rocket-history').HistoryQuery} query - Filtros (limit/offset se ignoran)
+ * @param {{token?: vscode.CancellationToken, progress?: vscode.Progress}} [options]
+ * @returns {Promise<any[]>}
  */
-async function getHistoryCommand(outputChannel, context, progress) {
-    reportProgress(progress, 'Validando archivo y workflow...');
-    const filePath = getActiveFilePath();
-    if (!filePath) return;
+async function fetchAllHistoryExecutions(workflowId, cwd, query, options = {}) {
+    const { token = null, progress = null } = options;
+    const filters = { ...query };
+    delete filters.limit;
+    delete filters.offset;
+
+    return collectHistoryPages((offset, collected, totalCount) => {
+        throwIfCancelled(token);
+        reportProgress(progress, `Descargando historial (${collected}${totalCount ? ` de ${totalCount}` : ''})...`);
+        return fetchWorkflowHistory(workflowId, cwd, {
+            token,
+            query: { ...filters, limit: HISTORY_EXPORT_PAGE_SIZE, offset }
+        });
+    }, HISTORY_EXPORT_PAGE_SIZE);
+}
 
-    try {
-        // Leer contenido del archivo
-        const fileContent = fs.readFileSync(filePath, 'utf-8');
-        const workflowId = extractWorkflowId(fileContent);
+/**
+ * Exporta el historial filtrado a CSV o JSON en el archivo elegido por el usuario
+ * @param {Object} request
+ * @param {string} request.workflowId
+ * @param {string} request.filePath - Workflow local
+ * @param {'csv'|'json'} request.format
+ * @param {import('./py2rocket-history').HistoryQuery} [request.query] - Filtros del panel
+ * @param {string} [request.search] - Búsqueda local del panel
+ * @param {vscode.OutputChannel} outputChannel
+ */
+async function exportHistory(request, outputChannel) {
+    const { workflowId, filePath, format, query = {}, search = '' } = request;
+    const today = new Date().toISOString().slice(0, 10);
+    const defaultName = `${path.basename(filePath, '.py')}-history-${today}.${format}`;
+    // Los parámetros sensibles se exportan ocultos, igual que en el panel
+    const maskPatterns = getSensitiveParameterPatterns();
+
+    const targetUri = await vscode.window.showSaveDialog({
+        defaultUri: vscode.Uri.file(path.join(path.dirname(filePath), defaultName)),
+        filters: format === 'csv' ? { CSV: ['csv'] } : { JSON: ['json'] },
+        saveLabel: 'Exportar'
+    });
+    if (!targetUri) return;
+
+    const exported = await runWithProgress('Py2Rocket: Exportando historial...', async (progress, token) => {
+        const executions = (await fetchAllHistoryExecutions(workflowId, path.dirname(filePath), query, { token, progress }))
+            .filter(execution => matchesHistorySearch(execution, search, { maskPatterns }));
+
+        reportProgress(progress, 'Escribiendo archivo...');
+        const content = format === 'csv'
+            ? `\uFEFF${buildHistoryCsv(executions, { maskPatterns })}`
+            : buildHistoryJson(executions, { workflowId, filters: query, search }, { maskPatterns });
+        fs.writeFileSync(targetUri.fsPath, content, 'utf-8');
+        return executions.length;
+    });
+    if (exported === undefined) return;
 
-        if (!workflowId) {
-            vscode.window.showErrorMessage('No se encontró workflow_id en el archivo');
-            return;
-        }
+    outputChannel.appendLine(`✓ Historial exportado (${exported} ejecuciones): ${targetUri.fsPath}`);
+    const action = await vscode.window.showInformationMessage(
+        `Historial exportado: ${exported} ejecuciones en ${path.basename(targetUri.fsPath)}`,
+        'Abrir archivo'
+    );
+    if (action === 'Abrir archivo') {
+        await vscode.window.showTextDocument(targetUri);
+    }
+}
 
-        maybeShowOutput(outputChannel);
-        outputChannel.appendLine(`\n${'='.repeat(60)}`);
+/**
+ * Crea el dashboard de analítica de ejecuciones (gráficos SVG generados en local, sin CDN)
+ * @param {string} workflowId
+ * @param {string} filePath - Workflow local
+ * @param {any[]} executions - Ejecuciones de get-history
+ * @param {vscode.OutputChannel} outputChannel
+ * @param {number} rangeDays - Días hacia atrás incluidos (0 = todo el historial)
+ */
+function createAnalyticsWebView(workflowId, filePath, executions, outputChannel, rangeDays) {
+    const panel = vscode.window.createWebviewPanel(
+        'py2rocketAnalytics',
+        `Analítica: ${path.basename(filePath, '.py')}`,
+        vscode.ViewColumn.Beside,
+        {
+            enableScripts: true,
+            retainContextWhenHidden: true
+        }
+    );
+
+    const view = { rangeDays, loading: false };
+    panel.webview.html = getAnalyticsHtml(workflowId, computeExecutionAnalytics(executions), view);
+
+    panel.webview.onDidReceiveMessage(async message => {
+        if (message.command !== 'refresh' || view.loading) return;
+        view.rangeDays = Math.max(0, Number(message.rangeDays) || 0);
+        view.loading = true;
+        panel.webview.postMessage({ command: 'loading' });
+        try {
+            const refreshed = await runWithProgress('Py2Rocket: Actualizando analítica...', (progress, token) => (
+                fetchAnalyticsExecutions(workflowId, filePath, view.rangeDays, { token, progress })
+            ));
+            if (refreshed !== undefined) {
+                panel.webview.html = getAnalyticsHtml(workflowId, computeExecutionAnalytics(refreshed), view);
+            }
+        } catch (error) {
+            outputChannel.appendLine(`\n❌ Error actualizando analítica: ${error.message}`);
+            panel.webview.postMessage({ command: 'error', message: error.message });
+        } finally {
+            view.loading = false;
+        }
+    });
+}
+
+/**
+ * Descarga las ejecuciones del periodo analizado
+ * @param {string} workflowId
+ * @param {string} filePath
+ * @param {number} rangeDays - 0 = todo el historial
+ * @param {{token?: vscode.CancellationToken, progress?: vscode.Progress}} [options]
+ * @returns {Promise<any[]>}
+ */
+function fetchAnalyticsExecutions(workflowId, filePath, rangeDays, options = {}) {
+    const query = {};
+    if (rangeDays > 0) {
+        const from = new Date(Date.now() - rangeDays * 86400000);
+        const pad = value => String(value).padStart(2, '0');
+        query.dateFrom = `${from.getFullYear()}-${pad(from.getMonth() + 1)}-${pad(from.getDate())}`;
+    }
+    return fetchAllHistoryExecutions(workflowId, path.dirname(filePath), query, options);
+}
+
+/**
+ * Genera el HTML del dashboard de analítica
+ * @param {string} workflowId
+ * @param {ReturnType<typeof computeExecutionAnalytics>} analytics
+ * @param {{rangeDays: number}} view
+ * @returns {string}
+ */
+function getAnalyticsHtml(workflowId, analytics, view) {
+    const series = [...CHART_STATES, 'Other'];
+    const formatPercent = value => (value === null ? 'N/A' : `${(value * 100).toFixed(1)} %`);
+    const rangeOptions = [
+        { days: 7, label: 'Últimos 7 días' },
+        { days: 30, label: 'Últimos 30 días' },
+        { days: 90, label: 'Últimos 90 días' },
+        { days: 0, label: 'Todo el historial' }
+    ];
+    const granularityLabels = { day: 'día', week: 'semana', month: 'mes' };
+
+    // Gráfico de barras (apiladas por estado si cada barra trae counts) en un viewBox fijo
+    const renderBarChart = (bars, { height = 220, stacked = false } = {}) => {
+        if (bars.length === 0) return '<div class="empty">Sin datos</div>';
+
+        const width = 800;
+        const padding = { top: 10, right: 10, bottom: 40, left: 40 };
+        const plotWidth = width - padding.left - padding.right;
+        const plotHeight = height - padding.top - padding.bottom;
+        const maxValue = Math.max(1, ...bars.map(bar => bar.total));
+        const slot = plotWidth / bars.length;
+        const barWidth = Math.max(1, slot * 0.7);
+        const labelEvery = Math.ceil(bars.length / 12);
+        const y = value => padding.top + plotHeight - (value / maxValue) * plotHeight;
+
+        const gridLines = [0, 0.5, 1].map(ratio => {
+            const value = Math.round(maxValue * ratio);
+            return `
+                <line class="grid" x1="${padding.left}" x2="${width - padding.right}" y1="${y(value)}" y2="${y(value)}" />
+                <text class="axis" x="${padding.left - 6}" y="${y(value) + 4}" text-anchor="end">${value}</text>
+            `;
+        }).join('');
+
+        const barsSvg = bars.map((bar, index) => {
+            const x = padding.left + index * slot + (slot - barWidth) / 2;
+            let top = y(0);
+            const segments = stacked
+                ? series.filter(state => bar.counts[state]).map(state => {
+                    const segmentHeight = (bar.counts[state] / maxValue) * plotHeight;
+                    top -= segmentHeight;
+                    return `<rect class="s-${state}" x="${x}" y="${top}" width="${barWidth}" height="${segmentHeight}"><title>${escapeHtml(bar.label)} · ${state}: ${bar.counts[state]}</title></rect>`;
+                }).join('')
+                : `<rect class="s-bar" x="${x}" y="${y(bar.total)}" width="${barWidth}" height="${y(0) - y(bar.total)}"><title>${escapeHtml(bar.label)}: ${bar.total}</title></rect>`;
+            const label = index % labelEvery === 0
+                ? `<text class="axis" x="${x + barWidth / 2}" y="${height - padding.bottom + 16}" text-anchor="middle">${escapeHtml(bar.label)}</text>`
+                : '';
+            return segments + label;
+        }).join('');
+
+        return `<svg viewBox="0 0 ${width} ${height}" preserveAspectRatio="none" role="img">${gridLines}${barsSvg}</svg>`;
+    };
+
+    // Barra horizontal con el reparto de estados de las ejecuciones terminadas
+    const renderStateShare = () => {
+        const finishedStates = ['Completed', 'Failed', 'Stopped'];
+        if (!analytics.finished) return '<div class="empty">No hay ejecuciones terminadas</div>';
+        let offset = 0;
+        const segments = finishedStates.map(state => {
+            const share = (analytics.stateCounts[state] || 0) / analytics.finished * 100;
+            const rect = `<rect class="s-${state}" x="${offset}" y="0" width="${share}" height="20"><title>${state}: ${analytics.stateCounts[state] || 0} (${share.toFixed(1)} %)</title></rect>`;
+            offset += share;
+            return rect;
+        }).join('');
+        return `<svg class="share" viewBox="0 0 100 20" preserveAspectRatio="none" role="img">${segments}</svg>`;
+    };
+
+    const renderContextTable = (rows, columns) => (rows.length === 0
+        ? '<div class="empty">Sin datos</div>'
+        : `
+            <table>
+                <thead><tr><th>Contexto</th>${columns.map(column => `<th>${column.label}</th>`).join('')}</tr></thead>
+                <tbody>
+                    ${rows.map(row => `
+                        <tr>
+                            <td class="context" title="${escapeHtml(row.context)}">${escapeHtml(row.context)}</td>
+                            ${columns.map(column => `<td>${column.value(row)}</td>`).join('')}
+                        </tr>
+                    `).join('')}
+                </tbody>
+            </table>
+        `);
+
+    const { durations, timeline } = analytics;
+    const legend = series
+        .filter(state => timeline.points.some(point => point.counts[state]))
+        .map(state => `<span class="legend-item"><svg width="10" height="10"><rect class="s-${state}" width="10" height="10" /></svg> ${state}</span>`)
+        .join('');
+
+    return `
+        <!DOCTYPE html>
+        <html lang="es">
+        <head>
+            <meta charset="UTF-8">
+            <meta name="viewport" content="width=device-width, initial-scale=1.0">
+            <title>Analítica de Ejecuciones</title>
+            <style>
+                body {
+                    font-family: 'Segoe UI', Tahoma, Geneva, Verdana, sans-serif;
+                    margin: 0;
+                    padding: 15px;
+                    background-color: var(--vscode-editor-background);
+                    color: var(--vscode-editor-foreground);
+                }
+
+                h2 {
+                    margin-top: 0;
+                }
+
+                .toolbar {
+                    display: flex;
+                    align-items: center;
+                    gap: 10px;
+                    margin-bottom: 15px;
+                    font-size: 13px;
+                }
+
+                select {
+                    padding: 4px 6px;
+                    border: 1px solid var(--vscode-input-border);
+                    background-color: var(--vscode-input-background);
+                    color: var(--vscode-input-foreground);
+                    border-radius: 3px;
+                }
+
+                button {
+                    padding: 5px 12px;
+                    border: none;
+                    border-radius: 3px;
+                    cursor: pointer;
+                    background-color: var(--vscode-button-background);
+                    color: var(--vscode-button-foreground);
+                }
+
+                #status {
+                    color: var(--vscode-descriptionForeground);
+                }
+
+                #status.error {
+                    color: var(--vscode-errorForeground);
+                }
+
+                .kpis {
+                    display: grid;
+                    grid-template-columns: repeat(auto-fit, minmax(140px, 1fr));
+                    gap: 10px;
+                    margin-bottom: 15px;
+                }
+
+                .kpi, .section {
+                    padding: 12px;
+                    background-color: var(--vscode-sideBar-background);
+                    border-left: 3px solid var(--vscode-focusBorder);
+                    border-radius: 4px;
+                }
+
+                .kpi-value {
+                    font-size: 22px;
+                    font-weight: 600;
+                }
+
+                .kpi-label, .section-note {
+                    font-size: 12px;
+                    color: var(--vscode-descriptionForeground);
+                }
+
+                .section {
+                    margin-bottom: 15px;
+                }
+
+                .section-title {
+                    font-weight: 600;
+                    text-transform: uppercase;
+                    font-size: 13px;
+                    opacity: 0.8;
+                    margin-bottom: 10px;
+                }
+
+                .columns {
+                    display: grid;
+                    grid-template-columns: repeat(auto-fit, minmax(360px, 1fr));
+                    gap: 15px;
+                }
+
+                svg {
+                    width: 100%;
+                    height: auto;
+                }
+
+                svg.share {
+                    height: 20px;
+                    border-radius: 3px;
+                }
+
+                .grid { stroke: var(--vscode-panel-border); stroke-width: 1; }
+                .axis { fill: var(--vscode-descriptionForeground); font-size: 11px; }
+                .s-Completed { fill: var(--vscode-testing-iconPassed, #73c991); }
+                .s-Failed { fill: var(--vscode-testing-iconFailed, #f14c4c); }
+                .s-Stopped { fill: var(--vscode-editorWarning-foreground, #cca700); }
+                .s-Running { fill: var(--vscode-testing-iconQueued, #3794ff); }
+                .s-Other { fill: var(--vscode-descriptionForeground, #888888); }
+                .s-bar { fill: var(--vscode-charts-blue, #3794ff); }
+
+                .legend-item {
+                    margin-right: 12px;
+                    font-size: 12px;
+                }
+
+                table {
+                    width: 100%;
+                    border-collapse: collapse;
+                    table-layout: fixed;
+                    font-size: 12px;
+                }
+
+                th, td {
+                    padding: 6px;
+                    text-align: left;
+                    border-bottom: 1px solid var(--vscode-panel-border);
+                }
+
+                td.context {
+                    overflow: hidden;
+                    text-overflow: ellipsis;
+                    white-space: nowrap;
+                    width: 45%;
+                }
+
+                .empty {
+                    font-size: 12px;
+                    color: var(--vscode-descriptionForeground);
+                    font-style: italic;
+                }
+            </style>
+        </head>
+        <body>
+            <h2>📊 Analítica de Ejecuciones</h2>
+            <div class="toolbar">
+                <span>Workflow: <code>${escapeHtml(workflowId)}</code></span>
+                <select id="range">
+                    ${rangeOptions.map(option => `<option value="${option.days}" ${option.days === view.rangeDays ? 'selected' : ''}>${option.label}</option>`).join('')}
+                </select>
+                <button id="refreshBtn">⟳ Actualizar</button>
+                <span id="status">Actualizado: ${new Date().toLocaleTimeString('es-ES')}</span>
+            </div>
+
+            <div class="kpis">
+                <div class="kpi"><div class="kpi-value">${analytics.total}</div><div class="kpi-label">Ejecuciones</div></div>
+                <div class="kpi"><div class="kpi-value">${formatPercent(analytics.successRate)}</div><div class="kpi-label">Éxito (Completed / terminadas)</div></div>
+                <div class="kpi"><div class="kpi-value">${formatPercent(analytics.failureRate)}</div><div class="kpi-label">Fallo (Failed / terminadas)</div></div>
+                <div class="kpi"><div class="kpi-value">${formatDuration(durations.medianMs)}</div><div class="kpi-label">Duración mediana</div></div>
+                <div class="kpi"><div class="kpi-value">${formatDuration(durations.p90Ms)}</div><div class="kpi-label">Duración p90</div></div>
+            </div>
+
+            <div class="section">
+                <div class="section-title">Ejecuciones por ${granularityLabels[timeline.granularity]} y estado</div>
+                ${renderBarChart(timeline.points.map(point => ({ label: point.period, total: point.total, counts: point.counts })), { stacked: true })}
+                <div>${legend}</div>
+            </div>
+
+            <div class="section">
+                <div class="section-title">Resultado de las ejecuciones terminadas (${analytics.finished})</div>
+                ${renderStateShare()}
+                <div class="section-note">
+                    ${['Completed', 'Failed', 'Stopped'].map(state => `${state}: ${analytics.stateCounts[state] || 0}`).join(' · ')}
+                </div>
+            </div>
+
+            <div class="section">
+                <div class="section-title">Distribución de duraciones</div>
+                ${renderBarChart(durations.histogram.map(bucket => ({ label: bucket.label, total: bucket.count })), { height: 180 })}
+                <div class="section-note">
+                    Calculada con ${durations.count} ejecuciones terminadas (del primer al último estado registrado) ·
+                    mín. ${formatDuration(durations.minMs)} · media ${formatDuration(durations.meanMs)} · máx. ${formatDuration(durations.maxMs)}
+                </div>
+            </div>
+
+            <div class="columns">
+                <div class="section">
+                    <div class="section-title">Contextos más lentos</div>
+                    ${renderContextTable(analytics.slowestContexts, [
+                        { label: 'Ejecuciones', value: row => row.runs },
+                        { label: 'Media', value: row => formatDuration(row.avgDurationMs) },
+                        { label: 'Máx.', value: row => formatDuration(row.maxDurationMs) }
+                    ])}
+                </div>
+                <div class="section">
+                    <div class="section-title">Contextos con más fallos</div>
+                    ${renderContextTable(analytics.failingContexts, [
+                        { label: 'Ejecuciones', value: row => row.runs },
+                        { label: 'Fallos', value: row => row.failures },
+                        { label: '% fallo', value: row => formatPercent(row.failureRate) }
+                    ])}
+                </div>
+            </div>
+
+            <script>
+                const vscode = acquireVsCodeApi();
+                const statusLabel = document.getElementById('status');
+                const refresh = () => vscode.postMessage({ command: 'refresh', rangeDays: Number(document.getElementById('range').value) });
+
+                document.getElementById('refreshBtn').addEventListener('click', refresh);
+                document.getElementById('range').addEventListener('change', refresh);
+
+                window.addEventListener('message', (event) => {
+                    const message = event.data;
+                    if (message.command === 'loading') {
+                        statusLabel.textContent = 'Actualizando...';
+                        statusLabel.className = '';
+                    } else if (message.command === 'error') {
+                        statusLabel.textContent = 'Error: ' + message.message;
+                        statusLabel.className = 'error';
+                    }
+                });
+            </script>
+        </body>
+        </html>
+    `;
+}
+
+/**
+ * Abre (o muestra, si ya está abierto) el detalle de una ejecución del historial:
+ * línea de tiempo completa de estados y todos los parámetros, incluidos los grupos ocultos en el historial
+ * @param {any} execution
+ * @param {string} workflowId
+ */
+function createExecutionDetailWebView(execution, workflowId) {
+    const executionId = execution?.id || '';
+    const existing = executionDetailPanels.get(executionId);
+    if (existing) {
+        existing.webview.html = getExecutionDetailHtml(execution, workflowId);
+        existing.reveal(vscode.ViewColumn.Beside);
+        return;
+    }
+
+    const panel = vscode.window.createWebviewPanel(
+        'py2rocketExecutionDetail',
+        `Ejecución: ${executionId.substring(0, 8)}...`,
+        vscode.ViewColumn.Beside,
+        {
+            enableScripts: true
+        }
+    );
+    executionDetailPanels.set(executionId, panel);
+    panel.onDidDispose(() => executionDetailPanels.delete(executionId));
+
+    panel.webview.onDidReceiveMessage(async message => {
+        if (message.command === 'copyId') {
+            await vscode.env.clipboard.writeText(executionId);
+            vscode.window.setStatusBarMessage(`$(check) Py2Rocket: id ${executionId} copiado`, 3000);
+        } else if (message.command === 'revealValue') {
+            postRevealedValue(panel, message.key, [execution]);
+        }
+    });
+
+    panel.webview.html = getExecutionDetailHtml(execution, workflowId);
+}
+
+/**
+ * Genera el HTML del detalle de una ejecución
+ * @param {any} execution
+ * @param {string} workflowId
+ * @returns {string}
+ */
+function getExecutionDetailHtml(execution, workflowId) {
+    const executionId = execution?.id || 'N/A';
+    const assetData = execution?.assetDataExecution || {};
+    const timeline = getExecutionTimeline(execution);
+    const { state } = getLatestExecutionState(execution);
+    const totalMs = timeline.reduce((sum, entry) => sum + (entry.durationMs || 0), 0);
+    const groups = groupExecutionParameters(assetData.parametersUsed);
+    const maskMatchers = getSensitiveParameterMatchers();
+
+    const timelineRows = timeline.map(entry => `
+        <li class="${entry.current ? 'current' : ''}">
+            <span class="dot state-bg-${escapeHtml(entry.state)}"></span>
+            <div class="entry">
+                <div><span class="state-${escapeHtml(entry.state)}">${escapeHtml(entry.state)}</span>${entry.current ? ' <span class="badge">actual</span>' : ''}</div>
+                <div class="meta">${formatHistoryDate(entry.lastUpdateDate)}</div>
+                <div class="meta">${entry.durationMs === null ? (entry.current ? '' : 'Estado final') : `${entry.current ? 'En este estado desde hace' : 'Tiempo en el estado:'} ${formatDuration(entry.durationMs)}`}</div>
+            </div>
+        </li>
+    `).join('');
+
+    const renderParameters = entries => `
+        <table class="params-table">
+            <tbody>
+                ${entries.map(([key, value]) => `
+                    <tr>
+                        <td class="param-name" title="${escapeHtml(key)}">${escapeHtml(key)}</td>
+                        ${renderParameterValueCell(executionId, key, value, maskMatchers)}
+                    </tr>
+                `).join('')}
+            </tbody>
+        </table>
+    `;
+
+    const parameterSections = groups.map(({ group, entries }) => (group === null
+        ? `
+            <div class="section">
+                <div class="section-title">Parámetros (${entries.length})</div>
+                ${entries.length ? renderParameters(entries) : '<div class="meta">Sin parámetros</div>'}
+            </div>
+        `
+        : `
+            <details class="section">
+                <summary class="section-title">${escapeHtml(group)}* (${entries.length})</summary>
+                ${renderParameters(entries)}
+            </details>
+        `)).join('');
+
+    return `
+        <!DOCTYPE html>
+        <html lang="es">
+        <head>
+            <meta charset="UTF-8">
+            <meta name="viewport" content="width=device-width, initial-scale=1.0">
+            <title>Detalle de Ejecución</title>
+            <style>
+                body {
+                    font-family: 'Segoe UI', Tahoma, Geneva, Verdana, sans-serif;
+                    margin: 0;
+                    padding: 15px;
+                    background-color: var(--vscode-editor-background);
+                    color: var(--vscode-editor-foreground);
+                }
+
+                h2 {
+                    margin-top: 0;
+                }
+
+                .id-row {
+                    display: flex;
+                    align-items: center;
+                    gap: 8px;
+                    margin-bottom: 8px;
+                }
+
+                code {
+                    font-family: var(--vscode-editor-font-family);
+                    user-select: all;
+                }
+
+                button {
+                    padding: 3px 10px;
+                    border: none;
+                    border-radius: 3px;
+                    cursor: pointer;
+                    background-color: var(--vscode-button-secondaryBackground);
+                    color: var(--vscode-button-secondaryForeground);
+                }
+
+                .summary {
+                    font-size: 13px;
+                    color: var(--vscode-descriptionForeground);
+                    margin-bottom: 15px;
+                }
+
+                .section {
+                    margin-bottom: 15px;
+                    padding: 12px;
+                    background-color: var(--vscode-sideBar-background);
+                    border-left: 3px solid var(--vscode-focusBorder);
+                    border-radius: 4px;
+                }
+
+                .section-title {
+                    font-weight: 600;
+                    text-transform: uppercase;
+                    font-size: 13px;
+                    opacity: 0.8;
+                    margin-bottom: 10px;
+                }
+
+                summary.section-title {
+                    cursor: pointer;
+                    margin-bottom: 0;
+                }
+
+                details[open] summary.section-title {
+                    margin-bottom: 10px;
+                }
+
+                ol.timeline {
+                    list-style: none;
+                    margin: 0;
+                    padding: 0 0 0 6px;
+                    border-left: 2px solid var(--vscode-panel-border);
+                }
+
+                ol.timeline li {
+                    position: relative;
+                    padding: 0 0 12px 16px;
+                }
+
+                ol.timeline .dot {
+                    position: absolute;
+                    left: -7px;
+                    top: 3px;
+                    width: 12px;
+                    height: 12px;
+                    border-radius: 50%;
+                    background-color: var(--vscode-descriptionForeground);
+                }
+
+                ol.timeline li.current .dot {
+                    box-shadow: 0 0 0 3px var(--vscode-focusBorder);
+                }
+
+                .meta {
+                    font-size: 12px;
+                    color: var(--vscode-descriptionForeground);
+                }
+
+                .badge {
+                    font-size: 11px;
+                    padding: 1px 6px;
+                    border-radius: 3px;
+                    background-color: var(--vscode-badge-background);
+                    color: var(--vscode-badge-foreground);
+                }
+
+                .state-Completed { color: var(--vscode-testing-iconPassed); }
+                .state-Failed { color: var(--vscode-testing-iconFailed); }
+                .state-Running { color: var(--vscode-testing-iconQueued); }
+                .state-bg-Completed { background-color: var(--vscode-testing-iconPassed) !important; }
+                .state-bg-Failed { background-color: var(--vscode-testing-iconFailed) !important; }
+                .state-bg-Running { background-color: var(--vscode-testing-iconQueued) !important; }
+
+                .params-table {
+                    width: 100%;
+                    border-collapse: collapse;
+                    table-layout: fixed;
+                    font-size: 12px;
+                }
+
+                .params-table td {
+                    padding: 6px;
+                    border-bottom: 1px solid var(--vscode-panel-border);
+                    vertical-align: top;
+                }
+
+                .param-name {
+                    width: 35%;
+                    font-weight: 500;
+                    overflow-wrap: anywhere;
+                }
+
+                pre {
+                    margin: 0;
+                    white-space: pre-wrap;
+                    word-break: break-word;
+                    font-family: var(--vscode-editor-font-family);
+                }
+
+                .reveal-btn {
+                    margin-top: 4px;
+                    font-size: 11px;
+                }
+            </style>
+        </head>
+        <body>
+            <h2>🔎 Detalle de Ejecución</h2>
+            <div class="id-row">
+                <strong>ID:</strong> <code>${escapeHtml(executionId)}</code>
+                <button id="copyIdBtn" title="Copiar id al portapapeles">⧉ Copiar</button>
+            </div>
+            <div class="summary">
+                Asset: ${escapeHtml(assetData.name || 'N/A')} ·
+                Estado: <span class="state-${escapeHtml(state)}">${escapeHtml(state)}</span> ·
+                Duración registrada: ${formatDuration(totalMs)} ·
+                Workflow: <code>${escapeHtml(workflowId)}</code>
+            </div>
+
+            <div class="section">
+                <div class="section-title">Línea de tiempo (${timeline.length} estados)</div>
+                ${timeline.length ? `<ol class="timeline">${timelineRows}</ol>` : '<div class="meta">Sin estados registrados</div>'}
+            </div>
+
+            ${parameterSections}
+
+            <script>
+                const vscode = acquireVsCodeApi();
+                document.getElementById('copyIdBtn').addEventListener('click', () => {
+                    vscode.postMessage({ command: 'copyId' });
+                });
+                ${getRevealValueScript()}
+            </script>
+        </body>
+        </html>
+    `;
+}
+
+/**
+ * Crea un WebView que compara dos ejecuciones del historial:
+ * estados, tiempos y parámetros añadidos, eliminados o modificados (A = la más antigua)
+ * @param {any} firstExecution
+ * @param {any} secondExecution
+ * @param {string} workflowId
+ */
+function createExecutionComparisonWebView(firstExecution, secondExecution, workflowId) {
+    const [leftExecution, rightExecution] = orderExecutionsByStart(firstExecution, secondExecution);
+    const left = summarizeExecutionTiming(leftExecution);
+    const right = summarizeExecutionTiming(rightExecution);
+    const diffs = diffExecutionParameters(
+        leftExecution?.assetDataExecution?.parametersUsed,
+        rightExecution?.assetDataExecution?.parametersUsed
+    );
+
+    const panel = vscode.window.createWebviewPanel(
+        'py2rocketExecutionCompare',
+        `Comparar: ${left.id.substring(0, 8)} ⇄ ${right.id.substring(0, 8)}`,
+        vscode.ViewColumn.Beside,
+        {
+            enableScripts: true
+        }
+    );
+
+    const counts = diffs.reduce((acc, diff) => {
+        acc[diff.status] = (acc[diff.status] || 0) + 1;
+        return acc;
+    }, {});
+    const statusLabels = { added: 'Añadido', removed: 'Eliminado', changed: 'Modificado', unchanged: 'Sin cambios' };
+    const formatDate = time => (time === null ? 'N/A' : new Date(time).toLocaleString('es-ES'));
+    const maskMatchers = getSensitiveParameterMatchers();
+    const renderValueCell = (execution, name, value) => (value === undefined
+        ? '<td class="param-value"><span class="missing">—</span></td>'
+        : renderParameterValueCell(execution?.id || '', name, value, maskMatchers));
+    // Las diferencias internas de un valor sensible (o de claves sensibles) no se muestran
+    const renderDetailValue = (name, nestedPath, value) => escapeHtml(
+        isSensitiveName(name, maskMatchers) || nestedPath.split(/[.[\]]/).some(segment => segment && isSensitiveName(segment, maskMatchers))
+            ? MASKED_VALUE
+            : formatParameterValue(value)
+    );
+
+    panel.webview.onDidReceiveMessage(message => {
+        if (message.command === 'revealValue') {
+            postRevealedValue(panel, message.key, [leftExecution, rightExecution], value => formatParameterValue(parseParameterValue(value)));
+        }
+    });
+
+    const startDelta = left.startTime !== null && right.startTime !== null ? right.startTime - left.startTime : null;
+    const durationDelta = left.durationMs !== null && right.durationMs !== null ? right.durationMs - left.durationMs : null;
+    const durationDeltaText = durationDelta === null
+        ? 'N/A'
+        : durationDelta === 0
+            ? 'igual'
+            : `${durationDelta > 0 ? '+' : '-'}${formatDuration(durationDelta)}`;
+
+    const parameterRows = diffs.map(diff => {
+        const detailsHtml = diff.details.length > 0 ? `
+            <tr class="details-row ${diff.status}">
+                <td colspan="4">
+                    <ul class="details">
+                        ${diff.details.map(detail => `
+                            <li class="${detail.status}">
+                                <code>${escapeHtml(detail.path || '(valor)')}</code>:
+                                ${detail.status === 'added' ? `añadido <code>${renderDetailValue(diff.name, detail.path, detail.right)}</code>` : ''}
+                                ${detail.status === 'removed' ? `eliminado (era <code>${renderDetailValue(diff.name, detail.path, detail.left)}</code>)` : ''}
+                                ${detail.status === 'changed' ? `<code>${renderDetailValue(diff.name, detail.path, detail.left)}</code> → <code>${renderDetailValue(diff.name, detail.path, detail.right)}</code>` : ''}
+                            </li>
+                        `).join('')}
+                    </ul>
+                </td>
+            </tr>
+        ` : '';
+
+        return `
+            <tr class="${diff.status}">
+                <td class="param-name" title="${escapeHtml(diff.name)}">${escapeHtml(diff.name)}</td>
+                <td class="param-status"><span class="badge ${diff.status}">${statusLabels[diff.status]}</span></td>
+                ${renderValueCell(leftExecution, diff.name, diff.left)}
+                ${renderValueCell(rightExecution, diff.name, diff.right)}
+            </tr>
+            ${detailsHtml}
+        `;
+    }).join('');
+
+    const renderSummaryCard = (label, summary) => `
+        <div class="card">
+            <div class="card-title">${label}</div>
+            <div><strong>ID:</strong> <code>${escapeHtml(summary.id || 'N/A')}</code></div>
+            <div><strong>Estado:</strong> <span class="state-${escapeHtml(summary.state)} ${left.state !== right.state ? 'differs' : ''}">${escapeHtml(summary.state)}</span></div>
+            <div><strong>Inicio:</strong> ${formatDate(summary.startTime)}</div>
+            <div><strong>Última actualización:</strong> ${formatDate(summary.lastUpdateTime)}</div>
+            <div><strong>Duración:</strong> ${formatDuration(summary.durationMs)}</div>
+        </div>
+    `;
+
+    panel.webview.html = `
+        <!DOCTYPE html>
+        <html lang="es">
+        <head>
+            <meta charset="UTF-8">
+            <meta name="viewport" content="width=device-width, initial-scale=1.0">
+            <title>Comparar Ejecuciones</title>
+            <style>
+                body {
+                    font-family: 'Segoe UI', Tahoma, Geneva, Verdana, sans-serif;
+                    margin: 0;
+                    padding: 15px;
+                    background-color: var(--vscode-editor-background);
+                    color: var(--vscode-editor-foreground);
+                }
+
+                h2 {
+                    margin-top: 0;
+                }
+
+                .cards {
+                    display: flex;
+                    gap: 15px;
+                    margin-bottom: 15px;
+                }
+
+                .card {
+                    flex: 1;
+                    padding: 12px;
+                    background-color: var(--vscode-sideBar-background);
+                    border-left: 3px solid var(--vscode-focusBorder);
+                    border-radius: 4px;
+                    font-size: 13px;
+                    line-height: 1.7;
+                }
+
+                .card-title {
+                    font-weight: 600;
+                    text-transform: uppercase;
+                    opacity: 0.8;
+                    margin-bottom: 6px;
+                }
+
+                .differs {
+                    font-weight: 600;
+                    text-decoration: underline;
+                }
+
+                .state-Completed { color: var(--vscode-testing-iconPassed); }
+                .state-Failed { color: var(--vscode-testing-iconFailed); }
+                .state-Running { color: var(--vscode-testing-iconQueued); }
+
+                .timing {
+                    margin-bottom: 15px;
+                    font-size: 13px;
+                    color: var(--vscode-descriptionForeground);
+                }
+
+                .toolbar {
+                    display: flex;
+                    align-items: center;
+                    gap: 15px;
+                    margin-bottom: 10px;
+                    font-size: 13px;
+                }
+
+                table {
+                    width: 100%;
+                    border-collapse: collapse;
+                    table-layout: fixed;
+                }
+
+                th {
+                    background-color: var(--vscode-sideBar-background);
+                    padding: 8px;
+                    text-align: left;
+                    border-bottom: 2px solid var(--vscode-panel-border);
+                    position: sticky;
+                    top: 0;
+                }
+
+                td {
+                    padding: 8px;
+                    border-bottom: 1px solid var(--vscode-panel-border);
+                    vertical-align: top;
+                }
+
+                th.param-name, td.param-name {
+                    width: 22%;
+                    overflow-wrap: anywhere;
+                    font-weight: 500;
+                }
+
+                th.param-status, td.param-status {
+                    width: 10%;
+                }
+
+                pre {
+                    margin: 0;
+                    white-space: pre-wrap;
+                    word-break: break-word;
+                    font-family: var(--vscode-editor-font-family);
+                    font-size: 12px;
+                }
+
+                .missing {
+                    opacity: 0.5;
+                }
+
+                .badge {
+                    padding: 2px 6px;
+                    border-radius: 3px;
+                    font-size: 11px;
+                    white-space: nowrap;
+                }
+
+                .badge.added { background-color: var(--vscode-diffEditor-insertedTextBackground); }
+                .badge.removed { background-color: var(--vscode-diffEditor-removedTextBackground); }
+                .badge.changed { background-color: var(--vscode-editorWarning-foreground); color: var(--vscode-editor-background); }
+                .badge.unchanged { opacity: 0.6; }
+
+                tr.added td.param-value:last-child { background-color: var(--vscode-diffEditor-insertedTextBackground); }
+                tr.removed td.param-value:first-of-type { background-color: var(--vscode-diffEditor-removedTextBackground); }
+
+                ul.details {
+                    margin: 0;
+                    padding-left: 20px;
+                    font-size: 12px;
+                }
+
+                ul.details li.added { color: var(--vscode-gitDecoration-addedResourceForeground); }
+                ul.details li.removed { color: var(--vscode-gitDecoration-deletedResourceForeground); }
+                ul.details li.changed { color: var(--vscode-gitDecoration-modifiedResourceForeground); }
+
+                body.hide-unchanged tr.unchanged {
+                    display: none;
+                }
+
+                .reveal-btn {
+                    margin-top: 4px;
+                    padding: 2px 8px;
+                    font-size: 11px;
+                    border: none;
+                    border-radius: 3px;
+                    cursor: pointer;
+                    background-color: var(--vscode-button-secondaryBackground);
+                    color: var(--vscode-button-secondaryForeground);
+                }
+            </style>
+        </head>
+        <body class="hide-unchanged">
+            <h2>⇄ Comparación de Ejecuciones</h2>
+            <div class="timing">Workflow: <code>${escapeHtml(workflowId)}</code></div>
+            <div class="cards">
+                ${renderSummaryCard('A (anterior)', left)}
+                ${renderSummaryCard('B (posterior)', right)}
+            </div>
+            <div class="timing">
+                ${left.state !== right.state ? `Estado: <strong>${escapeHtml(left.state)} → ${escapeHtml(right.state)}</strong> | ` : 'Mismo estado | '}
+                B empezó ${startDelta === null ? 'N/A' : `${formatDuration(startDelta)} después de A`} |
+                Diferencia de duración: ${durationDeltaText}
+            </div>
+            <div class="toolbar">
+                <span>Modificados: ${counts.changed || 0}</span>
+                <span>Añadidos en B: ${counts.added || 0}</span>
+                <span>Eliminados en B: ${counts.removed || 0}</span>
+                <span>Sin cambios: ${counts.unchanged || 0}</span>
+                <label><input type="checkbox" id="showUnchanged" /> Mostrar parámetros sin cambios</label>
+            </div>
+            <table>
+                <thead>
+                    <tr>
+                        <th class="param-name">Parámetro</th>
+                        <th class="param-status">Cambio</th>
+                        <th>A</th>
+                        <th>B</th>
+                    </tr>
+                </thead>
+                <tbody>
+                    ${parameterRows || '<tr><td colspan="4">Ninguna de las ejecuciones tiene parámetros</td></tr>'}
+                </tbody>
+            </table>
+            <script>
+                const vscode = acquireVsCodeApi();
+                document.getElementById('showUnchanged').addEventListener('change', (e) => {
+                    document.body.classList.toggle('hide-unchanged', !e.target.checked);
+                });
+                ${getRevealValueScript()}
+            </script>
+        </body>
+        </html>
+    `;
+}
+
+/**
+ * Ejecuta py2rocket get-history y devuelve la respuesta JSON validada
+ * @param {string} workflowId
+ * @param {string} cwd - Directorio de trabajo (el del workflow)
+ * @param {Object} [options]
+ * @param {vscode.CancellationToken} [options.token]
+ * @param {{onStdoutLine?: Function, onStderrLine?: Function}} [options.streamHandlers]
+ * @param {import('./py2rocket-history').HistoryQuery} [options.query] - Página y filtros
+ * @returns {Promise<any>}
+ */
+async function fetchWorkflowHistory(workflowId, cwd, options = {}) {
+    const { token = null, streamHandlers = {}, query = {} } = options;
+    const runHistory = args => runPy2Rocket('get-history', args, {
+        ...getRunnerOptions(cwd, token, streamHandlers),
+        timeoutMs: getOperationTimeoutMs('getHistory')
+    });
+
+    const workspaceFolder = getWorkspaceFolderPath(cwd);
+    const supportKey = `${workspaceFolder}\n${resolvePythonExecutable(getConfiguredPythonPath(), workspaceFolder)}`;
+    const queryArgs = buildHistoryArgs(workflowId, query);
+    const hasQuery = queryArgs.length > 2;
+    let filterLocally = hasQuery && historyQuerySupport.get(supportKey) === false;
+    let result;
+
+    if (filterLocally) {
+        result = await runHistory(buildHistoryArgs(workflowId));
+    } else {
+        try {
+            result = await runHistory(queryArgs);
+            if (hasQuery) historyQuerySupport.set(supportKey, true);
+        } catch (error) {
+            if (!hasQuery || !isUnsupportedOptionError(error)) throw error;
+            // La versión instalada de py2rocket no pagina ni filtra: se pide todo y se filtra en local
+            historyQuerySupport.set(supportKey, false);
+            filterLocally = true;
+            result = await runHistory(buildHistoryArgs(workflowId));
+        }
+    }
+
+    let historyData = null;
+    try {
+        historyData = parseJsonFromCommandOutput(result.stdout);
+    } catch { }
+
+    if (!historyData || historyData.status !== 'success') {
+        throw new Error('Respuesta inválida del comando get-history');
+    }
+    return filterLocally ? applyHistoryQueryLocally(historyData, query) : historyData;
+}
+
+/**
+ * Comando: Get History
+ * Obtiene el historial de ejecuciones del workflow abierto
+ */
+async function getHistoryCommand(outputChannel, context, progress, token) {
+    reportProgress(progress, 'Validando archivo y workflow...');
+    const filePath = getActiveFilePath();
+    if (!filePath) return;
+
+    try {
+        // Leer contenido del archivo
+        const fileContent = fs.readFileSync(filePath, 'utf-8');
+        const workflowId = extractWorkflowId(fileContent);
+
+        if (!workflowId) {
+            vscode.window.showErrorMessage('No se encontró workflow_id en el archivo');
+            return;
+        }
+
+        maybeShowOutput(outputChannel);
+        outputChannel.appendLine(`\n${'='.repeat(60)}`);
         outputChannel.appendLine(`Obteniendo historial: ${workflowId}`);
         outputChannel.appendLine(`${'='.repeat(60)}\n`);
 
-        const pythonCommand = getPythonCommand();
-        const command = `${pythonCommand} -m py2rocket get-history "${workflowId}" -j`;
-        reportProgress(progress, 'Consultando historial en Rocket...');
+        reportProgress(progress, 'Consultando historial en Rocket...');
+
+        // Ejecutar comando sin mostrar mensaje de éxito
+        try {
+            const streamHandlers = createStreamHandlers(outputChannel, progress, { stdout: false });
+            const query = { limit: getHistoryPageSize(), offset: 0 };
+            const historyData = await fetchWorkflowHistory(workflowId, path.dirname(filePath), { token, streamHandlers, query });
+
+            reportProgress(progress, 'Abriendo vista de historial...');
+            outputChannel.appendLine(`\n✓ Historial obtenido exitosamente`);
+            outputChannel.appendLine(`  Total de ejecuciones: ${historyData.total_count}`);
+            createHistoryWebView(historyData, context, workflowId, { filePath, query, outputChannel });
+        } catch (error) {
+            if (isCancellationError(error)) {
+                appendCancellationNotice(outputChannel, `historial de ${workflowId}`);
+                return;
+            }
+            if (isTimeoutError(error)) {
+                reportTimeoutError(outputChannel, error, 'getHistory');
+                return;
+            }
+
+            const formatted = formatExecError(error);
+            outputChannel.appendLine(`\n❌ Error:\n${formatted.message}`);
+            if (error?.stack) {
+                outputChannel.appendLine(`Stack:\n${error.stack}`);
+            }
+            vscode.window.showErrorMessage(`Error al obtener historial: ${error.message}`);
+        }
+    } catch (error) {
+        outputChannel.appendLine(`\n❌ Error: ${error.message}`);
+        vscode.window.showErrorMessage(`Error: ${error.message}`);
+    }
+}
+
+/**
+ * Comando: Export History
+ * Exporta el historial completo del workflow activo a CSV o JSON
+ */
+async function exportHistoryCommand(outputChannel) {
+    const filePath = getActiveFilePath();
+    if (!filePath) return;
+
+    try {
+        const workflowId = extractWorkflowId(fs.readFileSync(filePath, 'utf-8'));
+        if (!workflowId) {
+            vscode.window.showErrorMessage('No se encontró workflow_id en el archivo');
+            return;
+        }
+
+        const choice = await vscode.window.showQuickPick(
+            [
+                { label: 'CSV', description: 'Una fila por ejecución, una columna por parámetro', format: 'csv' },
+                { label: 'JSON', description: 'Ejecuciones con transiciones de estado y parámetros', format: 'json' }
+            ],
+            { placeHolder: 'Formato de exportación del historial' }
+        );
+        if (!choice) return;
+
+        await exportHistory({ workflowId, filePath, format: choice.format }, outputChannel);
+    } catch (error) {
+        outputChannel.appendLine(`\n❌ Error exportando historial: ${error.message}`);
+        vscode.window.showErrorMessage(`Error al exportar historial: ${error.message}`);
+    }
+}
+
+/**
+ * Comando: Execution Analytics
+ * Abre el dashboard de analítica de ejecuciones del workflow activo (últimos 30 días)
+ */
+async function executionAnalyticsCommand(outputChannel, progress, token) {
+    reportProgress(progress, 'Validando archivo y workflow...');
+    const filePath = getActiveFilePath();
+    if (!filePath) return;
+
+    try {
+        const workflowId = extractWorkflowId(fs.readFileSync(filePath, 'utf-8'));
+        if (!workflowId) {
+            vscode.window.showErrorMessage('No se encontró workflow_id en el archivo');
+            return;
+        }
+
+        const rangeDays = 30;
+        const executions = await fetchAnalyticsExecutions(workflowId, filePath, rangeDays, { token, progress });
+        outputChannel.appendLine(`✓ Analítica de ${workflowId}: ${executions.length} ejecuciones en los últimos ${rangeDays} días`);
+        createAnalyticsWebView(workflowId, filePath, executions, outputChannel, rangeDays);
+    } catch (error) {
+        if (isCancellationError(error)) {
+            appendCancellationNotice(outputChannel, 'analítica de ejecuciones');
+            return;
+        }
+        if (isTimeoutError(error)) {
+            reportTimeoutError(outputChannel, error, 'getHistory');
+            return;
+        }
+        outputChannel.appendLine(`\n❌ Error obteniendo analítica: ${error.message}`);
+        vscode.window.showErrorMessage(`Error al obtener la analítica de ejecuciones: ${error.message}`);
+    }
+}
+
+/**
+ * Comando: Request Execution
+ * Abre un formulario para solicitar la ejecución de un workflow
+ * Obtiene los parámetros reales del paquete/módulo
+ */
+async function requestExecutionCommand(outputChannel, context, progress, token) {
+    reportProgress(progress, 'Validando archivo y workflow...');
+    const filePath = getActiveFilePath();
+    if (!filePath) return;
+
+    try {
+        // Leer contenido del archivo
+        const fileContent = fs.readFileSync(filePath, 'utf-8');
+        const workflowId = extractWorkflowId(fileContent);
+
+        if (!workflowId) {
+            vscode.window.showErrorMessage('No se encontró workflow_id en el archivo');
+            return;
+        }
+
+        await openExecutionForm(workflowId, filePath, outputChannel, context, progress, token);
+    } catch (error) {
+        outputChannel.appendLine(`\n❌ Error: ${error.message}`);
+        vscode.window.showErrorMessage(`Error: ${error.message}`);
+    }
+}
+
+/**
+ * Obtiene los parámetros de ejecución del workflow (run-view-parameters) y abre el formulario
+ * @param {string} workflowId
+ * @param {string} filePath - Workflow local
+ * @param {vscode.OutputChannel} outputChannel
+ * @param {vscode.ExtensionContext} context
+ * @param {vscode.Progress} progress
+ * @param {vscode.CancellationToken} token
+ * @param {Object} [rerunData] - Datos de una ejecución del historial para precargar el formulario (extractRerunData)
+ */
+async function openExecutionForm(workflowId, filePath, outputChannel, context, progress, token, rerunData = null) {
+    maybeShowOutput(outputChannel);
+    outputChannel.appendLine(`\n${'='.repeat(60)}`);
+    outputChannel.appendLine(`Obteniendo parámetros de ejecución: ${workflowId}`);
+    if (rerunData) {
+        outputChannel.appendLine(`Re-ejecución de: ${rerunData.executionId}`);
+    }
+    outputChannel.appendLine(`${'='.repeat(60)}\n`);
+
+    const commandWorkingDir = resolvePy2RocketWorkingDir(filePath);
+    reportProgress(progress, 'Obteniendo parámetros del workflow...');
+
+    try {
+        const streamHandlers = createStreamHandlers(outputChannel, progress, { stdout: false });
+        const result = await runPy2Rocket('run-view-parameters', [workflowId, '-j'], {
+            ...getRunnerOptions(commandWorkingDir, token, streamHandlers),
+            timeoutMs: getOperationTimeoutMs('runViewParameters')
+        });
+
+        const paramData = parseJsonFromCommandOutput(result.stdout);
+        if (!paramData || paramData.status !== 'success') {
+            throw new Error(paramData?.message || 'Respuesta inválida en run-view-parameters');
+        }
+
+        // Al re-ejecutar se seleccionan los contextos de la ejecución original
+        const currentParamsLists = rerunData?.paramsLists || getCurrentPipelineParamsLists(filePath);
+        const parsedConfig = buildExecutionConfigFromRunView(paramData, currentParamsLists);
+        const executionConfig = {
+            ...parsedConfig,
+            projectIdDefault: getActiveProfile()?.projectId || process.env.PROJECT_ID || '',
+            filePath,
+            outputChannel,
+            rerunData
+        };
+
+        reportProgress(progress, 'Abriendo formulario de ejecución...');
+        outputChannel.appendLine('✓ Parámetros obtenidos exitosamente (etapa 1)');
+        createExecutionWebView(workflowId, context, executionConfig);
+    } catch (error) {
+        if (isCancellationError(error)) {
+            appendCancellationNotice(outputChannel, `parámetros de ejecución de ${workflowId}`);
+            return;
+        }
+        if (isTimeoutError(error)) {
+            reportTimeoutError(outputChannel, error, 'runViewParameters');
+            return;
+        }
+
+        const formatted = formatExecError(error);
+        outputChannel.appendLine(`\n❌ Error obteniendo parámetros de ejecución:\n${formatted.message}`);
+
+        const shortReason = formatted.stderr || formatted.stdout || error.message;
+        const shortLine = String(shortReason).split(/\r?\n/).find(line => line.trim()) || error.message;
+        vscode.window.showErrorMessage(`No se pudieron obtener los parámetros del workflow: ${shortLine}`);
+    }
+}
+
+/**
+ * Comando: Refresh Folder
+ * Descarga y actualiza los assets de una carpeta específica seleccionada en el explorador
+ * Lee la configuración de .py2rocket de la raíz del workspace
+ * @param {vscode.Uri} folderUri - URI de la carpeta seleccionada en el explorador
+ */
+async function refreshFolderCommand(folderUri, outputChannel, progress, token) {
+    reportProgress(progress, 'Validando carpeta seleccionada...');
+    if (!folderUri || !folderUri.fsPath) {
+        vscode.window.showErrorMessage('No se especificó una carpeta para actualizar');
+        return;
+    }
+
+    const selectedFolder = folderUri.fsPath;
+    const workspaceFolder = getWorkspaceFolderPath(selectedFolder);
+
+    if (!workspaceFolder) {
+        vscode.window.showErrorMessage('No hay una carpeta de trabajo abierta');
+        return;
+    }
+
+    // Validar que exista archivo .py2rocket en la raíz del workspace
+    const py2rocketFile = path.join(workspaceFolder, '.py2rocket');
+    if (!fs.existsSync(py2rocketFile)) {
+        vscode.window.showErrorMessage('Este workspace no está sincronizado (.py2rocket no encontrado en la raíz)');
+        return;
+    }
+
+    try {
+        const metadataContent = fs.readFileSync(py2rocketFile, 'utf-8');
+        const metadata = JSON.parse(metadataContent);
+        const syncInfo = metadata.sync_info || {};
+        const groupId = (syncInfo.group_id || '').trim();
+        const groupName = (syncInfo.group_name || '').trim();
+
+        if (!groupId) {
+            vscode.window.showErrorMessage('No se encontró group_id en .py2rocket');
+            return;
+        }
+
+        // Obtener nombre relativo de la carpeta seleccionada
+        const relativePath = path.relative(workspaceFolder, selectedFolder);
+        const folderDisplayName = path.basename(selectedFolder);
+
+        const confirm = await vscode.window.showWarningMessage(
+            `¿Actualizar carpeta '${folderDisplayName}'?\nSe borrará el contenido y se descargarán los assets.`,
+            { modal: true },
+            'Actualizar'
+        );
+
+        if (confirm !== 'Actualizar') return;
+        if (token?.isCancellationRequested) {
+            appendCancellationNotice(outputChannel, `actualización de '${folderDisplayName}'`);
+            return;
+        }
+
+        reportProgress(progress, 'Limpiando contenido local de la carpeta...');
+        maybeShowOutput(outputChannel);
+        outputChannel.appendLine(`\n${'='.repeat(60)}`);
+        outputChannel.appendLine(`Actualizando carpeta: ${folderDisplayName}`);
+        outputChannel.appendLine(`Ruta relativa: ${relativePath}`);
+        outputChannel.appendLine(`Ruta completa: ${selectedFolder}`);
+        outputChannel.appendLine(`Group ID: ${groupId}`);
+        outputChannel.appendLine(`${'='.repeat(60)}\n`);
+
+        // Borra contenido excepto .py2rocket (si existe en esta carpeta)
+        const py2rocketInFolder = path.join(selectedFolder, '.py2rocket');
+        const excludeFiles = fs.existsSync(py2rocketInFolder) ? ['.py2rocket'] : [];
+        const files = fs.readdirSync(selectedFolder);
+
+        let deleteErrors = [];
+        const deletedFiles = [];
+        const pendingFiles = files.filter(file => !excludeFiles.includes(file));
+        for (const file of pendingFiles) {
+            if (token?.isCancellationRequested) {
+                reportPartialFolderDeletion(outputChannel, selectedFolder, deletedFiles, pendingFiles);
+                return;
+            }
+            const filePath = path.join(selectedFolder, file);
+            try {
+                const stat = fs.statSync(filePath);
+                if (stat.isDirectory()) {
+                    fs.rmSync(filePath, { recursive: true, force: true });
+                } else {
+                    fs.unlinkSync(filePath);
+                }
+                deletedFiles.push(file);
+            } catch (err) {
+                deleteErrors.push(`  ⚠️  No se pudo borrar ${file}: ${err.message}`);
+            }
+        }
+
+        if (deleteErrors.length > 0) {
+            outputChannel.appendLine('✓ Contenido borrado (con algunas advertencias)\n');
+            deleteErrors.forEach(msg => outputChannel.appendLine(msg));
+            outputChannel.appendLine('');
+        } else {
+            outputChannel.appendLine('✓ Contenido borrado\n');
+        }
+
+        // Realiza sync del grupo en la carpeta seleccionada
+        // Mapear la carpeta local seleccionada al grupo completo en Rocket
+        const relativePathParts = relativePath.split(path.sep).filter(p => p);
+        const groupNameParts = splitGroupPath(groupName);
+
+        // Encontrar dónde empieza el subgrupo comparando las últimas partes
+        let subgroupParts = [];
+        if (groupNameParts.length > 0) {
+            const lastGroupPart = groupNameParts[groupNameParts.length - 1];
+            const indexOfGroupPart = relativePathParts.indexOf(lastGroupPart);
+            if (indexOfGroupPart >= 0) {
+                // Las partes después de la carpeta del grupo son el subgrupo
+                subgroupParts = relativePathParts.slice(indexOfGroupPart + 1);
+            }
+        }
+
+        // Construir el grupo completo
+        let fullGroupPath = groupName;
+        if (subgroupParts.length > 0) {
+            fullGroupPath = fullGroupPath + '/' + subgroupParts.join('/');
+        }
+
+        reportProgress(progress, 'Sincronizando assets desde Rocket...');
+        try {
+            await executePy2RocketCommand('sync', [fullGroupPath, '--output', '.'], selectedFolder, outputChannel, { workingDir: selectedFolder, token, progress });
+        } catch (syncError) {
+            if (isCancellationError(syncError)) {
+                outputChannel.appendLine(`⚠️  La carpeta '${folderDisplayName}' quedó vaciada y la sincronización incompleta.`);
+                vscode.window.showWarningMessage(`Sincronización cancelada: '${folderDisplayName}' quedó incompleta. Vuelve a ejecutar Refresh Folder.`);
+            }
+            throw syncError;
+        }
+
+        // Si py2rocket creó una subcarpeta con el nombre del grupo, mover su contenido hacia arriba
+        const lastGroupPart = fullGroupPath.split('/').filter(p => p).pop();
+        const createdSubfolder = path.join(selectedFolder, lastGroupPart);
+        if (lastGroupPart && fs.existsSync(createdSubfolder) && createdSubfolder !== selectedFolder) {
+            try {
+                reportProgress(progress, 'Reorganizando estructura de carpetas...');
+                const subfolderFiles = fs.readdirSync(createdSubfolder);
+                for (const file of subfolderFiles) {
+                    const fromPath = path.join(createdSubfolder, file);
+                    const toPath = path.join(selectedFolder, file);
+                    fs.renameSync(fromPath, toPath);
+                }
+                // Eliminar la subcarpeta vacía
+                fs.rmdirSync(createdSubfolder);
+                outputChannel.appendLine('✓ Estructura de carpetas reorganizada\n');
+            } catch (err) {
+                outputChannel.appendLine(`⚠️  No se pudo reorganizar carpetas: ${err.message}\n`);
+            }
+        }
+
+        vscode.window.showInformationMessage(`✓ Carpeta '${folderDisplayName}' actualizada`);
+    } catch (error) {
+        if (isCancellationError(error)) return;
+        outputChannel.appendLine(`\n❌ Error: ${error.message}`);
+        vscode.window.showErrorMessage(`Error al actualizar: ${error.message}`);
+    }
+}
+
+/**
+ * Reporta una limpieza de carpeta interrumpida por cancelación
+ * @param {vscode.OutputChannel} outputChannel
+ * @param {string} folderPath - Carpeta que se estaba limpiando
+ * @param {string[]} deletedFiles - Entradas ya borradas
+ * @param {string[]} pendingFiles - Entradas que se iban a borrar
+ */
+function reportPartialFolderDeletion(outputChannel, folderPath, deletedFiles, pendingFiles) {
+    const remaining = pendingFiles.filter(file => !deletedFiles.includes(file));
+    const folderName = path.basename(folderPath);
+
+    appendCancellationNotice(outputChannel, `limpieza de '${folderName}'`);
+    outputChannel.appendLine(`⚠️  Carpeta parcialmente borrada: ${folderPath}`);
+    outputChannel.appendLine(`  Borrados (${deletedFiles.length}):`);
+    deletedFiles.forEach(file => outputChannel.appendLine(`    - ${file}`));
+    outputChannel.appendLine(`  Sin borrar (${remaining.length}):`);
+    remaining.forEach(file => outputChannel.appendLine(`    - ${file}`));
+
+    if (deletedFiles.length > 0) {
+        vscode.window.showWarningMessage(
+            `Actualización cancelada: '${folderName}' quedó parcialmente borrada (${deletedFiles.length}/${pendingFiles.length}). Revisa el canal Py2Rocket.`
+        );
+    }
+}
+
+/**
+ * Comando: Create Group
+ * Crea un grupo en Rocket y la carpeta local correspondiente
+ */
+async function createGroupCommand(folderUri, outputChannel) {
+    const workspaceFolder = getWorkspaceFolderPath(folderUri?.fsPath);
+    if (!workspaceFolder) {
+        vscode.window.showErrorMessage('No hay una carpeta de trabajo abierta');
+        return;
+    }
+
+    const syncDetection = detectSyncWorkspace(workspaceFolder);
+    if (!syncDetection.isSynced) {
+        vscode.window.showErrorMessage('Este workspace no está sincronizado (.py2rocket)');
+        return;
+    }
+
+    const syncInfo = syncDetection.metadata?.sync_info || {};
+    const baseGroupName = (syncInfo.group_name || '').trim();
+    if (!baseGroupName) {
+        vscode.window.showErrorMessage('No se encontró group_name en .py2rocket');
+        return;
+    }
+
+    // Determinar la ruta base desde la que se está creando el grupo
+    let selectedFolder = workspaceFolder;
+    let relativePath = '';
+    if (folderUri && folderUri.fsPath) {
+        selectedFolder = folderUri.fsPath;
+        relativePath = path.relative(workspaceFolder, selectedFolder);
+    }
+
+    const groupInput = await vscode.window.showInputBox({
+        prompt: 'Nombre del nuevo grupo ',
+        placeHolder: 'nuevo',
+        ignoreFocusOut: true
+    });
+
+    if (!groupInput) return;
+
+    const inputParts = splitGroupPath(groupInput);
+    if (!isSafeGroupParts(inputParts)) {
+        vscode.window.showErrorMessage('El nombre del grupo contiene segmentos invalidos');
+        return;
+    }
+
+    // Construir el nombre completo del grupo basado en la carpeta seleccionada
+    const relativePathParts = relativePath.split(path.sep).filter(p => p);
+    const groupNameParts = splitGroupPath(baseGroupName);
+
+    let subgroupParts = [];
+    if (groupNameParts.length > 0) {
+        const lastGroupPart = groupNameParts[groupNameParts.length - 1];
+        const indexOfGroupPart = relativePathParts.indexOf(lastGroupPart);
+        if (indexOfGroupPart >= 0) {
+            subgroupParts = relativePathParts.slice(indexOfGroupPart + 1);
+        }
+    }
+
+    let fullGroupName = baseGroupName + '/' + inputParts.join('/');
+    if (subgroupParts.length > 0) {
+        fullGroupName = baseGroupName + '/' + subgroupParts.join('/') + '/' + inputParts.join('/');
+    }
+
+    const fullParts = splitGroupPath(fullGroupName);
+    if (!isSafeGroupParts(fullParts)) {
+        vscode.window.showErrorMessage('El nombre del grupo resultante es invalido');
+        return;
+    }
+
+    let projectName = (syncInfo.project_name || '').trim();
+    if (!projectName) {
+        projectName = await vscode.window.showInputBox({
+            prompt: 'Nombre del proyecto (PROJECT_NAME)',
+            placeHolder: 'MiProyecto',
+            ignoreFocusOut: true
+        });
+        if (!projectName) return;
+    }
+
+    const localGroupDir = path.join(selectedFolder, ...inputParts);
+
+    // En entornos protegidos basta con la confirmación escrita; en el resto, un diálogo modal
+    if (getTargetProtectionReasons(selectedFolder).length > 0) {
+        const allowed = await confirmProtectedOperation(
+            { action: `creación del grupo ${fullGroupName}`, targetPath: selectedFolder, confirmText: inputParts[inputParts.length - 1] },
+            outputChannel
+        );
+        if (!allowed) return;
+    } else {
+        const confirm = await vscode.window.showInformationMessage(
+            `Crear grupo '${fullGroupName}' y carpeta local en '${localGroupDir}'?`,
+            { modal: true },
+            'Crear'
+        );
+        if (confirm !== 'Crear') return;
+    }
+
+    // Los cuadros de texto y confirmaciones se muestran antes de abrir la notificación de progreso
+    await runWithProgress('Py2Rocket: Creando grupo...', async (progress, token) => {
+        try {
+            reportProgress(progress, 'Creando grupo en Rocket...');
+            await executePy2RocketCommand('create-group', [fullGroupName, '--project-name', projectName], path.join(workspaceFolder, '.py2rocket'), outputChannel, { workingDir: workspaceFolder, token, progress });
+            reportProgress(progress, 'Creando carpeta local del grupo...');
+            fs.mkdirSync(localGroupDir, { recursive: true });
+            vscode.window.showInformationMessage(`✓ Carpeta creada: ${localGroupDir}`);
+        } catch (error) {
+            if (isCancellationError(error)) return;
+            console.error('Error en create-group:', error);
+        }
+    });
+}
+
+/**
+ * Crea un WebView panel para mostrar el grafo
+ * @param {Object} graphData - Datos del grafo con nodes y edges
+ * @param {vscode.ExtensionContext} context - Contexto de la extensión
+ * @param {string} filePath - Ruta del archivo .py del workflow
+ */
+function createGraphWebView(graphData, context, filePath) {
+    const fileName = path.basename(filePath);
+    let targetColumn = vscode.ViewColumn.Beside;
+
+    if (currentGraphPanel) {
+        targetColumn = currentGraphPanel.viewColumn || vscode.ViewColumn.Beside;
+        currentGraphPanel.dispose();
+        currentGraphPanel = undefined;
+    }
 
-        // Ejecutar comando sin mostrar mensaje de éxito
-        const workspaceFolder = vscode.workspace.workspaceFolders?.[0]?.uri.fsPath;
-        const execOptions = {
-            cwd: path.dirname(filePath),
-            shell: true,
-            env: {
-                ...process.env,
-                PYTHONIOENCODING: 'utf-8'
+    const panel = vscode.window.createWebviewPanel(
+        'py2rocketGraph',
+        `Grafo: ${fileName}`,
+        targetColumn,
+        {
+            enableScripts: true,
+            retainContextWhenHidden: true
+        }
+    );
+
+    currentGraphPanel = panel;
+    currentGraphFilePath = filePath;
+    panel.onDidDispose(() => {
+        if (currentGraphPanel === panel) {
+            currentGraphPanel = undefined;
+            currentGraphFilePath = undefined;
+        }
+    }, null, context.subscriptions);
+
+    panel.webview.html = getGraphHtml(graphData, fileName);
+}
+
+/**
+ * Actualiza el grafo abierto sin recrear el panel ni moverle el foco
+ * @param {Object} graphData - Datos del grafo con nodes y edges
+ * @param {string} filePath - Ruta del archivo .py del workflow
+ */
+function updateGraphWebView(graphData, filePath) {
+    if (!currentGraphPanel) return;
+    const fileName = path.basename(filePath);
+    currentGraphPanel.title = `Grafo: ${fileName}`;
+    currentGraphPanel.webview.html = getGraphHtml(graphData, fileName);
+}
+
+/**
+ * Guarda un documento sin disparar el build/render automático
+ * (los comandos manuales compilan por su cuenta después de guardar)
+ * @param {vscode.TextDocument} document
+ * @returns {Promise<boolean>}
+ */
+async function saveDocumentWithoutAutoBuild(document) {
+    const filePath = document.uri.fsPath;
+    autoBuildIgnoredSaves.add(filePath);
+    try {
+        return await document.save();
+    } finally {
+        autoBuildIgnoredSaves.delete(filePath);
+    }
+}
+
+/**
+ * Lee la configuración del build/render automático al guardar
+ * @returns {{buildOnSave: boolean, renderOnSave: boolean, debounceMs: number}}
+ */
+function getOnSaveSettings() {
+    const config = vscode.workspace.getConfiguration('py2rocket');
+    return {
+        buildOnSave: config.get('buildOnSave', false),
+        renderOnSave: config.get('renderOnSave', false),
+        debounceMs: Math.max(0, Number(config.get('onSaveDebounceMs', 500)) || 0)
+    };
+}
+
+/**
+ * Maneja el guardado de un documento: programa build/render si corresponde
+ * @param {vscode.TextDocument} document
+ * @param {vscode.OutputChannel} outputChannel
+ */
+function handleDocumentSaved(document, outputChannel) {
+    const { buildOnSave, renderOnSave } = getOnSaveSettings();
+    if (!buildOnSave && !renderOnSave) return;
+    if (document.uri.scheme !== 'file' || !document.uri.fsPath.endsWith('.py')) return;
+    if (autoBuildIgnoredSaves.has(document.uri.fsPath)) return;
+    if (!extractWorkflowId(document.getText())) return;
+
+    scheduleAutoBuild(document.uri.fsPath, outputChannel);
+}
+
+/**
+ * Programa (con debounce) el build/render automático de un workflow
+ * @param {string} filePath
+ * @param {vscode.OutputChannel} outputChannel
+ */
+function scheduleAutoBuild(filePath, outputChannel) {
+    const state = autoBuildStates.get(filePath) || { timer: null, running: false, pending: false };
+    autoBuildStates.set(filePath, state);
+
+    if (state.timer) {
+        clearTimeout(state.timer);
+    }
+
+    state.timer = setTimeout(() => {
+        state.timer = null;
+        runAutoBuild(filePath, outputChannel);
+    }, getOnSaveSettings().debounceMs);
+}
+
+/**
+ * Ejecuta el build y/o render automático de un workflow guardado.
+ * No abre el JSON ni mueve el foco; los errores se reflejan en Problems.
+ * @param {string} filePath
+ * @param {vscode.OutputChannel} outputChannel
+ */
+async function runAutoBuild(filePath, outputChannel) {
+    const state = autoBuildStates.get(filePath);
+    if (!state) return;
+
+    // Si ya hay un build en curso, repetir al terminar con el contenido más reciente
+    if (state.running) {
+        state.pending = true;
+        return;
+    }
+
+    const { buildOnSave, renderOnSave } = getOnSaveSettings();
+    const fileName = path.basename(filePath);
+    state.running = true;
+
+    try {
+        if (buildOnSave) {
+            await executePy2RocketCommand('build', [fileName], filePath, outputChannel, {
+                workingDir: path.dirname(filePath),
+                quiet: true
+            });
+        }
+
+        if (renderOnSave && currentGraphPanel && currentGraphFilePath === filePath) {
+            const graphData = await renderWorkflowGraph(filePath, outputChannel, { quiet: true });
+            updateGraphWebView(graphData, filePath);
+        }
+
+        vscode.window.setStatusBarMessage(`$(check) Py2Rocket: ${fileName} actualizado`, 3000);
+    } catch (error) {
+        vscode.window.setStatusBarMessage(`$(error) Py2Rocket: error en ${fileName} (ver Problems)`, 5000);
+    } finally {
+        state.running = false;
+        if (state.pending) {
+            state.pending = false;
+            scheduleAutoBuild(filePath, outputChannel);
+        } else if (!state.timer) {
+            autoBuildStates.delete(filePath);
+        }
+    }
+}
+
+/**
+ * Genera el HTML para el WebView del grafo
+ * @param {Object} graphData - Datos del grafo
+ * @param {string} fileName - Nombre del archivo
+ * @returns {string}
+ */
+function getGraphHtml(graphData, fileName) {
+    const nodes = graphData.nodes || [];
+    const edges = graphData.edges || [];
+
+    // Definir colores por tipo de nodo
+    const nodeColors = {
+        'reader': '#4CAF50',
+        'writer': '#F44336',
+        'map': '#2196F3',
+        'filter': '#FF9800',
+        'join': '#9C27B0',
+        'aggregate': '#00BCD4',
+        'transform': '#FFC107',
+        'default': '#757575'
+    };
+
+    // Transformar nodos para vis-network
+    const visNodes = nodes.map(node => {
+        const hasPriority = node.priority !== undefined && node.priority !== null;
+        const priorityLabel = hasPriority ? `\nPrioridad: ${node.priority}` : '';
+        const priorityTitle = hasPriority ? `\nPrioridad: ${node.priority}` : '';
+
+        return {
+            id: node.id,
+            label: `${node.id}${priorityLabel}`,
+            color: nodeColors[node.type] || nodeColors.default,
+            shape: node.type === 'reader' ? 'box' :
+                node.type === 'writer' ? 'box' :
+                    'ellipse',
+            font: { color: '#ffffff', size: 14, bold: true },
+            title: `Tipo: ${node.type}${priorityTitle}`
+        };
+    });
+
+    // Transformar edges para vis-network
+    const visEdges = edges.map((edge, index) => ({
+        id: index,
+        from: edge.source,
+        to: edge.target,
+        arrows: 'to',
+        color: { color: '#848484', highlight: '#2196F3' },
+        width: 2,
+        smooth: { type: 'cubicBezier' }
+    }));
+
+    return `<!DOCTYPE html>
+<html lang="es">
+<head>
+    <meta charset="UTF-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1.0">
+    <title>Grafo: ${fileName}</title>
+    <script type="text/javascript" src="https://unpkg.com/vis-network/standalone/umd/vis-network.min.js"></script>
+    <style>
+        body {
+            margin: 0;
+            padding: 0;
+            font-family: 'Segoe UI', Tahoma, Geneva, Verdana, sans-serif;
+            background-color: var(--vscode-editor-background);
+            color: var(--vscode-editor-foreground);
+        }
+        #header {
+            padding: 15px;
+            background-color: var(--vscode-editor-background);
+            border-bottom: 1px solid var(--vscode-panel-border);
+        }
+        #header h2 {
+            margin: 0;
+            color: var(--vscode-editor-foreground);
+        }
+        #stats {
+            margin-top: 10px;
+            font-size: 12px;
+            color: var(--vscode-descriptionForeground);
+        }
+        #mynetwork {
+            width: 100%;
+            height: calc(100vh - 100px);
+            background-color: var(--vscode-editor-background);
+        }
+        .legend {
+            position: absolute;
+            top: 80px;
+            right: 20px;
+            background-color: var(--vscode-sideBar-background);
+            border: 1px solid var(--vscode-panel-border);
+            padding: 10px;
+            border-radius: 5px;
+            font-size: 12px;
+        }
+        .legend-item {
+            margin: 5px 0;
+            display: flex;
+            align-items: center;
+        }
+        .legend-color {
+            width: 20px;
+            height: 20px;
+            margin-right: 8px;
+            border-radius: 3px;
+        }
+    </style>
+</head>
+<body>
+    <div id="header">
+        <h2>📊 Grafo del Workflow: ${fileName}</h2>
+        <div id="stats">
+            <span>Nodos: ${nodes.length}</span> | 
+            <span>Conexiones: ${edges.length}</span>
+        </div>
+    </div>
+    
+    <div class="legend">
+        <div style="font-weight: bold; margin-bottom: 8px;">Tipos de Nodo</div>
+        <div class="legend-item">
+            <div class="legend-color" style="background-color: ${nodeColors.reader}"></div>
+            <span>Reader</span>
+        </div>
+        <div class="legend-item">
+            <div class="legend-color" style="background-color: ${nodeColors.writer}"></div>
+            <span>Writer</span>
+        </div>
+        <div class="legend-item">
+            <div class="legend-color" style="background-color: ${nodeColors.map}"></div>
+            <span>Map</span>
+        </div>
+        <div class="legend-item">
+            <div class="legend-color" style="background-color: ${nodeColors.filter}"></div>
+            <span>Filter</span>
+        </div>
+        <div class="legend-item">
+            <div class="legend-color" style="background-color: ${nodeColors.join}"></div>
+            <span>Join</span>
+        </div>
+        <div class="legend-item">
+            <div class="legend-color" style="background-color: ${nodeColors.aggregate}"></div>
+            <span>Aggregate</span>
+        </div>
+    </div>
+    
+    <div id="mynetwork"></div>
+    
+    <script type="text/javascript">
+        const nodes = new vis.DataSet(${JSON.stringify(visNodes)});
+        const edges = new vis.DataSet(${JSON.stringify(visEdges)});
+        
+        const container = document.getElementById('mynetwork');
+        const data = { nodes: nodes, edges: edges };
+        
+        const options = {
+            layout: {
+                hierarchical: {
+                    direction: 'LR',
+                    sortMethod: 'directed',
+                    levelSeparation: 200,
+                    nodeSpacing: 150
+                }
+            },
+            physics: {
+                enabled: false
+            },
+            edges: {
+                smooth: {
+                    type: 'cubicBezier',
+                    forceDirection: 'horizontal',
+                    roundness: 0.4
+                }
+            },
+            interaction: {
+                hover: true,
+                navigationButtons: true,
+                keyboard: true
             }
         };
+        
+        const network = new vis.Network(container, data, options);
+        
+        // Evento de click en nodos
+        network.on('click', function(params) {
+            if (params.nodes.length > 0) {
+                const nodeId = params.nodes[0];
+                const node = nodes.get(nodeId);
+                console.log('Nodo seleccionado:', node);
+            }
+        });
+    </script>
+</body>
+</html>`;
+}
 
-        const venvPath = path.join(workspaceFolder, '.venv', 'Scripts');
-        if (fs.existsSync(venvPath)) {
-            execOptions.env.PATH = venvPath + path.delimiter + execOptions.env.PATH;
+/**
+ * Registra en el canal el estado de sincronización de cada carpeta del workspace
+ * y actualiza el contexto py2rocket.isSynced (true si alguna carpeta está sincronizada)
+ * @param {vscode.OutputChannel} outputChannel
+ */
+function logWorkspaceSyncStatus(outputChannel) {
+    const folders = vscode.workspace.workspaceFolders || [];
+    const multiRoot = folders.length > 1;
+    let anySynced = false;
+
+    folders.forEach(folder => {
+        const syncDetection = detectSyncWorkspace(folder.uri.fsPath);
+        const label = multiRoot ? ` [${folder.name}]` : '';
+
+        if (syncDetection.isSynced) {
+            anySynced = true;
+            const syncInfo = syncDetection.metadata?.sync_info || {};
+            outputChannel.appendLine(`✓ Workspace${label} detectado como sincronizado (.py2rocket)`);
+            outputChannel.appendLine(`  - Proyecto: ${syncInfo.project_name || 'Proyecto desconocido'}`);
+            outputChannel.appendLine(`  - Grupo: ${syncInfo.group_name || 'Grupo desconocido'}`);
+            outputChannel.appendLine(`  - Última sincronización: ${syncInfo.sync_date || 'Fecha desconocida'}`);
+        } else if (syncDetection.error) {
+            outputChannel.appendLine(`⚠️  No se pudo leer .py2rocket${label}: ${syncDetection.error}`);
         }
+    });
 
-        return new Promise((resolve, reject) => {
-            const { execSync } = require('child_process');
-            try {
-                const output = execSync(command, {
-                    ...execOptions,
-                    encoding: 'utf-8'
-                });
+    vscode.commands.executeCommand('setContext', 'py2rocket.isSynced', anySynced);
+}
 
-                // Parsear JSON
-                const trimmed = output.trim();
-                let historyData = null;
+/**
+ * Muestra en la barra de estado la sincronización de la carpeta del archivo activo
+ * @param {vscode.StatusBarItem} statusBarItem
+ */
+function updateSyncStatusBar(statusBarItem) {
+    const workspaceFolder = getWorkspaceFolderPath();
+    const syncDetection = detectSyncWorkspace(workspaceFolder);
+    const multiRoot = (vscode.workspace.workspaceFolders || []).length > 1;
+    const folderLabel = multiRoot && workspaceFolder ? `\nCarpeta: ${path.basename(workspaceFolder)}` : '';
 
-                if (trimmed.startsWith('{') && trimmed.endsWith('}')) {
-                    historyData = JSON.parse(trimmed);
-                } else {
-                    const start = trimmed.indexOf('{');
-                    const end = trimmed.lastIndexOf('}');
-                    if (start !== -1 && end !== -1 && end > start) {
-                        const jsonBlock = trimmed.slice(start, end + 1);
-                        historyData = JSON.parse(jsonBlock);
-                    }
-                }
+    if (syncDetection.isSynced) {
+        const syncInfo = syncDetection.metadata?.sync_info || {};
+        const projectName = syncInfo.project_name || 'Proyecto desconocido';
+        const groupName = syncInfo.group_name || 'Grupo desconocido';
+        const syncDate = syncInfo.sync_date || 'Fecha desconocida';
 
-                if (historyData && historyData.status === 'success') {
-                    reportProgress(progress, 'Abriendo vista de historial...');
-                    outputChannel.appendLine(`\n✓ Historial obtenido exitosamente`);
-                    outputChannel.appendLine(`  Total de ejecuciones: ${historyData.total_count}`);
-                    createHistoryWebView(historyData, context, workflowId);
-                    resolve();
-                } else {
-                    throw new Error('Respuesta inválida del comando get-history');
-                }
-            } catch (error) {
-                const formatted = formatExecError(error);
-                outputChannel.appendLine(`\n❌ Error:\n${formatted.message}`);
-                if (error?.stack) {
-                    outputChannel.appendLine(`Stack:\n${error.stack}`);
-                }
-                vscode.window.showErrorMessage(`Error al obtener historial: ${error.message}`);
-                reject(error);
-            }
-        });
-    } catch (error) {
-        outputChannel.appendLine(`\n❌ Error: ${error.message}`);
-        vscode.window.showErrorMessage(`Error: ${error.message}`);
+        statusBarItem.text = 'Py2Rocket $(cloud)';
+        statusBarItem.tooltip = `Py2Rocket sincronizado${folderLabel}\nProyecto: ${projectName}\nGrupo: ${groupName}\nÚltima sync: ${syncDate}`;
+    } else {
+        statusBarItem.text = 'Py2Rocket $(circle-slash)';
+        statusBarItem.tooltip = `Py2Rocket: Workspace no sincronizado${folderLabel}`;
     }
 }
 
 /**
- * Comando: Request Execution
- * Abre un formulario para solicitar la ejecución de un workflow
- * Obtiene los parámetros reales del paquete/módulo
+ * Muestra el perfil de entorno activo en la barra de estado (oculto si no hay perfiles)
  */
-async function requestExecutionCommand(outputChannel, context, progress) {
-    reportProgress(progress, 'Validando archivo y workflow...');
-    const filePath = getActiveFilePath();
-    if (!filePath) return;
-
-    try {
-        // Leer contenido del archivo
-        const fileContent = fs.readFileSync(filePath, 'utf-8');
-        const workflowId = extractWorkflowId(fileContent);
+function updateProfileStatusBar() {
+    if (!profileStatusBarItem) return;
 
-        if (!workflowId) {
-            vscode.window.showErrorMessage('No se encontró workflow_id en el archivo');
-            return;
-        }
+    const profiles = getProfiles();
+    const activeProfile = getActiveProfile();
+    if (profiles.length === 0 && !activeProfile) {
+        profileStatusBarItem.hide();
+        return;
+    }
 
-        maybeShowOutput(outputChannel);
-        outputChannel.appendLine(`\n${'='.repeat(60)}`);
-        outputChannel.appendLine(`Obteniendo parámetros de ejecución: ${workflowId}`);
-        outputChannel.appendLine(`${'='.repeat(60)}\n`);
+    if (activeProfile) {
+        profileStatusBarItem.text = `$(server-environment) ${activeProfile.name}`;
+        profileStatusBarItem.tooltip = [
+            `Py2Rocket: perfil ${activeProfile.name}`,
+            activeProfile.rocketUrl ? `Rocket: ${activeProfile.rocketUrl}` : null,
+            activeProfile.projectId ? `Proyecto: ${activeProfile.projectId}` : null,
+            'Clic para cambiar de perfil'
+        ].filter(Boolean).join('\n');
+    } else {
+        profileStatusBarItem.text = '$(server-environment) Sin perfil';
+        profileStatusBarItem.tooltip = 'Py2Rocket: se usa el .env del workspace\nClic para elegir un perfil';
+    }
+    profileStatusBarItem.show();
+}
 
-        const pythonCommand = getPythonCommand();
-        const workspaceFolder = vscode.workspace.workspaceFolders?.[0]?.uri.fsPath;
-        const command = `${pythonCommand} -m py2rocket run-view-parameters "${workflowId}" -j`;
-        const commandWorkingDir = resolvePy2RocketWorkingDir(filePath);
-        reportProgress(progress, 'Obteniendo parámetros del workflow...');
-
-        const execOptions = {
-            cwd: commandWorkingDir,
-            shell: true,
-            env: {
-                ...process.env,
-                PYTHONIOENCODING: 'utf-8'
-            }
-        };
+/**
+ * Comprueba el envFile de un perfil en cada carpeta del workspace: un envFile relativo se
+ * resuelve, como en getRunnerOptions, contra la carpeta de workspace del archivo sobre el que se opera
+ * @param {Object} profile
+ * @returns {string|null} Mensaje de error (los de todas las carpetas en las que falta), o null
+ */
+function checkProfileEnvFileInWorkspace(profile) {
+    const folders = (vscode.workspace.workspaceFolders || []).map(folder => folder.uri.fsPath);
+    const problems = new Set((folders.length > 0 ? folders : [undefined])
+        .map(folder => checkProfileEnvFile(profile, folder))
+        .filter(Boolean));
+    return problems.size > 0 ? [...problems].join('; ') : null;
+}
 
-        const venvPath = path.join(workspaceFolder, '.venv', 'Scripts');
-        if (fs.existsSync(venvPath)) {
-            execOptions.env.PATH = venvPath + path.delimiter + execOptions.env.PATH;
+/**
+ * Comando: Select Environment Profile
+ * Cambia el perfil de entorno usado por todas las ejecuciones de py2rocket
+ */
+async function selectProfileCommand(outputChannel) {
+    const profiles = getProfiles();
+    if (profiles.length === 0) {
+        const choice = await vscode.window.showInformationMessage(
+            'No hay perfiles de entorno definidos (py2rocket.profiles)',
+            'Configurar perfiles'
+        );
+        if (choice === 'Configurar perfiles') {
+            vscode.commands.executeCommand('workbench.action.openSettings', 'py2rocket.profiles');
         }
+        return;
+    }
 
-        return new Promise((resolve, reject) => {
-            const { execSync } = require('child_process');
-            try {
-                const output = execSync(command, {
-                    ...execOptions,
-                    encoding: 'utf-8'
-                });
+    const activeName = getActiveProfile()?.name;
+    const items = [
+        {
+            label: `${activeName ? '' : '$(check) '}Sin perfil`,
+            description: 'Usar solo el .env del workspace',
+            profileName: null
+        },
+        ...profiles.map(profile => ({
+            label: `${profile.name === activeName ? '$(check) ' : ''}${profile.name}`,
+            description: profile.rocketUrl || '',
+            detail: profile.projectId ? `Proyecto: ${profile.projectId}` : undefined,
+            profileName: profile.name
+        }))
+    ];
+
+    const selected = await vscode.window.showQuickPick(items, {
+        placeHolder: 'Selecciona el perfil de entorno de Rocket'
+    });
+    if (!selected) return;
 
-                const paramData = parseJsonFromCommandOutput(output);
-                if (!paramData || paramData.status !== 'success') {
-                    throw new Error(paramData?.message || 'Respuesta inválida en run-view-parameters');
-                }
+    const envFileProblem = checkProfileEnvFileInWorkspace(profiles.find(profile => profile.name === selected.profileName));
+    if (envFileProblem) {
+        outputChannel.appendLine(`❌ ${envFileProblem}`);
+        vscode.window.showErrorMessage(`${envFileProblem}. Corrige "envFile" en py2rocket.profiles antes de activarlo`);
+        return;
+    }
 
-                const currentParamsLists = getCurrentPipelineParamsLists(filePath);
-                const parsedConfig = buildExecutionConfigFromRunView(paramData, currentParamsLists);
-                const executionConfig = {
-                    ...parsedConfig,
-                    projectIdDefault: process.env.PROJECT_ID || '',
-                    filePath,
-                    outputChannel
-                };
+    await profileState.update(ACTIVE_PROFILE_KEY, selected.profileName || undefined);
+    updateProfileStatusBar();
 
-                reportProgress(progress, 'Abriendo formulario de ejecución...');
-                outputChannel.appendLine('✓ Parámetros obtenidos exitosamente (etapa 1)');
-                createExecutionWebView(workflowId, context, executionConfig);
-                resolve();
-            } catch (error) {
-                const formatted = formatExecError(error);
-                outputChannel.appendLine(`\n❌ Error obteniendo parámetros de ejecución:\n${formatted.message}`);
+    const label = selected.profileName || 'sin perfil';
+    outputChannel.appendLine(`Perfil de entorno activo: ${label}`);
+    vscode.window.setStatusBarMessage(`Py2Rocket: perfil ${label}`, 3000);
+}
 
-                const shortReason = formatted.stderr || formatted.stdout || error.message;
-                const shortLine = String(shortReason).split(/\r?\n/).find(line => line.trim()) || error.message;
-                vscode.window.showErrorMessage(`No se pudieron obtener los parámetros del workflow: ${shortLine}`);
-                reject(error);
+/**
+ * Advierte si el envFile del perfil activo no existe (al guardar py2rocket.profiles)
+ * @param {vscode.OutputChannel} outputChannel
+ */
+function warnIfActiveProfileEnvFileMissing(outputChannel) {
+    const envFileProblem = checkProfileEnvFileInWorkspace(getActiveProfile());
+    if (!envFileProblem) return;
+
+    outputChannel.appendLine(`⚠️  ${envFileProblem}`);
+    vscode.window.showWarningMessage(`${envFileProblem}. Los comandos de py2rocket fallarán hasta corregirlo`, 'Configurar perfiles')
+        .then(choice => {
+            if (choice === 'Configurar perfiles') {
+                vscode.commands.executeCommand('workbench.action.openSettings', 'py2rocket.profiles');
             }
         });
-    } catch (error) {
-        outputChannel.appendLine(`\n❌ Error: ${error.message}`);
-        vscode.window.showErrorMessage(`Error: ${error.message}`);
-    }
 }
 
 /**
- * Comando: Refresh Folder
- * Descarga y actualiza los assets de una carpeta específica seleccionada en el explorador
- * Lee la configuración de .py2rocket de la raíz del workspace
- * @param {vscode.Uri} folderUri - URI de la carpeta seleccionada en el explorador
+ * Comando: Set API Key
+ * Guarda la API key de Rocket del perfil activo en SecretStorage
  */
-async function refreshFolderCommand(folderUri, outputChannel, progress) {
-    reportProgress(progress, 'Validando carpeta seleccionada...');
-    if (!folderUri || !folderUri.fsPath) {
-        vscode.window.showErrorMessage('No se especificó una carpeta para actualizar');
+async function setApiKeyCommand(outputChannel) {
+    const profileName = getActiveProfile()?.name || '';
+    const profileLabel = profileName ? `el perfil "${profileName}"` : 'el workspace (sin perfil)';
+
+    const apiKey = await vscode.window.showInputBox({
+        title: 'Py2Rocket: Set API Key',
+        prompt: `API key de Rocket para ${profileLabel}`,
+        password: true,
+        ignoreFocusOut: true,
+        validateInput: value => (value && value.trim() ? null : 'La API key no puede estar vacía')
+    });
+    if (!apiKey) return;
+
+    await secretStorage.store(getApiKeySecretKey(profileName), apiKey.trim());
+    apiKeyCache.set(profileName, apiKey.trim());
+
+    outputChannel.appendLine(`✓ API key guardada de forma segura para ${profileLabel}`);
+    vscode.window.showInformationMessage(`✓ API key guardada para ${profileLabel}`);
+    warnIfApiKeyInWorkspaceEnv(outputChannel);
+}
+
+/**
+ * Comando: Clear Credentials
+ * Elimina de SecretStorage la API key del perfil activo o de todos los perfiles
+ */
+async function clearCredentialsCommand(outputChannel) {
+    if (apiKeyCache.size === 0) {
+        vscode.window.showInformationMessage('No hay credenciales de Py2Rocket guardadas');
         return;
     }
 
-    const selectedFolder = folderUri.fsPath;
-    const workspaceFolder = vscode.workspace.workspaceFolders?.[0]?.uri.fsPath;
+    const profileName = getActiveProfile()?.name || '';
+    const items = [];
+    if (apiKeyCache.has(profileName)) {
+        items.push({
+            label: profileName ? `Perfil "${profileName}"` : 'Workspace (sin perfil)',
+            description: 'Perfil activo',
+            profileNames: [profileName]
+        });
+    }
+    items.push({
+        label: 'Todas las credenciales',
+        description: `${apiKeyCache.size} guardada(s)`,
+        profileNames: [...apiKeyCache.keys()]
+    });
 
-    if (!workspaceFolder) {
-        vscode.window.showErrorMessage('No hay una carpeta de trabajo abierta');
-        return;
+    const selected = await vscode.window.showQuickPick(items, {
+        placeHolder: 'Selecciona las credenciales a eliminar'
+    });
+    if (!selected) return;
+
+    for (const name of selected.profileNames) {
+        await secretStorage.delete(getApiKeySecretKey(name));
+        apiKeyCache.delete(name);
     }
 
-    // Validar que exista archivo .py2rocket en la raíz del workspace
-    const py2rocketFile = path.join(workspaceFolder, '.py2rocket');
-    if (!fs.existsSync(py2rocketFile)) {
-        vscode.window.showErrorMessage('Este workspace no está sincronizado (.py2rocket no encontrado en la raíz)');
-        return;
+    outputChannel.appendLine(`✓ Credenciales eliminadas: ${selected.label}`);
+    vscode.window.showInformationMessage(`✓ Credenciales eliminadas: ${selected.label}`);
+}
+
+/**
+ * Lee el workflow_id de un archivo .py (null si no es un workflow)
+ * @param {string} filePath
+ * @returns {Promise<string|null>}
+ */
+async function readWorkflowId(filePath) {
+    try {
+        return extractWorkflowId(await fs.promises.readFile(filePath, 'utf-8'));
+    } catch {
+        return null;
+    }
+}
+
+/**
+ * Obtiene de Rocket los workflows del grupo sincronizado de un proyecto: py2rocket no tiene
+ * un comando de listado, así que se hace `py2rocket sync` del grupo en un directorio temporal
+ * y se leen los workflow_id de los .py descargados
+ * @param {{folder: vscode.WorkspaceFolder, syncInfo: Object}} project - Nodo de proyecto del explorador
+ * @param {vscode.OutputChannel} outputChannel
+ * @param {vscode.CancellationToken} [token]
+ * @returns {Promise<{id: string, name: string}[]>}
+ */
+async function fetchRemoteWorkflows(project, outputChannel, token = null) {
+    const groupName = (project.syncInfo.group_name || '').trim();
+    if (!groupName) {
+        throw new Error('No se encontró group_name en .py2rocket');
     }
 
+    const workspaceFolder = project.folder.uri.fsPath;
+    const tempDir = createOperationTempDir('remote', path.join(workspaceFolder, '.py2rocket'));
     try {
-        const metadataContent = fs.readFileSync(py2rocketFile, 'utf-8');
-        const metadata = JSON.parse(metadataContent);
-        const syncInfo = metadata.sync_info || {};
-        const groupId = (syncInfo.group_id || '').trim();
-        const groupName = (syncInfo.group_name || '').trim();
+        await executePy2RocketCommand('sync', [groupName, '--output', tempDir], workspaceFolder, outputChannel, {
+            workingDir: workspaceFolder,
+            token,
+            quiet: true
+        });
+        const files = await collectPythonFiles([vscode.Uri.file(tempDir)]);
+        const workflowIds = await Promise.all(files.map(readWorkflowId));
+        return files
+            .map((filePath, index) => ({ id: workflowIds[index], name: path.basename(filePath, '.py') }))
+            .filter(workflow => workflow.id);
+    } finally {
+        removeOperationTempDir(tempDir);
+    }
+}
 
-        if (!groupId) {
-            vscode.window.showErrorMessage('No se encontró group_id en .py2rocket');
-            return;
+/**
+ * Crea el TreeDataProvider del explorador de Rocket: proyecto → grupos → workflows
+ * @returns {vscode.TreeDataProvider<any> & {refresh: (delayMs?: number) => void, handleFileChange: (uri: vscode.Uri) => Promise<void>, setRemoteWorkflows: (folderPath: string, workflows: {id: string, name: string}[]) => void, getProjectNodes: () => any[], dispose: () => void}}
+ */
+function createRocketExplorerProvider() {
+    const changeEmitter = new vscode.EventEmitter();
+    // Agrupa ráfagas de eventos del file watcher (sync, Build All...) en un solo refresco
+    let refreshTimer = null;
+    // Workflows de cada proyecto (carpeta -> Promise<Map<archivo, workflow_id>>), válido hasta el siguiente refresco
+    let projectScans = new Map();
+    // Última consulta a Rocket de cada proyecto (carpeta -> {checkedAt, workflows}); se descarta con cada sync
+    const remoteWorkflows = new Map();
+
+    const getProjectNodes = () => (vscode.workspace.workspaceFolders || [])
+        .map(folder => ({ folder, syncDetection: detectSyncWorkspace(folder.uri.fsPath) }))
+        .filter(({ syncDetection }) => syncDetection.isSynced)
+        .map(({ folder, syncDetection }) => ({
+            type: 'project',
+            folder,
+            metadata: syncDetection.metadata,
+            syncInfo: syncDetection.metadata?.sync_info || {}
+        }));
+
+    const scanProject = (folder) => {
+        const folderPath = folder.uri.fsPath;
+        if (!projectScans.has(folderPath)) {
+            projectScans.set(folderPath, (async () => {
+                const files = await collectPythonFiles([folder.uri]);
+                const workflowIds = await Promise.all(files.map(readWorkflowId));
+                return new Map(files.map((filePath, index) => [filePath, workflowIds[index]]).filter(([, id]) => id));
+            })());
         }
+        return projectScans.get(folderPath);
+    };
 
-        // Obtener nombre relativo de la carpeta seleccionada
-        const relativePath = path.relative(workspaceFolder, selectedFolder);
-        const folderDisplayName = path.basename(selectedFolder);
+    // Solo se marcan como "solo en Rocket" los workflows de la última consulta a Rocket
+    // (Check Remote Workflows) que no están en local; sin consulta no se marca ninguno
+    const getRemoteOnlyWorkflows = (project, scan) => {
+        const remote = remoteWorkflows.get(project.folder.uri.fsPath);
+        if (!remote) return [];
+
+        const localIds = new Set(scan.values());
+        return remote.workflows
+            .filter(workflow => !localIds.has(workflow.id))
+            .sort((a, b) => a.name.localeCompare(b.name))
+            .map(workflow => ({ type: 'remoteWorkflow', checkedAt: remote.checkedAt, ...workflow }));
+    };
 
-        const confirm = await vscode.window.showWarningMessage(
-            `¿Actualizar carpeta '${folderDisplayName}'?\nSe borrará el contenido y se descargarán los assets.`,
-            { modal: true },
-            'Actualizar'
-        );
+    const getGroupChildren = async (node) => {
+        let entries = [];
+        try {
+            entries = await fs.promises.readdir(node.dirPath, { withFileTypes: true });
+        } catch {
+            return [];
+        }
 
-        if (confirm !== 'Actualizar') return;
+        const groups = entries
+            .filter(entry => entry.isDirectory() && !entry.name.startsWith('.') && !BATCH_SKIPPED_DIRS.has(entry.name))
+            .sort((a, b) => a.name.localeCompare(b.name))
+            .map(entry => ({
+                type: 'group',
+                label: entry.name,
+                dirPath: path.join(node.dirPath, entry.name),
+                folder: node.folder
+            }));
 
-        reportProgress(progress, 'Limpiando contenido local de la carpeta...');
-        maybeShowOutput(outputChannel);
-        outputChannel.appendLine(`\n${'='.repeat(60)}`);
-        outputChannel.appendLine(`Actualizando carpeta: ${folderDisplayName}`);
-        outputChannel.appendLine(`Ruta relativa: ${relativePath}`);
-        outputChannel.appendLine(`Ruta completa: ${selectedFolder}`);
-        outputChannel.appendLine(`Group ID: ${groupId}`);
-        outputChannel.appendLine(`${'='.repeat(60)}\n`);
+        const scan = await scanProject(node.folder);
+        const workflows = [...scan]
+            .filter(([filePath]) => path.dirname(filePath) === node.dirPath)
+            .sort(([a], [b]) => path.basename(a).localeCompare(path.basename(b)))
+            .map(([filePath, workflowId]) => ({ type: 'workflow', filePath, workflowId }));
 
-        // Borra contenido excepto .py2rocket (si existe en esta carpeta)
-        const py2rocketInFolder = path.join(selectedFolder, '.py2rocket');
-        const excludeFiles = fs.existsSync(py2rocketInFolder) ? ['.py2rocket'] : [];
-        const files = fs.readdirSync(selectedFolder);
+        // Los workflows que solo existen en Rocket se muestran en el grupo raíz
+        const remoteOnly = node.project ? getRemoteOnlyWorkflows(node.project, scan) : [];
 
-        let deleteErrors = [];
-        for (const file of files) {
-            if (excludeFiles.includes(file)) continue;
-            const filePath = path.join(selectedFolder, file);
-            try {
-                const stat = fs.statSync(filePath);
-                if (stat.isDirectory()) {
-                    fs.rmSync(filePath, { recursive: true, force: true });
-                } else {
-                    fs.unlinkSync(filePath);
-                }
-            } catch (err) {
-                deleteErrors.push(`  ⚠️  No se pudo borrar ${file}: ${err.message}`);
+        return [...groups, ...workflows, ...remoteOnly];
+    };
+
+    const refresh = (delayMs = 300) => {
+        clearTimeout(refreshTimer);
+        refreshTimer = setTimeout(() => {
+            projectScans = new Map();
+            changeEmitter.fire();
+        }, delayMs);
+    };
+
+    return {
+        onDidChangeTreeData: changeEmitter.event,
+
+        refresh,
+
+        getProjectNodes,
+
+        /**
+         * Guarda los workflows que hay en Rocket para un proyecto y actualiza el árbol
+         * @param {string} folderPath
+         * @param {{id: string, name: string}[]} workflows
+         */
+        setRemoteWorkflows(folderPath, workflows) {
+            remoteWorkflows.set(folderPath, { checkedAt: new Date(), workflows });
+            refresh(0);
+        },
+
+        /**
+         * Evento del file watcher: al guardar un .py solo se refresca si cambia su workflow_id
+         * @param {vscode.Uri} uri
+         */
+        async handleFileChange(uri) {
+            if (path.basename(uri.fsPath) === '.py2rocket') {
+                // Tras una sync la consulta anterior a Rocket deja de ser válida
+                const changedFolder = vscode.workspace.getWorkspaceFolder(uri);
+                if (changedFolder) remoteWorkflows.delete(changedFolder.uri.fsPath);
+                refresh(EXPLORER_WATCHER_DEBOUNCE_MS);
+                return;
             }
-        }
 
-        if (deleteErrors.length > 0) {
-            outputChannel.appendLine('✓ Contenido borrado (con algunas advertencias)\n');
-            deleteErrors.forEach(msg => outputChannel.appendLine(msg));
-            outputChannel.appendLine('');
-        } else {
-            outputChannel.appendLine('✓ Contenido borrado\n');
-        }
+            const folder = vscode.workspace.getWorkspaceFolder(uri);
+            const scanPromise = folder && projectScans.get(folder.uri.fsPath);
+            // Sin escaneo previo el árbol de esa carpeta aún no se ha expandido
+            if (!scanPromise) return;
 
-        // Realiza sync del grupo en la carpeta seleccionada
-        // Mapear la carpeta local seleccionada al grupo completo en Rocket
-        const relativePathParts = relativePath.split(path.sep).filter(p => p);
-        const groupNameParts = splitGroupPath(groupName);
+            const scan = await scanPromise;
+            const workflowId = await readWorkflowId(uri.fsPath);
+            if ((scan.get(uri.fsPath) || null) !== workflowId) {
+                refresh(EXPLORER_WATCHER_DEBOUNCE_MS);
+            }
+        },
 
-        // Encontrar dónde empieza el subgrupo comparando las últimas partes
-        let subgroupParts = [];
-        if (groupNameParts.length > 0) {
-            const lastGroupPart = groupNameParts[groupNameParts.length - 1];
-            const indexOfGroupPart = relativePathParts.indexOf(lastGroupPart);
-            if (indexOfGroupPart >= 0) {
-                // Las partes después de la carpeta del grupo son el subgrupo
-                subgroupParts = relativePathParts.slice(indexOfGroupPart + 1);
+        dispose() {
+            clearTimeout(refreshTimer);
+            changeEmitter.dispose();
+        },
+
+        getTreeItem(node) {
+            if (node.type === 'project') {
+                const multiRoot = (vscode.workspace.workspaceFolders || []).length > 1;
+                const item = new vscode.TreeItem(node.syncInfo.project_name || node.folder.name, vscode.TreeItemCollapsibleState.Expanded);
+                item.iconPath = new vscode.ThemeIcon('rocket');
+                item.description = multiRoot ? node.folder.name : undefined;
+                item.tooltip = `Proyecto: ${node.syncInfo.project_name || 'desconocido'}\nÚltima sync: ${node.syncInfo.sync_date || 'desconocida'}`;
+                item.contextValue = 'py2rocketProject';
+                return item;
             }
-        }
 
-        // Construir el grupo completo
-        let fullGroupPath = groupName;
-        if (subgroupParts.length > 0) {
-            fullGroupPath = fullGroupPath + '/' + subgroupParts.join('/');
-        }
+            if (node.type === 'group') {
+                const item = new vscode.TreeItem(node.label, node.project ? vscode.TreeItemCollapsibleState.Expanded : vscode.TreeItemCollapsibleState.Collapsed);
+                item.iconPath = new vscode.ThemeIcon('folder');
+                item.resourceUri = vscode.Uri.file(node.dirPath);
+                item.tooltip = node.dirPath;
+                item.contextValue = 'py2rocketGroup';
+                return item;
+            }
 
-        const pythonCommand = getPythonCommand();
-        const syncCommand = `${pythonCommand} -m py2rocket sync "${fullGroupPath}" --output "."`;
+            if (node.type === 'remoteWorkflow') {
+                const item = new vscode.TreeItem(node.name, vscode.TreeItemCollapsibleState.None);
+                item.iconPath = new vscode.ThemeIcon('cloud');
+                item.description = 'solo en Rocket';
+                item.tooltip = `Existe en Rocket (consultado a las ${node.checkedAt.toLocaleTimeString('es-ES')}) pero no en local\nworkflow_id: ${node.id}\nUsa Refresh Folder para descargarlo`;
+                item.contextValue = 'py2rocketRemoteWorkflow';
+                return item;
+            }
 
-        reportProgress(progress, 'Sincronizando assets desde Rocket...');
-        await executePy2RocketCommand(syncCommand, selectedFolder, outputChannel, selectedFolder);
+            const uri = vscode.Uri.file(node.filePath);
+            const item = new vscode.TreeItem(path.basename(node.filePath, '.py'), vscode.TreeItemCollapsibleState.None);
+            item.iconPath = new vscode.ThemeIcon('symbol-event');
+            item.resourceUri = uri;
+            item.tooltip = `${node.filePath}\nworkflow_id: ${node.workflowId}`;
+            item.contextValue = 'py2rocketWorkflow';
+            item.command = { command: 'vscode.open', title: 'Abrir workflow', arguments: [uri] };
+            return item;
+        },
 
-        // Si py2rocket creó una subcarpeta con el nombre del grupo, mover su contenido hacia arriba
-        const lastGroupPart = fullGroupPath.split('/').filter(p => p).pop();
-        const createdSubfolder = path.join(selectedFolder, lastGroupPart);
-        if (lastGroupPart && fs.existsSync(createdSubfolder) && createdSubfolder !== selectedFolder) {
-            try {
-                reportProgress(progress, 'Reorganizando estructura de carpetas...');
-                const subfolderFiles = fs.readdirSync(createdSubfolder);
-                for (const file of subfolderFiles) {
-                    const fromPath = path.join(createdSubfolder, file);
-                    const toPath = path.join(selectedFolder, file);
-                    fs.renameSync(fromPath, toPath);
-                }
-                // Eliminar la subcarpeta vacía
-                fs.rmdirSync(createdSubfolder);
-                outputChannel.appendLine('✓ Estructura de carpetas reorganizada\n');
-            } catch (err) {
-                outputChannel.appendLine(`⚠️  No se pudo reorganizar carpetas: ${err.message}\n`);
+        async getChildren(node) {
+            if (!node) {
+                return getProjectNodes();
+            }
+            if (node.type === 'project') {
+                return [{
+                    type: 'group',
+                    label: node.syncInfo.group_name || node.folder.name,
+                    dirPath: node.folder.uri.fsPath,
+                    folder: node.folder,
+                    project: node
+                }];
             }
+            if (node.type === 'group') {
+                return getGroupChildren(node);
+            }
+            return [];
         }
-
-        vscode.window.showInformationMessage(`✓ Carpeta '${folderDisplayName}' actualizada`);
-    } catch (error) {
-        outputChannel.appendLine(`\n❌ Error: ${error.message}`);
-        vscode.window.showErrorMessage(`Error al actualizar: ${error.message}`);
-    }
+    };
 }
 
 /**
- * Comando: Create Group
- * Crea un grupo en Rocket y la carpeta local correspondiente
+ * Comando: Check Remote Workflows
+ * Consulta en Rocket los workflows de cada proyecto (o del indicado) para marcar en el explorador
+ * los que solo existen en Rocket
+ * @param {any} node - Nodo de proyecto del explorador (undefined: todos los proyectos)
  */
-async function createGroupCommand(folderUri, outputChannel, progress) {
-    reportProgress(progress, 'Validando estado del workspace...');
-    const workspaceFolder = vscode.workspace.workspaceFolders?.[0]?.uri.fsPath;
-    if (!workspaceFolder) {
-        vscode.window.showErrorMessage('No hay una carpeta de trabajo abierta');
+async function checkRemoteWorkflowsCommand(node, rocketExplorer, outputChannel, progress, token) {
+    const projects = node?.type === 'project' ? [node] : rocketExplorer.getProjectNodes();
+    if (projects.length === 0) {
+        vscode.window.showWarningMessage('No hay carpetas sincronizadas con Rocket en este workspace');
         return;
     }
 
-    const syncDetection = detectSyncWorkspace();
-    if (!syncDetection.isSynced) {
-        vscode.window.showErrorMessage('Este workspace no está sincronizado (.py2rocket)');
-        return;
+    for (const project of projects) {
+        const projectName = project.syncInfo.project_name || project.folder.name;
+        reportProgress(progress, `Consultando workflows de ${projectName} en Rocket...`);
+        try {
+            const workflows = await fetchRemoteWorkflows(project, outputChannel, token);
+            rocketExplorer.setRemoteWorkflows(project.folder.uri.fsPath, workflows);
+            outputChannel.appendLine(`✓ ${projectName}: ${workflows.length} workflow(s) en Rocket`);
+        } catch (error) {
+            if (isCancellationError(error)) throw error;
+            outputChannel.appendLine(`\n❌ Error al consultar ${projectName} en Rocket: ${error.message}`);
+            vscode.window.showErrorMessage(`Error al consultar ${projectName} en Rocket: ${error.message}`);
+        }
     }
+}
 
-    const syncInfo = syncDetection.metadata?.sync_info || {};
-    const baseGroupName = (syncInfo.group_name || '').trim();
-    if (!baseGroupName) {
-        vscode.window.showErrorMessage('No se encontró group_name en .py2rocket');
-        return;
-    }
+/**
+ * Convierte un nodo de grupo del explorador de Rocket en la URI de su carpeta
+ * @param {any} target - Nodo del explorador o vscode.Uri del explorador de archivos
+ * @returns {vscode.Uri|undefined}
+ */
+function toFolderUri(target) {
+    return target?.dirPath ? vscode.Uri.file(target.dirPath) : target;
+}
 
-    // Determinar la ruta base desde la que se está creando el grupo
-    let selectedFolder = workspaceFolder;
-    let relativePath = '';
-    if (folderUri && folderUri.fsPath) {
-        selectedFolder = folderUri.fsPath;
-        relativePath = path.relative(workspaceFolder, selectedFolder);
-    }
+/**
+ * Abre el workflow indicado por un nodo del explorador (o URI) para que los comandos
+ * que trabajan sobre el editor activo lo usen como destino
+ * @param {any} target - Nodo del explorador, vscode.Uri o undefined (editor activo)
+ */
+async function revealWorkflowTarget(target) {
+    const filePath = target?.filePath || (target instanceof vscode.Uri ? target.fsPath : null);
+    if (!filePath) return;
 
-    const groupInput = await vscode.window.showInputBox({
-        prompt: 'Nombre del nuevo grupo ',
-        placeHolder: 'nuevo',
-        ignoreFocusOut: true
-    });
+    const activeDocument = vscode.window.activeTextEditor?.document;
+    if (activeDocument?.uri.fsPath === filePath) return;
 
-    if (!groupInput) return;
+    await vscode.window.showTextDocument(vscode.Uri.file(filePath), { preview: false });
+}
 
-    const inputParts = splitGroupPath(groupInput);
-    if (!isSafeGroupParts(inputParts)) {
-        vscode.window.showErrorMessage('El nombre del grupo contiene segmentos invalidos');
-        return;
+/**
+ * Guarda las ejecuciones seguidas para retomar el seguimiento al recargar VS Code
+ */
+function persistMonitoredExecutions() {
+    executionMonitor.context?.workspaceState.update(
+        MONITORED_EXECUTIONS_KEY,
+        [...executionMonitor.executions.values()]
+    );
+    executionMonitor.changeEmitter?.fire();
+}
+
+/**
+ * Intervalo de consulta del monitor de ejecuciones
+ * @returns {number} milisegundos
+ */
+function getExecutionPollIntervalMs() {
+    const config = vscode.workspace.getConfiguration('py2rocket');
+    const seconds = Number(config.get('executionMonitor.pollIntervalSeconds', 15));
+    return Math.max(5, Number.isFinite(seconds) ? seconds : 15) * 1000;
+}
+
+/**
+ * Indica si una ejecución seguida ya no necesita consultas
+ * (estado final de Rocket, ejecución que no aparece en el historial o envío sin id)
+ * @param {Object} entry
+ * @returns {boolean}
+ */
+function isExecutionFinished(entry) {
+    return isTerminalState(entry.state) || entry.state === 'NotFound' || entry.state === 'Unidentified';
+}
+
+/**
+ * Empieza a seguir una ejecución enviada a Rocket
+ * @param {{executionId: string|null, workflowId: string, filePath: string, name: string, submittedAt: number}} submission
+ */
+function trackExecution(submission) {
+    const outputChannel = executionMonitor.outputChannel;
+    const key = submission.executionId || `unidentified-${submission.submittedAt}-${Math.floor(Math.random() * 10000)}`;
+    // Sin id no se adivina cuál es en el historial: otro envío cercano (propio o de otra persona)
+    // haría seguir la ejecución equivocada y notificar un resultado que no es el suyo
+    const state = submission.executionId ? 'Submitted' : 'Unidentified';
+
+    executionMonitor.executions.set(key, {
+        key,
+        ...submission,
+        state,
+        lastUpdateDate: null,
+        transitions: [{ state, at: new Date(submission.submittedAt).toISOString() }],
+        lastError: null
+    });
+
+    if (outputChannel) {
+        outputChannel.appendLine(submission.executionId
+            ? `👁 Siguiendo la ejecución ${submission.executionId}`
+            : '⚠️  py2rocket run no informó el id de la ejecución; no se sigue su estado (búscala en el historial)');
     }
 
-    // Construir el nombre completo del grupo basado en la carpeta seleccionada
-    const relativePathParts = relativePath.split(path.sep).filter(p => p);
-    const groupNameParts = splitGroupPath(baseGroupName);
+    persistMonitoredExecutions();
+    scheduleExecutionPoll(5000);
+}
 
-    let subgroupParts = [];
-    if (groupNameParts.length > 0) {
-        const lastGroupPart = groupNameParts[groupNameParts.length - 1];
-        const indexOfGroupPart = relativePathParts.indexOf(lastGroupPart);
-        if (indexOfGroupPart >= 0) {
-            subgroupParts = relativePathParts.slice(indexOfGroupPart + 1);
+/**
+ * Programa la siguiente consulta si hay ejecuciones activas
+ * @param {number} [delayMs]
+ */
+function scheduleExecutionPoll(delayMs = getExecutionPollIntervalMs()) {
+    if (executionMonitor.timer) return;
+    const hasActive = [...executionMonitor.executions.values()].some(entry => !isExecutionFinished(entry));
+    if (!hasActive) return;
+
+    executionMonitor.timer = setTimeout(() => {
+        pollMonitoredExecutions()
+            .catch(error => executionMonitor.outputChannel?.appendLine(`⚠️  Monitor de ejecuciones: ${error.message}`))
+            .finally(() => {
+                executionMonitor.timer = null;
+                scheduleExecutionPoll();
+            });
+    }, delayMs);
+}
+
+/**
+ * Consulta get-history (una vez por workflow) y actualiza el estado de las ejecuciones activas
+ */
+async function pollMonitoredExecutions() {
+    const outputChannel = executionMonitor.outputChannel;
+    const active = [...executionMonitor.executions.values()].filter(entry => !isExecutionFinished(entry));
+    const byWorkflow = new Map();
+    active.forEach(entry => {
+        if (!byWorkflow.has(entry.workflowId)) byWorkflow.set(entry.workflowId, []);
+        byWorkflow.get(entry.workflowId).push(entry);
+    });
+
+    // Solo se guarda (y se refresca la vista) si alguna ejecución cambió
+    let changed = false;
+
+    for (const [workflowId, entries] of byWorkflow) {
+        let historyData;
+        try {
+            historyData = await fetchWorkflowHistory(workflowId, path.dirname(entries[0].filePath));
+        } catch (error) {
+            entries.forEach(entry => {
+                // Solo se registra cuando cambia el error para no llenar el canal en cada consulta
+                if (entry.lastError !== error.message) {
+                    outputChannel?.appendLine(`⚠️  No se pudo consultar el estado de ${entry.name}: ${error.message}`);
+                    entry.lastError = error.message;
+                    changed = true;
+                }
+            });
+            continue;
         }
-    }
 
-    let fullGroupName = baseGroupName + '/' + inputParts.join('/');
-    if (subgroupParts.length > 0) {
-        fullGroupName = baseGroupName + '/' + subgroupParts.join('/') + '/' + inputParts.join('/');
-    }
+        entries.forEach(entry => {
+            if (entry.lastError) {
+                entry.lastError = null;
+                changed = true;
+            }
 
-    const fullParts = splitGroupPath(fullGroupName);
-    if (!isSafeGroupParts(fullParts)) {
-        vscode.window.showErrorMessage('El nombre del grupo resultante es invalido');
-        return;
-    }
+            const execution = findExecution(historyData, entry.executionId);
+            if (!execution) return;
 
-    let projectName = (syncInfo.project_name || '').trim();
-    if (!projectName) {
-        projectName = await vscode.window.showInputBox({
-            prompt: 'Nombre del proyecto (PROJECT_NAME)',
-            placeHolder: 'MiProyecto',
-            ignoreFocusOut: true
+            const { state, lastUpdateDate } = getLatestExecutionState(execution);
+            if (state !== entry.state) {
+                updateExecutionState(entry, state, lastUpdateDate, historyData);
+                changed = true;
+            }
         });
-        if (!projectName) return;
     }
 
-    const localGroupDir = path.join(selectedFolder, ...inputParts);
+    if (changed) {
+        persistMonitoredExecutions();
+    }
+}
 
-    const confirm = await vscode.window.showInformationMessage(
-        `Crear grupo '${fullGroupName}' y carpeta local en '${localGroupDir}'?`,
-        { modal: true },
-        'Crear'
-    );
+/**
+ * Registra un cambio de estado y notifica si la ejecución terminó
+ * @param {Object} entry - Ejecución seguida
+ * @param {string} state
+ * @param {string|null} lastUpdateDate
+ * @param {any} historyData - Última respuesta de get-history (para abrir el historial)
+ */
+function updateExecutionState(entry, state, lastUpdateDate, historyData) {
+    entry.state = state;
+    entry.lastUpdateDate = lastUpdateDate;
+    entry.transitions.push({ state, at: lastUpdateDate || new Date().toISOString() });
+    executionMonitor.outputChannel?.appendLine(`[${new Date().toTimeString().slice(0, 8)}] Ejecución ${entry.name}: ${state}`);
+
+    if (!isTerminalState(state)) return;
+
+    const message = `Ejecución ${entry.name}: ${state}`;
+    const show = state === 'Completed'
+        ? vscode.window.showInformationMessage
+        : state === 'Failed' ? vscode.window.showErrorMessage : vscode.window.showWarningMessage;
+    show.call(vscode.window, message, 'Ver en historial').then(choice => {
+        if (choice === 'Ver en historial') {
+            createHistoryWebView(historyData, executionMonitor.context, entry.workflowId, {
+                filePath: entry.filePath,
+                outputChannel: executionMonitor.outputChannel,
+                highlightExecutionId: entry.executionId
+            });
+        }
+    });
+}
+
+/**
+ * Crea el TreeDataProvider de la vista de ejecuciones seguidas
+ * @returns {vscode.TreeDataProvider<any>}
+ */
+function createExecutionsViewProvider() {
+    const stateIcons = {
+        Submitted: new vscode.ThemeIcon('clock'),
+        Completed: new vscode.ThemeIcon('pass', new vscode.ThemeColor('testing.iconPassed')),
+        Failed: new vscode.ThemeIcon('error', new vscode.ThemeColor('testing.iconFailed')),
+        Stopped: new vscode.ThemeIcon('debug-stop'),
+        NotFound: new vscode.ThemeIcon('question'),
+        Unidentified: new vscode.ThemeIcon('question')
+    };
+
+    return {
+        onDidChangeTreeData: executionMonitor.changeEmitter.event,
+
+        getTreeItem(node) {
+            if (node.type === 'transition') {
+                const item = new vscode.TreeItem(node.state, vscode.TreeItemCollapsibleState.None);
+                item.description = formatHistoryDate(node.at);
+                return item;
+            }
 
-    if (confirm !== 'Crear') return;
+            const entry = node.entry;
+            const item = new vscode.TreeItem(entry.name, vscode.TreeItemCollapsibleState.Collapsed);
+            item.description = entry.state;
+            item.iconPath = stateIcons[entry.state] || new vscode.ThemeIcon('sync~spin');
+            item.tooltip = [
+                `Workflow: ${path.basename(entry.filePath)}`,
+                `Ejecución: ${entry.executionId || 'sin identificar (py2rocket run no informó el id; búscala en el historial)'}`,
+                `Estado: ${entry.state}`,
+                entry.lastError ? `Último error: ${entry.lastError}` : null
+            ].filter(Boolean).join('\n');
+            item.contextValue = entry.executionId ? 'py2rocketExecution' : 'py2rocketUnidentifiedExecution';
+            return item;
+        },
+
+        getChildren(node) {
+            if (!node) {
+                return [...executionMonitor.executions.values()]
+                    .sort((a, b) => b.submittedAt - a.submittedAt)
+                    .map(entry => ({ type: 'execution', entry }));
+            }
+            if (node.type === 'execution') {
+                return [...node.entry.transitions].reverse().map(transition => ({ type: 'transition', ...transition }));
+            }
+            return [];
+        }
+    };
+}
 
-    const pythonCommand = getPythonCommand();
-    const createCommand = `${pythonCommand} -m py2rocket create-group "${fullGroupName}" --project-name "${projectName}"`;
+/**
+ * Formatea una fecha ISO-8601 para mostrarla en las vistas
+ * @param {string} dateString
+ * @returns {string}
+ */
+function formatHistoryDate(dateString) {
+    if (!dateString) return 'N/A';
+    const date = new Date(dateString);
+    return isNaN(date.getTime()) ? 'N/A' : date.toLocaleString('es-ES');
+}
 
+/**
+ * Comando: abre el historial del workflow filtrado en una ejecución seguida
+ * @param {{entry: Object}} node - Nodo de la vista de ejecuciones
+ */
+async function openExecutionHistoryCommand(node, outputChannel, context, progress, token) {
+    const entry = node?.entry;
+    if (!entry?.executionId) return;
+
+    reportProgress(progress, 'Consultando historial en Rocket...');
     try {
-        reportProgress(progress, 'Creando grupo en Rocket...');
-        await executePy2RocketCommand(createCommand, path.join(workspaceFolder, '.py2rocket'), outputChannel, workspaceFolder);
-        reportProgress(progress, 'Creando carpeta local del grupo...');
-        fs.mkdirSync(localGroupDir, { recursive: true });
-        vscode.window.showInformationMessage(`✓ Carpeta creada: ${localGroupDir}`);
+        const historyData = await fetchWorkflowHistory(entry.workflowId, path.dirname(entry.filePath), { token });
+        createHistoryWebView(historyData, context, entry.workflowId, {
+            filePath: entry.filePath,
+            outputChannel,
+            highlightExecutionId: entry.executionId
+        });
     } catch (error) {
-        console.error('Error en create-group:', error);
+        if (isCancellationError(error)) throw error;
+        outputChannel.appendLine(`\n❌ Error al obtener historial: ${error.message}`);
+        vscode.window.showErrorMessage(`Error al obtener historial: ${error.message}`);
     }
 }
 
 /**
- * Crea un WebView panel para mostrar el grafo
- * @param {Object} graphData - Datos del grafo con nodes y edges
- * @param {vscode.ExtensionContext} context - Contexto de la extensión
- * @param {string} fileName - Nombre del archivo
+ * URI del documento virtual con los logs de una ejecución
+ * @param {string} executionId
+ * @returns {vscode.Uri}
  */
-function createGraphWebView(graphData, context, fileName) {
-    let targetColumn = vscode.ViewColumn.Beside;
+function getExecutionLogUri(executionId) {
+    return vscode.Uri.from({ scheme: LOG_SCHEME, path: `/${executionId}.log` });
+}
 
-    if (currentGraphPanel) {
-        targetColumn = currentGraphPanel.viewColumn || vscode.ViewColumn.Beside;
-        currentGraphPanel.dispose();
-        currentGraphPanel = undefined;
-    }
+/**
+ * Contenido del documento de logs: cabecera con el estado y el texto obtenido de py2rocket
+ * @param {Object} logEntry
+ * @returns {string}
+ */
+function formatExecutionLogDocument(logEntry) {
+    const running = !isExecutionFinished(logEntry);
+    const header = [
+        `# Ejecución: ${logEntry.executionId}`,
+        `# Estado: ${logEntry.state || 'Unknown'} · Actualizado: ${logEntry.fetchedAt ? logEntry.fetchedAt.toLocaleTimeString('es-ES') : 'N/A'}`
+            + (running ? ` · se actualiza cada ${Math.round(getExecutionPollIntervalMs() / 1000)} s mientras siga en curso` : ''),
+        logEntry.error ? `# No se pudieron obtener los logs: ${logEntry.error}` : null,
+        `# ${'─'.repeat(60)}`
+    ].filter(line => line !== null);
+
+    return `${header.join('\n')}\n${logEntry.text || (logEntry.error ? '' : '(sin logs)')}\n`;
+}
 
-    const panel = vscode.window.createWebviewPanel(
-        'py2rocketGraph',
-        `Grafo: ${fileName}`,
-        targetColumn,
-        {
-            enableScripts: true,
-            retainContextWhenHidden: true
-        }
-    );
+/**
+ * Obtiene de nuevo los logs (y el estado, si la ejecución seguía en curso) y actualiza el documento
+ * @param {string} uriKey - URI del documento de logs
+ * @param {vscode.CancellationToken} [token]
+ * @returns {Promise<boolean>} false si ya había una actualización en curso
+ */
+async function refreshExecutionLog(uriKey, token = null) {
+    const logEntry = executionLogs.documents.get(uriKey);
+    if (!logEntry || logEntry.loading) return false;
+    logEntry.loading = true;
 
-    currentGraphPanel = panel;
-    panel.onDidDispose(() => {
-        if (currentGraphPanel === panel) {
-            currentGraphPanel = undefined;
+    try {
+        const result = await runPy2Rocket('get-logs', buildLogArgs(logEntry.executionId), {
+            ...getRunnerOptions(path.dirname(logEntry.filePath), token),
+            timeoutMs: getOperationTimeoutMs('getLogs')
+        });
+        logEntry.text = extractLogText(result.stdout);
+        logEntry.error = null;
+        logEntry.unsupported = false;
+
+        if (!isExecutionFinished(logEntry)) {
+            // El monitor ya consulta el estado de las ejecuciones que sigue; el resto se consulta aquí
+            const tracked = [...executionMonitor.executions.values()].find(entry => entry.executionId === logEntry.executionId);
+            if (tracked) {
+                logEntry.state = tracked.state;
+            } else {
+                const historyData = await fetchWorkflowHistory(logEntry.workflowId, path.dirname(logEntry.filePath), { token });
+                const execution = findExecution(historyData, logEntry.executionId);
+                logEntry.state = execution ? getLatestExecutionState(execution).state : 'NotFound';
+            }
         }
-    }, null, context.subscriptions);
+    } catch (error) {
+        if (isCancellationError(error)) throw error;
+        logEntry.unsupported = isUnsupportedCommandError(error);
+        logEntry.error = isTimeoutError(error) ? `${error.message} (ajusta py2rocket.timeouts.getLogs)` : error.message;
+        executionMonitor.outputChannel?.appendLine(`⚠️  Logs de ${logEntry.executionId}: ${logEntry.error}`);
+    } finally {
+        logEntry.loading = false;
+        logEntry.fetchedAt = new Date();
+    }
 
-    panel.webview.html = getGraphHtml(graphData, fileName);
+    if ((isExecutionFinished(logEntry) || logEntry.unsupported) && logEntry.timer) {
+        clearInterval(logEntry.timer);
+        logEntry.timer = null;
+    }
+    executionLogs.changeEmitter?.fire(vscode.Uri.parse(uriKey));
+    return true;
 }
 
 /**
- * Genera el HTML para el WebView del grafo
- * @param {Object} graphData - Datos del grafo
- * @param {string} fileName - Nombre del archivo
- * @returns {string}
+ * Abre los logs de una ejecución en un documento de solo lectura;
+ * mientras siga en curso se actualizan periódicamente
+ * @param {{executionId: string, workflowId: string, filePath: string, state?: string}} target
  */
-function getGraphHtml(graphData, fileName) {
-    const nodes = graphData.nodes || [];
-    const edges = graphData.edges || [];
+async function openExecutionLogs(target) {
+    const uri = getExecutionLogUri(target.executionId);
+    const uriKey = uri.toString();
+    let logEntry = executionLogs.documents.get(uriKey);
+    const isNew = !logEntry;
+    if (isNew) {
+        logEntry = { ...target, state: target.state || 'Unknown', text: '', error: null, fetchedAt: null, loading: false, timer: null };
+        executionLogs.documents.set(uriKey, logEntry);
+    } else if (target.state) {
+        logEntry.state = target.state;
+    }
 
-    // Definir colores por tipo de nodo
-    const nodeColors = {
-        'reader': '#4CAF50',
-        'writer': '#F44336',
-        'map': '#2196F3',
-        'filter': '#FF9800',
-        'join': '#9C27B0',
-        'aggregate': '#00BCD4',
-        'transform': '#FFC107',
-        'default': '#757575'
-    };
+    const fetched = await runWithProgress('Py2Rocket: Obteniendo logs de la ejecución...', (progress, token) => refreshExecutionLog(uriKey, token));
+    if (fetched === undefined && isNew) {
+        // Cancelado antes de obtener nada: no se abre un documento vacío
+        executionLogs.documents.delete(uriKey);
+        return;
+    }
+    if (logEntry.unsupported) {
+        // La salida de uso de py2rocket no son logs: se avisa una vez en lugar de abrir el documento
+        if (isNew) executionLogs.documents.delete(uriKey);
+        vscode.window.showErrorMessage(UNSUPPORTED_LOGS_MESSAGE);
+        return;
+    }
 
-    // Transformar nodos para vis-network
-    const visNodes = nodes.map(node => {
-        const hasPriority = node.priority !== undefined && node.priority !== null;
-        const priorityLabel = hasPriority ? `\nPrioridad: ${node.priority}` : '';
-        const priorityTitle = hasPriority ? `\nPrioridad: ${node.priority}` : '';
+    const document = await vscode.workspace.openTextDocument(uri);
+    try {
+        await vscode.languages.setTextDocumentLanguage(document, 'log');
+    } catch { }
+    await vscode.window.showTextDocument(document, { viewColumn: vscode.ViewColumn.Beside, preview: false });
+
+    if (!isExecutionFinished(logEntry) && !logEntry.timer) {
+        logEntry.timer = setInterval(() => {
+            refreshExecutionLog(uriKey).catch(() => { });
+        }, getExecutionPollIntervalMs());
+    }
+}
 
-        return {
-            id: node.id,
-            label: `${node.id}${priorityLabel}`,
-            color: nodeColors[node.type] || nodeColors.default,
-            shape: node.type === 'reader' ? 'box' :
-                node.type === 'writer' ? 'box' :
-                    'ellipse',
-            font: { color: '#ffffff', size: 14, bold: true },
-            title: `Tipo: ${node.type}${priorityTitle}`
-        };
+/**
+ * Resalta las líneas de error en los editores visibles de logs
+ * @param {readonly vscode.TextEditor[]} editors
+ */
+function updateLogDecorations(editors) {
+    if (!executionLogs.errorDecoration) return;
+    editors
+        .filter(editor => editor.document.uri.scheme === LOG_SCHEME)
+        .forEach(editor => {
+            const ranges = findErrorLines(editor.document.getText())
+                .filter(line => line < editor.document.lineCount)
+                .map(line => editor.document.lineAt(line).range);
+            editor.setDecorations(executionLogs.errorDecoration, ranges);
+        });
+}
+
+/**
+ * Comando: View Logs desde la vista de ejecuciones en seguimiento
+ * @param {{entry: Object}} node
+ */
+async function viewExecutionLogsCommand(node) {
+    const entry = node?.entry;
+    if (!entry?.executionId) {
+        vscode.window.showWarningMessage('py2rocket run no informó el id de esta ejecución; búscala en el historial para ver sus logs');
+        return;
+    }
+    await openExecutionLogs({
+        executionId: entry.executionId,
+        workflowId: entry.workflowId,
+        filePath: entry.filePath,
+        state: entry.state
     });
+}
 
-    // Transformar edges para vis-network
-    const visEdges = edges.map((edge, index) => ({
-        id: index,
-        from: edge.source,
-        to: edge.target,
-        arrows: 'to',
-        color: { color: '#848484', highlight: '#2196F3' },
-        width: 2,
-        smooth: { type: 'cubicBezier' }
-    }));
+/**
+ * Comando: vuelve a obtener los logs del documento de logs activo
+ */
+async function refreshExecutionLogsCommand() {
+    const uri = vscode.window.activeTextEditor?.document.uri;
+    if (!uri || uri.scheme !== LOG_SCHEME) return;
+    await runWithProgress('Py2Rocket: Actualizando logs...', (progress, token) => refreshExecutionLog(uri.toString(), token));
+}
+
+/**
+ * Indica si una ejecución del historial sigue en curso y puede detenerse
+ * @param {string} state
+ * @returns {boolean}
+ */
+function isStoppableState(state) {
+    return Boolean(state) && !isTerminalState(state) && state !== 'Unknown' && state !== 'NotFound';
+}
+
+/**
+ * Pide confirmación y detiene una ejecución en curso con `py2rocket stop-execution`
+ * @param {{executionId: string, filePath: string, label?: string}} target
+ * @param {vscode.OutputChannel} outputChannel
+ * @returns {Promise<boolean>} true si se envió la petición de parada
+ */
+async function stopExecution(target, outputChannel) {
+    const { executionId, filePath, label } = target;
+    const shortId = executionId.substring(0, 8);
+
+    // En entornos protegidos basta con la confirmación escrita; en el resto, un diálogo modal
+    if (getTargetProtectionReasons(filePath).length > 0) {
+        const allowed = await confirmProtectedOperation(
+            { action: `detención de la ejecución ${shortId}`, targetPath: filePath, confirmText: path.basename(filePath, '.py') },
+            outputChannel
+        );
+        if (!allowed) return false;
+    } else {
+        const choice = await vscode.window.showWarningMessage(
+            `¿Detener la ejecución ${shortId}${label ? ` (${label})` : ''}?`,
+            { modal: true, detail: `Rocket cancelará la ejecución ${executionId}. No se puede deshacer.` },
+            'Detener ejecución'
+        );
+        if (choice !== 'Detener ejecución') return false;
+    }
 
-    return `<!DOCTYPE html>
-<html lang="es">
-<head>
-    <meta charset="UTF-8">
-    <meta name="viewport" content="width=device-width, initial-scale=1.0">
-    <title>Grafo: ${fileName}</title>
-    <script type="text/javascript" src="https://unpkg.com/vis-network/standalone/umd/vis-network.min.js"></script>
-    <style>
-        body {
-            margin: 0;
-            padding: 0;
-            font-family: 'Segoe UI', Tahoma, Geneva, Verdana, sans-serif;
-            background-color: var(--vscode-editor-background);
-            color: var(--vscode-editor-foreground);
-        }
-        #header {
-            padding: 15px;
-            background-color: var(--vscode-editor-background);
-            border-bottom: 1px solid var(--vscode-panel-border);
-        }
-        #header h2 {
-            margin: 0;
-            color: var(--vscode-editor-foreground);
-        }
-        #stats {
-            margin-top: 10px;
-            font-size: 12px;
-            color: var(--vscode-descriptionForeground);
-        }
-        #mynetwork {
-            width: 100%;
-            height: calc(100vh - 100px);
-            background-color: var(--vscode-editor-background);
+    try {
+        const stopped = await runWithProgress('Py2Rocket: Deteniendo ejecución...', async (progress, token) => {
+            await executePy2RocketCommand('stop-execution', [executionId], filePath, outputChannel, {
+                workingDir: resolvePy2RocketWorkingDir(filePath),
+                token,
+                progress,
+                quiet: true
+            });
+            return true;
+        });
+        if (!stopped) return false;
+    } catch (error) {
+        if (isUnsupportedCommandError(error)) {
+            vscode.window.showErrorMessage('La versión instalada de py2rocket no tiene el comando stop-execution; actualízala para detener ejecuciones desde VS Code');
+        } else {
+            vscode.window.showErrorMessage(`Error al detener la ejecución ${shortId}: ${error.message}`);
         }
-        .legend {
-            position: absolute;
-            top: 80px;
-            right: 20px;
-            background-color: var(--vscode-sideBar-background);
-            border: 1px solid var(--vscode-panel-border);
-            padding: 10px;
-            border-radius: 5px;
-            font-size: 12px;
+        return false;
+    }
+
+    vscode.window.showInformationMessage(`Solicitud de parada enviada para la ejecución ${shortId}`);
+    return true;
+}
+
+/**
+ * Comando: Stop Execution
+ * Muestra las ejecuciones en curso del workflow activo y detiene la elegida
+ */
+async function stopExecutionCommand(outputChannel) {
+    const filePath = getActiveFilePath();
+    if (!filePath) return;
+
+    try {
+        const workflowId = extractWorkflowId(fs.readFileSync(filePath, 'utf-8'));
+        if (!workflowId) {
+            vscode.window.showErrorMessage('No se encontró workflow_id en el archivo');
+            return;
         }
-        .legend-item {
-            margin: 5px 0;
-            display: flex;
-            align-items: center;
+
+        const historyData = await runWithProgress('Py2Rocket: Buscando ejecuciones en curso...', (progress, token) => (
+            fetchWorkflowHistory(workflowId, path.dirname(filePath), { token, query: { state: 'Running' } })
+        ));
+        if (!historyData) return;
+
+        const running = (historyData.executions || []).filter(execution => (
+            execution?.id && isStoppableState(getLatestExecutionState(execution).state)
+        ));
+        if (running.length === 0) {
+            vscode.window.showInformationMessage(`No hay ejecuciones en curso de ${path.basename(filePath)}`);
+            return;
         }
-        .legend-color {
-            width: 20px;
-            height: 20px;
-            margin-right: 8px;
-            border-radius: 3px;
+
+        const picked = await vscode.window.showQuickPick(
+            running.map(execution => {
+                const { state, lastUpdateDate } = getLatestExecutionState(execution);
+                return {
+                    label: `$(debug-stop) ${execution.id}`,
+                    description: execution.assetDataExecution?.name || '',
+                    detail: `${state} desde ${formatHistoryDate(lastUpdateDate)}`,
+                    execution
+                };
+            }),
+            { placeHolder: 'Ejecución a detener' }
+        );
+        if (!picked) return;
+
+        await stopExecution({
+            executionId: picked.execution.id,
+            filePath,
+            label: picked.execution.assetDataExecution?.name
+        }, outputChannel);
+    } catch (error) {
+        outputChannel.appendLine(`\n❌ Error: ${error.message}`);
+        vscode.window.showErrorMessage(`Error al buscar ejecuciones en curso: ${error.message}`);
+    }
+}
+
+/**
+ * Comando: quita de la vista las ejecuciones terminadas
+ */
+function clearFinishedExecutionsCommand() {
+    const previousSize = executionMonitor.executions.size;
+    executionMonitor.executions.forEach((entry, key) => {
+        if (isExecutionFinished(entry)) {
+            executionMonitor.executions.delete(key);
         }
-    </style>
-</head>
-<body>
-    <div id="header">
-        <h2>📊 Grafo del Workflow: ${fileName}</h2>
-        <div id="stats">
-            <span>Nodos: ${nodes.length}</span> | 
-            <span>Conexiones: ${edges.length}</span>
-        </div>
-    </div>
-    
-    <div class="legend">
-        <div style="font-weight: bold; margin-bottom: 8px;">Tipos de Nodo</div>
-        <div class="legend-item">
-            <div class="legend-color" style="background-color: ${nodeColors.reader}"></div>
-            <span>Reader</span>
-        </div>
-        <div class="legend-item">
-            <div class="legend-color" style="background-color: ${nodeColors.writer}"></div>
-            <span>Writer</span>
-        </div>
-        <div class="legend-item">
-            <div class="legend-color" style="background-color: ${nodeColors.map}"></div>
-            <span>Map</span>
-        </div>
-        <div class="legend-item">
-            <div class="legend-color" style="background-color: ${nodeColors.filter}"></div>
-            <span>Filter</span>
-        </div>
-        <div class="legend-item">
-            <div class="legend-color" style="background-color: ${nodeColors.join}"></div>
-            <span>Join</span>
-        </div>
-        <div class="legend-item">
-            <div class="legend-color" style="background-color: ${nodeColors.aggregate}"></div>
-            <span>Aggregate</span>
-        </div>
-    </div>
-    
-    <div id="mynetwork"></div>
-    
-    <script type="text/javascript">
-        const nodes = new vis.DataSet(${JSON.stringify(visNodes)});
-        const edges = new vis.DataSet(${JSON.stringify(visEdges)});
-        
-        const container = document.getElementById('mynetwork');
-        const data = { nodes: nodes, edges: edges };
-        
-        const options = {
-            layout: {
-                hierarchical: {
-                    direction: 'LR',
-                    sortMethod: 'directed',
-                    levelSeparation: 200,
-                    nodeSpacing: 150
-                }
-            },
-            physics: {
-                enabled: false
-            },
-            edges: {
-                smooth: {
-                    type: 'cubicBezier',
-                    forceDirection: 'horizontal',
-                    roundness: 0.4
-                }
-            },
-            interaction: {
-                hover: true,
-                navigationButtons: true,
-                keyboard: true
-            }
-        };
-        
-        const network = new vis.Network(container, data, options);
-        
-        // Evento de click en nodos
-        network.on('click', function(params) {
-            if (params.nodes.length > 0) {
-                const nodeId = params.nodes[0];
-                const node = nodes.get(nodeId);
-                console.log('Nodo seleccionado:', node);
-            }
-        });
-    </script>
-</body>
-</html>`;
+    });
+    if (executionMonitor.executions.size !== previousSize) {
+        persistMonitoredExecutions();
+    }
 }
 
 /**
@@ -2443,6 +6437,9 @@ function activate(context) {
     // Crear canal de salida
     const outputChannel = vscode.window.createOutputChannel('Py2Rocket');
 
+    // Diagnósticos de build/render (Problems y subrayado en el editor)
+    buildDiagnostics = vscode.languages.createDiagnosticCollection('py2rocket');
+
     // Crear item en barra de estado
     const statusBarItem = vscode.window.createStatusBarItem(vscode.StatusBarAlignment.Left, 100);
     statusBarItem.command = 'py2rocket.build';
@@ -2450,107 +6447,293 @@ function activate(context) {
     statusBarItem.tooltip = 'Py2Rocket: Workspace no sincronizado';
     statusBarItem.show();
 
-    // Detectar si el workspace actual proviene de una sincronización
-    const syncDetection = detectSyncWorkspace();
-    if (syncDetection.isSynced) {
-        const syncInfo = syncDetection.metadata?.sync_info || {};
-        const projectName = syncInfo.project_name || 'Proyecto desconocido';
-        const groupName = syncInfo.group_name || 'Grupo desconocido';
-        const syncDate = syncInfo.sync_date || 'Fecha desconocida';
-
-        outputChannel.appendLine('✓ Workspace detectado como sincronizado (.py2rocket)');
-        outputChannel.appendLine(`  - Proyecto: ${projectName}`);
-        outputChannel.appendLine(`  - Grupo: ${groupName}`);
-        outputChannel.appendLine(`  - Última sincronización: ${syncDate}`);
-
-        statusBarItem.text = 'Py2Rocket $(cloud)';
-        statusBarItem.tooltip = `Py2Rocket sincronizado\nProyecto: ${projectName}\nGrupo: ${groupName}\nÚltima sync: ${syncDate}`;
-
-        vscode.commands.executeCommand('setContext', 'py2rocket.isSynced', true);
-    } else {
-        vscode.commands.executeCommand('setContext', 'py2rocket.isSynced', false);
-        if (syncDetection.error) {
-            outputChannel.appendLine(`⚠️  No se pudo leer .py2rocket: ${syncDetection.error}`);
-        }
-
-        statusBarItem.text = 'Py2Rocket $(circle-slash)';
-        statusBarItem.tooltip = 'Py2Rocket: Workspace no sincronizado';
-    }
+    // Perfil de entorno activo (a la derecha del item principal)
+    profileState = context.workspaceState;
+    secretStorage = context.secrets;
+    loadStoredApiKeys()
+        .then(() => warnIfApiKeyInWorkspaceEnv(outputChannel))
+        .catch(error => outputChannel.appendLine(`⚠️  No se pudieron leer las credenciales guardadas: ${error.message}`));
+    profileStatusBarItem = vscode.window.createStatusBarItem(vscode.StatusBarAlignment.Left, 99);
+    profileStatusBarItem.command = 'py2rocket.selectProfile';
+    updateProfileStatusBar();
+    warnIfActiveProfileEnvFileMissing(outputChannel);
+
+    // Detectar qué carpetas del workspace provienen de una sincronización
+    logWorkspaceSyncStatus(outputChannel);
+    updateSyncStatusBar(statusBarItem);
 
     // Registrar comando: Build
-    const buildDisposable = vscode.commands.registerCommand('py2rocket.build', async () => {
-        await runWithProgress('Py2Rocket: Ejecutando Build...', async (progress) => {
-            await buildCommand(outputChannel, progress);
+    const buildDisposable = vscode.commands.registerCommand('py2rocket.build', async (target) => {
+        await revealWorkflowTarget(target);
+        await runWithProgress('Py2Rocket: Ejecutando Build...', async (progress, token) => {
+            await buildCommand(outputChannel, progress, token);
         });
     });
 
     // Registrar comando: Pull
     const downloadDisposable = vscode.commands.registerCommand('py2rocket.download', async () => {
-        await runWithProgress('Py2Rocket: Ejecutando Download...', async (progress) => {
-            await downloadCommand(outputChannel, progress);
-        });
+        await downloadCommand(outputChannel);
     });
 
     // Registrar comando: Build and Push
     const buildAndPushDisposable = vscode.commands.registerCommand('py2rocket.buildAndPush', async () => {
-        await runWithProgress('Py2Rocket: Ejecutando Build and Push...', async (progress) => {
-            await buildAndPushCommand(outputChannel, progress);
-        });
+        await buildAndPushCommand(outputChannel);
     });
 
     // Registrar comando: Push (Build and Push Silent)
-    const pushDisposable = vscode.commands.registerCommand('py2rocket.push', async () => {
-        await runWithProgress('Py2Rocket: Ejecutando Push...', async (progress) => {
-            await buildAndPushSilentCommand(outputChannel, progress);
-        });
+    const pushDisposable = vscode.commands.registerCommand('py2rocket.push', async (target) => {
+        await revealWorkflowTarget(target);
+        await buildAndPushSilentCommand(outputChannel);
+    });
+
+    // Registrar comando: Push with Preview
+    const pushWithPreviewDisposable = vscode.commands.registerCommand('py2rocket.pushWithPreview', async () => {
+        await pushWithPreviewCommand(outputChannel);
+    });
+
+    // Registrar comando: Select Environment Profile
+    const selectProfileDisposable = vscode.commands.registerCommand('py2rocket.selectProfile', async () => {
+        await selectProfileCommand(outputChannel);
+    });
+
+    // Registrar comandos de credenciales
+    const setApiKeyDisposable = vscode.commands.registerCommand('py2rocket.setApiKey', async () => {
+        await setApiKeyCommand(outputChannel);
+    });
+    const clearCredentialsDisposable = vscode.commands.registerCommand('py2rocket.clearCredentials', async () => {
+        await clearCredentialsCommand(outputChannel);
     });
 
     // Registrar comando: Render
-    const renderDisposable = vscode.commands.registerCommand('py2rocket.render', async () => {
-        await runWithProgress('Py2Rocket: Renderizando grafo...', async (progress) => {
-            await renderCommand(outputChannel, context, progress);
+    const renderDisposable = vscode.commands.registerCommand('py2rocket.render', async (target) => {
+        await revealWorkflowTarget(target);
+        await runWithProgress('Py2Rocket: Renderizando grafo...', async (progress, token) => {
+            await renderCommand(outputChannel, context, progress, token);
         });
     });
 
     // Registrar comando: Get History
-    const getHistoryDisposable = vscode.commands.registerCommand('py2rocket.getHistory', async () => {
-        await runWithProgress('Py2Rocket: Obteniendo historial...', async (progress) => {
-            await getHistoryCommand(outputChannel, context, progress);
+    const getHistoryDisposable = vscode.commands.registerCommand('py2rocket.getHistory', async (target) => {
+        await revealWorkflowTarget(target);
+        await runWithProgress('Py2Rocket: Obteniendo historial...', async (progress, token) => {
+            await getHistoryCommand(outputChannel, context, progress, token);
+        });
+    });
+
+    // Registrar comando: Export History
+    const exportHistoryDisposable = vscode.commands.registerCommand('py2rocket.exportHistory', async (target) => {
+        await revealWorkflowTarget(target);
+        await exportHistoryCommand(outputChannel);
+    });
+
+    // Registrar comando: Execution Analytics
+    const executionAnalyticsDisposable = vscode.commands.registerCommand('py2rocket.executionAnalytics', async (target) => {
+        await revealWorkflowTarget(target);
+        await runWithProgress('Py2Rocket: Calculando analítica de ejecuciones...', async (progress, token) => {
+            await executionAnalyticsCommand(outputChannel, progress, token);
         });
     });
 
     // Registrar comando: Request Execution
-    const requestExecutionDisposable = vscode.commands.registerCommand('py2rocket.requestExecution', async () => {
-        await runWithProgress('Py2Rocket: Solicitando ejecución...', async (progress) => {
-            await requestExecutionCommand(outputChannel, context, progress);
+    const requestExecutionDisposable = vscode.commands.registerCommand('py2rocket.requestExecution', async (target) => {
+        await revealWorkflowTarget(target);
+        await runWithProgress('Py2Rocket: Solicitando ejecución...', async (progress, token) => {
+            await requestExecutionCommand(outputChannel, context, progress, token);
+        });
+    });
+
+    // Explorador de Rocket (proyecto → grupos → workflows)
+    const rocketExplorer = createRocketExplorerProvider();
+    const rocketExplorerDisposable = vscode.window.registerTreeDataProvider('py2rocket.explorer', rocketExplorer);
+    const refreshExplorerDisposable = vscode.commands.registerCommand('py2rocket.refreshExplorer', () => {
+        rocketExplorer.refresh();
+    });
+    const checkRemoteWorkflowsDisposable = vscode.commands.registerCommand('py2rocket.checkRemoteWorkflows', async (node) => {
+        await runWithProgress('Py2Rocket: Consultando workflows en Rocket...', async (progress, token) => {
+            await checkRemoteWorkflowsCommand(node, rocketExplorer, outputChannel, progress, token);
+        });
+    });
+    const explorerWatcher = vscode.workspace.createFileSystemWatcher('**/{*.py,.py2rocket}');
+    // Las descargas temporales (Download, Check Remote Workflows) no forman parte del árbol
+    const isTempPath = uri => uri.fsPath.split(path.sep).includes('.py2rocket-tmp');
+    explorerWatcher.onDidCreate(uri => {
+        if (!isTempPath(uri)) rocketExplorer.refresh(EXPLORER_WATCHER_DEBOUNCE_MS);
+    });
+    explorerWatcher.onDidDelete(uri => {
+        if (!isTempPath(uri)) rocketExplorer.refresh(EXPLORER_WATCHER_DEBOUNCE_MS);
+    });
+    explorerWatcher.onDidChange(uri => {
+        if (!isTempPath(uri)) rocketExplorer.handleFileChange(uri).catch(() => { });
+    });
+
+    // Monitor de ejecuciones enviadas (se retoman las que seguían activas)
+    executionMonitor.context = context;
+    executionMonitor.outputChannel = outputChannel;
+    executionMonitor.changeEmitter = new vscode.EventEmitter();
+    context.workspaceState.get(MONITORED_EXECUTIONS_KEY, []).forEach(entry => {
+        executionMonitor.executions.set(entry.key, entry);
+    });
+    scheduleExecutionPoll(5000);
+    const executionsViewDisposable = vscode.window.registerTreeDataProvider('py2rocket.executions', createExecutionsViewProvider());
+    const openExecutionHistoryDisposable = vscode.commands.registerCommand('py2rocket.openExecutionHistory', async (node) => {
+        await runWithProgress('Py2Rocket: Obteniendo historial...', async (progress, token) => {
+            await openExecutionHistoryCommand(node, outputChannel, context, progress, token);
+        });
+    });
+    const clearFinishedExecutionsDisposable = vscode.commands.registerCommand('py2rocket.clearFinishedExecutions', () => {
+        clearFinishedExecutionsCommand();
+    });
+
+    // Logs de ejecuciones (documentos py2rocket-log)
+    executionLogs.changeEmitter = new vscode.EventEmitter();
+    executionLogs.errorDecoration = vscode.window.createTextEditorDecorationType({
+        isWholeLine: true,
+        backgroundColor: new vscode.ThemeColor('inputValidation.errorBackground'),
+        overviewRulerColor: new vscode.ThemeColor('editorError.foreground'),
+        overviewRulerLane: vscode.OverviewRulerLane.Right
+    });
+    const viewExecutionLogsDisposable = vscode.commands.registerCommand('py2rocket.viewExecutionLogs', async (node) => {
+        try {
+            await viewExecutionLogsCommand(node);
+        } catch (error) {
+            vscode.window.showErrorMessage(`Error al abrir los logs: ${error.message}`);
+        }
+    });
+    const refreshExecutionLogsDisposable = vscode.commands.registerCommand('py2rocket.refreshExecutionLogs', async () => {
+        await refreshExecutionLogsCommand();
+    });
+
+    // Registrar comando: Stop Execution
+    const stopExecutionDisposable = vscode.commands.registerCommand('py2rocket.stopExecution', async (target) => {
+        await revealWorkflowTarget(target);
+        await stopExecutionCommand(outputChannel);
+    });
+
+    // Registrar comandos: Build All / Push All (explorador)
+    const buildAllDisposable = vscode.commands.registerCommand('py2rocket.buildAll', async (uri, selectedUris) => {
+        await runWithProgress('Py2Rocket: Build All...', async (progress, token) => {
+            await batchBuildCommand(uri, selectedUris, false, outputChannel, progress, token);
+        });
+    });
+
+    const pushAllDisposable = vscode.commands.registerCommand('py2rocket.pushAll', async (uri, selectedUris) => {
+        await runWithProgress('Py2Rocket: Push All...', async (progress, token) => {
+            await batchBuildCommand(uri, selectedUris, true, outputChannel, progress, token);
         });
     });
 
     // Registrar comando: Refresh Folder
     const refreshFolderDisposable = vscode.commands.registerCommand('py2rocket.refreshFolder', async (folderUri) => {
-        await runWithProgress('Py2Rocket: Refrescando carpeta...', async (progress) => {
-            await refreshFolderCommand(folderUri, outputChannel, progress);
+        await runWithProgress('Py2Rocket: Refrescando carpeta...', async (progress, token) => {
+            await refreshFolderCommand(toFolderUri(folderUri), outputChannel, progress, token);
         });
     });
 
     // Registrar comando: Create Group
     const createGroupDisposable = vscode.commands.registerCommand('py2rocket.createGroup', async (folderUri) => {
-        await runWithProgress('Py2Rocket: Creando grupo...', async (progress) => {
-            await createGroupCommand(folderUri, outputChannel, progress);
-        });
+        await createGroupCommand(toFolderUri(folderUri), outputChannel);
     });
 
     context.subscriptions.push(buildDisposable);
     context.subscriptions.push(downloadDisposable);
     context.subscriptions.push(buildAndPushDisposable);
     context.subscriptions.push(pushDisposable);
+    context.subscriptions.push(pushWithPreviewDisposable);
     context.subscriptions.push(renderDisposable);
     context.subscriptions.push(getHistoryDisposable);
     context.subscriptions.push(requestExecutionDisposable);
     context.subscriptions.push(refreshFolderDisposable);
     context.subscriptions.push(createGroupDisposable);
+    context.subscriptions.push(buildAllDisposable);
+    context.subscriptions.push(pushAllDisposable);
     context.subscriptions.push(outputChannel);
     context.subscriptions.push(statusBarItem);
+    context.subscriptions.push(rocketExplorer);
+    context.subscriptions.push(executionMonitor.changeEmitter);
+    context.subscriptions.push(executionsViewDisposable);
+    context.subscriptions.push(openExecutionHistoryDisposable);
+    context.subscriptions.push(clearFinishedExecutionsDisposable);
+    context.subscriptions.push(exportHistoryDisposable);
+    context.subscriptions.push(executionAnalyticsDisposable);
+    context.subscriptions.push(viewExecutionLogsDisposable);
+    context.subscriptions.push(refreshExecutionLogsDisposable);
+    context.subscriptions.push(stopExecutionDisposable);
+    context.subscriptions.push(executionLogs.changeEmitter);
+    context.subscriptions.push(executionLogs.errorDecoration);
+    context.subscriptions.push(
+        vscode.workspace.registerTextDocumentContentProvider(LOG_SCHEME, {
+            onDidChange: executionLogs.changeEmitter.event,
+            provideTextDocumentContent: uri => {
+                const logEntry = executionLogs.documents.get(uri.toString());
+                return logEntry ? formatExecutionLogDocument(logEntry) : '';
+            }
+        })
+    );
+    context.subscriptions.push(
+        vscode.window.onDidChangeVisibleTextEditors(editors => updateLogDecorations(editors))
+    );
+    context.subscriptions.push(
+        vscode.workspace.onDidChangeTextDocument(event => {
+            if (event.document.uri.scheme === LOG_SCHEME) {
+                updateLogDecorations(vscode.window.visibleTextEditors.filter(editor => editor.document === event.document));
+            }
+        })
+    );
+    context.subscriptions.push(rocketExplorerDisposable);
+    context.subscriptions.push(checkRemoteWorkflowsDisposable);
+    context.subscriptions.push(refreshExplorerDisposable);
+    context.subscriptions.push(explorerWatcher);
+    context.subscriptions.push(profileStatusBarItem);
+    context.subscriptions.push(selectProfileDisposable);
+    context.subscriptions.push(setApiKeyDisposable);
+    context.subscriptions.push(clearCredentialsDisposable);
+    context.subscriptions.push(
+        context.secrets.onDidChange(event => {
+            // Cambios hechos desde otra ventana de VS Code
+            if (event.key.startsWith(API_KEY_SECRET_PREFIX)) {
+                loadStoredApiKeys().catch(() => { });
+            }
+        })
+    );
+    context.subscriptions.push(buildDiagnostics);
+    context.subscriptions.push(
+        vscode.workspace.registerTextDocumentContentProvider(PREVIEW_SCHEME, {
+            provideTextDocumentContent: uri => previewDocuments.get(uri.toString()) ?? ''
+        })
+    );
+    context.subscriptions.push(
+        vscode.workspace.onDidCloseTextDocument(document => {
+            if (document.uri.scheme === PREVIEW_SCHEME) {
+                previewDocuments.delete(document.uri.toString());
+            } else if (document.uri.scheme === LOG_SCHEME) {
+                const logEntry = executionLogs.documents.get(document.uri.toString());
+                if (logEntry?.timer) clearInterval(logEntry.timer);
+                executionLogs.documents.delete(document.uri.toString());
+            }
+        })
+    );
+    context.subscriptions.push(
+        vscode.workspace.onDidChangeConfiguration(event => {
+            if (event.affectsConfiguration('py2rocket.profiles')) {
+                updateProfileStatusBar();
+                loadStoredApiKeys().catch(() => { });
+                warnIfActiveProfileEnvFileMissing(outputChannel);
+            }
+        })
+    );
+    context.subscriptions.push(
+        vscode.window.onDidChangeActiveTextEditor(() => updateSyncStatusBar(statusBarItem))
+    );
+    context.subscriptions.push(
+        vscode.workspace.onDidChangeWorkspaceFolders(() => {
+            logWorkspaceSyncStatus(outputChannel);
+            updateSyncStatusBar(statusBarItem);
+            rocketExplorer.refresh();
+        })
+    );
+    context.subscriptions.push(
+        vscode.workspace.onDidSaveTextDocument(document => handleDocumentSaved(document, outputChannel))
+    );
 
     outputChannel.appendLine('Py2Rocket Extension activada correctamente');
 }
@@ -2559,6 +6742,21 @@ function activate(context) {
  * Desactivación de la extensión
  */
 function deactivate() {
+    autoBuildStates.forEach(state => {
+        if (state.timer) clearTimeout(state.timer);
+    });
+    autoBuildStates.clear();
+
+    if (executionMonitor.timer) {
+        clearTimeout(executionMonitor.timer);
+        executionMonitor.timer = null;
+    }
+
+    executionLogs.documents.forEach(logEntry => {
+        if (logEntry.timer) clearInterval(logEntry.timer);
+    });
+    executionLogs.documents.clear();
+
     if (currentGraphPanel) {
         currentGraphPanel.dispose();
         currentGraphPanel = undefined;
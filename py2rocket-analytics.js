@@ -0,0 +1,246 @@
+const { getLatestExecutionState, getExecutionStartTime, isTerminalState } = require('./py2rocket-executions');
+const { extractRerunData } = require('./py2rocket-history');
+
+/**
+ * @typedef {Object} DurationStats
+ * @property {number} count - Ejecuciones terminadas con duración conocida
+ * @property {number|null} minMs
+ * @property {number|null} maxMs
+ * @property {number|null} meanMs
+ * @property {number|null} medianMs
+ * @property {number|null} p90Ms
+ * @property {Array<{label: string, fromMs: number, toMs: number|null, count: number}>} histogram
+ */
+
+/**
+ * @typedef {Object} ContextStats
+ * @property {string} context - Contextos (paramsLists) de la ejecución, o "(sin contexto)"
+ * @property {number} runs
+ * @property {number} failures
+ * @property {number} failureRate - 0..1 sobre ejecuciones terminadas
+ * @property {number|null} avgDurationMs
+ * @property {number|null} maxDurationMs
+ */
+
+// Estados con serie propia en los gráficos; el resto se agrupa en "Other"
+const CHART_STATES = ['Completed', 'Failed', 'Stopped', 'Running'];
+
+// Límites (ms) de los intervalos del histograma de duraciones
+const DURATION_BUCKETS_MS = [60000, 5 * 60000, 15 * 60000, 30 * 60000, 3600000, 2 * 3600000, 6 * 3600000];
+
+// Máximo de días que se muestran día a día; con rangos mayores se agrupa por semana o mes
+const MAX_DAILY_POINTS = 62;
+const MAX_WEEKLY_POINTS = 104;
+
+const NO_CONTEXT = '(sin contexto)';
+
+/**
+ * Duración (ms) de una ejecución terminada: del primer al último estado registrado
+ * @param {any} execution
+ * @returns {number|null}
+ */
+function getExecutionDurationMs(execution) {
+    const { state, lastUpdateDate } = getLatestExecutionState(execution);
+    if (!isTerminalState(state)) return null;
+
+    const startTime = getExecutionStartTime(execution);
+    const endTime = lastUpdateDate ? new Date(lastUpdateDate).getTime() : NaN;
+    if (startTime === null || Number.isNaN(endTime) || endTime < startTime) return null;
+    return endTime - startTime;
+}
+
+/**
+ * Percentil (interpolación al valor más cercano) de una lista ordenada
+ * @param {number[]} sorted
+ * @param {number} percentile - 0..100
+ * @returns {number|null}
+ */
+function getPercentile(sorted, percentile) {
+    if (sorted.length === 0) return null;
+    const index = Math.min(sorted.length - 1, Math.max(0, Math.ceil((percentile / 100) * sorted.length) - 1));
+    return sorted[index];
+}
+
+/**
+ * Etiqueta legible de un límite de duración
+ * @param {number} ms
+ * @returns {string}
+ */
+function formatBucketLimit(ms) {
+    return ms >= 3600000 ? `${ms / 3600000} h` : `${ms / 60000} min`;
+}
+
+/**
+ * Estadísticas e histograma de duraciones
+ * @param {number[]} durations
+ * @returns {DurationStats}
+ */
+function computeDurationStats(durations) {
+    const sorted = [...durations].sort((a, b) => a - b);
+    const limits = [0, ...DURATION_BUCKETS_MS];
+    const histogram = limits.map((fromMs, index) => {
+        const toMs = index + 1 < limits.length ? limits[index + 1] : null;
+        const label = toMs === null
+            ? `≥ ${formatBucketLimit(fromMs)}`
+            : fromMs === 0 ? `< ${formatBucketLimit(toMs)}` : `${formatBucketLimit(fromMs)} – ${formatBucketLimit(toMs)}`;
+        return {
+            label,
+            fromMs,
+            toMs,
+            count: sorted.filter(ms => ms >= fromMs && (toMs === null || ms < toMs)).length
+        };
+    });
+
+    return {
+        count: sorted.length,
+        minMs: sorted.length ? sorted[0] : null,
+        maxMs: sorted.length ? sorted[sorted.length - 1] : null,
+        meanMs: sorted.length ? Math.round(sorted.reduce((sum, ms) => sum + ms, 0) / sorted.length) : null,
+        medianMs: getPercentile(sorted, 50),
+        p90Ms: getPercentile(sorted, 90),
+        histogram
+    };
+}
+
+/**
+ * Clave del periodo local que contiene una fecha: día (YYYY-MM-DD), semana (lunes) o mes (YYYY-MM)
+ * @param {number} time
+ * @param {'day'|'week'|'month'} granularity
+ * @returns {string}
+ */
+function toPeriodKey(time, granularity) {
+    const date = new Date(time);
+    const pad = value => String(value).padStart(2, '0');
+    if (granularity === 'month') {
+        return `${date.getFullYear()}-${pad(date.getMonth() + 1)}`;
+    }
+    if (granularity === 'week') {
+        date.setDate(date.getDate() - ((date.getDay() + 6) % 7));
+    }
+    return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+}
+
+/**
+ * Ejecuciones por periodo y estado, con los periodos sin ejecuciones rellenados
+ * @param {Array<{startTime: number|null, state: string}>} items
+ * @returns {{granularity: 'day'|'week'|'month', points: Array<{period: string, total: number, counts: Object<string, number>}>}}
+ */
+function computeTimeline(items) {
+    const times = items.map(({ startTime }) => startTime).filter(time => time !== null);
+    if (times.length === 0) return { granularity: 'day', points: [] };
+
+    const first = Math.min(...times);
+    const last = Math.max(...times);
+    const spanDays = (last - first) / 86400000;
+    const granularity = spanDays <= MAX_DAILY_POINTS ? 'day' : spanDays / 7 <= MAX_WEEKLY_POINTS ? 'week' : 'month';
+
+    const byPeriod = new Map();
+    items.forEach(({ startTime, state }) => {
+        if (startTime === null) return;
+        const period = toPeriodKey(startTime, granularity);
+        if (!byPeriod.has(period)) byPeriod.set(period, {});
+        const series = CHART_STATES.includes(state) ? state : 'Other';
+        const counts = byPeriod.get(period);
+        counts[series] = (counts[series] || 0) + 1;
+    });
+
+    const points = [];
+    const lastPeriod = toPeriodKey(last, granularity);
+    const cursor = new Date(first);
+    cursor.setHours(0, 0, 0, 0);
+    if (granularity === 'month') cursor.setDate(1);
+    let period = toPeriodKey(cursor.getTime(), granularity);
+    while (period <= lastPeriod) {
+        const counts = byPeriod.get(period) || {};
+        if (!points.length || points[points.length - 1].period !== period) {
+            points.push({ period, total: Object.values(counts).reduce((sum, count) => sum + count, 0), counts });
+        }
+        if (granularity === 'month') {
+            cursor.setMonth(cursor.getMonth() + 1);
+        } else {
+            cursor.setDate(cursor.getDate() + (granularity === 'week' ? 7 : 1));
+        }
+        period = toPeriodKey(cursor.getTime(), granularity);
+    }
+    return { granularity, points };
+}
+
+/**
+ * Agrega estadísticas por contexto de parámetros (paramsLists de la ejecución)
+ * @param {Array<{context: string, state: string, durationMs: number|null}>} items
+ * @returns {ContextStats[]}
+ */
+function computeContextStats(items) {
+    const byContext = new Map();
+    items.forEach(({ context, state, durationMs }) => {
+        if (!byContext.has(context)) {
+            byContext.set(context, { context, runs: 0, finished: 0, failures: 0, durations: [] });
+        }
+        const stats = byContext.get(context);
+        stats.runs++;
+        if (isTerminalState(state)) stats.finished++;
+        if (state === 'Failed') stats.failures++;
+        if (durationMs !== null) stats.durations.push(durationMs);
+    });
+
+    return [...byContext.values()].map(stats => ({
+        context: stats.context,
+        runs: stats.runs,
+        failures: stats.failures,
+        failureRate: stats.finished ? stats.failures / stats.finished : 0,
+        avgDurationMs: stats.durations.length
+            ? Math.round(stats.durations.reduce((sum, ms) => sum + ms, 0) / stats.durations.length)
+            : null,
+        maxDurationMs: stats.durations.length ? Math.max(...stats.durations) : null
+    }));
+}
+
+/**
+ * Calcula las métricas del dashboard de ejecuciones a partir de get-history
+ * @param {any[]} executions
+ * @param {{topContexts?: number}} [options]
+ * @returns {{total: number, finished: number, stateCounts: Object<string, number>, successRate: number|null, failureRate: number|null, timeline: ReturnType<typeof computeTimeline>, durations: DurationStats, slowestContexts: ContextStats[], failingContexts: ContextStats[]}}
+ */
+function computeExecutionAnalytics(executions, options = {}) {
+    const topContexts = options.topContexts || 10;
+    const items = (executions || []).map(execution => {
+        const paramsLists = extractRerunData(execution).paramsLists;
+        return {
+            state: getLatestExecutionState(execution).state,
+            startTime: getExecutionStartTime(execution),
+            durationMs: getExecutionDurationMs(execution),
+            context: paramsLists ? [...paramsLists].sort().join(', ') : NO_CONTEXT
+        };
+    });
+
+    const stateCounts = items.reduce((acc, { state }) => {
+        acc[state] = (acc[state] || 0) + 1;
+        return acc;
+    }, {});
+    const finished = items.filter(({ state }) => isTerminalState(state)).length;
+    const contexts = computeContextStats(items);
+
+    return {
+        total: items.length,
+        finished,
+        stateCounts,
+        successRate: finished ? (stateCounts.Completed || 0) / finished : null,
+        failureRate: finished ? (stateCounts.Failed || 0) / finished : null,
+        timeline: computeTimeline(items),
+        durations: computeDurationStats(items.map(({ durationMs }) => durationMs).filter(ms => ms !== null)),
+        slowestContexts: contexts
+            .filter(stats => stats.avgDurationMs !== null)
+            .sort((a, b) => b.avgDurationMs - a.avgDurationMs)
+            .slice(0, topContexts),
+        failingContexts: contexts
+            .filter(stats => stats.failures > 0)
+            .sort((a, b) => b.failures - a.failures || b.failureRate - a.failureRate)
+            .slice(0, topContexts)
+    };
+}
+
+module.exports = {
+    CHART_STATES,
+    getExecutionDurationMs,
+    computeExecutionAnalytics
+};
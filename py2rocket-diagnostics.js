@@ -0,0 +1,174 @@
+const path = require('path');
+
+/**
+ * @typedef {Object} Py2RocketProblem
+ * @property {number} line - Línea (base 0)
+ * @property {number} column - Columna (base 0)
+ * @property {string} message
+ * @property {'error'|'warning'} severity
+ * @property {string} source - Origen del problema (traceback, validación, ...)
+ */
+
+// Frame de traceback de Python: File "ruta", line 12, in <module>
+const TRACEBACK_FRAME = /^\s*File "(.+?)", line (\d+)(?:, in (.+))?\s*$/;
+
+// Última línea de un traceback: NombreError: mensaje
+const EXCEPTION_LINE = /^([A-Za-z_][\w.]*(?:Error|Exception|Warning|Exit|Interrupt)):?\s*(.*)$/;
+
+// Mensajes de validación con ubicación: archivo.py:12:5: mensaje
+const LOCATED_MESSAGE = /^(.+?\.py):(\d+)(?::(\d+))?:\s*(.+)$/;
+
+// Mensajes de validación con número de línea: "... (line 12)" / "Línea 12: ..."
+const LINE_REFERENCE = /\b(?:line|l[ií]nea)\s+(\d+)\b/i;
+const VALIDATION_KEYWORDS = /\b(error|errores|invalid|inv[aá]lid[oa]|validation|validaci[oó]n|missing|falta|duplicad[oa]|duplicate|unknown|desconocid[oa])\b/i;
+const WARNING_KEYWORDS = /^\s*(?:warning|advertencia|⚠️)/i;
+
+/**
+ * Compara una ruta reportada por Python con el archivo del workflow
+ * @param {string} reportedPath
+ * @param {string} filePath
+ * @returns {boolean}
+ */
+function isSameFile(reportedPath, filePath) {
+    if (!reportedPath || !filePath) return false;
+    const normalize = value => path.normalize(value).replace(/\\/g, '/').toLowerCase();
+    const reported = normalize(reportedPath);
+    const target = normalize(filePath);
+    if (reported === target) return true;
+    // Python suele reportar rutas relativas al cwd (el directorio del archivo)
+    return !path.isAbsolute(reportedPath) && target.endsWith(`/${reported}`);
+}
+
+/**
+ * Extrae los problemas de un traceback de Python que apuntan al workflow
+ * @param {string[]} lines
+ * @param {string} filePath
+ * @returns {Py2RocketProblem[]}
+ */
+function parseTracebacks(lines, filePath) {
+    const problems = [];
+    let lastFrame = null;
+    let caretColumn = null;
+    let inTraceback = false;
+
+    lines.forEach((line, index) => {
+        if (line.startsWith('Traceback (most recent call last)')) {
+            inTraceback = true;
+            lastFrame = null;
+            caretColumn = null;
+            return;
+        }
+
+        const frame = line.match(TRACEBACK_FRAME);
+        if (frame) {
+            // Los SyntaxError no van precedidos de "Traceback" cuando los imprime py_compile
+            inTraceback = true;
+            if (isSameFile(frame[1], filePath)) {
+                lastFrame = { line: Number(frame[2]) - 1 };
+                caretColumn = null;
+            }
+            return;
+        }
+
+        if (!inTraceback) return;
+
+        // Marcador de columna de SyntaxError: "    ^^^^"
+        const caret = line.match(/^(\s*)\^+\s*$/);
+        if (caret && lastFrame) {
+            const codeLine = lines[index - 1] || '';
+            const codeIndent = (codeLine.match(/^\s*/) || [''])[0].length;
+            caretColumn = Math.max(0, caret[1].length - codeIndent);
+            return;
+        }
+
+        const exception = line.match(EXCEPTION_LINE);
+        if (exception && !line.startsWith(' ')) {
+            const message = exception[2] ? `${exception[1]}: ${exception[2]}` : exception[1];
+            if (lastFrame) {
+                problems.push({
+                    line: Math.max(0, lastFrame.line),
+                    column: caretColumn ?? 0,
+                    message,
+                    severity: 'error',
+                    source: 'traceback'
+                });
+            } else {
+                // Error sin frame del workflow: se reporta al inicio del archivo
+                problems.push({ line: 0, column: 0, message, severity: 'error', source: 'traceback' });
+            }
+            inTraceback = false;
+            lastFrame = null;
+            caretColumn = null;
+        }
+    });
+
+    return problems;
+}
+
+/**
+ * Extrae mensajes de validación de py2rocket con referencia a línea
+ * @param {string[]} lines
+ * @param {string} filePath
+ * @returns {Py2RocketProblem[]}
+ */
+function parseValidationMessages(lines, filePath) {
+    const problems = [];
+
+    lines.forEach(line => {
+        const text = line.trim();
+        if (!text || TRACEBACK_FRAME.test(line)) return;
+
+        const located = text.match(LOCATED_MESSAGE);
+        if (located) {
+            if (!isSameFile(located[1], filePath)) return;
+            problems.push({
+                line: Math.max(0, Number(located[2]) - 1),
+                column: located[3] ? Math.max(0, Number(located[3]) - 1) : 0,
+                message: located[4].trim(),
+                severity: WARNING_KEYWORDS.test(located[4]) ? 'warning' : 'error',
+                source: 'validation'
+            });
+            return;
+        }
+
+        const lineRef = text.match(LINE_REFERENCE);
+        if (lineRef && (VALIDATION_KEYWORDS.test(text) || WARNING_KEYWORDS.test(text))) {
+            problems.push({
+                line: Math.max(0, Number(lineRef[1]) - 1),
+                column: 0,
+                message: text,
+                severity: WARNING_KEYWORDS.test(text) ? 'warning' : 'error',
+                source: 'validation'
+            });
+        }
+    });
+
+    return problems;
+}
+
+/**
+ * Convierte la salida de `py2rocket build`/`render` en problemas ubicados en el workflow
+ * @param {string} output - stderr (y opcionalmente stdout) del proceso
+ * @param {string} filePath - Ruta absoluta del archivo .py del workflow
+ * @returns {Py2RocketProblem[]}
+ */
+function parseBuildProblems(output, filePath) {
+    const lines = String(output || '').split(/\r?\n/);
+    const problems = [
+        ...parseTracebacks(lines, filePath),
+        ...parseValidationMessages(lines, filePath)
+    ];
+
+    // Eliminar duplicados (misma línea y mensaje)
+    const seen = new Set();
+    return problems.filter(problem => {
+        const key = `${problem.line}:${problem.message}`;
+        if (seen.has(key)) return false;
+        seen.add(key);
+        return true;
+    });
+}
+
+module.exports = {
+    parseBuildProblems
+};
@@ -0,0 +1,199 @@
+const { getLatestExecutionState, getExecutionStartTime } = require('./py2rocket-executions');
+
+/**
+ * @typedef {Object} ParameterChange
+ * @property {string} path - Ruta dentro del valor (vacía para el parámetro completo)
+ * @property {'added'|'removed'|'changed'} status
+ * @property {any} left - Valor en la ejecución A (undefined si no existe)
+ * @property {any} right - Valor en la ejecución B (undefined si no existe)
+ */
+
+/**
+ * @typedef {Object} ParameterDiff
+ * @property {string} name - Nombre del parámetro
+ * @property {'added'|'removed'|'changed'|'unchanged'} status
+ * @property {any} left
+ * @property {any} right
+ * @property {ParameterChange[]} details - Diferencias internas cuando ambos valores son JSON
+ */
+
+/**
+ * Interpreta los valores que llegan como texto JSON (objetos o arreglos serializados)
+ * @param {any} value
+ * @returns {any}
+ */
+function parseParameterValue(value) {
+    if (typeof value !== 'string') return value;
+    const trimmed = value.trim();
+    if (!/^[[{]/.test(trimmed)) return value;
+    try {
+        return JSON.parse(trimmed);
+    } catch {
+        return value;
+    }
+}
+
+/**
+ * Aplana un valor JSON en rutas (a.b[0].c) -> valor escalar
+ * @param {any} value
+ * @param {string} [prefix]
+ * @param {Map<string, any>} [out]
+ * @returns {Map<string, any>}
+ */
+function flattenValue(value, prefix = '', out = new Map()) {
+    if (Array.isArray(value)) {
+        if (value.length === 0) out.set(prefix, []);
+        value.forEach((item, index) => flattenValue(item, `${prefix}[${index}]`, out));
+    } else if (value && typeof value === 'object') {
+        const keys = Object.keys(value);
+        if (keys.length === 0) out.set(prefix, {});
+        keys.forEach(key => flattenValue(value[key], prefix ? `${prefix}.${key}` : key, out));
+    } else {
+        out.set(prefix, value);
+    }
+    return out;
+}
+
+/**
+ * Compara dos valores ya interpretados
+ * @param {any} left
+ * @param {any} right
+ * @returns {boolean}
+ */
+function isSameValue(left, right) {
+    return JSON.stringify(flattenEntries(left)) === JSON.stringify(flattenEntries(right));
+}
+
+/**
+ * Entradas aplanadas ordenadas por ruta (independiente del orden de las claves)
+ * @param {any} value
+ * @returns {Array<[string, any]>}
+ */
+function flattenEntries(value) {
+    return [...flattenValue(value).entries()].sort(([a], [b]) => a.localeCompare(b));
+}
+
+/**
+ * Diferencias internas entre dos valores JSON
+ * @param {any} left
+ * @param {any} right
+ * @returns {ParameterChange[]}
+ */
+function diffNestedValues(left, right) {
+    const leftFlat = flattenValue(left);
+    const rightFlat = flattenValue(right);
+    const paths = [...new Set([...leftFlat.keys(), ...rightFlat.keys()])].sort();
+
+    return paths.reduce((changes, nestedPath) => {
+        const inLeft = leftFlat.has(nestedPath);
+        const inRight = rightFlat.has(nestedPath);
+        const leftValue = leftFlat.get(nestedPath);
+        const rightValue = rightFlat.get(nestedPath);
+
+        if (!inLeft) {
+            changes.push({ path: nestedPath, status: 'added', left: undefined, right: rightValue });
+        } else if (!inRight) {
+            changes.push({ path: nestedPath, status: 'removed', left: leftValue, right: undefined });
+        } else if (JSON.stringify(leftValue) !== JSON.stringify(rightValue)) {
+            changes.push({ path: nestedPath, status: 'changed', left: leftValue, right: rightValue });
+        }
+        return changes;
+    }, []);
+}
+
+/**
+ * Compara los parámetros usados por dos ejecuciones (A -> B)
+ * @param {Object<string, any>} leftParams - parametersUsed de la ejecución A
+ * @param {Object<string, any>} rightParams - parametersUsed de la ejecución B
+ * @returns {ParameterDiff[]} Ordenado: cambios primero, luego por nombre
+ */
+function diffExecutionParameters(leftParams, rightParams) {
+    const left = leftParams || {};
+    const right = rightParams || {};
+    const names = [...new Set([...Object.keys(left), ...Object.keys(right)])];
+    const statusOrder = { changed: 0, added: 1, removed: 2, unchanged: 3 };
+
+    return names
+        .map(name => {
+            const inLeft = Object.prototype.hasOwnProperty.call(left, name);
+            const inRight = Object.prototype.hasOwnProperty.call(right, name);
+            const leftValue = parseParameterValue(left[name]);
+            const rightValue = parseParameterValue(right[name]);
+
+            if (!inLeft) return { name, status: 'added', left: undefined, right: rightValue, details: [] };
+            if (!inRight) return { name, status: 'removed', left: leftValue, right: undefined, details: [] };
+            if (isSameValue(leftValue, rightValue)) {
+                return { name, status: 'unchanged', left: leftValue, right: rightValue, details: [] };
+            }
+
+            const isNested = value => value !== null && typeof value === 'object';
+            const details = isNested(leftValue) && isNested(rightValue) ? diffNestedValues(leftValue, rightValue) : [];
+            return { name, status: 'changed', left: leftValue, right: rightValue, details };
+        })
+        .sort((a, b) => statusOrder[a.status] - statusOrder[b.status] || a.name.localeCompare(b.name));
+}
+
+/**
+ * Formatea una duración en milisegundos (p. ej. "1 d 2 h", "3 min 4 s")
+ * @param {number|null} ms
+ * @returns {string}
+ */
+function formatDuration(ms) {
+    if (ms === null || ms === undefined || Number.isNaN(ms)) return 'N/A';
+    const totalSeconds = Math.round(Math.abs(ms) / 1000);
+    const days = Math.floor(totalSeconds / 86400);
+    const hours = Math.floor((totalSeconds % 86400) / 3600);
+    const minutes = Math.floor((totalSeconds % 3600) / 60);
+    const seconds = totalSeconds % 60;
+
+    const parts = [];
+    if (days) parts.push(`${days} d`);
+    if (hours) parts.push(`${hours} h`);
+    if (minutes && !days) parts.push(`${minutes} min`);
+    if (!days && !hours) parts.push(`${seconds} s`);
+    return parts.join(' ');
+}
+
+/**
+ * Resume estado y tiempos de una ejecución del historial
+ * @param {any} execution
+ * @returns {{id: string, state: string, startTime: number|null, lastUpdateTime: number|null, durationMs: number|null}}
+ */
+function summarizeExecutionTiming(execution) {
+    const { state, lastUpdateDate } = getLatestExecutionState(execution);
+    const startTime = getExecutionStartTime(execution);
+    const lastUpdate = lastUpdateDate ? new Date(lastUpdateDate).getTime() : NaN;
+    const lastUpdateTime = Number.isNaN(lastUpdate) ? null : lastUpdate;
+
+    return {
+        id: execution?.id || '',
+        state,
+        startTime,
+        lastUpdateTime,
+        durationMs: startTime !== null && lastUpdateTime !== null ? lastUpdateTime - startTime : null
+    };
+}
+
+/**
+ * Ordena dos ejecuciones de la más antigua (A) a la más reciente (B)
+ * @param {any} first
+ * @param {any} second
+ * @returns {[any, any]}
+ */
+function orderExecutionsByStart(first, second) {
+    const firstStart = getExecutionStartTime(first);
+    const secondStart = getExecutionStartTime(second);
+    if (firstStart !== null && secondStart !== null && secondStart < firstStart) {
+        return [second, first];
+    }
+    return [first, second];
+}
+
+module.exports = {
+    parseParameterValue,
+    flattenValue,
+    diffExecutionParameters,
+    formatDuration,
+    summarizeExecutionTiming,
+    orderExecutionsByStart
+};
@@ -0,0 +1,147 @@
+/**
+ * @typedef {Object} ExecutionState
+ * @property {string} state - Estado de Rocket (Running, Completed, Failed, Stopped...)
+ * @property {string|null} lastUpdateDate - Fecha ISO-8601 del último cambio de estado
+ */
+
+// Estados en los que una ejecución ya no cambia
+const TERMINAL_STATES = new Set(['Completed', 'Failed', 'Stopped']);
+
+// Claves JSON en las que py2rocket run puede devolver el id de la ejecución
+const EXECUTION_ID_KEYS = ['execution_id', 'executionId', 'execution-id'];
+
+// Texto con el id de la ejecución: "Execution ID: <uuid>", "ejecución <uuid> creada", "execution_id=<uuid>"
+const EXECUTION_ID_TEXT = /(?:execution|ejecuci[oó]n)[\s_-]*(?:id)?\s*[:=]?\s*["']?([0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12})/i;
+
+/**
+ * Busca recursivamente un id de ejecución en un objeto JSON
+ * @param {any} value
+ * @param {number} [depth]
+ * @returns {string|null}
+ */
+function findExecutionIdInJson(value, depth = 0) {
+    if (!value || typeof value !== 'object' || depth > 4) return null;
+
+    for (const key of EXECUTION_ID_KEYS) {
+        if (typeof value[key] === 'string' && value[key].trim()) {
+            return value[key].trim();
+        }
+    }
+
+    // Respuesta con la ejecución creada: { execution: { id: ... } }
+    if (value.execution && typeof value.execution === 'object' && typeof value.execution.id === 'string') {
+        return value.execution.id;
+    }
+
+    for (const nested of Object.values(value)) {
+        const found = findExecutionIdInJson(nested, depth + 1);
+        if (found) return found;
+    }
+    return null;
+}
+
+/**
+ * Extrae el id de la ejecución creada de la salida de `py2rocket run`
+ * @param {string} output - stdout (y stderr) del proceso
+ * @returns {string|null}
+ */
+function parseExecutionIdFromRunOutput(output) {
+    const text = String(output || '');
+
+    // Salida JSON completa o líneas JSON sueltas
+    const candidates = [text.trim(), ...text.split(/\r?\n/).map(line => line.trim())]
+        .filter(candidate => candidate.startsWith('{') && candidate.endsWith('}'));
+    for (const candidate of candidates) {
+        try {
+            const found = findExecutionIdInJson(JSON.parse(candidate));
+            if (found) return found;
+        } catch { }
+    }
+
+    const match = text.match(EXECUTION_ID_TEXT);
+    return match ? match[1] : null;
+}
+
+/**
+ * Estado más reciente de una ejecución del historial (statuses viene ordenado del más nuevo al más viejo)
+ * @param {any} execution
+ * @returns {ExecutionState}
+ */
+function getLatestExecutionState(execution) {
+    const latest = (execution?.statuses || [])[0] || {};
+    return {
+        state: latest.state || 'Unknown',
+        lastUpdateDate: latest.lastUpdateDate || null
+    };
+}
+
+/**
+ * Fecha (ms) del primer estado registrado de una ejecución
+ * @param {any} execution
+ * @returns {number|null}
+ */
+function getExecutionStartTime(execution) {
+    const statuses = execution?.statuses || [];
+    const first = statuses[statuses.length - 1];
+    const time = first?.lastUpdateDate ? new Date(first.lastUpdateDate).getTime() : NaN;
+    return Number.isNaN(time) ? null : time;
+}
+
+/**
+ * Busca una ejecución por id en la respuesta de get-history
+ * @param {any} historyData
+ * @param {string} executionId
+ * @returns {any|null}
+ */
+function findExecution(historyData, executionId) {
+    return (historyData?.executions || []).find(execution => execution?.id === executionId) || null;
+}
+
+/**
+ * Línea de tiempo completa de una ejecución en orden cronológico, con el tiempo pasado en cada estado
+ * (hasta el siguiente estado; el último estado no final cuenta hasta ahora)
+ * @param {any} execution
+ * @param {number} [now] - Fecha actual (ms)
+ * @returns {Array<{state: string, lastUpdateDate: string|null, durationMs: number|null, current: boolean}>}
+ */
+function getExecutionTimeline(execution, now = Date.now()) {
+    const statuses = [...(execution?.statuses || [])].reverse();
+    const toTime = value => {
+        const time = value ? new Date(value).getTime() : NaN;
+        return Number.isNaN(time) ? null : time;
+    };
+
+    return statuses.map((status, index) => {
+        const state = status?.state || 'Unknown';
+        const start = toTime(status?.lastUpdateDate);
+        const isLast = index === statuses.length - 1;
+        const end = isLast
+            ? (TERMINAL_STATES.has(state) ? null : now)
+            : toTime(statuses[index + 1]?.lastUpdateDate);
+
+        return {
+            state,
+            lastUpdateDate: status?.lastUpdateDate || null,
+            durationMs: start !== null && end !== null && end >= start ? end - start : null,
+            current: isLast && !TERMINAL_STATES.has(state)
+        };
+    });
+}
+
+/**
+ * Indica si un estado es final
+ * @param {string} state
+ * @returns {boolean}
+ */
+function isTerminalState(state) {
+    return TERMINAL_STATES.has(state);
+}
+
+module.exports = {
+    parseExecutionIdFromRunOutput,
+    getLatestExecutionState,
+    getExecutionStartTime,
+    findExecution,
+    getExecutionTimeline,
+    isTerminalState
+};
@@ -0,0 +1,94 @@
+const { execFile } = require('child_process');
+
+// Tiempo máximo para consultar el estado de git
+const GIT_STATUS_TIMEOUT_MS = 10000;
+
+/**
+ * @typedef {Object} ProtectionRules
+ * @property {string[]} profiles - Perfiles de entorno protegidos
+ * @property {string[]} groupPatterns - Expresiones regulares sobre sync_info.group_name
+ * @property {boolean} blockDirtyGit - Bloquear push si el working tree de git tiene cambios
+ */
+
+/**
+ * Compila los patrones de grupo (sin distinguir mayúsculas); los inválidos se devuelven aparte
+ * @param {string[]} patterns
+ * @returns {{regexes: RegExp[], invalid: string[]}}
+ */
+function compileGroupPatterns(patterns) {
+    const regexes = [];
+    const invalid = [];
+
+    (patterns || []).forEach(pattern => {
+        if (typeof pattern !== 'string' || !pattern.trim()) return;
+        try {
+            regexes.push(new RegExp(pattern, 'i'));
+        } catch {
+            invalid.push(pattern);
+        }
+    });
+
+    return { regexes, invalid };
+}
+
+/**
+ * Devuelve los motivos por los que una operación apunta a un entorno protegido
+ * @param {ProtectionRules} rules
+ * @param {{profileName?: string, groupName?: string}} target
+ * @returns {string[]} Vacío si el entorno no está protegido
+ */
+function getProtectionReasons(rules, target) {
+    const reasons = [];
+    const { profileName, groupName } = target || {};
+
+    if (profileName && (rules.profiles || []).includes(profileName)) {
+        reasons.push(`perfil "${profileName}"`);
+    }
+
+    if (groupName) {
+        const { regexes } = compileGroupPatterns(rules.groupPatterns);
+        const matched = regexes.find(regex => regex.test(groupName));
+        if (matched) {
+            reasons.push(`grupo "${groupName}" (${matched.source})`);
+        }
+    }
+
+    return reasons;
+}
+
+/**
+ * Lista los cambios sin confirmar del repositorio git que contiene cwd
+ * @param {string} cwd
+ * @param {string[]} [ignoredDirs] - Nombres de carpeta cuyos archivos no cuentan como cambios (p. ej. .py2rocket-tmp)
+ * @returns {Promise<string[]|null>} null si no es un repositorio git o git no está disponible
+ */
+function getGitWorkingTreeChanges(cwd, ignoredDirs = []) {
+    return new Promise(resolve => {
+        execFile(
+            'git',
+            ['status', '--porcelain'],
+            { cwd, timeout: GIT_STATUS_TIMEOUT_MS, windowsHide: true },
+            (error, stdout) => {
+                if (error) {
+                    resolve(null);
+                    return;
+                }
+
+                const changes = String(stdout || '')
+                    .split(/\r?\n/)
+                    .filter(line => line.trim())
+                    .filter(line => {
+                        const filePath = line.slice(3).replace(/^"|"$/g, '');
+                        return !filePath.split('/').some(part => ignoredDirs.includes(part));
+                    });
+                resolve(changes);
+            }
+        );
+    });
+}
+
+module.exports = {
+    compileGroupPatterns,
+    getProtectionReasons,
+    getGitWorkingTreeChanges
+};
@@ -0,0 +1,198 @@
+const { getLatestExecutionState, getExecutionStartTime } = require('./py2rocket-executions');
+const { parseParameterValue, flattenValue } = require('./py2rocket-execution-diff');
+const { isVisibleParameter } = require('./py2rocket-history');
+const { compileMaskPatterns, maskParameters } = require('./py2rocket-masking');
+
+/**
+ * @typedef {Object} HistoryExportRow
+ * @property {string} executionId
+ * @property {string} assetName
+ * @property {string} state - Estado más reciente
+ * @property {string|null} startDate - Primer estado registrado (ISO-8601)
+ * @property {string|null} lastUpdateDate - Último estado registrado (ISO-8601)
+ * @property {number|null} durationSeconds
+ * @property {Array<{state: string, date: string|null}>} transitions - Estados en orden cronológico
+ * @property {Object<string, any>} parameters - Parámetros visibles aplanados (nombre.ruta -> valor)
+ */
+
+// Columnas fijas del CSV (después van los parámetros, una columna por ruta)
+const CSV_BASE_COLUMNS = [
+    ['executionId', 'execution_id'],
+    ['assetName', 'asset_name'],
+    ['state', 'state'],
+    ['startDate', 'start_date'],
+    ['lastUpdateDate', 'last_update_date'],
+    ['durationSeconds', 'duration_seconds'],
+    ['transitions', 'status_transitions']
+];
+
+/**
+ * Aplana los parámetros visibles de una ejecución (los valores JSON se expanden por ruta)
+ * @param {Object<string, any>} parametersUsed
+ * @returns {Object<string, any>}
+ */
+function flattenVisibleParameters(parametersUsed) {
+    const flat = {};
+    Object.entries(parametersUsed || {})
+        .filter(([name]) => isVisibleParameter(name))
+        .forEach(([name, value]) => {
+            flattenValue(parseParameterValue(value)).forEach((leaf, nestedPath) => {
+                const key = !nestedPath
+                    ? name
+                    : nestedPath.startsWith('[') ? `${name}${nestedPath}` : `${name}.${nestedPath}`;
+                flat[key] = leaf;
+            });
+        });
+    return flat;
+}
+
+/**
+ * Convierte una ejecución del historial en una fila de exportación
+ * @param {any} execution
+ * @param {{maskPatterns?: string[]}} [options] - Patrones de parámetros sensibles que se ocultan
+ * @returns {HistoryExportRow}
+ */
+function buildHistoryExportRow(execution, options = {}) {
+    const parametersUsed = execution?.assetDataExecution?.parametersUsed;
+    const matchers = compileMaskPatterns(options.maskPatterns);
+    const { state, lastUpdateDate } = getLatestExecutionState(execution);
+    const startTime = getExecutionStartTime(execution);
+    const lastUpdateTime = lastUpdateDate ? new Date(lastUpdateDate).getTime() : NaN;
+
+    return {
+        executionId: execution?.id || '',
+        assetName: execution?.assetDataExecution?.name || '',
+        state,
+        startDate: startTime !== null ? new Date(startTime).toISOString() : null,
+        lastUpdateDate: lastUpdateDate || null,
+        durationSeconds: startTime !== null && !Number.isNaN(lastUpdateTime)
+            ? Math.round((lastUpdateTime - startTime) / 1000)
+            : null,
+        // statuses viene del más nuevo al más viejo
+        transitions: [...(execution?.statuses || [])].reverse().map(status => ({
+            state: status?.state || 'Unknown',
+            date: status?.lastUpdateDate || null
+        })),
+        parameters: flattenVisibleParameters(matchers.length ? maskParameters(parametersUsed, matchers) : parametersUsed)
+    };
+}
+
+/**
+ * Indica si una ejecución coincide con el texto de búsqueda del panel de historial
+ * (id, asset, estado o valores de parámetros visibles)
+ * @param {any} execution
+ * @param {string} search
+ * @param {{maskPatterns?: string[]}} [options] - Los valores sensibles se ocultan antes de comparar, como en el panel
+ * @returns {boolean}
+ */
+function matchesHistorySearch(execution, search, options = {}) {
+    const term = String(search || '').trim().toLowerCase();
+    if (!term) return true;
+
+    const row = buildHistoryExportRow(execution, options);
+    const haystack = [
+        row.executionId,
+        row.assetName,
+        row.state,
+        ...Object.entries(row.parameters).map(([name, value]) => `${name} ${value}`)
+    ].join(' ').toLowerCase();
+    return haystack.includes(term);
+}
+
+/**
+ * Escapa un valor para CSV (RFC 4180)
+ * @param {any} value
+ * @returns {string}
+ */
+function toCsvCell(value) {
+    if (value === null || value === undefined) return '';
+    const text = typeof value === 'object' ? JSON.stringify(value) : String(value);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Genera el CSV del historial: columnas fijas y una columna por parámetro aplanado
+ * @param {any[]} executions
+ * @param {{maskPatterns?: string[]}} [options]
+ * @returns {string}
+ */
+function buildHistoryCsv(executions, options = {}) {
+    const rows = (executions || []).map(execution => buildHistoryExportRow(execution, options));
+    const parameterColumns = [...new Set(rows.flatMap(row => Object.keys(row.parameters)))].sort();
+
+    const header = [
+        ...CSV_BASE_COLUMNS.map(([, label]) => label),
+        ...parameterColumns.map(name => `param:${name}`)
+    ];
+    const lines = rows.map(row => [
+        ...CSV_BASE_COLUMNS.map(([key]) => (key === 'transitions'
+            ? row.transitions.map(transition => `${transition.state}@${transition.date || ''}`).join(' > ')
+            : row[key])),
+        ...parameterColumns.map(name => row.parameters[name])
+    ].map(toCsvCell).join(','));
+
+    return `${[header.map(toCsvCell).join(','), ...lines].join('\r\n')}\r\n`;
+}
+
+/**
+ * Genera el JSON del historial con los metadatos de la exportación
+ * @param {any[]} executions
+ * @param {{workflowId: string, filters?: Object, search?: string}} meta
+ * @param {{maskPatterns?: string[]}} [options]
+ * @returns {string}
+ */
+function buildHistoryJson(executions, meta, options = {}) {
+    const rows = (executions || []).map(execution => buildHistoryExportRow(execution, options));
+    return `${JSON.stringify({
+        workflowId: meta.workflowId,
+        exportedAt: new Date().toISOString(),
+        filters: meta.filters || {},
+        search: meta.search || '',
+        maskedPatterns: options.maskPatterns || [],
+        total: rows.length,
+        executions: rows
+    }, null, 2)}\n`;
+}
+
+/**
+ * Reúne las ejecuciones de todas las páginas de get-history (--limit/--offset)
+ * @param {(offset: number, collected: number, totalCount: number|null) => Promise<any>} fetchPage - Descarga la página que empieza en offset
+ * @param {number} pageSize
+ * @returns {Promise<any[]>}
+ */
+async function collectHistoryPages(fetchPage, pageSize) {
+    const executions = [];
+    const seenIds = new Set();
+    let offset = 0;
+    let totalCount = null;
+    for (;;) {
+        const page = await fetchPage(offset, executions.length, totalCount);
+        const pageExecutions = page?.executions || [];
+        totalCount = Number(page?.total_count) || null;
+        offset += pageExecutions.length;
+
+        // Las ejecuciones enviadas mientras se pagina desplazan filas entre páginas, y una versión
+        // de py2rocket que ignore --offset repite la misma página: no se añade ningún id dos veces
+        const newExecutions = pageExecutions.filter(execution => {
+            if (!execution?.id) return true;
+            if (seenIds.has(execution.id)) return false;
+            seenIds.add(execution.id);
+            return true;
+        });
+        executions.push(...newExecutions);
+
+        // Página incompleta (última), sin ejecuciones nuevas (--offset ignorado) o más de las pedidas (--limit ignorado)
+        if (pageExecutions.length < pageSize
+            || newExecutions.length === 0
+            || pageExecutions.length > pageSize) break;
+    }
+    return executions;
+}
+
+module.exports = {
+    buildHistoryExportRow,
+    matchesHistorySearch,
+    buildHistoryCsv,
+    buildHistoryJson,
+    collectHistoryPages
+};
@@ -0,0 +1,263 @@
+const { getLatestExecutionState, getExecutionStartTime } = require('./py2rocket-executions');
+
+/**
+ * @typedef {Object} HistoryQuery
+ * @property {number} [limit] - Ejecuciones por página
+ * @property {number} [offset] - Ejecuciones a saltar
+ * @property {string} [state] - Estado (Completed, Failed, Running, Stopped...)
+ * @property {string} [dateFrom] - Inicio de la ejecución desde YYYY-MM-DD (inclusive)
+ * @property {string} [dateTo] - Inicio de la ejecución hasta YYYY-MM-DD (inclusive)
+ * @property {string} [assetName] - Texto contenido en el nombre del asset
+ */
+
+// Opciones de `py2rocket get-history` para paginar y filtrar en el servidor
+const HISTORY_QUERY_FLAGS = {
+    limit: '--limit',
+    offset: '--offset',
+    state: '--state',
+    dateFrom: '--from-date',
+    dateTo: '--to-date',
+    assetName: '--asset-name'
+};
+
+// Prefijos de parámetros de infraestructura que no se muestran en el historial
+const HIDDEN_PARAMETER_PREFIXES = ['SparkConfigurations', 'Environment', 'SparkResources'];
+
+// Mensajes de argparse/click cuando la versión instalada de py2rocket no reconoce una opción
+const UNSUPPORTED_OPTION_PATTERN = /unrecognized arguments|no such option|unexpected extra argument/i;
+
+/**
+ * Indica si un parámetro de parametersUsed se muestra en el historial
+ * @param {string} key
+ * @returns {boolean}
+ */
+function isVisibleParameter(key) {
+    return !HIDDEN_PARAMETER_PREFIXES.some(prefix => key.startsWith(prefix));
+}
+
+/**
+ * Agrupa parametersUsed: primero los parámetros visibles y después un grupo por prefijo oculto
+ * @param {Object<string, any>} parametersUsed
+ * @returns {Array<{group: string|null, entries: Array<[string, any]>}>} group null = parámetros visibles
+ */
+function groupExecutionParameters(parametersUsed) {
+    const entries = Object.entries(parametersUsed || {});
+    const groups = [{ group: null, entries: entries.filter(([key]) => isVisibleParameter(key)) }];
+
+    HIDDEN_PARAMETER_PREFIXES.forEach(prefix => {
+        const groupEntries = entries.filter(([key]) => key.startsWith(prefix));
+        if (groupEntries.length > 0) {
+            groups.push({ group: prefix, entries: groupEntries });
+        }
+    });
+    return groups;
+}
+
+/**
+ * Construye los argumentos de get-history con los filtros y la página indicados
+ * @param {string} workflowId
+ * @param {HistoryQuery} [query]
+ * @returns {string[]}
+ */
+function buildHistoryArgs(workflowId, query = {}) {
+    const args = [workflowId, '-j'];
+
+    Object.entries(HISTORY_QUERY_FLAGS).forEach(([key, flag]) => {
+        const value = query[key];
+        if (value === undefined || value === null || value === '') return;
+        // offset 0 es el valor por defecto: no hace falta enviarlo
+        if (key === 'offset' && Number(value) === 0) return;
+        args.push(flag, String(value));
+    });
+
+    return args;
+}
+
+/**
+ * Indica si el error de py2rocket se debe a opciones no soportadas por la versión instalada
+ * @param {any} error
+ * @returns {boolean}
+ */
+function isUnsupportedOptionError(error) {
+    return UNSUPPORTED_OPTION_PATTERN.test(`${error?.stderr || ''}\n${error?.message || ''}`);
+}
+
+/**
+ * Convierte una fecha YYYY-MM-DD en milisegundos (inicio o fin del día local)
+ * @param {string} value
+ * @param {boolean} endOfDay
+ * @returns {number|null}
+ */
+function parseDateBoundary(value, endOfDay) {
+    if (!value) return null;
+    const time = new Date(`${value}T${endOfDay ? '23:59:59.999' : '00:00:00'}`).getTime();
+    return Number.isNaN(time) ? null : time;
+}
+
+/**
+ * Filtra ejecuciones en local (para versiones de py2rocket sin filtros en get-history).
+ * El rango de fechas se aplica a la fecha de inicio, como --from-date/--to-date
+ * @param {any[]} executions
+ * @param {HistoryQuery} query
+ * @returns {any[]}
+ */
+function filterHistoryExecutions(executions, query = {}) {
+    const from = parseDateBoundary(query.dateFrom, false);
+    const to = parseDateBoundary(query.dateTo, true);
+    const assetName = String(query.assetName || '').trim().toLowerCase();
+
+    return (executions || []).filter(execution => {
+        const { state } = getLatestExecutionState(execution);
+        if (query.state && state !== query.state) return false;
+
+        if (from !== null || to !== null) {
+            const time = getExecutionStartTime(execution);
+            if (time === null) return false;
+            if (from !== null && time < from) return false;
+            if (to !== null && time > to) return false;
+        }
+
+        if (assetName) {
+            const name = String(execution?.assetDataExecution?.name || '').toLowerCase();
+            if (!name.includes(assetName)) return false;
+        }
+        return true;
+    });
+}
+
+/**
+ * Aplica filtros y paginación en local sobre una respuesta completa de get-history
+ * @param {any} historyData
+ * @param {HistoryQuery} query
+ * @returns {any} Respuesta con la página pedida, total filtrado y filteredLocally = true
+ */
+function applyHistoryQueryLocally(historyData, query = {}) {
+    const filtered = filterHistoryExecutions(historyData?.executions, query);
+    const offset = Math.max(0, Number(query.offset) || 0);
+    const limit = Math.max(0, Number(query.limit) || 0);
+
+    return {
+        ...historyData,
+        executions: limit ? filtered.slice(offset, offset + limit) : filtered.slice(offset),
+        total_count: filtered.length,
+        filteredLocally: true
+    };
+}
+
+// Claves en las que get-history puede devolver los datos con los que se envió una ejecución
+const PARAMS_LISTS_KEYS = ['parametersLists', 'paramsLists', 'parameterLists'];
+const EXTRA_PARAMS_KEYS = ['extraParams', 'extraParameters'];
+const RERUN_SETTING_KEYS = {
+    instance: ['instance', 'instanceSize', 'instanceType'],
+    executionPriority: ['executionPriority'],
+    maxAttempts: ['maxAttempts'],
+    executionName: ['executionName'],
+    executionDescription: ['executionDescription'],
+    forceExecutionIfAvailableResources: ['forceExecutionIfAvailableResources'],
+    retryUnsuccessfulWrites: ['retryUnsuccessfulWrites'],
+    extendedAuditInfo: ['extendedAuditInfo']
+};
+
+/**
+ * Busca recursivamente el primer valor definido de alguna de las claves
+ * (no entra en parametersUsed: son valores de parámetros, no datos del envío)
+ * @param {any} value
+ * @param {string[]} keys
+ * @param {number} [depth]
+ * @returns {any}
+ */
+function findValueByKeys(value, keys, depth = 0) {
+    if (!value || typeof value !== 'object' || Array.isArray(value) || depth > 4) return undefined;
+
+    for (const key of keys) {
+        if (value[key] !== undefined && value[key] !== null) return value[key];
+    }
+
+    for (const [key, nested] of Object.entries(value)) {
+        if (key === 'parametersUsed') continue;
+        const found = findValueByKeys(nested, keys, depth + 1);
+        if (found !== undefined) return found;
+    }
+    return undefined;
+}
+
+/**
+ * Convierte un valor de parámetro en el texto que se muestra en un campo del formulario
+ * @param {any} value
+ * @returns {string}
+ */
+function toFormValue(value) {
+    if (value === null || value === undefined) return '';
+    if (typeof value === 'object') return JSON.stringify(value);
+    return String(value);
+}
+
+/**
+ * Extrae de una ejecución del historial los datos para volver a lanzarla:
+ * listas de parámetros, parámetros extra y configuración de ejecución
+ * @param {any} execution
+ * @returns {{executionId: string, paramsLists: string[]|null, extraParams: Object<string, string>, parametersUsed: Object<string, any>, settings: Object<string, any>}}
+ */
+function extractRerunData(execution) {
+    const rawLists = findValueByKeys(execution, PARAMS_LISTS_KEYS);
+    const paramsLists = Array.isArray(rawLists)
+        ? rawLists.map(item => (typeof item === 'string' ? item : item?.name)).filter(name => typeof name === 'string' && name)
+        : null;
+
+    const extraParams = {};
+    const rawExtra = findValueByKeys(execution, EXTRA_PARAMS_KEYS);
+    if (Array.isArray(rawExtra)) {
+        rawExtra.forEach(item => {
+            if (item && typeof item === 'object' && item.name) {
+                extraParams[item.name] = toFormValue(item.value);
+            }
+        });
+    } else if (rawExtra && typeof rawExtra === 'object') {
+        Object.entries(rawExtra).forEach(([name, value]) => {
+            extraParams[name] = toFormValue(value);
+        });
+    }
+
+    const settings = {};
+    Object.entries(RERUN_SETTING_KEYS).forEach(([setting, keys]) => {
+        const value = findValueByKeys(execution, keys);
+        if (value !== undefined) settings[setting] = value;
+    });
+
+    return {
+        executionId: execution?.id || '',
+        paramsLists: paramsLists && paramsLists.length > 0 ? paramsLists : null,
+        extraParams,
+        parametersUsed: execution?.assetDataExecution?.parametersUsed || {},
+        settings
+    };
+}
+
+/**
+ * Valor con el que precargar un parámetro extra al re-ejecutar
+ * (primero los extraParams enviados; si no constan, el valor usado en la ejecución)
+ * @param {ReturnType<typeof extractRerunData>} rerunData
+ * @param {string} name
+ * @returns {string|undefined}
+ */
+function getRerunParameterValue(rerunData, name) {
+    if (!rerunData) return undefined;
+    if (Object.prototype.hasOwnProperty.call(rerunData.extraParams, name)) {
+        return rerunData.extraParams[name];
+    }
+    if (Object.prototype.hasOwnProperty.call(rerunData.parametersUsed, name)) {
+        return toFormValue(rerunData.parametersUsed[name]);
+    }
+    return undefined;
+}
+
+module.exports = {
+    buildHistoryArgs,
+    isUnsupportedOptionError,
+    filterHistoryExecutions,
+    applyHistoryQueryLocally,
+    extractRerunData,
+    getRerunParameterValue,
+    isVisibleParameter,
+    groupExecutionParameters
+};
@@ -0,0 +1,77 @@
+// Líneas de log que se resaltan como error (también nombres de excepción como IllegalStateException)
+const ERROR_LINE_PATTERN = /\b(ERROR|FATAL|SEVERE|CRITICAL|Traceback|Caused by)\b|Exception\b|^\s+at\s+[\w$.<>]+\(/;
+
+// Claves JSON en las que py2rocket get-logs puede devolver el texto de los logs
+const LOG_TEXT_KEYS = ['logs', 'log', 'content', 'lines'];
+
+/**
+ * Argumentos de `py2rocket get-logs` para una ejecución
+ * @param {string} executionId
+ * @returns {string[]}
+ */
+function buildLogArgs(executionId) {
+    return [executionId];
+}
+
+/**
+ * Convierte un valor de logs (texto, arreglo de líneas o de entradas) en texto
+ * @param {any} value
+ * @returns {string|null}
+ */
+function logValueToText(value) {
+    if (typeof value === 'string') return value;
+    if (!Array.isArray(value)) return null;
+
+    return value.map(line => {
+        if (typeof line === 'string') return line;
+        if (line && typeof line === 'object') {
+            const message = line.message ?? line.msg ?? line.line ?? JSON.stringify(line);
+            return [line.timestamp || line.time, line.level, message].filter(Boolean).join(' ');
+        }
+        return String(line);
+    }).join('\n');
+}
+
+/**
+ * Extrae el texto de los logs de la salida de get-logs (JSON con el log o texto plano)
+ * @param {string} stdout
+ * @returns {string}
+ */
+function extractLogText(stdout) {
+    const output = String(stdout || '');
+    const trimmed = output.trim();
+
+    if (trimmed.startsWith('{') || trimmed.startsWith('[')) {
+        try {
+            const data = JSON.parse(trimmed);
+            const direct = logValueToText(data);
+            if (direct !== null) return direct;
+
+            for (const key of LOG_TEXT_KEYS) {
+                const text = logValueToText(data?.[key]);
+                if (text !== null) return text;
+            }
+        } catch { }
+    }
+    return output;
+}
+
+/**
+ * Índices (base 0) de las líneas de error de un log
+ * @param {string} text
+ * @returns {number[]}
+ */
+function findErrorLines(text) {
+    return String(text || '')
+        .split(/\r?\n/)
+        .reduce((lines, line, index) => {
+            if (ERROR_LINE_PATTERN.test(line)) lines.push(index);
+            return lines;
+        }, []);
+}
+
+module.exports = {
+    buildLogArgs,
+    extractLogText,
+    findErrorLines
+};
@@ -0,0 +1,125 @@
+const { parseParameterValue } = require('./py2rocket-execution-diff');
+
+// Patrones por defecto de nombres de parámetros sensibles (comodines * y ?, sin distinguir mayúsculas)
+const DEFAULT_SENSITIVE_PATTERNS = [
+    '*password*',
+    '*passwd*',
+    '*token*',
+    '*secret*',
+    '*apikey*',
+    '*api_key*',
+    '*credential*',
+    '*private_key*'
+];
+
+// Texto que sustituye a los valores ocultos
+const MASKED_VALUE = '••••••••';
+
+/**
+ * Convierte un patrón con comodines (* y ?) en una expresión regular
+ * @param {string} pattern
+ * @returns {RegExp}
+ */
+function patternToRegExp(pattern) {
+    const source = String(pattern)
+        .trim()
+        .replace(/[.+^${}()|[\]\\]/g, '\\$&')
+        .replace(/\*/g, '.*')
+        .replace(/\?/g, '.');
+    return new RegExp(`^${source}$`, 'i');
+}
+
+/**
+ * Compila los patrones de nombres sensibles (se ignoran los vacíos)
+ * @param {string[]} patterns
+ * @returns {RegExp[]}
+ */
+function compileMaskPatterns(patterns) {
+    return (Array.isArray(patterns) ? patterns : [])
+        .filter(pattern => typeof pattern === 'string' && pattern.trim())
+        .map(patternToRegExp);
+}
+
+/**
+ * Indica si un nombre de parámetro (o clave anidada) es sensible
+ * @param {string} name
+ * @param {RegExp[]} matchers
+ * @returns {boolean}
+ */
+function isSensitiveName(name, matchers) {
+    return matchers.some(matcher => matcher.test(String(name)));
+}
+
+/**
+ * Oculta las claves sensibles dentro de un valor JSON
+ * @param {any} value
+ * @param {RegExp[]} matchers
+ * @returns {{value: any, masked: boolean}}
+ */
+function maskNestedValue(value, matchers) {
+    if (Array.isArray(value)) {
+        const items = value.map(item => maskNestedValue(item, matchers));
+        return { value: items.map(item => item.value), masked: items.some(item => item.masked) };
+    }
+    if (value && typeof value === 'object') {
+        let masked = false;
+        const result = {};
+        Object.entries(value).forEach(([key, nested]) => {
+            if (isSensitiveName(key, matchers)) {
+                result[key] = MASKED_VALUE;
+                masked = true;
+                return;
+            }
+            const child = maskNestedValue(nested, matchers);
+            result[key] = child.value;
+            masked = masked || child.masked;
+        });
+        return { value: result, masked };
+    }
+    return { value, masked: false };
+}
+
+/**
+ * Oculta el valor de un parámetro si su nombre es sensible, o las claves sensibles de su JSON
+ * @param {string} name
+ * @param {any} value
+ * @param {RegExp[]} matchers
+ * @returns {{value: any, masked: boolean}}
+ */
+function maskParameterValue(name, value, matchers) {
+    if (matchers.length === 0) return { value, masked: false };
+    if (isSensitiveName(name, matchers)) {
+        return { value: MASKED_VALUE, masked: true };
+    }
+
+    const parsed = parseParameterValue(value);
+    if (!parsed || typeof parsed !== 'object') return { value, masked: false };
+
+    const nested = maskNestedValue(parsed, matchers);
+    if (!nested.masked) return { value, masked: false };
+    // Los valores que llegan como texto JSON se devuelven también como texto
+    return { value: typeof value === 'string' ? JSON.stringify(nested.value) : nested.value, masked: true };
+}
+
+/**
+ * Copia de parametersUsed con los valores sensibles ocultos
+ * @param {Object<string, any>} parametersUsed
+ * @param {RegExp[]} matchers
+ * @returns {Object<string, any>}
+ */
+function maskParameters(parametersUsed, matchers) {
+    const result = {};
+    Object.entries(parametersUsed || {}).forEach(([name, value]) => {
+        result[name] = maskParameterValue(name, value, matchers).value;
+    });
+    return result;
+}
+
+module.exports = {
+    DEFAULT_SENSITIVE_PATTERNS,
+    MASKED_VALUE,
+    compileMaskPatterns,
+    isSensitiveName,
+    maskParameterValue,
+    maskParameters
+};
@@ -0,0 +1,144 @@
+const path = require('path');
+const fs = require('fs');
+
+/**
+ * @typedef {Object} Py2RocketProfile
+ * @property {string} name - Nombre del perfil (dev, staging, prod...)
+ * @property {string} [rocketUrl] - URL de la instancia de Rocket (ROCKET_URL)
+ * @property {string} [projectId] - Proyecto por defecto (PROJECT_ID)
+ * @property {string} [envFile] - Archivo .env con las credenciales del perfil (relativo al workspace)
+ * @property {Object<string, string>} [env] - Variables de entorno adicionales
+ */
+
+// Línea de un archivo .env: [export] CLAVE=valor
+const ENV_LINE = /^\s*(?:export\s+)?([A-Za-z_][A-Za-z0-9_]*)\s*=\s*(.*?)\s*$/;
+
+/**
+ * Valida y normaliza la lista de perfiles definida en la configuración
+ * (descarta entradas sin nombre y nombres duplicados)
+ * @param {any} rawProfiles
+ * @returns {Py2RocketProfile[]}
+ */
+function normalizeProfiles(rawProfiles) {
+    if (!Array.isArray(rawProfiles)) return [];
+
+    const seen = new Set();
+    return rawProfiles
+        .filter(profile => profile && typeof profile === 'object' && typeof profile.name === 'string' && profile.name.trim())
+        .map(profile => ({ ...profile, name: profile.name.trim() }))
+        .filter(profile => {
+            if (seen.has(profile.name)) return false;
+            seen.add(profile.name);
+            return true;
+        });
+}
+
+/**
+ * Interpreta el contenido de un archivo .env (sin expansión de variables)
+ * @param {string} content
+ * @returns {Object<string, string>}
+ */
+function parseEnvFile(content) {
+    const env = {};
+
+    String(content || '').split(/\r?\n/).forEach(line => {
+        if (!line.trim() || line.trim().startsWith('#')) return;
+        const match = line.match(ENV_LINE);
+        if (!match) return;
+
+        let value = match[2];
+        const quote = value[0];
+        if ((quote === '"' || quote === "'") && value.endsWith(quote) && value.length >= 2) {
+            value = value.slice(1, -1);
+            if (quote === '"') {
+                value = value.replace(/\\n/g, '\n');
+            }
+        } else {
+            // Comentario al final de un valor sin comillas
+            value = value.replace(/\s+#.*$/, '');
+        }
+        env[match[1]] = value;
+    });
+
+    return env;
+}
+
+/**
+ * Ruta del envFile del perfil (los relativos se resuelven contra la carpeta de workspace)
+ * @param {Py2RocketProfile} profile
+ * @param {string} [workspaceFolder]
+ * @returns {string|null} null si el perfil no tiene envFile
+ */
+function resolveProfileEnvFile(profile, workspaceFolder) {
+    if (!profile?.envFile) return null;
+    return path.isAbsolute(profile.envFile) || !workspaceFolder
+        ? profile.envFile
+        : path.join(workspaceFolder, profile.envFile);
+}
+
+/**
+ * Comprueba que el envFile del perfil exista
+ * @param {Py2RocketProfile} profile
+ * @param {string} [workspaceFolder] - Base para resolver envFile relativo
+ * @returns {string|null} Mensaje de error, o null si no hay envFile o existe
+ */
+function checkProfileEnvFile(profile, workspaceFolder) {
+    const envFilePath = resolveProfileEnvFile(profile, workspaceFolder);
+    if (!envFilePath) return null;
+
+    return fs.existsSync(envFilePath)
+        ? null
+        : `No se encontró el archivo de entorno del perfil "${profile.name}": ${envFilePath}`;
+}
+
+/**
+ * Construye las variables de entorno de un perfil.
+ * Orden de prioridad: envFile < env < rocketUrl/projectId.
+ * No lanza: si el envFile falta o no se puede leer, lo devuelve en `error`
+ * @param {Py2RocketProfile} profile
+ * @param {string} [workspaceFolder] - Base para resolver envFile relativo
+ * @returns {{env: Object<string, string>, error: Error|null}}
+ */
+function buildProfileEnv(profile, workspaceFolder) {
+    if (!profile) return { env: {}, error: null };
+
+    const envFileProblem = checkProfileEnvFile(profile, workspaceFolder);
+    if (envFileProblem) return { env: {}, error: new Error(envFileProblem) };
+
+    let fileEnv = {};
+    const envFilePath = resolveProfileEnvFile(profile, workspaceFolder);
+    if (envFilePath) {
+        try {
+            fileEnv = parseEnvFile(fs.readFileSync(envFilePath, 'utf-8'));
+        } catch (error) {
+            return {
+                env: {},
+                error: new Error(`No se pudo leer el archivo de entorno del perfil "${profile.name}": ${error.message}`)
+            };
+        }
+    }
+
+    const extraEnv = Object.entries(profile.env || {}).reduce((acc, [key, value]) => {
+        if (value !== undefined && value !== null) {
+            acc[key] = String(value);
+        }
+        return acc;
+    }, {});
+
+    return {
+        env: {
+            ...fileEnv,
+            ...extraEnv,
+            ...(profile.rocketUrl ? { ROCKET_URL: profile.rocketUrl } : {}),
+            ...(profile.projectId ? { PROJECT_ID: String(profile.projectId) } : {})
+        },
+        error: null
+    };
+}
+
+module.exports = {
+    normalizeProfiles,
+    parseEnvFile,
+    checkProfileEnvFile,
+    buildProfileEnv
+};
@@ -0,0 +1,459 @@
+const { spawn } = require('child_process');
+const { StringDecoder } = require('string_decoder');
+const path = require('path');
+const fs = require('fs');
+
+// Tiempo de espera antes de forzar SIGKILL tras una cancelación
+const PROCESS_KILL_GRACE_MS = 5000;
+
+// Salida de argparse/click cuando la versión instalada no tiene el subcomando pedido
+const UNSUPPORTED_COMMAND_PATTERN = /invalid choice|no such command|unknown command/i;
+
+/**
+ * @typedef {Object} Py2RocketRunOptions
+ * @property {string} [cwd] - Directorio de trabajo del proceso
+ * @property {string} [workspaceFolder] - Carpeta del workspace (para resolver .venv)
+ * @property {string} [pythonPath] - Ejecutable de Python configurado por el usuario
+ * @property {Object<string, string>} [env] - Variables de entorno adicionales
+ * @property {{isCancellationRequested: boolean, onCancellationRequested: Function}} [token] - Token de cancelación (vscode.CancellationToken)
+ * @property {number} [timeoutMs] - Tiempo máximo de ejecución en ms (0 o vacío: sin límite)
+ * @property {(line: string) => void} [onStdoutLine] - Recibe cada línea de stdout en cuanto llega
+ * @property {(line: string) => void} [onStderrLine] - Recibe cada línea de stderr en cuanto llega
+ * @property {Error|null} [setupError] - Error al preparar las opciones (p. ej. envFile del perfil inexistente)
+ */
+
+/**
+ * @typedef {Object} Py2RocketRunResult
+ * @property {string} executable - Ejecutable lanzado
+ * @property {string[]} argv - Argumentos pasados al ejecutable
+ * @property {string} cmd - Línea de comando legible (solo para mostrar)
+ * @property {string} cwd - Directorio de trabajo usado
+ * @property {number|null} code - Código de salida
+ * @property {string|null} signal - Señal que terminó el proceso
+ * @property {string} stdout
+ * @property {string} stderr
+ */
+
+/**
+ * Busca un ejecutable de Python en .venv de la carpeta indicada
+ * @param {string} workspaceFolder
+ * @returns {string|null}
+ */
+function findVenvPython(workspaceFolder) {
+    if (!workspaceFolder) return null;
+
+    const venvRoot = path.join(workspaceFolder, '.venv');
+    const windowsPython = path.join(venvRoot, 'Scripts', 'python.exe');
+    const unixPython = path.join(venvRoot, 'bin', 'python');
+
+    if (fs.existsSync(windowsPython)) return windowsPython;
+    if (fs.existsSync(unixPython)) return unixPython;
+
+    return null;
+}
+
+/**
+ * Resuelve el ejecutable de Python a lanzar.
+ * Prioridad: ruta configurada > .venv del workspace > 'python' del PATH
+ * @param {string} pythonPath
+ * @param {string} workspaceFolder
+ * @returns {string}
+ */
+function resolvePythonExecutable(pythonPath, workspaceFolder) {
+    const configured = String(pythonPath || '').trim();
+    if (configured && configured !== 'python') {
+        // Rutas relativas como .venv/Scripts/python.exe se resuelven contra el workspace
+        const isRelativePath = !path.isAbsolute(configured) && /[\\/]/.test(configured);
+        if (isRelativePath && workspaceFolder) {
+            return path.resolve(workspaceFolder, configured);
+        }
+        return configured;
+    }
+
+    return findVenvPython(workspaceFolder) || 'python';
+}
+
+/**
+ * Construye el entorno del proceso hijo (UTF-8 y .venv en PATH)
+ * @param {string} workspaceFolder
+ * @param {Object<string, string>} [extraEnv]
+ * @returns {Object<string, string>}
+ */
+function buildProcessEnv(workspaceFolder, extraEnv = {}) {
+    const env = {
+        ...process.env,
+        PYTHONIOENCODING: 'utf-8',
+        ...extraEnv
+    };
+
+    if (workspaceFolder) {
+        const venvBinDirs = [
+            path.join(workspaceFolder, '.venv', 'Scripts'),
+            path.join(workspaceFolder, '.venv', 'bin')
+        ].filter(dir => fs.existsSync(dir));
+
+        if (venvBinDirs.length > 0) {
+            // En Windows la variable puede llamarse 'Path'
+            const pathKey = Object.keys(env).find(key => key.toUpperCase() === 'PATH') || 'PATH';
+            env[pathKey] = [...venvBinDirs, env[pathKey]].filter(Boolean).join(path.delimiter);
+        }
+    }
+
+    return env;
+}
+
+/**
+ * Formatea un argumento para mostrarlo en logs (no se usa para ejecutar)
+ * @param {string} value
+ * @returns {string}
+ */
+function formatArgForDisplay(value) {
+    const text = String(value ?? '');
+    if (text && !/[\s"'$`\\]/.test(text)) return text;
+    return JSON.stringify(text);
+}
+
+/**
+ * Construye la línea de comando legible de una invocación
+ * @param {string} executable
+ * @param {string[]} argv
+ * @returns {string}
+ */
+function formatCommandLine(executable, argv) {
+    return [executable, ...argv].map(formatArgForDisplay).join(' ');
+}
+
+/**
+ * Prepara la invocación `python -m py2rocket <subcomando> ...args`
+ * @param {string} subcommand
+ * @param {Array<string|number>} args
+ * @param {Py2RocketRunOptions} options
+ * @returns {{executable: string, argv: string[], cmd: string, cwd: string, env: Object<string, string>}}
+ */
+function buildPy2RocketInvocation(subcommand, args = [], options = {}) {
+    const workspaceFolder = options.workspaceFolder || null;
+    const executable = resolvePythonExecutable(options.pythonPath, workspaceFolder);
+    const argv = ['-m', 'py2rocket', subcommand, ...args.map(arg => String(arg))];
+    const cwd = options.cwd || workspaceFolder || process.cwd();
+
+    return {
+        executable,
+        argv,
+        cmd: formatCommandLine(executable, argv),
+        cwd,
+        env: buildProcessEnv(workspaceFolder, options.env)
+    };
+}
+
+/**
+ * Patrones de salida de py2rocket que indican avance
+ * (por ejemplo "Downloading asset 3/20" o "[3/20] Pushing workflow")
+ */
+const PROGRESS_LINE_PATTERNS = [
+    { pattern: /download(?:ing|ed)?\s+asset\s+(\d+)\s*\/\s*(\d+)/i, label: 'Descargando asset' },
+    { pattern: /sync(?:ing|ed)?\s+(?:asset|workflow)\s+(\d+)\s*\/\s*(\d+)/i, label: 'Sincronizando asset' },
+    { pattern: /(?:upload|push)(?:ing|ed)?\s+(?:asset|workflow)\s+(\d+)\s*\/\s*(\d+)/i, label: 'Publicando asset' },
+    { pattern: /(?:convert|process)(?:ing|ed)?\s+(?:asset|workflow|file)\s+(\d+)\s*\/\s*(\d+)/i, label: 'Procesando asset' }
+];
+
+/**
+ * Traduce una línea de salida de py2rocket a un mensaje de progreso
+ * @param {string} line
+ * @returns {{message: string, current: number, total: number} | null}
+ */
+function parseProgressLine(line) {
+    const text = String(line || '').trim();
+    if (!text) return null;
+
+    for (const { pattern, label } of PROGRESS_LINE_PATTERNS) {
+        const match = text.match(pattern);
+        if (match) {
+            const current = Number(match[1]);
+            const total = Number(match[2]);
+            return { message: `${label} ${current}/${total}`, current, total };
+        }
+    }
+
+    // Formato genérico: "[3/20] Descripción"
+    const generic = text.match(/^\[(\d+)\s*\/\s*(\d+)\]\s*(.+)$/);
+    if (generic) {
+        const current = Number(generic[1]);
+        const total = Number(generic[2]);
+        return { message: `${generic[3]} (${current}/${total})`, current, total };
+    }
+
+    return null;
+}
+
+/**
+ * Crea un acumulador que emite líneas completas a partir de chunks de un stream
+ * @param {(line: string) => void} [onLine]
+ * @returns {{push: (chunk: Buffer) => void, flush: () => void}}
+ */
+function createLineSplitter(onLine) {
+    const decoder = new StringDecoder('utf8');
+    let pending = '';
+
+    const emit = (line) => {
+        if (!onLine) return;
+        try {
+            onLine(line.replace(/\r$/, ''));
+        } catch {
+            // Un error en el consumidor no debe interrumpir el proceso
+        }
+    };
+
+    return {
+        push(chunk) {
+            pending += decoder.write(chunk);
+            const lines = pending.split('\n');
+            pending = lines.pop();
+            lines.forEach(emit);
+        },
+        flush() {
+            pending += decoder.end();
+            if (pending) emit(pending);
+            pending = '';
+        }
+    };
+}
+
+/**
+ * Crea un Error con los datos del proceso (mismos campos que el resultado)
+ * @param {string} message
+ * @param {Partial<Py2RocketRunResult>} details
+ * @returns {Error & Partial<Py2RocketRunResult>}
+ */
+function createProcessError(message, details) {
+    return Object.assign(new Error(message), details);
+}
+
+/**
+ * Crea el Error usado cuando el usuario cancela una operación
+ * @param {Partial<Py2RocketRunResult>} [details]
+ * @returns {Error & {cancelled: true}}
+ */
+function createCancellationError(details = {}) {
+    return createProcessError('Operación cancelada por el usuario', { ...details, cancelled: true });
+}
+
+/**
+ * Indica si el error proviene de una cancelación del usuario
+ * @param {any} error
+ * @returns {boolean}
+ */
+function isCancellationError(error) {
+    return Boolean(error && error.cancelled === true);
+}
+
+/**
+ * Crea el Error usado cuando el proceso supera el tiempo límite
+ * @param {string} subcommand
+ * @param {number} timeoutMs
+ * @param {Partial<Py2RocketRunResult>} [details]
+ * @returns {Error & {timedOut: true, timeoutMs: number}}
+ */
+function createTimeoutError(subcommand, timeoutMs, details = {}) {
+    const seconds = Math.round(timeoutMs / 1000);
+    return createProcessError(`py2rocket ${subcommand} superó el tiempo límite de ${seconds} s`, {
+        ...details,
+        timedOut: true,
+        timeoutMs
+    });
+}
+
+/**
+ * Indica si el error proviene de un tiempo límite superado
+ * @param {any} error
+ * @returns {boolean}
+ */
+function isTimeoutError(error) {
+    return Boolean(error && error.timedOut === true);
+}
+
+/**
+ * Indica si el error se debe a un subcomando que no existe en la versión instalada de py2rocket
+ * @param {any} error
+ * @returns {boolean}
+ */
+function isUnsupportedCommandError(error) {
+    return UNSUPPORTED_COMMAND_PATTERN.test(`${error?.stderr || ''}\n${error?.stdout || ''}\n${error?.message || ''}`);
+}
+
+/**
+ * Lanza un error de cancelación si el token ya fue cancelado
+ * @param {{isCancellationRequested: boolean}} [token]
+ */
+function throwIfCancelled(token) {
+    if (token && token.isCancellationRequested) {
+        throw createCancellationError();
+    }
+}
+
+/**
+ * Ejecuta `python -m py2rocket <subcomando> ...args` sin pasar por una shell.
+ * Resuelve con el resultado si el código de salida es 0; en otro caso rechaza
+ * con un Error que incluye los mismos campos (code, signal, stdout, stderr, cmd).
+ * Si se cancela el token, el proceso se termina y se rechaza con `cancelled: true`.
+ * Si las opciones traen `setupError`, se rechaza con ese error sin lanzar el proceso.
+ * @param {string} subcommand - Subcomando de py2rocket (build, push, sync, ...)
+ * @param {Array<string|number>} args - Argumentos, uno por elemento
+ * @param {Py2RocketRunOptions} options
+ * @returns {Promise<Py2RocketRunResult>}
+ */
+function runPy2Rocket(subcommand, args = [], options = {}) {
+    if (options.setupError) {
+        return Promise.reject(options.setupError);
+    }
+
+    const invocation = buildPy2RocketInvocation(subcommand, args, options);
+    const token = options.token;
+
+    return new Promise((resolve, reject) => {
+        const stdoutChunks = [];
+        const stderrChunks = [];
+        const baseDetails = {
+            executable: invocation.executable,
+            argv: invocation.argv,
+            cmd: invocation.cmd,
+            cwd: invocation.cwd
+        };
+
+        if (token && token.isCancellationRequested) {
+            reject(createCancellationError({ ...baseDetails, code: null, signal: null, stdout: '', stderr: '' }));
+            return;
+        }
+
+        let child;
+        try {
+            child = spawn(invocation.executable, invocation.argv, {
+                cwd: invocation.cwd,
+                env: invocation.env,
+                shell: false,
+                windowsHide: true
+            });
+        } catch (error) {
+            reject(createProcessError(`No se pudo iniciar ${invocation.executable}: ${error.message}`, {
+                ...baseDetails,
+                code: error.code ?? null,
+                signal: null,
+                stdout: '',
+                stderr: ''
+            }));
+            return;
+        }
+
+        const stdoutLines = createLineSplitter(options.onStdoutLine);
+        const stderrLines = createLineSplitter(options.onStderrLine);
+
+        child.stdout.on('data', chunk => {
+            stdoutChunks.push(chunk);
+            stdoutLines.push(chunk);
+        });
+        child.stderr.on('data', chunk => {
+            stderrChunks.push(chunk);
+            stderrLines.push(chunk);
+        });
+
+        let settled = false;
+        let cancelled = false;
+        let timedOut = false;
+
+        const terminate = () => {
+            child.kill();
+            // Si el proceso ignora la señal, forzar la terminación
+            setTimeout(() => {
+                if (child.exitCode === null && child.signalCode === null) {
+                    child.kill('SIGKILL');
+                }
+            }, PROCESS_KILL_GRACE_MS).unref();
+        };
+
+        const cancelSubscription = token && typeof token.onCancellationRequested === 'function'
+            ? token.onCancellationRequested(() => {
+                if (settled || timedOut) return;
+                cancelled = true;
+                terminate();
+            })
+            : null;
+
+        const timeoutMs = Number(options.timeoutMs) || 0;
+        const timeoutHandle = timeoutMs > 0
+            ? setTimeout(() => {
+                if (settled || cancelled) return;
+                timedOut = true;
+                terminate();
+            }, timeoutMs)
+            : null;
+
+        const dispose = () => {
+            if (timeoutHandle) {
+                clearTimeout(timeoutHandle);
+            }
+            if (cancelSubscription && typeof cancelSubscription.dispose === 'function') {
+                cancelSubscription.dispose();
+            }
+        };
+
+        child.on('error', error => {
+            if (settled) return;
+            settled = true;
+            dispose();
+            reject(createProcessError(`No se pudo iniciar ${invocation.executable}: ${error.message}`, {
+                ...baseDetails,
+                code: error.code ?? null,
+                signal: null,
+                stdout: Buffer.concat(stdoutChunks).toString('utf-8'),
+                stderr: Buffer.concat(stderrChunks).toString('utf-8')
+            }));
+        });
+
+        child.on('close', (code, signal) => {
+            if (settled) return;
+            settled = true;
+            dispose();
+            stdoutLines.flush();
+            stderrLines.flush();
+
+            const result = {
+                ...baseDetails,
+                code,
+                signal,
+                stdout: Buffer.concat(stdoutChunks).toString('utf-8'),
+                stderr: Buffer.concat(stderrChunks).toString('utf-8')
+            };
+
+            if (cancelled) {
+                reject(createCancellationError(result));
+                return;
+            }
+
+            if (timedOut) {
+                reject(createTimeoutError(subcommand, timeoutMs, result));
+                return;
+            }
+
+            if (code === 0) {
+                resolve(result);
+                return;
+            }
+
+            const reason = signal ? `terminado por la señal ${signal}` : `código de salida ${code}`;
+            reject(createProcessError(`py2rocket ${subcommand} falló (${reason})`, result));
+        });
+    });
+}
+
+module.exports = {
+    runPy2Rocket,
+    createCancellationError,
+    isCancellationError,
+    throwIfCancelled,
+    isTimeoutError,
+    isUnsupportedCommandError,
+    parseProgressLine,
+    buildPy2RocketInvocation,
+    resolvePythonExecutable,
+    findVenvPython,
+    formatCommandLine
+};
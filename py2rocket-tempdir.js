@@ -0,0 +1,65 @@
+const fs = require('fs');
+const path = require('path');
+
+// Carpeta del workspace que agrupa los directorios temporales de las operaciones
+const TEMP_ROOT_NAME = '.py2rocket-tmp';
+
+/**
+ * Elimina un directorio solo si está vacío (ignora errores)
+ * @param {string} dirPath
+ */
+function removeDirIfEmpty(dirPath) {
+    try {
+        if (fs.readdirSync(dirPath).length === 0) {
+            fs.rmdirSync(dirPath);
+        }
+    } catch { }
+}
+
+/**
+ * Crea un directorio temporal exclusivo para una operación dentro de .py2rocket-tmp
+ * (se mantiene dentro del workspace para que py2rocket encuentre el .env)
+ * @param {string} workspaceFolder - Carpeta del workspace de la operación
+ * @param {string} prefix - Prefijo del directorio (p. ej. 'download')
+ * @returns {string}
+ */
+function createTempDirInWorkspace(workspaceFolder, prefix) {
+    const tempRoot = path.join(workspaceFolder, TEMP_ROOT_NAME);
+    fs.mkdirSync(tempRoot, { recursive: true });
+    return fs.mkdtempSync(path.join(tempRoot, `${prefix}-`));
+}
+
+/**
+ * Elimina un directorio temporal de operación (y .py2rocket-tmp si queda vacío)
+ * @param {string} tempDir
+ */
+function removeOperationTempDir(tempDir) {
+    if (!tempDir) return;
+    try {
+        fs.rmSync(tempDir, { recursive: true, force: true });
+    } catch { }
+    removeDirIfEmpty(path.dirname(tempDir));
+}
+
+/**
+ * Busca el JSON descargado por `py2rocket download` en el directorio de la operación.
+ * El directorio es exclusivo de la operación; si hubiera varios, se prefiere el del workflow_id.
+ * @param {string} tempDir
+ * @param {string} workflowId
+ * @returns {string|null} Ruta del JSON o null si no hay ninguno
+ */
+function findDownloadedWorkflowJson(tempDir, workflowId) {
+    const jsonFiles = fs.readdirSync(tempDir).filter(file => file.endsWith('.json')).sort();
+    if (jsonFiles.length === 0) return null;
+
+    const jsonFile = jsonFiles.find(file => file.includes(workflowId)) || jsonFiles[0];
+    return path.join(tempDir, jsonFile);
+}
+
+module.exports = {
+    TEMP_ROOT_NAME,
+    removeDirIfEmpty,
+    createTempDirInWorkspace,
+    removeOperationTempDir,
+    findDownloadedWorkflowJson
+};
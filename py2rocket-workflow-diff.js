@@ -0,0 +1,171 @@
+/**
+ * @typedef {Object} WorkflowChangeSummary
+ * @property {string[]} added - Nodos presentes solo en la versión local
+ * @property {string[]} removed - Nodos presentes solo en Rocket
+ * @property {string[]} changed - Nodos con la misma clave pero contenido distinto
+ * @property {boolean} otherChanges - Diferencias fuera de los nodos (settings, metadatos...)
+ * @property {boolean} identical - Ambas versiones son equivalentes
+ */
+
+// Claves en las que suelen venir los nodos del workflow
+const NODE_COLLECTION_KEYS = ['nodes', 'steps', 'tasks', 'assets', 'operations'];
+
+/**
+ * Ordena recursivamente las claves de los objetos para comparar sin ruido de formato
+ * @param {any} value
+ * @returns {any}
+ */
+function sortKeysDeep(value) {
+    if (Array.isArray(value)) {
+        return value.map(sortKeysDeep);
+    }
+    if (value && typeof value === 'object') {
+        return Object.keys(value)
+            .sort()
+            .reduce((acc, key) => {
+                acc[key] = sortKeysDeep(value[key]);
+                return acc;
+            }, {});
+    }
+    return value;
+}
+
+/**
+ * Serializa un workflow con claves ordenadas e indentación estable
+ * @param {any} data
+ * @returns {string}
+ */
+function normalizeWorkflowJson(data) {
+    return `${JSON.stringify(sortKeysDeep(data), null, 2)}\n`;
+}
+
+/**
+ * Obtiene la clave identificadora de un nodo
+ * @param {any} node
+ * @param {number} index
+ * @returns {string}
+ */
+function getNodeKey(node, index) {
+    if (node && typeof node === 'object') {
+        const key = node.id ?? node.name ?? node.key ?? node.alias;
+        if (key !== undefined && key !== null && String(key).trim()) {
+            return String(key);
+        }
+    }
+    return `#${index}`;
+}
+
+/**
+ * Busca la colección de nodos del workflow (primer arreglo de objetos bajo una clave conocida)
+ * @param {any} data
+ * @param {number} [depth]
+ * @returns {{path: string[], nodes: any[]} | null}
+ */
+function findNodeCollection(data, depth = 0) {
+    if (!data || typeof data !== 'object' || Array.isArray(data) || depth > 4) return null;
+
+    for (const key of NODE_COLLECTION_KEYS) {
+        const candidate = data[key];
+        if (Array.isArray(candidate) && candidate.every(item => item && typeof item === 'object')) {
+            return { path: [key], nodes: candidate };
+        }
+    }
+
+    for (const [key, value] of Object.entries(data)) {
+        const nested = findNodeCollection(value, depth + 1);
+        if (nested) {
+            return { path: [key, ...nested.path], nodes: nested.nodes };
+        }
+    }
+
+    return null;
+}
+
+/**
+ * Devuelve una copia del workflow sin la colección de nodos
+ * @param {any} data
+ * @param {string[]} nodePath
+ * @returns {any}
+ */
+function withoutNodeCollection(data, nodePath) {
+    if (!nodePath || nodePath.length === 0) return data;
+    const copy = JSON.parse(JSON.stringify(data));
+    let cursor = copy;
+    for (let i = 0; i < nodePath.length - 1; i++) {
+        cursor = cursor?.[nodePath[i]];
+    }
+    if (cursor && typeof cursor === 'object') {
+        delete cursor[nodePath[nodePath.length - 1]];
+    }
+    return copy;
+}
+
+/**
+ * Indexa nodos por clave
+ * @param {any[]} nodes
+ * @returns {Map<string, string>} clave -> JSON normalizado
+ */
+function indexNodes(nodes) {
+    const map = new Map();
+    (nodes || []).forEach((node, index) => {
+        map.set(getNodeKey(node, index), normalizeWorkflowJson(node));
+    });
+    return map;
+}
+
+/**
+ * Resume las diferencias a nivel de grafo entre la versión remota y la local
+ * @param {any} remoteData - Workflow descargado de Rocket
+ * @param {any} localData - Workflow compilado localmente
+ * @returns {WorkflowChangeSummary}
+ */
+function summarizeWorkflowChanges(remoteData, localData) {
+    const identical = normalizeWorkflowJson(remoteData) === normalizeWorkflowJson(localData);
+    const remoteCollection = findNodeCollection(remoteData);
+    const localCollection = findNodeCollection(localData);
+
+    const remoteNodes = indexNodes(remoteCollection?.nodes);
+    const localNodes = indexNodes(localCollection?.nodes);
+
+    const added = [...localNodes.keys()].filter(key => !remoteNodes.has(key));
+    const removed = [...remoteNodes.keys()].filter(key => !localNodes.has(key));
+    const changed = [...localNodes.keys()].filter(key => remoteNodes.has(key) && remoteNodes.get(key) !== localNodes.get(key));
+
+    const remoteRest = normalizeWorkflowJson(withoutNodeCollection(remoteData, remoteCollection?.path));
+    const localRest = normalizeWorkflowJson(withoutNodeCollection(localData, localCollection?.path));
+
+    return {
+        added,
+        removed,
+        changed,
+        otherChanges: remoteRest !== localRest,
+        identical
+    };
+}
+
+/**
+ * Formatea el resumen de cambios en líneas legibles
+ * @param {WorkflowChangeSummary} summary
+ * @returns {string[]}
+ */
+function formatChangeSummary(summary) {
+    if (summary.identical) {
+        return ['Sin diferencias con la versión de Rocket'];
+    }
+
+    const lines = [
+        `Nodos añadidos: ${summary.added.length}${summary.added.length ? ` (${summary.added.join(', ')})` : ''}`,
+        `Nodos eliminados: ${summary.removed.length}${summary.removed.length ? ` (${summary.removed.join(', ')})` : ''}`,
+        `Nodos modificados: ${summary.changed.length}${summary.changed.length ? ` (${summary.changed.join(', ')})` : ''}`
+    ];
+    if (summary.otherChanges) {
+        lines.push('Cambios en la configuración del workflow (fuera de los nodos)');
+    }
+    return lines;
+}
+
+module.exports = {
+    normalizeWorkflowJson,
+    summarizeWorkflowChanges,
+    formatChangeSummary
+};
@@ -0,0 +1,142 @@
+const { describe, test } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { getExecutionDurationMs, computeExecutionAnalytics } = require('../py2rocket-analytics');
+
+const MINUTE = 60000;
+
+/**
+ * Ejecución de get-history que empieza en cola y termina (o sigue) en `state`
+ * @param {string} startedAt - Fecha local sin zona (los periodos del timeline son locales)
+ * @param {number} minutes - Minutos hasta el último estado
+ * @param {string} state
+ * @param {string[]} [paramsLists]
+ */
+function createExecution(startedAt, minutes, state, paramsLists) {
+    const start = new Date(startedAt).getTime();
+    return {
+        id: `${startedAt}-${state}-${minutes}`,
+        ...(paramsLists ? { paramsLists } : {}),
+        statuses: [
+            { state, lastUpdateDate: new Date(start + minutes * MINUTE).toISOString() },
+            { state: 'Queued', lastUpdateDate: new Date(start).toISOString() }
+        ]
+    };
+}
+
+describe('getExecutionDurationMs', () => {
+    test('solo mide las ejecuciones terminadas con fechas válidas', () => {
+        assert.equal(getExecutionDurationMs(createExecution('2026-10-01T10:00:00', 5, 'Completed')), 5 * MINUTE);
+        assert.equal(getExecutionDurationMs(createExecution('2026-10-01T10:00:00', 5, 'Running')), null);
+        assert.equal(getExecutionDurationMs(createExecution('2026-10-01T10:00:00', -5, 'Failed')), null);
+        assert.equal(getExecutionDurationMs({ statuses: [{ state: 'Completed', lastUpdateDate: 'ayer' }] }), null);
+    });
+});
+
+describe('computeExecutionAnalytics', () => {
+    test('calcula tasas, media, mediana y p90 sobre las ejecuciones terminadas', () => {
+        const executions = [1, 2, 3, 4, 5, 6, 7, 8, 9, 10].map(minutes =>
+            createExecution('2026-10-01T10:00:00', minutes, minutes <= 7 ? 'Completed' : 'Failed'));
+        executions.push(createExecution('2026-10-01T11:00:00', 90, 'Running'));
+
+        const analytics = computeExecutionAnalytics(executions);
+
+        assert.equal(analytics.total, 11);
+        assert.equal(analytics.finished, 10);
+        assert.deepEqual(analytics.stateCounts, { Completed: 7, Failed: 3, Running: 1 });
+        assert.equal(analytics.successRate, 0.7);
+        assert.equal(analytics.failureRate, 0.3);
+
+        const { histogram, ...stats } = analytics.durations;
+        assert.deepEqual(stats, {
+            count: 10,
+            minMs: MINUTE,
+            maxMs: 10 * MINUTE,
+            meanMs: 5.5 * MINUTE,
+            medianMs: 5 * MINUTE,
+            p90Ms: 9 * MINUTE
+        });
+        assert.deepEqual(histogram.map(({ label, count }) => [label, count]), [
+            ['< 1 min', 0],
+            ['1 min – 5 min', 4],
+            ['5 min – 15 min', 6],
+            ['15 min – 30 min', 0],
+            ['30 min – 1 h', 0],
+            ['1 h – 2 h', 0],
+            ['2 h – 6 h', 0],
+            ['≥ 6 h', 0]
+        ]);
+    });
+
+    test('el percentil toma el valor más cercano con pocas ejecuciones', () => {
+        const { durations } = computeExecutionAnalytics([
+            createExecution('2026-10-01T10:00:00', 3, 'Completed'),
+            createExecution('2026-10-01T10:00:00', 20, 'Completed')
+        ]);
+        assert.equal(durations.medianMs, 3 * MINUTE);
+        assert.equal(durations.p90Ms, 20 * MINUTE);
+    });
+
+    test('rellena con ceros los días sin ejecuciones y agrupa los estados sin serie', () => {
+        const { timeline } = computeExecutionAnalytics([
+            createExecution('2026-10-01T00:00:00', 1, 'Completed'),
+            createExecution('2026-10-01T23:59:00', 1, 'Failed'),
+            createExecution('2026-10-04T12:00:00', 1, 'Queued')
+        ]);
+
+        assert.equal(timeline.granularity, 'day');
+        assert.deepEqual(timeline.points, [
+            { period: '2026-10-01', total: 2, counts: { Completed: 1, Failed: 1 } },
+            { period: '2026-10-02', total: 0, counts: {} },
+            { period: '2026-10-03', total: 0, counts: {} },
+            { period: '2026-10-04', total: 1, counts: { Other: 1 } }
+        ]);
+    });
+
+    test('agrupa por semana (desde el lunes) o por mes en rangos largos', () => {
+        const weekly = computeExecutionAnalytics([
+            createExecution('2026-01-07T09:00:00', 1, 'Completed'),
+            createExecution('2026-04-22T09:00:00', 1, 'Completed')
+        ]).timeline;
+        assert.equal(weekly.granularity, 'week');
+        assert.equal(weekly.points[0].period, '2026-01-05');
+        assert.equal(weekly.points[1].period, '2026-01-12');
+        assert.equal(weekly.points[weekly.points.length - 1].period, '2026-04-20');
+        assert.equal(weekly.points.length, 16);
+        assert.equal(weekly.points.reduce((sum, point) => sum + point.total, 0), 2);
+
+        const monthly = computeExecutionAnalytics([
+            createExecution('2024-01-31T09:00:00', 1, 'Completed'),
+            createExecution('2026-03-10T09:00:00', 1, 'Failed')
+        ]).timeline;
+        assert.equal(monthly.granularity, 'month');
+        assert.equal(monthly.points.length, 27);
+        assert.deepEqual(monthly.points.slice(0, 3).map(point => point.period), ['2024-01', '2024-02', '2024-03']);
+        assert.equal(monthly.points[26].period, '2026-03');
+    });
+
+    test('ordena los contextos por duración media y por fallos', () => {
+        const analytics = computeExecutionAnalytics([
+            createExecution('2026-10-01T10:00:00', 10, 'Completed', ['ventas', 'comun']),
+            createExecution('2026-10-01T10:00:00', 30, 'Failed', ['comun', 'ventas']),
+            createExecution('2026-10-01T10:00:00', 5, 'Failed', ['clientes']),
+            createExecution('2026-10-01T10:00:00', 2, 'Completed'),
+            createExecution('2026-10-01T10:00:00', 1, 'Running')
+        ], { topContexts: 2 });
+
+        assert.deepEqual(analytics.slowestContexts, [
+            { context: 'comun, ventas', runs: 2, failures: 1, failureRate: 0.5, avgDurationMs: 20 * MINUTE, maxDurationMs: 30 * MINUTE },
+            { context: 'clientes', runs: 1, failures: 1, failureRate: 1, avgDurationMs: 5 * MINUTE, maxDurationMs: 5 * MINUTE }
+        ]);
+        assert.deepEqual(analytics.failingContexts.map(stats => stats.context), ['clientes', 'comun, ventas']);
+    });
+
+    test('sin ejecuciones devuelve métricas vacías', () => {
+        const analytics = computeExecutionAnalytics([]);
+        assert.equal(analytics.total, 0);
+        assert.equal(analytics.successRate, null);
+        assert.deepEqual(analytics.timeline, { granularity: 'day', points: [] });
+        assert.equal(analytics.durations.medianMs, null);
+        assert.deepEqual(analytics.slowestContexts, []);
+    });
+});
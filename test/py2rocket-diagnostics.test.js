@@ -0,0 +1,98 @@
+const { describe, test } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { parseBuildProblems } = require('../py2rocket-diagnostics');
+
+const WORKFLOW = '/ws/flows/etl.py';
+
+describe('parseBuildProblems', () => {
+    test('ubica la excepción de un traceback en el último frame del workflow', () => {
+        const output = [
+            'Traceback (most recent call last):',
+            '  File "/ws/flows/etl.py", line 12, in <module>',
+            '    build(config)',
+            '  File "/usr/lib/python3/site-packages/py2rocket/core.py", line 40, in build',
+            '    raise KeyError(name)',
+            "KeyError: 'source_table'"
+        ].join('\n');
+
+        assert.deepEqual(parseBuildProblems(output, WORKFLOW), [{
+            line: 11,
+            column: 0,
+            message: "KeyError: 'source_table'",
+            severity: 'error',
+            source: 'traceback'
+        }]);
+    });
+
+    test('usa el marcador ^ de un SyntaxError como columna, con rutas relativas', () => {
+        const output = [
+            '  File "etl.py", line 3',
+            '    x = (1,',
+            '        ^',
+            "SyntaxError: '(' was never closed"
+        ].join('\r\n');
+
+        assert.deepEqual(parseBuildProblems(output, WORKFLOW), [{
+            line: 2,
+            column: 4,
+            message: "SyntaxError: '(' was never closed",
+            severity: 'error',
+            source: 'traceback'
+        }]);
+    });
+
+    test('reporta al inicio del archivo un traceback sin frames del workflow', () => {
+        const output = [
+            'Traceback (most recent call last):',
+            '  File "/usr/lib/python3/site-packages/py2rocket/cli.py", line 8, in main',
+            'ModuleNotFoundError: No module named \'rocket\''
+        ].join('\n');
+
+        const problems = parseBuildProblems(output, WORKFLOW);
+        assert.equal(problems.length, 1);
+        assert.equal(problems[0].line, 0);
+        assert.equal(problems[0].message, "ModuleNotFoundError: No module named 'rocket'");
+    });
+
+    test('extrae mensajes de validación con ubicación y descarta los de otros archivos', () => {
+        const output = [
+            '/ws/flows/etl.py:7:3: invalid task id "load data"',
+            'otro.py:1: error en otro workflow',
+            'etl.py:20: Warning: parámetro sin usar'
+        ].join('\n');
+
+        assert.deepEqual(parseBuildProblems(output, WORKFLOW), [
+            { line: 6, column: 2, message: 'invalid task id "load data"', severity: 'error', source: 'validation' },
+            { line: 19, column: 0, message: 'Warning: parámetro sin usar', severity: 'warning', source: 'validation' }
+        ]);
+    });
+
+    test('extrae mensajes de validación que citan la línea en el texto', () => {
+        const output = [
+            'Validation error: missing variable "fecha" (line 15)',
+            'Advertencia: parámetro duplicado en la línea 9',
+            'Build completado: 3 tareas en la línea de tiempo'
+        ].join('\n');
+
+        const problems = parseBuildProblems(output, WORKFLOW);
+        assert.deepEqual(problems.map(({ line, severity }) => ({ line, severity })), [
+            { line: 14, severity: 'error' },
+            { line: 8, severity: 'warning' }
+        ]);
+    });
+
+    test('no duplica un problema reportado dos veces en la misma línea', () => {
+        const output = [
+            'etl.py:4: invalid schedule',
+            'etl.py:4: invalid schedule'
+        ].join('\n');
+
+        assert.equal(parseBuildProblems(output, WORKFLOW).length, 1);
+    });
+
+    test('devuelve una lista vacía si no hay salida', () => {
+        assert.deepEqual(parseBuildProblems('', WORKFLOW), []);
+        assert.deepEqual(parseBuildProblems(undefined, WORKFLOW), []);
+    });
+});
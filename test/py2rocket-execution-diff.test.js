@@ -0,0 +1,120 @@
+const { describe, test } = require('node:test');
+const assert = require('node:assert/strict');
+
+const {
+    parseParameterValue,
+    flattenValue,
+    diffExecutionParameters,
+    formatDuration,
+    summarizeExecutionTiming,
+    orderExecutionsByStart
+} = require('../py2rocket-execution-diff');
+
+describe('parseParameterValue', () => {
+    test('interpreta solo los objetos y arreglos serializados', () => {
+        assert.deepEqual(parseParameterValue(' {"a": 1} '), { a: 1 });
+        assert.deepEqual(parseParameterValue('[1, 2]'), [1, 2]);
+        assert.equal(parseParameterValue('42'), '42');
+        assert.equal(parseParameterValue('{roto'), '{roto');
+        assert.equal(parseParameterValue(7), 7);
+    });
+});
+
+describe('flattenValue', () => {
+    test('aplana rutas de objetos y arreglos, conservando los vacíos', () => {
+        assert.deepEqual([...flattenValue({ a: { b: [1, { c: 2 }] }, vacio: {}, lista: [] }).entries()], [
+            ['a.b[0]', 1],
+            ['a.b[1].c', 2],
+            ['vacio', {}],
+            ['lista', []]
+        ]);
+    });
+});
+
+describe('diffExecutionParameters', () => {
+    test('clasifica los parámetros y ordena primero los cambios', () => {
+        const diff = diffExecutionParameters(
+            { FECHA: '2026-10-01', REGION: 'EU', LIMITE: '10', VIEJO: 'x' },
+            { FECHA: '2026-10-02', REGION: 'EU', LIMITE: '10', NUEVO: 'y' }
+        );
+
+        assert.deepEqual(diff.map(({ name, status }) => [name, status]), [
+            ['FECHA', 'changed'],
+            ['NUEVO', 'added'],
+            ['VIEJO', 'removed'],
+            ['LIMITE', 'unchanged'],
+            ['REGION', 'unchanged']
+        ]);
+        assert.deepEqual(diff[0].details, []);
+        assert.equal(diff[1].left, undefined);
+        assert.equal(diff[2].right, undefined);
+    });
+
+    test('compara los JSON sin depender del orden de las claves y detalla las rutas cambiadas', () => {
+        const [config, same] = diffExecutionParameters(
+            { CONFIG: '{"modo": "completo", "tablas": ["a", "b"], "opciones": {"reintentos": 1}}', IGUAL: '{"x": 1, "y": 2}' },
+            { CONFIG: { modo: 'parcial', tablas: ['a'], opciones: { reintentos: 1, lote: 500 } }, IGUAL: '{"y": 2, "x": 1}' }
+        ).sort((a, b) => a.name.localeCompare(b.name));
+
+        assert.equal(same.name, 'IGUAL');
+        assert.equal(same.status, 'unchanged');
+        assert.equal(config.status, 'changed');
+        assert.deepEqual(config.details, [
+            { path: 'modo', status: 'changed', left: 'completo', right: 'parcial' },
+            { path: 'opciones.lote', status: 'added', left: undefined, right: 500 },
+            { path: 'tablas[1]', status: 'removed', left: 'b', right: undefined }
+        ]);
+    });
+
+    test('no detalla rutas si solo uno de los valores es JSON', () => {
+        const [diff] = diffExecutionParameters({ CONFIG: '{"a": 1}' }, { CONFIG: 'ninguna' });
+        assert.equal(diff.status, 'changed');
+        assert.deepEqual(diff.details, []);
+    });
+});
+
+describe('formatDuration', () => {
+    test('muestra solo las unidades significativas', () => {
+        assert.equal(formatDuration(0), '0 s');
+        assert.equal(formatDuration(4500), '5 s');
+        assert.equal(formatDuration(184000), '3 min 4 s');
+        assert.equal(formatDuration(2 * 3600000 + 5 * 60000 + 9000), '2 h 5 min');
+        assert.equal(formatDuration(26 * 3600000 + 30 * 60000), '1 d 2 h');
+        assert.equal(formatDuration(-60000), '1 min 0 s');
+        assert.equal(formatDuration(null), 'N/A');
+    });
+});
+
+describe('tiempos de las ejecuciones', () => {
+    const older = {
+        id: 'a',
+        statuses: [
+            { state: 'Completed', lastUpdateDate: '2026-10-01T10:05:00Z' },
+            { state: 'Queued', lastUpdateDate: '2026-10-01T10:00:00Z' }
+        ]
+    };
+    const newer = { id: 'b', statuses: [{ state: 'Running', lastUpdateDate: '2026-10-02T08:00:00Z' }] };
+
+    test('resume estado, inicio, última actualización y duración', () => {
+        assert.deepEqual(summarizeExecutionTiming(older), {
+            id: 'a',
+            state: 'Completed',
+            startTime: Date.parse('2026-10-01T10:00:00Z'),
+            lastUpdateTime: Date.parse('2026-10-01T10:05:00Z'),
+            durationMs: 300000
+        });
+        assert.deepEqual(summarizeExecutionTiming({}), {
+            id: '',
+            state: 'Unknown',
+            startTime: null,
+            lastUpdateTime: null,
+            durationMs: null
+        });
+    });
+
+    test('ordena de la ejecución más antigua a la más reciente', () => {
+        assert.deepEqual(orderExecutionsByStart(newer, older), [older, newer]);
+        assert.deepEqual(orderExecutionsByStart(older, newer), [older, newer]);
+        assert.deepEqual(orderExecutionsByStart(newer, {}), [newer, {}]);
+    });
+});
@@ -0,0 +1,107 @@
+const { describe, test } = require('node:test');
+const assert = require('node:assert/strict');
+
+const {
+    parseExecutionIdFromRunOutput,
+    getLatestExecutionState,
+    getExecutionStartTime,
+    findExecution,
+    getExecutionTimeline,
+    isTerminalState
+} = require('../py2rocket-executions');
+
+const EXECUTION_ID = '3f2b8c1e-9d4a-4b7e-8c2f-1a2b3c4d5e6f';
+
+// statuses viene del más nuevo al más viejo, como en get-history
+const EXECUTION = {
+    id: EXECUTION_ID,
+    statuses: [
+        { state: 'Running', lastUpdateDate: '2026-10-19T10:02:00Z' },
+        { state: 'Queued', lastUpdateDate: '2026-10-19T10:00:00Z' }
+    ]
+};
+
+describe('parseExecutionIdFromRunOutput', () => {
+    test('lee el id de una respuesta JSON, también anidado', () => {
+        assert.equal(parseExecutionIdFromRunOutput(JSON.stringify({ execution_id: ` ${EXECUTION_ID} ` })), EXECUTION_ID);
+        assert.equal(parseExecutionIdFromRunOutput(JSON.stringify({ result: { executionId: 'exec-1' } })), 'exec-1');
+        assert.equal(parseExecutionIdFromRunOutput(JSON.stringify({ execution: { id: 'exec-2', state: 'Queued' } })), 'exec-2');
+    });
+
+    test('lee el id de una línea JSON mezclada con otros mensajes', () => {
+        const output = ['Enviando ejecución...', JSON.stringify({ data: { 'execution-id': 'exec-3' } }), 'Listo'].join('\n');
+        assert.equal(parseExecutionIdFromRunOutput(output), 'exec-3');
+    });
+
+    test('reconoce el id en mensajes de texto', () => {
+        assert.equal(parseExecutionIdFromRunOutput(`Execution ID: ${EXECUTION_ID}`), EXECUTION_ID);
+        assert.equal(parseExecutionIdFromRunOutput(`Ejecución ${EXECUTION_ID.toUpperCase()} creada`), EXECUTION_ID.toUpperCase());
+        assert.equal(parseExecutionIdFromRunOutput(`execution_id="${EXECUTION_ID}"`), EXECUTION_ID);
+    });
+
+    test('devuelve null si la salida no trae un id', () => {
+        assert.equal(parseExecutionIdFromRunOutput('Workflow enviado correctamente'), null);
+        assert.equal(parseExecutionIdFromRunOutput('{"status": "ok"}'), null);
+        assert.equal(parseExecutionIdFromRunOutput('{no es json}'), null);
+        assert.equal(parseExecutionIdFromRunOutput(undefined), null);
+    });
+});
+
+describe('estado de las ejecuciones del historial', () => {
+    test('toma el estado más reciente y la fecha del primero', () => {
+        assert.deepEqual(getLatestExecutionState(EXECUTION), { state: 'Running', lastUpdateDate: '2026-10-19T10:02:00Z' });
+        assert.equal(getExecutionStartTime(EXECUTION), Date.parse('2026-10-19T10:00:00Z'));
+    });
+
+    test('tolera ejecuciones sin estados o con fechas inválidas', () => {
+        assert.deepEqual(getLatestExecutionState({}), { state: 'Unknown', lastUpdateDate: null });
+        assert.equal(getExecutionStartTime({ statuses: [{ state: 'Queued', lastUpdateDate: 'ayer' }] }), null);
+        assert.equal(getExecutionStartTime(null), null);
+    });
+
+    test('busca la ejecución por id exacto', () => {
+        const historyData = { executions: [{ id: 'otra' }, EXECUTION] };
+        assert.equal(findExecution(historyData, EXECUTION_ID), EXECUTION);
+        assert.equal(findExecution(historyData, 'no-existe'), null);
+        assert.equal(findExecution(undefined, EXECUTION_ID), null);
+    });
+
+    test('solo Completed, Failed y Stopped son estados finales', () => {
+        assert.deepEqual(['Completed', 'Failed', 'Stopped'].map(isTerminalState), [true, true, true]);
+        assert.deepEqual(['Running', 'Queued', 'Unknown'].map(isTerminalState), [false, false, false]);
+    });
+});
+
+describe('getExecutionTimeline', () => {
+    const now = Date.parse('2026-10-19T10:10:00Z');
+
+    test('ordena los estados cronológicamente y el último no final cuenta hasta ahora', () => {
+        assert.deepEqual(getExecutionTimeline(EXECUTION, now), [
+            { state: 'Queued', lastUpdateDate: '2026-10-19T10:00:00Z', durationMs: 120000, current: false },
+            { state: 'Running', lastUpdateDate: '2026-10-19T10:02:00Z', durationMs: 480000, current: true }
+        ]);
+    });
+
+    test('el estado final no tiene duración ni es el actual', () => {
+        const finished = { statuses: [{ state: 'Failed', lastUpdateDate: '2026-10-19T10:03:00Z' }, ...EXECUTION.statuses] };
+        const timeline = getExecutionTimeline(finished, now);
+
+        assert.deepEqual(timeline.map(({ state, durationMs, current }) => [state, durationMs, current]), [
+            ['Queued', 120000, false],
+            ['Running', 60000, false],
+            ['Failed', null, false]
+        ]);
+    });
+
+    test('deja sin duración los estados sin fecha válida', () => {
+        const timeline = getExecutionTimeline({
+            statuses: [
+                { state: 'Completed', lastUpdateDate: '2026-10-19T09:00:00Z' },
+                { lastUpdateDate: null }
+            ]
+        }, now);
+
+        assert.deepEqual(timeline.map(({ state, durationMs }) => [state, durationMs]), [['Unknown', null], ['Completed', null]]);
+        assert.deepEqual(getExecutionTimeline(null, now), []);
+    });
+});
@@ -0,0 +1,82 @@
+const { describe, test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { execFileSync } = require('child_process');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const {
+    compileGroupPatterns,
+    getProtectionReasons,
+    getGitWorkingTreeChanges
+} = require('../py2rocket-guard');
+
+const RULES = {
+    profiles: ['prod'],
+    groupPatterns: ['^prod', 'PRODUCCI[OÓ]N', '(sin cerrar'],
+    blockDirtyGit: true
+};
+
+describe('compileGroupPatterns', () => {
+    test('compila sin distinguir mayúsculas y separa los patrones inválidos', () => {
+        const { regexes, invalid } = compileGroupPatterns([...RULES.groupPatterns, '', '  ', 42]);
+
+        assert.deepEqual(regexes.map(regex => regex.source), ['^prod', 'PRODUCCI[OÓ]N']);
+        assert.ok(regexes.every(regex => regex.flags === 'i'));
+        assert.deepEqual(invalid, ['(sin cerrar']);
+    });
+});
+
+describe('getProtectionReasons', () => {
+    test('reporta el perfil y el grupo protegidos', () => {
+        assert.deepEqual(getProtectionReasons(RULES, { profileName: 'prod', groupName: 'Prod/Ventas' }), [
+            'perfil "prod"',
+            'grupo "Prod/Ventas" (^prod)'
+        ]);
+        assert.deepEqual(getProtectionReasons(RULES, { groupName: 'Ventas producción' }), [
+            'grupo "Ventas producción" (PRODUCCI[OÓ]N)'
+        ]);
+    });
+
+    test('no protege otros perfiles ni grupos, ni falla sin reglas', () => {
+        assert.deepEqual(getProtectionReasons(RULES, { profileName: 'dev', groupName: 'Dev/prod-like' }), []);
+        assert.deepEqual(getProtectionReasons(RULES, undefined), []);
+        assert.deepEqual(getProtectionReasons({}, { profileName: 'prod', groupName: 'prod' }), []);
+    });
+});
+
+describe('getGitWorkingTreeChanges', () => {
+    let repo;
+
+    before(() => {
+        repo = fs.mkdtempSync(path.join(os.tmpdir(), 'py2rocket-guard-'));
+        const git = (...args) => execFileSync('git', ['-c', 'user.name=test', '-c', 'user.email=test@example.com', ...args], { cwd: repo });
+        git('init', '-q');
+        fs.mkdirSync(path.join(repo, 'flows'));
+        fs.writeFileSync(path.join(repo, 'flows', 'etl.py'), 'v1\n');
+        git('add', '.');
+        git('commit', '-q', '-m', 'inicial');
+
+        fs.writeFileSync(path.join(repo, 'flows', 'etl.py'), 'v2\n');
+        fs.mkdirSync(path.join(repo, 'flows', '.py2rocket-tmp', 'download-1'), { recursive: true });
+        fs.writeFileSync(path.join(repo, 'flows', '.py2rocket-tmp', 'download-1', 'wf.json'), '{}');
+    });
+
+    after(() => {
+        fs.rmSync(repo, { recursive: true, force: true });
+    });
+
+    test('lista los cambios sin contar las carpetas ignoradas', async () => {
+        const changes = await getGitWorkingTreeChanges(path.join(repo, 'flows'), ['.py2rocket-tmp']);
+        assert.deepEqual(changes, [' M flows/etl.py']);
+    });
+
+    test('devuelve null fuera de un repositorio git', async () => {
+        const outside = fs.mkdtempSync(path.join(os.tmpdir(), 'py2rocket-guard-'));
+        try {
+            assert.equal(await getGitWorkingTreeChanges(path.join(outside, 'no-existe')), null);
+        } finally {
+            fs.rmSync(outside, { recursive: true, force: true });
+        }
+    });
+});
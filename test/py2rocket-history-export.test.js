@@ -0,0 +1,208 @@
+const { describe, test } = require('node:test');
+const assert = require('node:assert/strict');
+
+const {
+    buildHistoryExportRow,
+    matchesHistorySearch,
+    buildHistoryCsv,
+    buildHistoryJson,
+    collectHistoryPages
+} = require('../py2rocket-history-export');
+
+const EXECUTION = {
+    id: 'exec-1',
+    assetDataExecution: {
+        name: 'Carga "ventas", diaria',
+        parametersUsed: {
+            FECHA: '2026-10-01',
+            CONFIG: '{"modo": "completo", "tablas": ["a", "b"]}',
+            NOTA: 'línea 1\nlínea 2',
+            SparkConfigurations_memory: '4g'
+        }
+    },
+    statuses: [
+        { state: 'Completed', lastUpdateDate: '2026-10-01T10:05:30.000Z' },
+        { state: 'Running', lastUpdateDate: '2026-10-01T10:01:00.000Z' },
+        { state: 'Queued', lastUpdateDate: '2026-10-01T10:00:00.000Z' }
+    ]
+};
+
+describe('buildHistoryExportRow', () => {
+    test('resume la ejecución y aplana los parámetros visibles', () => {
+        assert.deepEqual(buildHistoryExportRow(EXECUTION), {
+            executionId: 'exec-1',
+            assetName: 'Carga "ventas", diaria',
+            state: 'Completed',
+            startDate: '2026-10-01T10:00:00.000Z',
+            lastUpdateDate: '2026-10-01T10:05:30.000Z',
+            durationSeconds: 330,
+            transitions: [
+                { state: 'Queued', date: '2026-10-01T10:00:00.000Z' },
+                { state: 'Running', date: '2026-10-01T10:01:00.000Z' },
+                { state: 'Completed', date: '2026-10-01T10:05:30.000Z' }
+            ],
+            parameters: {
+                FECHA: '2026-10-01',
+                'CONFIG.modo': 'completo',
+                'CONFIG.tablas[0]': 'a',
+                'CONFIG.tablas[1]': 'b',
+                NOTA: 'línea 1\nlínea 2'
+            }
+        });
+    });
+
+    test('deja vacíos los datos que faltan', () => {
+        const row = buildHistoryExportRow({ id: 'exec-2', statuses: [] });
+        assert.equal(row.state, 'Unknown');
+        assert.equal(row.startDate, null);
+        assert.equal(row.durationSeconds, null);
+        assert.deepEqual(row.parameters, {});
+    });
+});
+
+describe('matchesHistorySearch', () => {
+    test('busca en id, asset, estado y parámetros visibles sin distinguir mayúsculas', () => {
+        assert.ok(matchesHistorySearch(EXECUTION, ''));
+        assert.ok(matchesHistorySearch(EXECUTION, 'EXEC-1'));
+        assert.ok(matchesHistorySearch(EXECUTION, 'completed'));
+        assert.ok(matchesHistorySearch(EXECUTION, 'config.modo completo'));
+        assert.ok(!matchesHistorySearch(EXECUTION, '4g'), 'los parámetros ocultos no cuentan');
+        assert.ok(!matchesHistorySearch(EXECUTION, 'failed'));
+    });
+});
+
+describe('buildHistoryCsv', () => {
+    test('entrecomilla comas, comillas y saltos de línea según RFC 4180', () => {
+        const csv = buildHistoryCsv([EXECUTION]);
+        const [header, row, end] = csv.split('\r\n');
+
+        assert.equal(header, 'execution_id,asset_name,state,start_date,last_update_date,duration_seconds,status_transitions,'
+            + 'param:CONFIG.modo,param:CONFIG.tablas[0],param:CONFIG.tablas[1],param:FECHA,param:NOTA');
+        assert.equal(row, 'exec-1,"Carga ""ventas"", diaria",Completed,2026-10-01T10:00:00.000Z,2026-10-01T10:05:30.000Z,330,'
+            + 'Queued@2026-10-01T10:00:00.000Z > Running@2026-10-01T10:01:00.000Z > Completed@2026-10-01T10:05:30.000Z,'
+            + 'completo,a,b,2026-10-01,"línea 1\nlínea 2"');
+        assert.equal(end, '');
+    });
+
+    test('une las columnas de parámetros de todas las ejecuciones y deja vacías las que faltan', () => {
+        const other = { id: 'exec-2', assetDataExecution: { name: 'x', parametersUsed: { REGION: 'EU', VACIO: null } }, statuses: [] };
+        const [header, first, second] = buildHistoryCsv([EXECUTION, other]).split('\r\n');
+
+        assert.ok(header.endsWith('param:FECHA,param:NOTA,param:REGION,param:VACIO'));
+        assert.ok(first.endsWith(',,'));
+        assert.ok(second.startsWith('exec-2,x,Unknown,,,,,,,,,'));
+        assert.ok(second.endsWith(',EU,'));
+    });
+
+    test('sin ejecuciones solo genera la cabecera', () => {
+        assert.equal(buildHistoryCsv([]).split('\r\n').length, 2);
+    });
+});
+
+describe('exportación con parámetros sensibles', () => {
+    const options = { maskPatterns: ['*password*', '*token*'] };
+    const sensitive = {
+        ...EXECUTION,
+        assetDataExecution: {
+            ...EXECUTION.assetDataExecution,
+            parametersUsed: { DB_PASSWORD: 'hunter2', CONFIG: '{"api_token": "t-1", "modo": "completo"}' }
+        }
+    };
+
+    test('oculta los valores en las filas, el CSV y el JSON', () => {
+        assert.deepEqual(buildHistoryExportRow(sensitive, options).parameters, {
+            DB_PASSWORD: '••••••••',
+            'CONFIG.api_token': '••••••••',
+            'CONFIG.modo': 'completo'
+        });
+
+        const csv = buildHistoryCsv([sensitive], options);
+        const json = buildHistoryJson([sensitive], { workflowId: 'wf-1' }, options);
+        for (const output of [csv, json]) {
+            assert.ok(!output.includes('hunter2'));
+            assert.ok(!output.includes('t-1'));
+        }
+        assert.deepEqual(JSON.parse(json).maskedPatterns, options.maskPatterns);
+    });
+
+    test('la búsqueda no encuentra ejecuciones por un valor oculto', () => {
+        assert.ok(matchesHistorySearch(sensitive, 'hunter2'));
+        assert.ok(!matchesHistorySearch(sensitive, 'hunter2', options));
+        assert.ok(matchesHistorySearch(sensitive, 'db_password', options));
+    });
+});
+
+describe('buildHistoryJson', () => {
+    test('incluye los metadatos de la exportación y las filas', () => {
+        const data = JSON.parse(buildHistoryJson([EXECUTION], { workflowId: 'wf-1', filters: { state: 'Completed' }, search: 'ventas' }));
+
+        assert.equal(data.workflowId, 'wf-1');
+        assert.deepEqual(data.filters, { state: 'Completed' });
+        assert.equal(data.search, 'ventas');
+        assert.equal(data.total, 1);
+        assert.ok(!Number.isNaN(Date.parse(data.exportedAt)));
+        assert.deepEqual(data.executions, [buildHistoryExportRow(EXECUTION)]);
+    });
+});
+
+describe('collectHistoryPages', () => {
+    const executions = count => Array.from({ length: count }, (_, index) => ({ id: `exec-${index}` }));
+
+    /**
+     * Simula get-history sobre una lista de ejecuciones
+     * @param {any[]} all
+     * @param {{ignoreOffset?: boolean, ignoreLimit?: boolean}} [behaviour]
+     */
+    function createFetcher(all, behaviour = {}) {
+        const calls = [];
+        const fetchPage = async (offset, collected, totalCount) => {
+            calls.push({ offset, collected, totalCount });
+            const start = behaviour.ignoreOffset ? 0 : offset;
+            const page = behaviour.ignoreLimit ? all.slice(start) : all.slice(start, start + 3);
+            return { executions: page, total_count: all.length };
+        };
+        return { calls, fetchPage };
+    }
+
+    test('pagina hasta la primera página incompleta', async () => {
+        const { calls, fetchPage } = createFetcher(executions(7));
+        const result = await collectHistoryPages(fetchPage, 3);
+
+        assert.deepEqual(result.map(execution => execution.id), executions(7).map(execution => execution.id));
+        assert.deepEqual(calls, [
+            { offset: 0, collected: 0, totalCount: null },
+            { offset: 3, collected: 3, totalCount: 7 },
+            { offset: 6, collected: 6, totalCount: 7 }
+        ]);
+    });
+
+    test('con un múltiplo exacto del tamaño pide una última página vacía', async () => {
+        const { calls, fetchPage } = createFetcher(executions(6));
+        assert.equal((await collectHistoryPages(fetchPage, 3)).length, 6);
+        assert.equal(calls.length, 3);
+    });
+
+    test('no repite ejecuciones desplazadas entre páginas', async () => {
+        const pages = [
+            { executions: [{ id: 'a' }, { id: 'b' }, { id: 'c' }] },
+            // Una ejecución nueva desplazó "c" a la segunda página
+            { executions: [{ id: 'c' }, { id: 'd' }] }
+        ];
+        const result = await collectHistoryPages(async offset => pages[offset === 0 ? 0 : 1], 3);
+        assert.deepEqual(result.map(execution => execution.id), ['a', 'b', 'c', 'd']);
+    });
+
+    test('se detiene si py2rocket ignora --offset o --limit', async () => {
+        const ignoringOffset = createFetcher(executions(7), { ignoreOffset: true });
+        assert.equal((await collectHistoryPages(ignoringOffset.fetchPage, 3)).length, 3);
+        assert.equal(ignoringOffset.calls.length, 2);
+
+        const ignoringLimit = createFetcher(executions(7), { ignoreLimit: true });
+        assert.equal((await collectHistoryPages(ignoringLimit.fetchPage, 3)).length, 7);
+        assert.equal(ignoringLimit.calls.length, 1);
+    });
+
+    test('propaga el error de la descarga de una página', async () => {
+        await assert.rejects(collectHistoryPages(async () => { throw new Error('HTTP 500'); }, 3), /HTTP 500/);
+    });
+});
@@ -0,0 +1,185 @@
+const { describe, test } = require('node:test');
+const assert = require('node:assert/strict');
+
+const {
+    buildHistoryArgs,
+    isUnsupportedOptionError,
+    filterHistoryExecutions,
+    applyHistoryQueryLocally,
+    extractRerunData,
+    getRerunParameterValue,
+    groupExecutionParameters
+} = require('../py2rocket-history');
+
+/**
+ * Ejecución de get-history que empieza en cola y pasa a `state` un minuto después
+ * @param {string} id
+ * @param {string} startedAt - Fecha local sin zona (las fechas de los filtros son locales)
+ * @param {string} state
+ * @param {string} [assetName]
+ */
+function createExecution(id, startedAt, state, assetName = 'Carga ventas') {
+    const start = new Date(startedAt).toISOString();
+    return {
+        id,
+        assetDataExecution: { name: assetName },
+        statuses: state === 'Queued'
+            ? [{ state, lastUpdateDate: start }]
+            : [{ state, lastUpdateDate: new Date(new Date(startedAt).getTime() + 60000).toISOString() }, { state: 'Queued', lastUpdateDate: start }]
+    };
+}
+
+const EXECUTIONS = [
+    createExecution('antes', '2026-09-30T23:59:59.999', 'Completed'),
+    createExecution('inicio-dia', '2026-10-01T00:00:00', 'Failed'),
+    createExecution('medio', '2026-10-02T12:00:00', 'Completed', 'Limpieza clientes'),
+    createExecution('fin-dia', '2026-10-03T23:59:59.999', 'Completed'),
+    createExecution('despues', '2026-10-04T00:00:00', 'Queued')
+];
+
+describe('buildHistoryArgs', () => {
+    test('añade solo los filtros informados, en el orden de las opciones', () => {
+        assert.deepEqual(
+            buildHistoryArgs('wf-1', { assetName: 'ventas', limit: 20, offset: 40, state: 'Failed', dateFrom: '2026-10-01', dateTo: '' }),
+            ['wf-1', '-j', '--limit', '20', '--offset', '40', '--state', 'Failed', '--from-date', '2026-10-01', '--asset-name', 'ventas']
+        );
+    });
+
+    test('sin filtros ni desplazamiento solo pide JSON', () => {
+        assert.deepEqual(buildHistoryArgs('wf-1'), ['wf-1', '-j']);
+        assert.deepEqual(buildHistoryArgs('wf-1', { offset: 0, state: null }), ['wf-1', '-j']);
+    });
+});
+
+describe('isUnsupportedOptionError', () => {
+    test('reconoce los errores de argparse y click por opciones desconocidas', () => {
+        assert.ok(isUnsupportedOptionError({ stderr: 'error: unrecognized arguments: --limit 20' }));
+        assert.ok(isUnsupportedOptionError({ message: 'Error: No such option: --state' }));
+        assert.ok(!isUnsupportedOptionError({ stderr: 'HTTP 401 Unauthorized' }));
+        assert.ok(!isUnsupportedOptionError(undefined));
+    });
+});
+
+describe('filterHistoryExecutions', () => {
+    const ids = executions => executions.map(execution => execution.id);
+
+    test('incluye los dos extremos del rango de fechas por la fecha de inicio', () => {
+        const filtered = filterHistoryExecutions(EXECUTIONS, { dateFrom: '2026-10-01', dateTo: '2026-10-03' });
+        assert.deepEqual(ids(filtered), ['inicio-dia', 'medio', 'fin-dia']);
+    });
+
+    test('acepta rangos abiertos y de un solo día', () => {
+        assert.deepEqual(ids(filterHistoryExecutions(EXECUTIONS, { dateFrom: '2026-10-03' })), ['fin-dia', 'despues']);
+        assert.deepEqual(ids(filterHistoryExecutions(EXECUTIONS, { dateTo: '2026-09-30' })), ['antes']);
+        assert.deepEqual(ids(filterHistoryExecutions(EXECUTIONS, { dateFrom: '2026-10-02', dateTo: '2026-10-02' })), ['medio']);
+    });
+
+    test('descarta las ejecuciones sin fecha si hay filtro de fechas e ignora fechas inválidas', () => {
+        const withoutDate = [...EXECUTIONS, { id: 'sin-fecha', statuses: [] }];
+        assert.ok(!ids(filterHistoryExecutions(withoutDate, { dateFrom: '2026-01-01' })).includes('sin-fecha'));
+        assert.equal(filterHistoryExecutions(withoutDate, { dateFrom: 'no-es-fecha' }).length, withoutDate.length);
+    });
+
+    test('filtra por el estado actual y por el nombre del asset sin distinguir mayúsculas', () => {
+        assert.deepEqual(ids(filterHistoryExecutions(EXECUTIONS, { state: 'Completed' })), ['antes', 'medio', 'fin-dia']);
+        assert.deepEqual(ids(filterHistoryExecutions(EXECUTIONS, { state: 'Queued' })), ['despues']);
+        assert.deepEqual(ids(filterHistoryExecutions(EXECUTIONS, { assetName: '  CLIENTES ' })), ['medio']);
+    });
+});
+
+describe('applyHistoryQueryLocally', () => {
+    test('pagina sobre el resultado filtrado y devuelve el total filtrado', () => {
+        const page = applyHistoryQueryLocally({ workflow: 'wf-1', executions: EXECUTIONS, total_count: 5 }, {
+            state: 'Completed',
+            limit: 2,
+            offset: 1
+        });
+
+        assert.deepEqual(page.executions.map(execution => execution.id), ['medio', 'fin-dia']);
+        assert.equal(page.total_count, 3);
+        assert.equal(page.filteredLocally, true);
+        assert.equal(page.workflow, 'wf-1');
+    });
+
+    test('sin límite devuelve el resto desde el desplazamiento', () => {
+        const page = applyHistoryQueryLocally({ executions: EXECUTIONS }, { offset: 3 });
+        assert.deepEqual(page.executions.map(execution => execution.id), ['fin-dia', 'despues']);
+        assert.equal(page.total_count, 5);
+    });
+
+    test('tolera una respuesta sin ejecuciones', () => {
+        assert.deepEqual(applyHistoryQueryLocally(null, { limit: 10 }).executions, []);
+    });
+});
+
+describe('extractRerunData', () => {
+    const execution = {
+        id: 'exec-1',
+        request: {
+            parametersLists: [{ name: 'ventas-prod' }, 'comun', { id: 'sin-nombre' }],
+            extraParams: [
+                { name: 'FECHA', value: '2026-10-01' },
+                { name: 'CONFIG', value: { modo: 'completo' } },
+                { name: 'VACIO', value: null }
+            ],
+            settings: { instanceSize: 'M', executionPriority: 2, maxAttempts: 0, extendedAuditInfo: false }
+        },
+        assetDataExecution: {
+            name: 'Carga ventas',
+            // Los parámetros usados no son datos del envío aunque se llamen igual
+            parametersUsed: { FECHA: '2026-09-30', REGION: 'EU', instance: 'XL' }
+        }
+    };
+
+    test('recupera listas, parámetros extra y configuración del envío', () => {
+        const rerunData = extractRerunData(execution);
+
+        assert.equal(rerunData.executionId, 'exec-1');
+        assert.deepEqual(rerunData.paramsLists, ['ventas-prod', 'comun']);
+        assert.deepEqual(rerunData.extraParams, { FECHA: '2026-10-01', CONFIG: '{"modo":"completo"}', VACIO: '' });
+        assert.deepEqual(rerunData.settings, { instance: 'M', executionPriority: 2, maxAttempts: 0, extendedAuditInfo: false });
+        assert.equal(rerunData.parametersUsed, execution.assetDataExecution.parametersUsed);
+    });
+
+    test('acepta parámetros extra como objeto y listas vacías', () => {
+        const rerunData = extractRerunData({ id: 'exec-2', paramsLists: [], extraParameters: { LIMITE: 10, FILTRO: ['a'] } });
+
+        assert.equal(rerunData.paramsLists, null);
+        assert.deepEqual(rerunData.extraParams, { LIMITE: '10', FILTRO: '["a"]' });
+        assert.deepEqual(rerunData.settings, {});
+        assert.deepEqual(rerunData.parametersUsed, {});
+    });
+
+    test('precarga primero los parámetros enviados y después los usados', () => {
+        const rerunData = extractRerunData(execution);
+
+        assert.equal(getRerunParameterValue(rerunData, 'FECHA'), '2026-10-01');
+        assert.equal(getRerunParameterValue(rerunData, 'VACIO'), '');
+        assert.equal(getRerunParameterValue(rerunData, 'REGION'), 'EU');
+        assert.equal(getRerunParameterValue(rerunData, 'OTRO'), undefined);
+        assert.equal(getRerunParameterValue(null, 'FECHA'), undefined);
+    });
+});
+
+describe('groupExecutionParameters', () => {
+    test('muestra primero los parámetros visibles y después un grupo por prefijo de infraestructura', () => {
+        const groups = groupExecutionParameters({
+            SparkResources_cores: 4,
+            FECHA: '2026-10-01',
+            Environment_name: 'prod',
+            SparkConfigurations_memory: '4g',
+            REGION: 'EU'
+        });
+
+        assert.deepEqual(groups, [
+            { group: null, entries: [['FECHA', '2026-10-01'], ['REGION', 'EU']] },
+            { group: 'SparkConfigurations', entries: [['SparkConfigurations_memory', '4g']] },
+            { group: 'Environment', entries: [['Environment_name', 'prod']] },
+            { group: 'SparkResources', entries: [['SparkResources_cores', 4]] }
+        ]);
+    });
+
+    test('sin parámetros devuelve solo el grupo visible vacío', () => {
+        assert.deepEqual(groupExecutionParameters(undefined), [{ group: null, entries: [] }]);
+    });
+});
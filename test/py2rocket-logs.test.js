@@ -0,0 +1,68 @@
+const { describe, test } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { buildLogArgs, extractLogText, findErrorLines } = require('../py2rocket-logs');
+
+describe('buildLogArgs', () => {
+    test('pasa solo el id de la ejecución', () => {
+        assert.deepEqual(buildLogArgs('exec-1'), ['exec-1']);
+    });
+});
+
+describe('extractLogText', () => {
+    test('devuelve el texto plano tal cual', () => {
+        assert.equal(extractLogText('INFO inicio\nERROR fallo\n'), 'INFO inicio\nERROR fallo\n');
+        assert.equal(extractLogText(undefined), '');
+    });
+
+    test('lee el texto de las claves conocidas de la respuesta JSON', () => {
+        assert.equal(extractLogText(JSON.stringify({ executionId: 'exec-1', logs: 'línea 1\nlínea 2' })), 'línea 1\nlínea 2');
+        assert.equal(extractLogText(JSON.stringify({ lines: ['a', 'b'] })), 'a\nb');
+        assert.equal(extractLogText(JSON.stringify(['a', 'b'])), 'a\nb');
+    });
+
+    test('formatea las entradas estructuradas con fecha, nivel y mensaje', () => {
+        const output = JSON.stringify({
+            log: [
+                { timestamp: '2026-10-19T10:00:00Z', level: 'INFO', message: 'inicio' },
+                { time: '10:01', msg: 'sin nivel' },
+                { level: 'WARN', detalle: 'otro formato' },
+                42
+            ]
+        });
+
+        assert.equal(extractLogText(output), [
+            '2026-10-19T10:00:00Z INFO inicio',
+            '10:01 sin nivel',
+            'WARN {"level":"WARN","detalle":"otro formato"}',
+            '42'
+        ].join('\n'));
+    });
+
+    test('devuelve la salida original si el JSON no trae logs o no es válido', () => {
+        const unknown = JSON.stringify({ status: 'ok' });
+        assert.equal(extractLogText(unknown), unknown);
+        assert.equal(extractLogText('{ no es json'), '{ no es json');
+    });
+});
+
+describe('findErrorLines', () => {
+    test('marca errores, excepciones y frames de stack traces', () => {
+        const log = [
+            'INFO cargando datos',
+            '2026-10-19 ERROR no se pudo conectar',
+            'java.lang.IllegalStateException: fallo',
+            '    at com.rocket.Job.run(Job.java:42)',
+            'Caused by: java.io.IOException',
+            'Traceback (most recent call last):',
+            'Procesando errores_conocidos.csv',
+            'WARN reintento'
+        ].join('\r\n');
+
+        assert.deepEqual(findErrorLines(log), [1, 2, 3, 4, 5]);
+    });
+
+    test('sin log no hay líneas de error', () => {
+        assert.deepEqual(findErrorLines(''), []);
+    });
+});
@@ -0,0 +1,81 @@
+const { describe, test } = require('node:test');
+const assert = require('node:assert/strict');
+
+const {
+    DEFAULT_SENSITIVE_PATTERNS,
+    MASKED_VALUE,
+    compileMaskPatterns,
+    isSensitiveName,
+    maskParameterValue,
+    maskParameters
+} = require('../py2rocket-masking');
+
+const MATCHERS = compileMaskPatterns(DEFAULT_SENSITIVE_PATTERNS);
+
+describe('compileMaskPatterns', () => {
+    test('usa comodines * y ? sin distinguir mayúsculas y escapa el resto', () => {
+        const matchers = compileMaskPatterns(['db_pass?', 'api.key', '  ', null, 'TOKEN*']);
+
+        assert.equal(matchers.length, 3);
+        assert.ok(isSensitiveName('DB_PASS1', matchers));
+        assert.ok(!isSensitiveName('db_pass12', matchers));
+        assert.ok(isSensitiveName('api.key', matchers));
+        assert.ok(!isSensitiveName('apiXkey', matchers), 'el punto no es un comodín');
+        assert.ok(isSensitiveName('token_refresh', matchers));
+        assert.ok(!isSensitiveName('refresh_token', matchers));
+        assert.deepEqual(compileMaskPatterns(undefined), []);
+    });
+
+    test('los patrones por defecto cubren los nombres habituales', () => {
+        ['DB_PASSWORD', 'passwd', 'AccessToken', 'client_secret', 'x_ApiKey', 'api_key', 'aws_credentials', 'ssh_private_key']
+            .forEach(name => assert.ok(isSensitiveName(name, MATCHERS), name));
+        ['FECHA', 'REGION', 'user'].forEach(name => assert.ok(!isSensitiveName(name, MATCHERS), name));
+    });
+});
+
+describe('maskParameterValue', () => {
+    test('oculta el valor completo si el nombre del parámetro es sensible', () => {
+        assert.deepEqual(maskParameterValue('DB_PASSWORD', 'hunter2', MATCHERS), { value: MASKED_VALUE, masked: true });
+        assert.deepEqual(maskParameterValue('FECHA', '2026-10-01', MATCHERS), { value: '2026-10-01', masked: false });
+    });
+
+    test('oculta solo las claves sensibles de un JSON anidado y lo devuelve como texto', () => {
+        const config = JSON.stringify({
+            host: 'db.local',
+            connection: { user: 'etl', password: 'hunter2', options: [{ apiKey: 'k-1', retries: 3 }] }
+        });
+
+        const result = maskParameterValue('CONFIG', config, MATCHERS);
+
+        assert.equal(result.masked, true);
+        assert.equal(typeof result.value, 'string');
+        assert.deepEqual(JSON.parse(result.value), {
+            host: 'db.local',
+            connection: { user: 'etl', password: MASKED_VALUE, options: [{ apiKey: MASKED_VALUE, retries: 3 }] }
+        });
+        assert.ok(!result.value.includes('hunter2'));
+    });
+
+    test('oculta la clave sensible entera aunque su valor sea un objeto', () => {
+        const result = maskParameterValue('CONFIG', { credentials: { user: 'etl', key: 'abc' }, region: 'EU' }, MATCHERS);
+        assert.deepEqual(result, { value: { credentials: MASKED_VALUE, region: 'EU' }, masked: true });
+    });
+
+    test('devuelve el valor original si no hay nada sensible o no hay patrones', () => {
+        const config = '{"host": "db.local", "port": 5432}';
+        assert.deepEqual(maskParameterValue('CONFIG', config, MATCHERS), { value: config, masked: false });
+        assert.deepEqual(maskParameterValue('DB_PASSWORD', 'hunter2', []), { value: 'hunter2', masked: false });
+        assert.deepEqual(maskParameterValue('NOTA', '{no es json', MATCHERS), { value: '{no es json', masked: false });
+    });
+});
+
+describe('maskParameters', () => {
+    test('devuelve una copia con los valores sensibles ocultos', () => {
+        const parametersUsed = { FECHA: '2026-10-01', API_TOKEN: 'abc', CONFIG: '{"secret": "s", "modo": "completo"}' };
+        const masked = maskParameters(parametersUsed, MATCHERS);
+
+        assert.deepEqual(masked, { FECHA: '2026-10-01', API_TOKEN: MASKED_VALUE, CONFIG: `{"secret":"${MASKED_VALUE}","modo":"completo"}` });
+        assert.equal(parametersUsed.API_TOKEN, 'abc', 'no modifica el original');
+        assert.deepEqual(maskParameters(undefined, MATCHERS), {});
+    });
+});
@@ -0,0 +1,108 @@
+const { describe, test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const {
+    normalizeProfiles,
+    parseEnvFile,
+    checkProfileEnvFile,
+    buildProfileEnv
+} = require('../py2rocket-profiles');
+
+describe('normalizeProfiles', () => {
+    test('descarta entradas sin nombre y nombres repetidos (gana el primero)', () => {
+        const profiles = normalizeProfiles([
+            { name: ' dev ', rocketUrl: 'https://dev' },
+            { rocketUrl: 'https://sin-nombre' },
+            null,
+            { name: '   ' },
+            { name: 'dev', rocketUrl: 'https://otro' },
+            { name: 'prod' }
+        ]);
+
+        assert.deepEqual(profiles, [{ name: 'dev', rocketUrl: 'https://dev' }, { name: 'prod' }]);
+    });
+
+    test('devuelve una lista vacía si la configuración no es un arreglo', () => {
+        assert.deepEqual(normalizeProfiles({ name: 'dev' }), []);
+        assert.deepEqual(normalizeProfiles(undefined), []);
+    });
+});
+
+describe('parseEnvFile', () => {
+    test('interpreta comillas, export, comentarios y valores vacíos', () => {
+        const env = parseEnvFile([
+            '# credenciales',
+            'export ROCKET_URL=https://rocket',
+            'TOKEN="a b\\nc"',
+            "SECRET='con # almohadilla'",
+            'PROJECT_ID=42 # comentario',
+            'VACIO=',
+            'línea inválida',
+            ''
+        ].join('\r\n'));
+
+        assert.deepEqual(env, {
+            ROCKET_URL: 'https://rocket',
+            TOKEN: 'a b\nc',
+            SECRET: 'con # almohadilla',
+            PROJECT_ID: '42',
+            VACIO: ''
+        });
+    });
+});
+
+describe('envFile de los perfiles', () => {
+    let workspace;
+
+    before(() => {
+        workspace = fs.mkdtempSync(path.join(os.tmpdir(), 'py2rocket-profiles-'));
+        fs.writeFileSync(path.join(workspace, 'dev.env'), 'ROCKET_URL=https://desde-archivo\nTOKEN=abc\nEXTRA=archivo\n');
+    });
+
+    after(() => {
+        fs.rmSync(workspace, { recursive: true, force: true });
+    });
+
+    test('resuelve el envFile relativo contra la carpeta del workspace', () => {
+        assert.equal(checkProfileEnvFile({ name: 'dev', envFile: 'dev.env' }, workspace), null);
+        assert.equal(checkProfileEnvFile({ name: 'dev', envFile: path.join(workspace, 'dev.env') }, '/otro'), null);
+        assert.equal(checkProfileEnvFile({ name: 'sin-archivo' }, workspace), null);
+
+        assert.equal(
+            checkProfileEnvFile({ name: 'prod', envFile: 'prod.env' }, workspace),
+            `No se encontró el archivo de entorno del perfil "prod": ${path.join(workspace, 'prod.env')}`
+        );
+    });
+
+    test('combina las variables con prioridad envFile < env < rocketUrl/projectId', () => {
+        const { env, error } = buildProfileEnv({
+            name: 'dev',
+            envFile: 'dev.env',
+            env: { EXTRA: 'perfil', NUMERO: 3, NULO: null },
+            rocketUrl: 'https://perfil',
+            projectId: 7
+        }, workspace);
+
+        assert.equal(error, null);
+        assert.deepEqual(env, {
+            ROCKET_URL: 'https://perfil',
+            TOKEN: 'abc',
+            EXTRA: 'perfil',
+            NUMERO: '3',
+            PROJECT_ID: '7'
+        });
+    });
+
+    test('devuelve el error en lugar de lanzar si falta el envFile', () => {
+        const { env, error } = buildProfileEnv({ name: 'prod', envFile: 'prod.env', rocketUrl: 'https://prod' }, workspace);
+        assert.deepEqual(env, {});
+        assert.match(error.message, /No se encontró el archivo de entorno del perfil "prod"/);
+    });
+
+    test('sin perfil no añade variables', () => {
+        assert.deepEqual(buildProfileEnv(null, workspace), { env: {}, error: null });
+    });
+});
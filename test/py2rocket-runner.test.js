@@ -0,0 +1,289 @@
+const { describe, test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const {
+    runPy2Rocket,
+    isCancellationError,
+    throwIfCancelled,
+    isTimeoutError,
+    isUnsupportedCommandError,
+    parseProgressLine,
+    buildPy2RocketInvocation,
+    resolvePythonExecutable,
+    formatCommandLine
+} = require('../py2rocket-runner');
+
+// El "python" falso es un script de Node con shebang: no se puede lanzar así en Windows
+const skipSpawn = process.platform === 'win32';
+
+// Sustituye a `python -m py2rocket <subcomando>`: cada subcomando simula un comportamiento
+const FAKE_PYTHON = `#!${process.execPath}
+const [, , , , subcommand, ...args] = process.argv;
+if (subcommand === 'echo') {
+    process.stdout.write(JSON.stringify({ args, cwd: process.cwd(), value: process.env.PY2ROCKET_TEST_VALUE }));
+} else if (subcommand === 'fail') {
+    process.stderr.write('algo salió mal\\n');
+    process.exit(3);
+} else if (subcommand === 'progress') {
+    process.stdout.write('Downloading asset 1/2\\r\\nDownloading as');
+    setTimeout(() => {
+        process.stdout.write('set 2/2\\nsin salto final');
+        process.stderr.write('aviso\\n');
+    }, 50);
+} else if (subcommand === 'sleep') {
+    setTimeout(() => { }, 30000);
+}
+`;
+
+/**
+ * Token de cancelación con la misma forma que vscode.CancellationToken
+ * @returns {{token: {isCancellationRequested: boolean, onCancellationRequested: Function}, cancel: () => void}}
+ */
+function createCancellationSource() {
+    const listeners = [];
+    const token = {
+        isCancellationRequested: false,
+        onCancellationRequested: listener => {
+            listeners.push(listener);
+            return { dispose: () => listeners.splice(listeners.indexOf(listener), 1) };
+        }
+    };
+    return {
+        token,
+        cancel: () => {
+            token.isCancellationRequested = true;
+            [...listeners].forEach(listener => listener());
+        }
+    };
+}
+
+describe('buildPy2RocketInvocation', () => {
+    test('pasa cada argumento como un elemento de argv, sin comillas ni shell', () => {
+        const invocation = buildPy2RocketInvocation('push', ['mi workflow.json', 42, 'a"b'], {
+            pythonPath: '/usr/bin/python3',
+            cwd: '/tmp'
+        });
+
+        assert.equal(invocation.executable, '/usr/bin/python3');
+        assert.deepEqual(invocation.argv, ['-m', 'py2rocket', 'push', 'mi workflow.json', '42', 'a"b']);
+        assert.equal(invocation.cwd, '/tmp');
+        assert.equal(invocation.cmd, '/usr/bin/python3 -m py2rocket push "mi workflow.json" 42 "a\\"b"');
+    });
+
+    test('añade PYTHONIOENCODING y las variables extra al entorno', () => {
+        const invocation = buildPy2RocketInvocation('build', [], { env: { ROCKET_URL: 'https://rocket' } });
+        assert.equal(invocation.env.PYTHONIOENCODING, 'utf-8');
+        assert.equal(invocation.env.ROCKET_URL, 'https://rocket');
+    });
+});
+
+describe('resolvePythonExecutable', () => {
+    let workspace;
+
+    before(() => {
+        workspace = fs.mkdtempSync(path.join(os.tmpdir(), 'py2rocket-runner-'));
+    });
+
+    after(() => {
+        fs.rmSync(workspace, { recursive: true, force: true });
+    });
+
+    test('usa python del PATH si no hay ruta configurada ni .venv', () => {
+        assert.equal(resolvePythonExecutable('', workspace), 'python');
+        assert.equal(resolvePythonExecutable('python', workspace), 'python');
+    });
+
+    test('resuelve rutas relativas configuradas contra el workspace', () => {
+        assert.equal(
+            resolvePythonExecutable('.venv/bin/python', workspace),
+            path.resolve(workspace, '.venv/bin/python')
+        );
+        assert.equal(resolvePythonExecutable('python3', workspace), 'python3');
+    });
+
+    test('prefiere el .venv del workspace a python del PATH', () => {
+        const venvPython = process.platform === 'win32'
+            ? path.join(workspace, '.venv', 'Scripts', 'python.exe')
+            : path.join(workspace, '.venv', 'bin', 'python');
+        fs.mkdirSync(path.dirname(venvPython), { recursive: true });
+        fs.writeFileSync(venvPython, '');
+
+        assert.equal(resolvePythonExecutable('', workspace), venvPython);
+    });
+});
+
+describe('formatCommandLine', () => {
+    test('solo entrecomilla los argumentos que lo necesitan', () => {
+        assert.equal(formatCommandLine('python', ['-m', 'py2rocket', 'sync', 'Grupo A/B']), 'python -m py2rocket sync "Grupo A/B"');
+    });
+});
+
+describe('parseProgressLine', () => {
+    test('reconoce las líneas de progreso conocidas de py2rocket', () => {
+        assert.deepEqual(parseProgressLine('INFO Downloading asset 3/20'), { message: 'Descargando asset 3/20', current: 3, total: 20 });
+        assert.deepEqual(parseProgressLine('Pushing workflow 1 / 4'), { message: 'Publicando asset 1/4', current: 1, total: 4 });
+        assert.equal(parseProgressLine('Synced workflow 2/5').message, 'Sincronizando asset 2/5');
+        assert.equal(parseProgressLine('processing file 7/9').message, 'Procesando asset 7/9');
+    });
+
+    test('acepta el formato genérico "[n/total] descripción"', () => {
+        assert.deepEqual(parseProgressLine('  [2/3] Validando grupo  '), { message: 'Validando grupo (2/3)', current: 2, total: 3 });
+    });
+
+    test('ignora líneas vacías o sin progreso', () => {
+        assert.equal(parseProgressLine(''), null);
+        assert.equal(parseProgressLine(undefined), null);
+        assert.equal(parseProgressLine('Workflow compilado en 3/4 del tiempo'), null);
+    });
+});
+
+describe('runPy2Rocket', { skip: skipSpawn }, () => {
+    let tempDir;
+    let pythonPath;
+
+    before(() => {
+        tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'py2rocket-runner-'));
+        pythonPath = path.join(tempDir, 'fake-python');
+        fs.writeFileSync(pythonPath, FAKE_PYTHON);
+        fs.chmodSync(pythonPath, 0o755);
+    });
+
+    after(() => {
+        fs.rmSync(tempDir, { recursive: true, force: true });
+    });
+
+    test('resuelve con stdout, el directorio de trabajo y las variables de entorno', async () => {
+        const result = await runPy2Rocket('echo', ['con espacios', '$HOME'], {
+            pythonPath,
+            cwd: tempDir,
+            env: { PY2ROCKET_TEST_VALUE: 'perfil' }
+        });
+
+        assert.equal(result.code, 0);
+        const output = JSON.parse(result.stdout);
+        assert.deepEqual(output.args, ['con espacios', '$HOME']);
+        assert.equal(fs.realpathSync(output.cwd), fs.realpathSync(tempDir));
+        assert.equal(output.value, 'perfil');
+    });
+
+    test('rechaza con el código de salida y stderr si el proceso falla', async () => {
+        await assert.rejects(runPy2Rocket('fail', [], { pythonPath, cwd: tempDir }), error => {
+            assert.equal(error.code, 3);
+            assert.match(error.message, /py2rocket fail falló \(código de salida 3\)/);
+            assert.match(error.stderr, /algo salió mal/);
+            return true;
+        });
+    });
+
+    test('rechaza si no se puede lanzar el ejecutable', async () => {
+        await assert.rejects(
+            runPy2Rocket('echo', [], { pythonPath: path.join(tempDir, 'no-existe'), cwd: tempDir }),
+            /No se pudo iniciar/
+        );
+    });
+
+    test('termina el proceso y rechaza como cancelado al cancelar el token', async () => {
+        const source = createCancellationSource();
+        const running = runPy2Rocket('sleep', [], { pythonPath, cwd: tempDir, token: source.token });
+        setTimeout(source.cancel, 200);
+
+        await assert.rejects(running, error => {
+            assert.ok(isCancellationError(error));
+            assert.equal(error.code, null);
+            assert.ok(error.signal);
+            return true;
+        });
+    });
+
+    test('no lanza el proceso si el token ya estaba cancelado', async () => {
+        const source = createCancellationSource();
+        source.cancel();
+        await assert.rejects(
+            runPy2Rocket('echo', [], { pythonPath, cwd: tempDir, token: source.token }),
+            error => isCancellationError(error) && error.stdout === ''
+        );
+    });
+
+    test('emite cada línea de stdout y stderr completa aunque llegue partida', async () => {
+        const stdoutLines = [];
+        const stderrLines = [];
+        const result = await runPy2Rocket('progress', [], {
+            pythonPath,
+            cwd: tempDir,
+            onStdoutLine: line => stdoutLines.push(line),
+            onStderrLine: line => stderrLines.push(line)
+        });
+
+        assert.deepEqual(stdoutLines, ['Downloading asset 1/2', 'Downloading asset 2/2', 'sin salto final']);
+        assert.deepEqual(stderrLines, ['aviso']);
+        assert.equal(result.stdout, 'Downloading asset 1/2\r\nDownloading asset 2/2\nsin salto final');
+    });
+
+    test('un error en el consumidor de líneas no interrumpe el proceso', async () => {
+        const result = await runPy2Rocket('progress', [], {
+            pythonPath,
+            cwd: tempDir,
+            onStdoutLine: () => { throw new Error('fallo del consumidor'); }
+        });
+        assert.equal(result.code, 0);
+    });
+
+    test('termina el proceso y rechaza por tiempo límite al superar timeoutMs', async () => {
+        await assert.rejects(runPy2Rocket('sleep', [], { pythonPath, cwd: tempDir, timeoutMs: 200 }), error => {
+            assert.ok(isTimeoutError(error));
+            assert.ok(!isCancellationError(error));
+            assert.equal(error.timeoutMs, 200);
+            assert.match(error.message, /py2rocket sleep superó el tiempo límite/);
+            return true;
+        });
+    });
+
+    test('sin timeoutMs o con 0 no aplica tiempo límite', async () => {
+        const result = await runPy2Rocket('progress', [], { pythonPath, cwd: tempDir, timeoutMs: 0 });
+        assert.equal(result.code, 0);
+    });
+
+    test('rechaza con setupError sin lanzar el proceso', async () => {
+        const setupError = new Error('No se encontró el archivo de entorno del perfil "prod"');
+        const lines = [];
+        await assert.rejects(
+            runPy2Rocket('echo', [], { pythonPath, cwd: tempDir, setupError, onStdoutLine: line => lines.push(line) }),
+            error => error === setupError
+        );
+        assert.deepEqual(lines, []);
+    });
+});
+
+describe('throwIfCancelled', () => {
+    test('solo lanza cuando se pidió la cancelación', () => {
+        const source = createCancellationSource();
+        assert.doesNotThrow(() => throwIfCancelled(source.token));
+        assert.doesNotThrow(() => throwIfCancelled(null));
+        source.cancel();
+        assert.throws(() => throwIfCancelled(source.token), error => isCancellationError(error));
+    });
+});
+
+describe('isTimeoutError', () => {
+    test('solo reconoce los errores marcados como tiempo límite', () => {
+        assert.ok(isTimeoutError(Object.assign(new Error('x'), { timedOut: true })));
+        assert.ok(!isTimeoutError(new Error('py2rocket push falló')));
+        assert.ok(!isTimeoutError(null));
+    });
+});
+
+describe('isUnsupportedCommandError', () => {
+    test('reconoce el subcomando desconocido en stderr, stdout o el mensaje', () => {
+        assert.ok(isUnsupportedCommandError({ stderr: "py2rocket: error: argument command: invalid choice: 'get-logs'" }));
+        assert.ok(isUnsupportedCommandError({ stdout: 'Error: No such command "get-logs".' }));
+        assert.ok(isUnsupportedCommandError(new Error('Unknown command: get-logs')));
+    });
+
+    test('no confunde otros errores con un subcomando no soportado', () => {
+        assert.ok(!isUnsupportedCommandError({ stderr: 'HTTP 404: execution not found' }));
+        assert.ok(!isUnsupportedCommandError(undefined));
+    });
+});
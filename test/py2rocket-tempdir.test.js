@@ -0,0 +1,72 @@
+const { describe, test, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const {
+    TEMP_ROOT_NAME,
+    createTempDirInWorkspace,
+    removeOperationTempDir,
+    findDownloadedWorkflowJson
+} = require('../py2rocket-tempdir');
+
+describe('directorios temporales de operación', () => {
+    let workspace;
+
+    beforeEach(() => {
+        workspace = fs.mkdtempSync(path.join(os.tmpdir(), 'py2rocket-tempdir-'));
+    });
+
+    afterEach(() => {
+        fs.rmSync(workspace, { recursive: true, force: true });
+    });
+
+    test('cada operación obtiene un directorio propio dentro de .py2rocket-tmp', () => {
+        const first = createTempDirInWorkspace(workspace, 'download');
+        const second = createTempDirInWorkspace(workspace, 'download');
+
+        assert.notEqual(first, second);
+        for (const dir of [first, second]) {
+            assert.equal(path.dirname(dir), path.join(workspace, TEMP_ROOT_NAME));
+            assert.match(path.basename(dir), /^download-/);
+            assert.ok(fs.statSync(dir).isDirectory());
+        }
+    });
+
+    test('al eliminar el último directorio también se elimina .py2rocket-tmp', () => {
+        const first = createTempDirInWorkspace(workspace, 'download');
+        const second = createTempDirInWorkspace(workspace, 'remote');
+        fs.writeFileSync(path.join(first, 'wf.json'), '{}');
+
+        removeOperationTempDir(first);
+        assert.ok(!fs.existsSync(first));
+        assert.ok(fs.existsSync(second), 'no toca los temporales de otras operaciones');
+
+        removeOperationTempDir(second);
+        assert.ok(!fs.existsSync(path.join(workspace, TEMP_ROOT_NAME)));
+    });
+
+    test('no elimina nada fuera del directorio de la operación', () => {
+        const userFile = path.join(workspace, 'abc123.json');
+        fs.writeFileSync(userFile, '{}');
+
+        const tempDir = createTempDirInWorkspace(workspace, 'download');
+        removeOperationTempDir(tempDir);
+        removeOperationTempDir(null);
+
+        assert.ok(fs.existsSync(userFile));
+    });
+
+    test('encuentra el JSON descargado prefiriendo el del workflow_id', () => {
+        const tempDir = createTempDirInWorkspace(workspace, 'download');
+        assert.equal(findDownloadedWorkflowJson(tempDir, 'abc123'), null);
+
+        fs.writeFileSync(path.join(tempDir, 'log.txt'), '');
+        fs.writeFileSync(path.join(tempDir, 'aaa-otro.json'), '{}');
+        assert.equal(findDownloadedWorkflowJson(tempDir, 'abc123'), path.join(tempDir, 'aaa-otro.json'));
+
+        fs.writeFileSync(path.join(tempDir, 'workflow_abc123.json'), '{}');
+        assert.equal(findDownloadedWorkflowJson(tempDir, 'abc123'), path.join(tempDir, 'workflow_abc123.json'));
+    });
+});
@@ -0,0 +1,95 @@
+const { describe, test } = require('node:test');
+const assert = require('node:assert/strict');
+
+const {
+    normalizeWorkflowJson,
+    summarizeWorkflowChanges,
+    formatChangeSummary
+} = require('../py2rocket-workflow-diff');
+
+const REMOTE = {
+    name: 'etl',
+    settings: { retries: 1 },
+    graph: {
+        nodes: [
+            { id: 'extract', type: 'sql', query: 'select 1' },
+            { id: 'load', type: 'copy' },
+            { name: 'notify', type: 'mail' }
+        ]
+    }
+};
+
+describe('normalizeWorkflowJson', () => {
+    test('ordena las claves en todos los niveles y respeta el orden de los arreglos', () => {
+        const normalized = normalizeWorkflowJson({ b: 1, a: { d: [{ z: 1, y: 2 }], c: null } });
+        assert.equal(normalized, '{\n  "a": {\n    "c": null,\n    "d": [\n      {\n        "y": 2,\n        "z": 1\n      }\n    ]\n  },\n  "b": 1\n}\n');
+    });
+});
+
+describe('summarizeWorkflowChanges', () => {
+    test('considera idénticos dos workflows que solo difieren en el orden de las claves', () => {
+        const reordered = { graph: REMOTE.graph, settings: REMOTE.settings, name: 'etl' };
+        const summary = summarizeWorkflowChanges(REMOTE, reordered);
+
+        assert.deepEqual(summary, { added: [], removed: [], changed: [], otherChanges: false, identical: true });
+        assert.deepEqual(formatChangeSummary(summary), ['Sin diferencias con la versión de Rocket']);
+    });
+
+    test('detecta nodos añadidos, eliminados y modificados por su id o nombre', () => {
+        const local = {
+            ...REMOTE,
+            graph: {
+                nodes: [
+                    { id: 'extract', type: 'sql', query: 'select 2' },
+                    { name: 'notify', type: 'mail' },
+                    { id: 'validate', type: 'check' }
+                ]
+            }
+        };
+
+        const summary = summarizeWorkflowChanges(REMOTE, local);
+        assert.deepEqual(summary, {
+            added: ['validate'],
+            removed: ['load'],
+            changed: ['extract'],
+            otherChanges: false,
+            identical: false
+        });
+        assert.deepEqual(formatChangeSummary(summary), [
+            'Nodos añadidos: 1 (validate)',
+            'Nodos eliminados: 1 (load)',
+            'Nodos modificados: 1 (extract)'
+        ]);
+    });
+
+    test('separa los cambios fuera de los nodos', () => {
+        const local = { ...REMOTE, settings: { retries: 3 } };
+        const summary = summarizeWorkflowChanges(REMOTE, local);
+
+        assert.deepEqual(summary, { added: [], removed: [], changed: [], otherChanges: true, identical: false });
+        assert.deepEqual(formatChangeSummary(summary), [
+            'Nodos añadidos: 0',
+            'Nodos eliminados: 0',
+            'Nodos modificados: 0',
+            'Cambios en la configuración del workflow (fuera de los nodos)'
+        ]);
+    });
+
+    test('usa la posición como clave de los nodos sin identificador', () => {
+        const remote = { steps: [{ run: 'a' }, { run: 'b' }] };
+        const local = { steps: [{ run: 'a' }, { run: 'c' }, { run: 'd' }] };
+
+        assert.deepEqual(summarizeWorkflowChanges(remote, local), {
+            added: ['#2'],
+            removed: [],
+            changed: ['#1'],
+            otherChanges: false,
+            identical: false
+        });
+    });
+
+    test('sin colección de nodos reporta solo cambios generales', () => {
+        const summary = summarizeWorkflowChanges({ name: 'a' }, { name: 'b' });
+        assert.deepEqual(summary, { added: [], removed: [], changed: [], otherChanges: true, identical: false });
+    });
+});